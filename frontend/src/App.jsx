@@ -1,10 +1,45 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
 import UploadForm from './components/UploadForm.jsx';
 import SimplifyView from './components/SimplifyView.jsx';
 import ChatAsk from './components/ChatAsk.jsx';
+import CompareView from './components/CompareView.jsx';
+import TimelineView from './components/TimelineView.jsx';
+import DocumentLibrary from './components/DocumentLibrary.jsx';
+import AuditPanel from './components/AuditPanel.jsx';
+import DocumentViewer from './components/DocumentViewer.jsx';
+import LoginForm from './components/LoginForm.jsx';
+import { installAxiosAuth, clearAuth } from './lib/auth';
 import './styles/App.css'; // new global styles for layout & header
 
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+
+installAxiosAuth();
+
 export default function App() {
+  // GET /api/auth/me decides between the login screen and the app; servers in open mode
+  // (AUTH_REQUIRED=false) answer without a token and signing in is optional
+  const [auth, setAuthState] = useState({ checked: false, user: null, required: true });
+  const [showLogin, setShowLogin] = useState(false);
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/api/auth/me`, { timeout: 10000 })
+      .then(r => setAuthState({ checked: true, user: r.data.user, required: r.data.auth_required }))
+      .catch(() => setAuthState({ checked: true, user: null, required: true }));
+    function onLogout() {
+      setAuthState(a => ({ ...a, user: null }));
+    }
+    window.addEventListener('lexiclear:logout', onLogout);
+    return () => window.removeEventListener('lexiclear:logout', onLogout);
+  }, []);
+
+  function onSignedIn(user) {
+    setShowLogin(false);
+    setAuthState(a => ({ ...a, user }));
+  }
+
+  const needsLogin = auth.checked && !auth.user && (auth.required || showLogin);
+
   return (
     <div className="container">
       {/* Header */}
@@ -16,21 +51,51 @@ export default function App() {
             <p className="subtitle">Simplify Legal Documents</p>
           </div>
         </div>
+        {auth.user && (
+          <div className="account">
+            <span className="small">Signed in as <strong>{auth.user.display_name || auth.user.user_id}</strong></span>
+            <button className="account-btn" onClick={clearAuth}>Log out</button>
+          </div>
+        )}
+        {auth.checked && !auth.user && !auth.required && !showLogin && (
+          <div className="account">
+            <button className="account-btn" onClick={() => setShowLogin(true)}>Sign in</button>
+          </div>
+        )}
       </header>
 
-      {/* Grid Layout */}
-      <div className="grid">
-        {/* Left column: Upload + Simplify results */}
-        <div>
-          <UploadForm />
-          <SimplifyView />
-        </div>
+      {needsLogin && <LoginForm onSignedIn={onSignedIn} />}
+
+      {auth.checked && !needsLogin && (
+        <div className="layout" key={auth.user ? auth.user.user_id : 'anonymous'}>
+          {/* Sidebar: earlier bundles, reopened for results and Q&A */}
+          <DocumentLibrary />
+
+          <main className="main">
+            {/* Grid Layout */}
+            <div className="grid">
+              {/* Left column: Upload + Simplify results + key dates */}
+              <div>
+                <UploadForm />
+                <SimplifyView />
+                <TimelineView />
+              </div>
+
+              {/* Right column: ChatAsk + the original document, where cited passages are highlighted */}
+              <div>
+                <ChatAsk />
+                <DocumentViewer />
+              </div>
+            </div>
+
+            {/* Full width: redline between two bundles */}
+            <CompareView />
 
-        {/* Right column: ChatAsk */}
-        <div>
-          <ChatAsk />
+            {/* Full width: metadata, chunks and ask logs of a bundle, opened from the result or the chat */}
+            <AuditPanel />
+          </main>
         </div>
-      </div>
+      )}
 
       {/* Footer */}
       <footer className="footer-note">
@@ -0,0 +1,231 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import '../styles/AuditPanel.css';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '—';
+}
+
+function formatScore(n) {
+  return typeof n === 'number' ? n.toFixed(3) : '—';
+}
+
+// "verified" / "unverified (warned)" etc. from an ask log's verification block
+function verificationLabel(v) {
+  if (!v) return 'not verified';
+  return v.ok ? 'verified' : `unverified${v.action && v.action !== 'none' ? ` (${v.action})` : ''}`;
+}
+
+function MetaRow({ label, children }) {
+  return (
+    <>
+      <dt>{label}</dt>
+      <dd>{children ?? '—'}</dd>
+    </>
+  );
+}
+
+function AskLog({ log }) {
+  const v = log.verification;
+  const cited = log.citation_check ? log.citation_check.cited : null;
+  return (
+    <details className={`audit-log ${log.hallucination ? 'audit-log-flagged' : ''}`}>
+      <summary>
+        <span className="audit-log-time">{formatTime(log.timestamp)}</span>
+        <span className="audit-log-question">{log.question}</span>
+        <span className={`audit-badge ${v && v.ok ? 'audit-badge-ok' : 'audit-badge-warn'}`}>{verificationLabel(v)}</span>
+        {cited === false && <span className="audit-badge audit-badge-warn">no citations</span>}
+        {log.redacted && <span className="audit-badge">redacted</span>}
+      </summary>
+
+      <div className="audit-log-body">
+        <div className="small muted">
+          {log.asked_by ? `Asked by ${log.asked_by} · ` : ''}
+          {log.model ? `${log.model.provider} / ${log.model.name}` : 'unknown model'}
+          {` · ${log.retrieval_mode || 'dense'} retrieval, top ${log.top_k}${log.reranked ? ', reranked' : ''}`}
+        </div>
+        {log.standalone_question && log.standalone_question !== log.question && (
+          <div className="small muted">Rewritten as: “{log.standalone_question}”</div>
+        )}
+
+        <h5>Retrieved chunks</h5>
+        <table className="audit-table">
+          <thead>
+            <tr><th>Chunk</th><th>Score</th><th>Stages</th><th>Snippet</th></tr>
+          </thead>
+          <tbody>
+            {log.retrieved.map(r => (
+              <tr key={r.chunk_id}>
+                <td className="audit-mono">{r.chunk_id}</td>
+                <td>{formatScore(r.score)}</td>
+                <td className="small muted">
+                  {r.scores ? Object.entries(r.scores).filter(([k, s]) => typeof s === 'number' && !k.endsWith('_rank')).map(([k, s]) => `${k} ${formatScore(s)}`).join(' · ') : '—'}
+                </td>
+                <td className="small">{r.snippet}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h5>Answer</h5>
+        <div className="audit-answer">{log.answer_delivered ?? <span className="muted">Not delivered (rejected by verification)</span>}</div>
+        {log.hallucination_note && <div className="audit-warning">{log.hallucination_note}</div>}
+
+        <h5>Citation check</h5>
+        <div className="small">
+          {cited ? `Cites ${log.citation_check.cited_ids.join(', ')}` : 'The answer does not cite any retrieved chunk.'}
+        </div>
+
+        <h5>Verification</h5>
+        {v ? (
+          <div className="small">
+            {verificationLabel(v)}{v.policy ? ` · policy ${v.policy}` : ''}{v.attempts ? ` · ${v.attempts} attempt${v.attempts === 1 ? '' : 's'}` : ''}
+            {(v.potential_hallucinations || []).length > 0 && (
+              <ul className="audit-issues">
+                {v.potential_hallucinations.map((h, i) => <li key={i}>“{h.sentence}” — {h.reason}</li>)}
+              </ul>
+            )}
+          </div>
+        ) : <div className="small muted">No verification recorded.</div>}
+
+        <h5>Prompt</h5>
+        {log.prompt.map((m, i) => (
+          <div key={i} className="audit-prompt">
+            <div className="audit-prompt-role">{m.role}</div>
+            <pre>{m.content}</pre>
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+/**
+ * AuditPanel
+ * - Opens on 'lexiclear:audit' events (detail: { bundle_id }) from the simplify result and the chat
+ * - Loads GET /api/bundles/:bundle_id/audit: bundle metadata, index settings, retention, chunks with offsets
+ *   and headers (no embeddings) and the /api/ask logs with prompt, retrieval scores, citation check and verification
+ */
+export default function AuditPanel() {
+  const [bundleId, setBundleId] = useState(null);
+  const [audit, setAudit] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reload, setReload] = useState(0);
+  const cardRef = useRef();
+
+  useEffect(() => {
+    function onAudit(e) {
+      if (!e.detail?.bundle_id) return;
+      setBundleId(e.detail.bundle_id);
+      setReload(n => n + 1); // reopening the same bundle picks up new questions
+    }
+    window.addEventListener('lexiclear:audit', onAudit);
+    return () => window.removeEventListener('lexiclear:audit', onAudit);
+  }, []);
+
+  useEffect(() => {
+    if (!bundleId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    axios.get(`${API_BASE}/api/bundles/${bundleId}/audit`, { timeout: 60000 })
+      .then(r => { if (!cancelled) setAudit(r.data); })
+      .catch(err => {
+        if (cancelled) return;
+        setAudit(null);
+        setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    if (cardRef.current) cardRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return () => { cancelled = true; };
+  }, [bundleId, reload]);
+
+  if (!bundleId) return null;
+
+  const meta = audit?.metadata;
+  const index = audit?.index;
+  const retention = audit?.retention;
+
+  return (
+    <div className="audit-card" ref={cardRef}>
+      <div className="audit-header">
+        <div>
+          <h3 style={{ margin: 0 }}>Audit trail</h3>
+          <div className="small muted audit-mono" style={{ marginTop: 6 }}>{bundleId}</div>
+        </div>
+        <div className="audit-actions">
+          <button className="upload-btn upload-btn-ghost" onClick={() => setReload(n => n + 1)} disabled={loading}>Refresh</button>
+          <button className="upload-btn upload-btn-ghost" onClick={() => { setBundleId(null); setAudit(null); }}>Close</button>
+        </div>
+      </div>
+
+      {loading && <div className="small muted">Loading audit…</div>}
+      {error && <div className="audit-error">{error}</div>}
+
+      {audit && (
+        <>
+          <section>
+            <h4>Document</h4>
+            <dl className="audit-meta">
+              <MetaRow label="Title">{meta.doc_title}</MetaRow>
+              <MetaRow label="Uploaded">{formatTime(meta.created_at)}{meta.uploader_id ? ` by ${meta.uploader_id}` : ''}</MetaRow>
+              <MetaRow label="Checksum"><span className="audit-mono" title={meta.source_checksum}>{meta.source_checksum}</span></MetaRow>
+              <MetaRow label="Source">
+                {meta.source_format}{meta.page_count ? ` · ${meta.page_count} pages` : ''}
+                {meta.original_text_length ? ` · ${meta.original_text_length.toLocaleString()} characters` : ''}
+              </MetaRow>
+              <MetaRow label="Language">{[meta.language, meta.jurisdiction].filter(Boolean).join(' · ') || null}</MetaRow>
+              <MetaRow label="Chunking">{index.chunking_strategy} · {index.chunk_count} chunks</MetaRow>
+              <MetaRow label="Embeddings">
+                {index.embedding_model} · {index.embedded_chunks}/{index.chunk_count} embedded · {index.vector_db}
+              </MetaRow>
+              <MetaRow label="Retention">
+                {retention.retention_days != null ? `${retention.retention_days} days` : 'not set'}
+                {retention.expires_at ? ` · expires ${formatTime(retention.expires_at)}` : ''}
+                {` · ${retention.encrypted ? 'encrypted at rest' : 'not encrypted'}`}
+              </MetaRow>
+              <MetaRow label="Redaction">
+                {audit.redaction
+                  ? `${audit.redaction.entities} placeholder${audit.redaction.entities === 1 ? '' : 's'}${Object.keys(audit.redaction.by_type).length ? ` (${Object.entries(audit.redaction.by_type).map(([t, n]) => `${n} ${t.toLowerCase()}`).join(', ')})` : ''}`
+                  : null}
+              </MetaRow>
+            </dl>
+          </section>
+
+          <section>
+            <h4>Chunks</h4>
+            <table className="audit-table">
+              <thead>
+                <tr><th>Chunk</th><th>Offsets</th><th>Page</th><th>Section</th><th>Tokens</th><th>Embedded</th></tr>
+              </thead>
+              <tbody>
+                {audit.chunks.map(c => (
+                  <tr key={c.chunk_id} title={c.text}>
+                    <td className="audit-mono">{c.chunk_id}</td>
+                    <td className="audit-mono">{c.start_char}–{c.end_char}</td>
+                    <td>{c.origin_page ?? '—'}</td>
+                    <td>{c.section_header || <span className="muted">—</span>}</td>
+                    <td>{c.tokens}</td>
+                    <td>{c.embedded ? 'yes' : 'no'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section>
+            <h4>Questions asked ({audit.logs_total})</h4>
+            {audit.logs.length === 0 && <p className="muted small">No questions logged for this document{audit.role === 'owner' || audit.role === 'admin' ? '' : ' by you'}.</p>}
+            {audit.logs.map(log => <AskLog key={log.log_id} log={log} />)}
+            {audit.logs_total > audit.logs.length && (
+              <div className="small muted">Showing the newest {audit.logs.length} of {audit.logs_total}.</div>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
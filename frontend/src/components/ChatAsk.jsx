@@ -1,33 +1,78 @@
 import React, { useEffect, useState, useRef } from 'react';
 import axios from 'axios';
+import { postEventStream } from '../lib/eventStream';
+import { resolveCitations } from '../lib/citations.js';
+import { CitedText } from './CitationChip.jsx';
 import '../styles/ChatAsk.css';
 
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+const LAST_BUNDLE_KEY = 'lexiclear:lastBundle';
+const sessionKey = bundleId => `lexiclear:session:${bundleId}`;
+
+// Server-side session turns -> chat bubbles (used when resuming after a reload)
+function turnsToMessages(turns) {
+  return (turns || []).flatMap(t => [
+    { role: 'user', text: t.question },
+    { role: 'assistant', text: t.answer, note: t.hallucination ? 'This answer was marked for review.' : null }
+  ]);
+}
 
 export default function ChatAsk() {
   const [query, setQuery] = useState('');
-  const [messages, setMessages] = useState([]); // { role: 'user'|'assistant', text }
+  const [messages, setMessages] = useState([]); // { role: 'user'|'assistant', text, note?, streaming?, citations? }
   const [loading, setLoading] = useState(false);
-  const [bundleId, setBundleId] = useState(() => window.lexiLastBundle || null);
-  const [auditBundle, setAuditBundle] = useState(null);
+  const [bundleId, setBundleId] = useState(() => window.lexiLastBundle || localStorage.getItem(LAST_BUNDLE_KEY) || null);
+  const [sessionId, setSessionId] = useState(null);
   const messagesRef = useRef();
 
   useEffect(() => {
     // listen for new simplified bundles
     function onSimplified(e) {
       const b = e.detail?.bundle_id;
+      if (b) localStorage.setItem(LAST_BUNDLE_KEY, b);
       setBundleId(b || window.lexiLastBundle || null);
-      // clear previous chat messages on new bundle
-      setMessages([]);
-      // optionally load the audit bundle JSON
-      if (b) {
-        axios.get(`${API_BASE}/api/audit/${b}`).then(r => setAuditBundle(r.data)).catch(() => setAuditBundle(null));
-      }
     }
     window.addEventListener('lexiclear:simplified', onSimplified);
     return () => window.removeEventListener('lexiclear:simplified', onSimplified);
   }, []);
 
+  // Resume the bundle's chat session (stored per bundle in localStorage) or start empty
+  useEffect(() => {
+    setMessages([]);
+    setSessionId(null);
+    const stored = bundleId ? localStorage.getItem(sessionKey(bundleId)) : null;
+    if (!stored) return undefined;
+    let cancelled = false;
+    axios.get(`${API_BASE}/api/sessions/${stored}`)
+      .then(r => {
+        if (cancelled) return;
+        setSessionId(stored);
+        const resumed = turnsToMessages(r.data.turns);
+        setMessages(resumed);
+        // mark which citations of the earlier answers could be verified
+        const answers = resumed.filter(m => m.role === 'assistant' && m.text).slice(-200);
+        if (answers.length) {
+          resolveCitations(bundleId, answers.map(m => ({ text: m.text.slice(0, 20000) })))
+            .then(resolved => {
+              if (cancelled) return;
+              const byMessage = new Map(answers.map((m, k) => [m, resolved[k].citations]));
+              setMessages(prev => prev.map(m => (byMessage.has(m) ? { ...m, citations: byMessage.get(m) } : m)));
+            })
+            .catch(() => {});
+        }
+      })
+      .catch(() => localStorage.removeItem(sessionKey(bundleId))); // expired or deleted on the server
+    return () => { cancelled = true; };
+  }, [bundleId]);
+
+  async function ensureSession() {
+    if (sessionId) return sessionId;
+    const r = await axios.post(`${API_BASE}/api/sessions`, { bundle_id: bundleId }, { timeout: 10000 });
+    localStorage.setItem(sessionKey(bundleId), r.data.session_id);
+    setSessionId(r.data.session_id);
+    return r.data.session_id;
+  }
+
   // scrolling to bottom on new messages
   useEffect(() => {
     if (messagesRef.current) {
@@ -41,16 +86,33 @@ export default function ChatAsk() {
       return;
     }
     setLoading(true);
-    // show user message
-    setMessages(prev => [...prev, { role: 'user', text: query }]);
+    // show user message and a placeholder answer that fills in as the stream arrives
+    setMessages(prev => [...prev, { role: 'user', text: query }, { role: 'assistant', text: '', note: 'Searching the document...', streaming: true }]);
+    // replace the last (streaming) assistant message
+    const updateAnswer = fn => setMessages(prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...fn(prev[prev.length - 1]) }]);
     try {
-      const res = await axios.post(`${API_BASE}/api/ask`, { bundle_id: bundleId, question: query }, { timeout: 60000 });
-      const ans = res.data?.answer || JSON.stringify(res.data);
-      setMessages(prev => [...prev, { role: 'assistant', text: ans }]);
+      // Sessions keep the conversation server-side, so follow-ups ("what about the other party?") work
+      const sid = await ensureSession();
+      const data = await postEventStream(`${API_BASE}/api/sessions/${sid}/messages/stream`, { question: query, redact: localStorage.getItem('lexiclear:redact') !== 'false' }, (event, payload) => {
+        if (event === 'embedding') updateAnswer(() => ({ note: `Indexing document (${payload.done}/${payload.total})...` }));
+        else if (event === 'condensed') updateAnswer(() => ({ note: `Searching for: ${payload.standalone_question}` }));
+        else if (event === 'retrieval') updateAnswer(() => ({ note: `Found ${payload.retrieved_chunks.length} relevant passages.` }));
+        else if (event === 'stage' && payload.stage === 'retrying') updateAnswer(() => ({ text: '', note: 'Re-checking the answer...' }));
+        else if (event === 'token') updateAnswer(m => ({ text: m.text + payload.text }));
+        else if (event === 'stage' && payload.stage === 'verifying') updateAnswer(() => ({ note: 'Verifying against the document...' }));
+      });
+      // hallucination_note is set when citations are missing or the verifier flagged the answer;
+      // the final answer may differ from the streamed text when the policy redacted sentences
+      updateAnswer(() => ({ text: data.answer || JSON.stringify(data), note: data.hallucination_note || null, streaming: false }));
+      if (data.answer) {
+        resolveCitations(bundleId, [{ text: data.answer.slice(0, 20000) }])
+          .then(([resolved]) => setMessages(prev => prev.map(m => (m.role === 'assistant' && m.text === data.answer && !m.citations ? { ...m, citations: resolved.citations } : m))))
+          .catch(() => {}); // chips still open the passage, without the verified / unverified marking
+      }
     } catch (err) {
       console.error('Ask error', err);
       const msg = err?.response?.data?.error || err.message || 'Unknown error';
-      setMessages(prev => [...prev, { role: 'assistant', text: `Error: ${msg}` }]);
+      updateAnswer(() => ({ text: `Error: ${msg}`, note: null, streaming: false }));
     } finally {
       setLoading(false);
       setQuery('');
@@ -68,7 +130,10 @@ export default function ChatAsk() {
         <div className="messages" ref={messagesRef}>
           {messages.map((m, i) => (
             <div key={i} className={`msg ${m.role === 'user' ? 'user' : ''}`}>
-              <div className="bubble">{m.text}</div>
+              <div className="bubble">
+                {m.role === 'assistant' && !m.streaming ? <CitedText text={m.text} bundleId={bundleId} citations={m.citations} /> : m.text}
+                {m.note ? <div className="bubble-note">{m.note}</div> : null}
+              </div>
             </div>
           ))}
         </div>
@@ -90,9 +155,10 @@ export default function ChatAsk() {
       <div style={{ marginTop: 12 }}>
         <button
           className="upload-btn upload-btn-ghost"
-          onClick={() => { setAuditBundle(null); if (bundleId) axios.get(`${API_BASE}/api/audit/${bundleId}`).then(r => setAuditBundle(r.data)).catch(()=>setAuditBundle(null)); }}
+          onClick={() => window.dispatchEvent(new CustomEvent('lexiclear:audit', { detail: { bundle_id: bundleId } }))}
+          disabled={!bundleId}
         >
-          Load Audit
+          Audit trail
         </button>
       </div>
     </div>
@@ -0,0 +1,45 @@
+import React from 'react';
+import { splitCitations, showCitation } from '../lib/citations.js';
+import '../styles/CitationChip.css';
+
+const STATUS_TITLES = {
+  verified: 'Quote found in this passage. Click to show it in the document.',
+  unquoted: 'No quote to check. Click to show the passage in the document.',
+  unverified: 'Could not be verified against the document. Click to show the passage.'
+};
+
+/**
+ * CitationChip
+ * - A clickable chunk id: opens the passage in the document viewer (DocumentViewer.jsx)
+ * - Marked when the citation is unverified: unknown chunk, quote not found, or an `issue` from the verifier
+ */
+export default function CitationChip({ bundleId, chunkId, citation, issue }) {
+  const status = issue || citation?.status === 'unverified' ? 'unverified' : (citation?.status || 'pending');
+  let title = STATUS_TITLES[status] || 'Click to show the passage in the document.';
+  if (citation && !citation.known) title = 'This chunk id is not in the document.';
+  else if (issue) title = `Unverified: ${issue}. Click to show the passage.`;
+  return (
+    <button
+      type="button"
+      className={`cite-chip cite-chip-${status}`}
+      title={title}
+      onClick={() => showCitation(bundleId, chunkId, citation)}
+    >
+      {status === 'unverified' ? '⚠ ' : ''}{chunkId}
+    </button>
+  );
+}
+
+/**
+ * Text with its chunk ids rendered as CitationChips.
+ * @param {{ text: string, bundleId: string, citations?: object[] }} props - citations from resolveCitations
+ */
+export function CitedText({ text, bundleId, citations }) {
+  return (
+    <>
+      {splitCitations(text).map((part, i) => (part.chunk_id && bundleId
+        ? <CitationChip key={i} bundleId={bundleId} chunkId={part.chunk_id} citation={(citations || []).find(c => c.chunk_id === part.chunk_id) || null} />
+        : <React.Fragment key={i}>{part.text || part.chunk_id}</React.Fragment>))}
+    </>
+  );
+}
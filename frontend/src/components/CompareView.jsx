@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import '../styles/CompareView.css';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+const LAST_BUNDLE_KEY = 'lexiclear:lastBundle';
+
+const TYPE_LABELS = { modified: 'Changed', added: 'Added', removed: 'Removed', unchanged: 'Unchanged' };
+
+// One side of the redline: the base side shows deletions, the revised side insertions
+function DiffText({ diff, side }) {
+  const hidden = side === 'base' ? 'insert' : 'delete';
+  return (
+    <p className="compare-text">
+      {diff.filter(d => d.op !== hidden).map((d, i) => {
+        if (d.op === 'delete') return <del key={i}>{d.text} </del>;
+        if (d.op === 'insert') return <ins key={i}>{d.text} </ins>;
+        return <span key={i}>{d.text} </span>;
+      })}
+    </p>
+  );
+}
+
+export default function CompareView() {
+  const [baseId, setBaseId] = useState('');
+  const [revisedId, setRevisedId] = useState(() => localStorage.getItem(LAST_BUNDLE_KEY) || '');
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  async function handleCompare(e) {
+    e.preventDefault();
+    if (!baseId.trim() || !revisedId.trim()) {
+      setError('Enter the bundle id of both versions.');
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const r = await axios.post(`${API_BASE}/api/compare`, {
+        base_bundle_id: baseId.trim(),
+        revised_bundle_id: revisedId.trim(),
+        include_unchanged: showUnchanged
+      }, { timeout: 120000 });
+      setResult(r.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      setResult(null);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const summary = result?.summary;
+
+  return (
+    <div className="compare-card">
+      <h3 style={{ margin: 0 }}>Compare versions</h3>
+      <div className="small muted" style={{ marginTop: 6 }}>Redline a revised document against the original, clause by clause.</div>
+      <form className="compare-form" onSubmit={handleCompare}>
+        <input className="compare-input" placeholder="Original bundle id" value={baseId} onChange={e => setBaseId(e.target.value)} />
+        <input className="compare-input" placeholder="Revised bundle id" value={revisedId} onChange={e => setRevisedId(e.target.value)} />
+        <label className="small compare-toggle">
+          <input type="checkbox" checked={showUnchanged} onChange={e => setShowUnchanged(e.target.checked)} /> Show unchanged clauses
+        </label>
+        <button className="compare-btn" type="submit" disabled={loading}>{loading ? 'Comparing…' : 'Compare'}</button>
+      </form>
+
+      {error && <div className="compare-error">{error}</div>}
+
+      {summary && (
+        <div className="small muted compare-summary">
+          {summary.material} material change{summary.material === 1 ? '' : 's'} · {summary.modified} changed · {summary.added} added · {summary.removed} removed · {summary.unchanged} unchanged
+          {summary.risk_delta !== 0 ? ` · risk ${summary.risk_delta > 0 ? '+' : ''}${summary.risk_delta}` : ''}
+        </div>
+      )}
+
+      {result && result.changes.length === 0 && <p className="muted">No differences found.</p>}
+
+      {result && result.changes.map(c => (
+        <div key={c.change_id} className={`compare-change ${c.material ? 'material' : ''}`}>
+          <div className="meta">
+            <div className={`tag compare-${c.type}`}>{TYPE_LABELS[c.type]}</div>
+            {c.material && <div className="tag" style={{ marginLeft: 8 }}>Material</div>}
+            <div className="muted" style={{ marginLeft: 8 }}>{c.revised_section_header || c.base_section_header || ''}</div>
+            {c.risk.delta !== 0 && (
+              <div className="muted" style={{ marginLeft: 8 }}>Risk {c.risk.base_score ?? '–'} → {c.risk.revised_score ?? '–'}</div>
+            )}
+          </div>
+          <div className="compare-columns">
+            <div>
+              <div className="muted compare-source">{c.base_chunk_id || 'not in original'}</div>
+              {c.base_chunk_id && <DiffText diff={c.type === 'unchanged' ? [{ op: 'equal', text: c.base_text }] : c.diff} side="base" />}
+            </div>
+            <div>
+              <div className="muted compare-source">{c.revised_chunk_id || 'not in revision'}</div>
+              {c.revised_chunk_id && <DiffText diff={c.type === 'unchanged' ? [{ op: 'equal', text: c.revised_text }] : c.diff} side="revised" />}
+            </div>
+          </div>
+          {c.explanation && <p className="compare-explanation">{c.explanation}</p>}
+          {!c.material && c.type === 'modified' && <p className="muted">Not material: {c.reasons.join(', ')}</p>}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import '../styles/DocumentLibrary.css';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+const LAST_BUNDLE_KEY = 'lexiclear:lastBundle';
+const ROLE_LABELS = { admin: 'shared · admin', reviewer: 'shared · reviewer', viewer: 'shared · view only' };
+const PAGE_SIZE = 20;
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) : '';
+}
+
+/**
+ * DocumentLibrary ("My documents")
+ * - Lists the bundles the signed-in user owns or was given access to, from GET /api/bundles
+ *   (title search, "Load more" pagination)
+ * - Opening a bundle loads its last simplification (GET /api/bundles/:id/result) and dispatches
+ *   'lexiclear:simplified' so SimplifyView, TimelineView and ChatAsk switch to it
+ * - Rename (PATCH, reviewers and up) and delete (DELETE, owner and admins) per bundle; refreshes after
+ *   every new simplification
+ */
+export default function DocumentLibrary() {
+  const [bundles, setBundles] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [query, setQuery] = useState('');
+  const [activeId, setActiveId] = useState(() => window.lexiLastBundle || localStorage.getItem(LAST_BUNDLE_KEY) || null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (offset = 0) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = { limit: PAGE_SIZE, offset };
+      if (query.trim()) params.title = query.trim();
+      const r = await axios.get(`${API_BASE}/api/bundles`, { params, timeout: 15000 });
+      setBundles(prev => (offset ? [...prev, ...r.data.bundles] : r.data.bundles));
+      setTotal(r.data.total);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  // (re)load on mount and when the search changes, debounced while typing
+  useEffect(() => {
+    const t = setTimeout(() => load(0), 250);
+    return () => clearTimeout(t);
+  }, [load]);
+
+  useEffect(() => {
+    function onSimplified(e) {
+      if (e.detail?.bundle_id) setActiveId(e.detail.bundle_id);
+      load(0);
+    }
+    window.addEventListener('lexiclear:simplified', onSimplified);
+    return () => window.removeEventListener('lexiclear:simplified', onSimplified);
+  }, [load]);
+
+  async function openBundle(b) {
+    setError(null);
+    let detail = { bundle_id: b.bundle_id, bundle_title: b.doc_title };
+    if (b.has_result) {
+      try {
+        const r = await axios.get(`${API_BASE}/api/bundles/${b.bundle_id}/result`, { timeout: 15000 });
+        detail = r.data;
+      } catch (err) {
+        // no accepted simplification: open the bundle for Q&A only
+        if (err.response?.status !== 404) setError(err.response?.data?.error || err.message);
+      }
+    }
+    window.lexiLastBundle = b.bundle_id;
+    window.lexiLastResult = detail;
+    localStorage.setItem(LAST_BUNDLE_KEY, b.bundle_id);
+    window.dispatchEvent(new CustomEvent('lexiclear:simplified', { detail }));
+  }
+
+  async function renameBundle(b) {
+    const title = window.prompt('Rename document', b.doc_title || '');
+    if (title === null || !title.trim() || title.trim() === b.doc_title) return;
+    try {
+      const r = await axios.patch(`${API_BASE}/api/bundles/${b.bundle_id}`, { doc_title: title.trim() });
+      setBundles(prev => prev.map(x => (x.bundle_id === b.bundle_id ? r.data : x)));
+    } catch (err) {
+      const d = err.response?.data;
+      setError(d?.details ? d.details.join('; ') : d?.error || err.message);
+    }
+  }
+
+  async function removeBundle(b) {
+    if (!window.confirm(`Delete "${b.doc_title}"? Its simplification and extracted facts are removed too.`)) return;
+    try {
+      await axios.delete(`${API_BASE}/api/bundles/${b.bundle_id}`);
+      setBundles(prev => prev.filter(x => x.bundle_id !== b.bundle_id));
+      setTotal(n => n - 1);
+      if (localStorage.getItem(LAST_BUNDLE_KEY) === b.bundle_id) localStorage.removeItem(LAST_BUNDLE_KEY);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  }
+
+  return (
+    <aside className="library-card">
+      <h3>My documents</h3>
+      <input
+        className="library-search"
+        type="search"
+        placeholder="Search titles"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+      />
+      {error && <div className="library-error">{error}</div>}
+
+      <ul className="library-list">
+        {bundles.map(b => (
+          <li key={b.bundle_id} className={`library-item${b.bundle_id === activeId ? ' active' : ''}`}>
+            <button className="library-open" onClick={() => openBundle(b)} title={b.bundle_id}>
+              <span className="library-title">{b.doc_title || b.bundle_id}</span>
+              <span className="library-meta">
+                {formatDate(b.created_at)} · {b.chunk_count} chunks{b.has_result ? '' : ' · not simplified'}
+              </span>
+              {ROLE_LABELS[b.role] && <span className="library-shared">{ROLE_LABELS[b.role]} · {b.uploader_id}</span>}
+            </button>
+            <div className="library-actions">
+              {b.role !== 'viewer' && <button onClick={() => renameBundle(b)} aria-label={`Rename ${b.doc_title}`}>Rename</button>}
+              {['owner', 'admin'].includes(b.role) && (
+                <button className="danger" onClick={() => removeBundle(b)} aria-label={`Delete ${b.doc_title}`}>Delete</button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {!loading && !bundles.length && !error && (
+        <div className="library-empty">{query ? 'No documents match.' : 'Simplified documents appear here.'}</div>
+      )}
+      {loading && <div className="library-empty">Loading...</div>}
+      {!loading && bundles.length < total && (
+        <button className="library-more" onClick={() => load(bundles.length)}>Load more</button>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import '../styles/DocumentViewer.css';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+const LAST_BUNDLE_KEY = 'lexiclear:lastBundle';
+
+const MATCH_LABELS = { exact: 'exact quote', normalized: 'quote (spacing/case differ)', prefix: 'start of the quote' };
+
+function citationLabel(citation) {
+  if (!citation) return '';
+  if (!citation.known) return 'This chunk id is not in the document.';
+  if (citation.status === 'verified') return `Highlighted: ${MATCH_LABELS[citation.match.match_type] || citation.match.match_type}.`;
+  if (citation.status === 'unverified') return 'Unverified: the quoted text was not found in this passage.';
+  return 'No quote to check; the whole passage is highlighted.';
+}
+
+/**
+ * DocumentViewer
+ * - Loads GET /api/bundles/:bundle_id/document (the original text rebuilt from the chunks) for the last
+ *   simplified bundle ('lexiclear:simplified' events)
+ * - On 'lexiclear:cite' events (CitationChip clicks in the simplification and the chat) scrolls to the cited
+ *   passage and highlights the snippet the server matched in it (POST /api/bundles/:bundle_id/citations)
+ */
+export default function DocumentViewer() {
+  const [bundleId, setBundleId] = useState(() => localStorage.getItem(LAST_BUNDLE_KEY) || null);
+  const [doc, setDoc] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [active, setActive] = useState(null); // { chunk_id, citation }
+  const cardRef = useRef();
+  const textRef = useRef();
+  const targetRef = useRef();
+
+  useEffect(() => {
+    function onSimplified(e) {
+      if (e.detail?.bundle_id) setBundleId(e.detail.bundle_id);
+    }
+    function onCite(e) {
+      const { bundle_id, chunk_id, citation } = e.detail || {};
+      if (!bundle_id || !chunk_id) return;
+      setBundleId(bundle_id);
+      setActive({ chunk_id, citation, at: Date.now() }); // `at`: clicking the same chip again scrolls again
+    }
+    window.addEventListener('lexiclear:simplified', onSimplified);
+    window.addEventListener('lexiclear:cite', onCite);
+    return () => {
+      window.removeEventListener('lexiclear:simplified', onSimplified);
+      window.removeEventListener('lexiclear:cite', onCite);
+    };
+  }, []);
+
+  useEffect(() => {
+    setDoc(null);
+    if (!bundleId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    axios.get(`${API_BASE}/api/bundles/${bundleId}/document`, { timeout: 60000 })
+      .then(r => { if (!cancelled) setDoc(r.data); })
+      .catch(err => {
+        if (cancelled) return;
+        setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [bundleId]);
+
+  // bring the highlight into view: the card on the page, the passage inside the scrolling text
+  useEffect(() => {
+    if (!active || !doc) return;
+    if (cardRef.current) cardRef.current.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    const box = textRef.current;
+    const target = targetRef.current;
+    if (box && target) box.scrollTo({ top: Math.max(0, target.offsetTop - box.clientHeight / 3), behavior: 'smooth' });
+  }, [active, doc]);
+
+  const chunk = active && doc ? doc.chunks.find(c => c.chunk_id === active.chunk_id) : null;
+
+  // split the text around the highlighted passage and, inside it, the matched snippet
+  function renderText() {
+    if (!chunk) return doc.text;
+    const match = active.citation?.match;
+    const markStart = match ? chunk.view_start + match.start : null;
+    const markEnd = match ? chunk.view_start + match.end : null;
+    const unverified = active.citation?.status === 'unverified';
+    return (
+      <>
+        {doc.text.slice(0, chunk.view_start)}
+        <span className={`docview-passage ${unverified ? 'docview-passage-unverified' : ''}`} ref={match ? null : targetRef}>
+          {match ? (
+            <>
+              {doc.text.slice(chunk.view_start, markStart)}
+              <mark className="docview-snippet" ref={targetRef}>{doc.text.slice(markStart, markEnd)}</mark>
+              {doc.text.slice(markEnd, chunk.view_end)}
+            </>
+          ) : doc.text.slice(chunk.view_start, chunk.view_end)}
+        </span>
+        {doc.text.slice(chunk.view_end)}
+      </>
+    );
+  }
+
+  return (
+    <div className="docview-card" ref={cardRef}>
+      <div className="docview-header">
+        <div>
+          <h4 style={{ margin: 0 }}>Original document</h4>
+          <div className="small muted" style={{ marginTop: 6 }}>
+            {doc ? doc.doc_title : 'Click a source chunk id to see the passage it cites.'}
+          </div>
+        </div>
+        {active && (
+          <button className="upload-btn upload-btn-ghost" onClick={() => setActive(null)}>Clear highlight</button>
+        )}
+      </div>
+
+      {active && doc && (
+        <div className={`docview-status ${active.citation?.status === 'unverified' || (active.citation && !active.citation.known) ? 'docview-status-unverified' : ''}`}>
+          <span className="docview-chunk-id">{active.chunk_id}</span>
+          {chunk?.section_header ? ` · ${chunk.section_header}` : ''}
+          {chunk?.origin_page ? ` · page ${chunk.origin_page}` : ''}
+          {' — '}
+          {chunk ? (citationLabel(active.citation) || 'Passage highlighted.') : 'This chunk id is not in the document.'}
+        </div>
+      )}
+
+      {loading && <div className="small muted">Loading document…</div>}
+      {error && <div className="docview-error">{error}</div>}
+      {doc && !loading && (
+        <div className="docview-text" ref={textRef}>{renderText()}</div>
+      )}
+    </div>
+  );
+}
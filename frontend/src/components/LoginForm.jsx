@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { setAuth } from '../lib/auth';
+import '../styles/LoginForm.css';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+
+/**
+ * LoginForm
+ * - Sign in (POST /api/auth/login) or create an account (POST /api/auth/register)
+ * - Stores the token (lib/auth.js) and hands the user to onSignedIn
+ */
+export default function LoginForm({ onSignedIn }) {
+  const [mode, setMode] = useState('login');
+  const [userId, setUserId] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+    try {
+      const r = await axios.post(`${API_BASE}/api/auth/${mode}`, { user_id: userId.trim().toLowerCase(), password }, { timeout: 15000 });
+      setAuth(r.data);
+      onSignedIn(r.data.user);
+    } catch (err) {
+      const d = err.response?.data;
+      setError(d?.details ? d.details.join('; ') : d?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const registering = mode === 'register';
+  return (
+    <form className="login-card" onSubmit={handleSubmit}>
+      <h2>{registering ? 'Create an account' : 'Sign in'}</h2>
+      <label className="login-field">
+        <span>User name</span>
+        <input value={userId} onChange={e => setUserId(e.target.value)} autoComplete="username" autoFocus required />
+      </label>
+      <label className="login-field">
+        <span>Password</span>
+        <input
+          type="password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          autoComplete={registering ? 'new-password' : 'current-password'}
+          minLength={registering ? 8 : undefined}
+          required
+        />
+      </label>
+      {error && <div className="login-error">{error}</div>}
+      <button className="login-submit" type="submit" disabled={loading}>
+        {loading ? 'Please wait...' : registering ? 'Create account' : 'Sign in'}
+      </button>
+      <button type="button" className="login-switch" onClick={() => { setMode(registering ? 'login' : 'register'); setError(null); }}>
+        {registering ? 'Already have an account? Sign in' : 'No account yet? Create one'}
+      </button>
+    </form>
+  );
+}
@@ -1,42 +1,114 @@
 import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { escapeHtml, markDefinedTerms } from '../lib/glossary.js';
+import { resolveCitations } from '../lib/citations.js';
+import CitationChip from './CitationChip.jsx';
 import '../styles/SimplifyView.css';
 
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+
 /**
  * SimplifyView (point-wise rendering)
  * - Listens for 'lexiclear:simplified' events
- * - Parses LLM output into an optional header and numbered items
+ * - Renders structured results ({ overall_summary, clauses, notes }) from /api/simplify
+ * - Falls back to parsing raw LLM text into an optional header and numbered items
  * - Renders a clean heading + ordered list with source info per item
+ * - Shows the server-side verification outcome when something could not be verified
+ * - Shows how much of the document the clause list covers (`coverage`)
+ * - Underlines the bundle's defined terms, with the plain-English definition on hover
+ * - Source chunk ids open the passage in the document viewer; citations whose quote could not be found
+ *   in the chunk, or that the verifier flagged, are marked
+ * - While /api/simplify/stream runs ('lexiclear:simplify-stream' events from UploadForm), renders
+ *   map-reduce parts as they finish, or the raw model output as it streams in
  */
 export default function SimplifyView() {
   const [result, setResult] = useState(() => window.lexiLastResult || null);
   const [heading, setHeading] = useState('');
-  const [items, setItems] = useState([]); // {text, chunk_id}
+  const [summary, setSummary] = useState('');
+  const [items, setItems] = useState([]); // {text, chunk_id, original?, risk?}
+  const [citations, setCitations] = useState([]); // per item, from POST /api/bundles/:id/citations
+  const [notes, setNotes] = useState([]);
+  const [live, setLive] = useState(null); // { stage, total_chunks, parts: [], tokens } while streaming
+  const [terms, setTerms] = useState([]); // defined terms of the bundle (GET /api/bundles/:id/glossary)
 
   useEffect(() => {
     function handler(e) {
+      setLive(null);
       setResult(e.detail);
     }
+    function onStream(e) {
+      const { event, data } = e.detail;
+      if (event === 'stage' && data.stage === 'chunking') {
+        setLive({ stage: data, total_chunks: null, parts: [], tokens: '' });
+      } else if (event === 'bundle') {
+        setLive(prev => ({ ...(prev || { parts: [], tokens: '' }), total_chunks: data.total_chunks }));
+      } else if (event === 'stage') {
+        // a repair or verifier retry starts the model output over
+        const restart = data.stage === 'repairing' || data.stage === 'retrying';
+        setLive(prev => prev && { ...prev, stage: data, tokens: restart ? '' : prev.tokens });
+      } else if (event === 'token' && data.part === null) {
+        setLive(prev => prev && { ...prev, tokens: prev.tokens + data.text });
+      } else if (event === 'part') {
+        setLive(prev => prev && { ...prev, parts: [...prev.parts, data].sort((a, b) => a.index - b.index) });
+      } else if (event === 'error') {
+        setLive(null);
+      }
+    }
     window.addEventListener('lexiclear:simplified', handler);
-    return () => window.removeEventListener('lexiclear:simplified', handler);
+    window.addEventListener('lexiclear:simplify-stream', onStream);
+    return () => {
+      window.removeEventListener('lexiclear:simplified', handler);
+      window.removeEventListener('lexiclear:simplify-stream', onStream);
+    };
   }, []);
 
-  // convert **bold** to <strong> and escape other HTML
+  useEffect(() => {
+    setTerms([]);
+    if (!result?.bundle_id) return;
+    let cancelled = false;
+    axios.get(`${API_BASE}/api/bundles/${result.bundle_id}/glossary`)
+      .then(r => { if (!cancelled) setTerms(r.data.terms || []); })
+      .catch(() => {}); // underlining is an extra; render plain text without it
+    return () => { cancelled = true; };
+  }, [result?.bundle_id]);
+
+  // convert **bold** to <strong>, underline defined terms and escape other HTML
   function boldToHtml(s) {
     if (!s) return '';
     // simple replace for **bold** -> <strong>bold</strong>
-    // minimal escaping for < and >
-    const escaped = s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const escaped = markDefinedTerms(escapeHtml(s), terms);
     return escaped.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
   }
 
   useEffect(() => {
     if (!result?.simplified) {
       setHeading('');
+      setSummary('');
       setItems([]);
+      setNotes([]);
+      return;
+    }
+
+    // Structured result: the server parsed the model's JSON output
+    if (typeof result.simplified === 'object') {
+      const s = result.simplified;
+      setHeading('');
+      setSummary(s.overall_summary || '');
+      setItems((s.clauses || []).map(c => ({
+        text: c.why_it_matters ? `**${c.simplified || ''}** ${c.why_it_matters}` : (c.simplified || ''),
+        chunk_id: c.chunk_id || null,
+        original: c.original || null,
+        risk: c.risk || null,
+        risk_score: typeof c.risk_score === 'number' ? c.risk_score : null,
+        clause_types: Array.isArray(c.clause_types) ? c.clause_types : []
+      })));
+      setNotes(Array.isArray(s.notes) ? s.notes : []);
       return;
     }
 
-    const text = result.simplified.trim();
+    const text = String(result.simplified).trim();
+    setSummary('');
+    setNotes([]);
 
     // Split into lines, keep non-empty lines
     const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
@@ -108,6 +180,84 @@ export default function SimplifyView() {
     setItems(parsed);
   }, [result]);
 
+  // Where each item's source points in the document, and whether its quote is there
+  useEffect(() => {
+    setCitations([]);
+    const cited = items.map((it, i) => ({ it, i })).filter(({ it }) => it.chunk_id || it.text).slice(0, 200);
+    if (!result?.bundle_id || cited.length === 0) return;
+    let cancelled = false;
+    resolveCitations(result.bundle_id, cited.map(({ it }) => ({ text: it.text ? it.text.slice(0, 20000) : undefined, chunk_id: it.chunk_id || undefined, snippet: it.original || undefined })))
+      .then(resolved => {
+        if (cancelled) return;
+        const byItem = [];
+        cited.forEach(({ i }, k) => { byItem[i] = resolved[k].citations; });
+        setCitations(byItem);
+      })
+      .catch(() => {}); // chips still open the passage, without the verified / unverified marking
+    return () => { cancelled = true; };
+  }, [result?.bundle_id, items]);
+
+  // Server-side verifier (lib/verifier.js): warn when claims were unverified or removed
+  const verification = result?.verification;
+  let verificationNotice = '';
+  if (verification?.action === 'redacted') {
+    verificationNotice = `${(verification.redactions || []).length} unverified statement(s) were removed before display.`;
+  } else if (verification && !verification.ok) {
+    const issues = (verification.clauses || []).filter(c => !c.ok).length + (verification.potential_hallucinations || []).length
+      + (verification.unknown_chunk_ids || []).length;
+    verificationNotice = `Some statements could not be verified against the document (${issues || 'several'} issue(s)). Check them against the sources.`;
+  }
+  // Model output did not match the JSON schema even after the repair prompt: items come from raw text
+  if (result?.parse_status === 'failed') {
+    verificationNotice = `The model's reply could not be structured, so it is shown as plain text. ${verificationNotice}`.trim();
+  }
+
+  // The verifier's per-clause outcome (structured results); after a redaction only verified clauses remain
+  function clauseIssue(i) {
+    if (typeof result?.simplified !== 'object' || verification?.action === 'redacted') return null;
+    const check = (verification?.clauses || []).find(c => c.index === i);
+    return check && !check.ok ? check.reasons.join('; ') : null;
+  }
+
+  // Coverage (lib/simplifier.js): how many chunks of the document the clause list covers
+  const coverage = result?.coverage;
+  const coverageLabel = coverage
+    ? `${coverage.summarized_chunks} of ${coverage.total_chunks} chunks summarized${coverage.mode === 'map-reduce' ? ' (part by part)' : ''}`
+    : '';
+
+  if (live) {
+    const partClauses = live.parts.flatMap(p => p.clauses);
+    const stageLabel = live.stage?.stage === 'map'
+      ? `${live.stage.done} of ${live.stage.total} parts done`
+      : (live.stage?.stage || 'starting');
+    return (
+      <div className="simplify-card">
+        <div className="result-header">
+          <div>
+            <h3 style={{ margin: 0 }}>Simplification</h3>
+            <div className="small muted" style={{ marginTop: 6 }}>Working: {stageLabel}</div>
+          </div>
+          <div className="small muted">{live.total_chunks ? `${live.total_chunks} chunks` : ''}</div>
+        </div>
+        {partClauses.length > 0 ? (
+          <ol style={{ marginTop: 8 }}>
+            {partClauses.map((c, i) => (
+              <li key={i} style={{ marginBottom: 12 }}>
+                <div dangerouslySetInnerHTML={{ __html: boldToHtml(`**${c.simplified || ''}** ${c.why_it_matters || ''}`) }} />
+                <div className="meta" style={{ marginTop: 6 }}>
+                  <div className="tag">Source</div>
+                  <div className="muted" style={{ marginLeft: 8 }}>{c.chunk_id}</div>
+                </div>
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <pre className="stream-preview">{live.tokens || '...'}</pre>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="simplify-card">
       <div className="result-header">
@@ -118,30 +268,62 @@ export default function SimplifyView() {
           </div>
         </div>
         <div className="small muted">
-          {result?.retrieved_chunk_ids ? `${result.retrieved_chunk_ids.length} chunks used` : ''}
+          {coverageLabel || (result?.retrieved_chunk_ids ? `${result.retrieved_chunk_ids.length} chunks used` : '')}
         </div>
       </div>
 
       {items.length > 0 ? (
         <>
+          {verificationNotice ? <div className="verification-warning">{verificationNotice}</div> : null}
           {heading ? <h4 style={{ marginTop: 6 }}>{heading}</h4> : null}
+          {summary ? <p style={{ marginTop: 6 }}>{summary}</p> : null}
           <ol style={{ marginTop: 8 }}>
             {items.map((it, i) => (
               <li key={i} style={{ marginBottom: 12 }}>
                 <div dangerouslySetInnerHTML={{ __html: boldToHtml(it.text) }} />
                 <div className="meta" style={{ marginTop: 6 }}>
                   <div className="tag">Source</div>
-                  <div className="muted" style={{ marginLeft: 8 }}>
-                    {it.chunk_id || (result?.retrieved_chunk_ids && result.retrieved_chunk_ids.join(', ')) || 'n/a'}
-                  </div>
+                  {it.chunk_id ? (
+                    <div style={{ marginLeft: 8 }}>
+                      <CitationChip
+                        bundleId={result.bundle_id}
+                        chunkId={it.chunk_id}
+                        citation={(citations[i] || []).find(c => c.chunk_id === it.chunk_id) || null}
+                        issue={clauseIssue(i)}
+                      />
+                    </div>
+                  ) : (
+                    <div className="muted" style={{ marginLeft: 8 }}>
+                      {(result?.retrieved_chunk_ids && result.retrieved_chunk_ids.join(', ')) || 'n/a'}
+                    </div>
+                  )}
+                  {it.risk ? (
+                    <div className="tag" style={{ marginLeft: 8 }}>
+                      Risk: {it.risk}{it.risk_score !== null ? ` (${it.risk_score}/100)` : ''}
+                    </div>
+                  ) : null}
+                  {it.clause_types && it.clause_types.length > 0 ? (
+                    <div className="muted" style={{ marginLeft: 8 }}>{it.clause_types.map(t => t.replace(/_/g, ' ')).join(', ')}</div>
+                  ) : null}
                 </div>
               </li>
             ))}
           </ol>
 
+          {notes.length > 0 && (
+            <ul className="small muted" style={{ marginTop: 8 }}>
+              {notes.map((n, i) => <li key={i}>{typeof n === 'string' ? n : JSON.stringify(n)}</li>)}
+            </ul>
+          )}
+
           {result?.audit_link && (
             <div style={{ marginTop: 12 }} className="small muted">
-              <a href={result.audit_link} target="_blank" rel="noreferrer">Open audit bundle</a>
+              <button
+                className="audit-link"
+                onClick={() => window.dispatchEvent(new CustomEvent('lexiclear:audit', { detail: { bundle_id: result.bundle_id } }))}
+              >
+                Open audit trail
+              </button>
             </div>
           )}
         </>
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import '../styles/TimelineView.css';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+const LAST_BUNDLE_KEY = 'lexiclear:lastBundle';
+
+const KIND_LABELS = {
+  effective_date: 'Start',
+  expiry: 'Expiry',
+  renewal_opt_out: 'Opt-out',
+  payment: 'Payment',
+  obligation: 'Deadline',
+  survival_end: 'Survival'
+};
+
+const RECURRENCE_LABELS = { MONTHLY: 'monthly', 'MONTHLY;INTERVAL=3': 'quarterly', YEARLY: 'yearly', WEEKLY: 'weekly' };
+
+function formatDate(iso) {
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * TimelineView
+ * - Loads GET /api/bundles/:bundle_id/timeline for the last simplified bundle ('lexiclear:simplified' events)
+ * - Renders the contract's dated events in order, past ones dimmed, each with how its date was computed
+ *   and the chunk it comes from
+ * - Lists terms that could not be placed on a date, and links the .ics export
+ */
+export default function TimelineView() {
+  const [bundleId, setBundleId] = useState(() => localStorage.getItem(LAST_BUNDLE_KEY) || null);
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    function onSimplified(e) {
+      if (e.detail?.bundle_id) setBundleId(e.detail.bundle_id);
+    }
+    window.addEventListener('lexiclear:simplified', onSimplified);
+    return () => window.removeEventListener('lexiclear:simplified', onSimplified);
+  }, []);
+
+  useEffect(() => {
+    if (!bundleId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    axios.get(`${API_BASE}/api/bundles/${bundleId}/timeline`, { timeout: 60000 })
+      .then(r => { if (!cancelled) setTimeline(r.data); })
+      .catch(err => {
+        if (cancelled) return;
+        setTimeline(null);
+        setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [bundleId]);
+
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="timeline-card">
+      <div className="timeline-header">
+        <div>
+          <h3 style={{ margin: 0 }}>Key dates</h3>
+          <div className="small muted" style={{ marginTop: 6 }}>
+            {bundleId ? 'Deadlines computed from the effective date, term and notice periods.' : 'Simplify a document to see its key dates.'}
+          </div>
+        </div>
+        {timeline && timeline.events.length > 0 && (
+          <a className="timeline-export" href={`${API_BASE}/api/bundles/${bundleId}/calendar.ics`}>Add to calendar (.ics)</a>
+        )}
+      </div>
+
+      {loading && <div className="small muted">Loading dates…</div>}
+      {error && <div className="timeline-error">{error}</div>}
+
+      {timeline && !loading && timeline.events.length === 0 && (
+        <p className="muted">No dates could be computed for this document.</p>
+      )}
+
+      {timeline && !loading && timeline.events.length > 0 && (
+        <ol className="timeline-list">
+          {timeline.events.map(e => (
+            <li key={e.event_id} className={`timeline-event timeline-${e.kind} ${e.date < today ? 'past' : ''}`}>
+              <div className="timeline-date">{formatDate(e.date)}</div>
+              <div>
+                <div className="timeline-title">{e.title}</div>
+                <div className="meta">
+                  <div className="tag">{KIND_LABELS[e.kind] || e.kind}</div>
+                  {e.recurrence && (
+                    <div className="muted" style={{ marginLeft: 8 }}>
+                      repeats {RECURRENCE_LABELS[e.recurrence.rule] || e.recurrence.rule}{e.recurrence.until ? ` until ${formatDate(e.recurrence.until)}` : ''}
+                    </div>
+                  )}
+                  <div className="muted" style={{ marginLeft: 8 }}>{e.basis}</div>
+                </div>
+                {e.assumption && <div className="small muted">Note: {e.assumption}.</div>}
+                <div className="muted timeline-source" title={e.source.text}>{e.source.chunk_id} · “{e.source.text}”</div>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {timeline && !loading && timeline.unresolved.length > 0 && (
+        <details className="small muted" style={{ marginTop: 8 }}>
+          <summary>{timeline.unresolved.length} term{timeline.unresolved.length === 1 ? '' : 's'} without a date</summary>
+          <ul>
+            {timeline.unresolved.map((u, i) => <li key={i}>{u.reason} ({u.source.chunk_id})</li>)}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -1,31 +1,87 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import axios from 'axios';
+import { postEventStream } from '../lib/eventStream';
 import '../styles/UploadForm.css';
 
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+const ACCEPTED = ['.pdf', '.docx', '.txt', '.md'];
+// shared with ChatAsk: questions about the document follow the same choice
+const REDACT_KEY = 'lexiclear:redact';
+
+function describeProgress(p) {
+  if (!p || p.finished) return null;
+  if (p.stage === 'chunking') return 'Splitting into clauses...';
+  if (p.stage === 'map') return `Simplifying part ${Math.min(p.done + 1, p.total)} of ${p.total}...`;
+  if (p.stage === 'repairing') return 'Fixing malformed model output...';
+  if (p.stage === 'retrying') return 'Retrying unverified answer...';
+  if (p.stage === 'reduce') return 'Writing overall summary...';
+  if (p.stage === 'verifying') return 'Checking against the document...';
+  return null;
+}
+
+function isAccepted(file) {
+  const name = (file?.name || '').toLowerCase();
+  return ACCEPTED.some(ext => name.endsWith(ext));
+}
 
 export default function UploadForm() {
   const [text, setText] = useState('');
   const [level, setLevel] = useState('lay');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [file, setFile] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  const [stage, setStage] = useState('');
+  // personal data (names, emails, account numbers...) is replaced by placeholders before the model sees it
+  const [redact, setRedact] = useState(() => localStorage.getItem(REDACT_KEY) !== 'false');
+  const fileInputRef = useRef();
+
+  function pickFile(f) {
+    setError(null);
+    if (!f) return;
+    if (!isAccepted(f)) {
+      setError(`Unsupported file type. Use ${ACCEPTED.join(', ')}.`);
+      return;
+    }
+    setFile(f);
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    pickFile(e.dataTransfer.files?.[0]);
+  }
 
   async function handleSimplify() {
     setError(null);
-    if (!text || text.trim().length < 10) {
-      setError('Please paste a longer piece of text to simplify.');
+    if (!file && (!text || text.trim().length < 10)) {
+      setError('Please paste a longer piece of text or drop a document to simplify.');
       return;
     }
     setLoading(true);
     try {
-      const res = await axios.post(`${API_BASE}/api/simplify`, {
-        text,
-        reading_level: level,
-        uploader_id: 'demo-user'
-      }, { timeout: 120000 });
+      // the server records the signed-in user as the uploader
+      let body = { text, reading_level: level, redact };
+      if (file) {
+        // Uploaded documents become a bundle first (pages + headings), then get simplified
+        setStage('Uploading...');
+        const form = new FormData();
+        form.append('file', file);
+        const up = await axios.post(`${API_BASE}/api/upload`, form, { timeout: 120000 });
+        body = { bundle_id: up.data.bundle_id, reading_level: level, redact };
+      }
+      setStage('Simplifying...');
+      // Server-Sent Events: stages drive the button label, SimplifyView renders parts/tokens as they arrive
+      const result = await postEventStream(`${API_BASE}/api/simplify/stream`, body, (event, data) => {
+        if (event === 'stage') {
+          const label = describeProgress(data);
+          if (label) setStage(label);
+        }
+        window.dispatchEvent(new CustomEvent('lexiclear:simplify-stream', { detail: { event, data } }));
+      });
 
       // result expected: { bundle_id, simplified, retrieved_chunk_ids, audit_link }
-      const result = res.data;
+      // (simplified is { overall_summary, clauses, notes } or raw text)
       // keep latest on window for easy inspection / chat component
       window.lexiLastBundle = result.bundle_id;
       window.lexiLastResult = result;
@@ -37,15 +93,19 @@ export default function UploadForm() {
     } catch (err) {
       console.error('Simplify error', err);
       const msg = err?.response?.data?.error || err.message || 'Unknown error';
+      window.dispatchEvent(new CustomEvent('lexiclear:simplify-stream', { detail: { event: 'error', data: { error: msg } } }));
       setError(String(msg));
     } finally {
       setLoading(false);
+      setStage('');
     }
   }
 
   function handleClear() {
     setText('');
+    setFile(null);
     setError(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
   }
 
   return (
@@ -58,7 +118,37 @@ export default function UploadForm() {
           placeholder="Paste NDA, contract, or other legal text here..."
           value={text}
           onChange={(e) => setText(e.target.value)}
+          disabled={!!file}
         />
+        <div
+          className={`upload-dropzone${dragOver ? ' drag-over' : ''}${file ? ' has-file' : ''}`}
+          onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={handleDrop}
+          onClick={() => fileInputRef.current?.click()}
+          role="button"
+          tabIndex={0}
+          onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') fileInputRef.current?.click(); }}
+        >
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED.join(',')}
+            style={{ display: 'none' }}
+            onChange={(e) => pickFile(e.target.files?.[0])}
+          />
+          {file ? (
+            <>
+              <div className="dropzone-title">{file.name}</div>
+              <div className="small muted">{Math.ceil(file.size / 1024)} KB — click Clear to remove</div>
+            </>
+          ) : (
+            <>
+              <div className="dropzone-title">Drop a document</div>
+              <div className="small muted">PDF, DOCX, TXT or MD — or click to browse</div>
+            </>
+          )}
+        </div>
       </div>
 
       <div className="upload-controls">
@@ -73,12 +163,24 @@ export default function UploadForm() {
           <option value="lawyer">Lawyer</option>
         </select>
 
+        <label className="small upload-redact" title="Names, emails, phone and account numbers are replaced by placeholders such as [PARTY_A] and restored in the results">
+          <input
+            type="checkbox"
+            checked={redact}
+            onChange={(e) => {
+              setRedact(e.target.checked);
+              localStorage.setItem(REDACT_KEY, String(e.target.checked));
+            }}
+          />
+          Redact personal data before sending to the model
+        </label>
+
         <button
           className="upload-btn upload-btn-primary"
           onClick={handleSimplify}
           disabled={loading}
         >
-          {loading ? 'Simplifying...' : 'Simplify'}
+          {loading ? (stage || 'Simplifying...') : 'Simplify'}
         </button>
 
         <button
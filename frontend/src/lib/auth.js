@@ -0,0 +1,60 @@
+// frontend/src/lib/auth.js
+// The signed-in user and their bearer token (server: lib/auth.js), kept in localStorage.
+// installAxiosAuth() adds the token to every axios request; postEventStream (lib/eventStream.js) uses authHeaders().
+// A 401 from the server clears the token and dispatches 'lexiclear:logout' so App shows the login screen.
+//
+// Usage:
+//   installAxiosAuth();                       // once, before the first request
+//   setAuth({ token, user, expires_at });     // after POST /api/auth/login
+//   fetch(url, { headers: { ...authHeaders() } });
+
+import axios from 'axios';
+
+const AUTH_KEY = 'lexiclear:auth';
+
+/**
+ * @returns {{ token: string, user: object, expires_at: string }|null} null when signed out or expired
+ */
+export function getAuth() {
+  try {
+    const auth = JSON.parse(localStorage.getItem(AUTH_KEY) || 'null');
+    if (!auth || !auth.token || (auth.expires_at && new Date(auth.expires_at) <= new Date())) return null;
+    return auth;
+  } catch {
+    return null;
+  }
+}
+
+export function setAuth(auth) {
+  localStorage.setItem(AUTH_KEY, JSON.stringify({ token: auth.token, user: auth.user, expires_at: auth.expires_at }));
+}
+
+/**
+ * Forget the token and tell the app (the last opened document belonged to the old user).
+ */
+export function clearAuth() {
+  localStorage.removeItem(AUTH_KEY);
+  localStorage.removeItem('lexiclear:lastBundle');
+  window.dispatchEvent(new CustomEvent('lexiclear:logout'));
+}
+
+export function authHeaders() {
+  const auth = getAuth();
+  return auth ? { Authorization: `Bearer ${auth.token}` } : {};
+}
+
+let installed = false;
+
+export function installAxiosAuth() {
+  if (installed) return;
+  installed = true;
+  axios.interceptors.request.use(config => {
+    config.headers = { ...config.headers, ...authHeaders() };
+    return config;
+  });
+  axios.interceptors.response.use(undefined, err => {
+    // sign-in failures are shown by the login form; anything else means the token is no longer valid
+    if (err.response?.status === 401 && !String(err.config?.url || '').includes('/api/auth/login')) clearAuth();
+    return Promise.reject(err);
+  });
+}
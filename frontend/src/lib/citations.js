@@ -0,0 +1,45 @@
+// frontend/src/lib/citations.js
+// Chunk-id citations in model output: find them in text, resolve them against the bundle
+// (POST /api/bundles/:bundle_id/citations) and ask the document viewer to show one ('lexiclear:cite' event).
+//
+// Usage:
+//   const [{ citations }] = await resolveCitations(bundleId, [{ text: answer }]);
+//   splitCitations(answer);   // [{ text }, { chunk_id }, { text }, ...]
+//   showCitation(bundleId, chunkId, citations[0]);
+
+import axios from 'axios';
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+
+// the server's CHUNK_ID_REGEX (lib/verifier.js), as a capture group for String.split
+const CHUNK_ID_SPLIT = /\b(bundle-[A-Za-z0-9._:-]+-chunk-\d+)\b/;
+
+/**
+ * @param {string} text
+ * @returns {Array<{ text: string }|{ chunk_id: string }>} the text with its chunk ids cut out, in order
+ */
+export function splitCitations(text) {
+  return String(text || '').split(CHUNK_ID_SPLIT)
+    .map((part, i) => (i % 2 ? { chunk_id: part } : { text: part }))
+    .filter(p => p.chunk_id || p.text);
+}
+
+/**
+ * @param {string} bundleId
+ * @param {Array<{ text?, chunk_id?, snippet? }>} items
+ * @returns {Promise<Array<{ citations: object[] }>>} one entry per item
+ */
+export async function resolveCitations(bundleId, items) {
+  const r = await axios.post(`${API_BASE}/api/bundles/${bundleId}/citations`, { items }, { timeout: 20000 });
+  return r.data.items;
+}
+
+/**
+ * Scroll the document viewer to a cited chunk and highlight its matched snippet.
+ * @param {string} bundleId
+ * @param {string} chunkId
+ * @param {object|null} citation - resolved citation (null while unresolved: the passage is highlighted)
+ */
+export function showCitation(bundleId, chunkId, citation = null) {
+  window.dispatchEvent(new CustomEvent('lexiclear:cite', { detail: { bundle_id: bundleId, chunk_id: chunkId, citation } }));
+}
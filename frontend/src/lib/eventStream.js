@@ -0,0 +1,72 @@
+// frontend/src/lib/eventStream.js
+// POST a JSON body to one of the server's SSE endpoints (/api/simplify/stream, /api/ask/stream)
+// and hand every event to a callback. EventSource only does GET, so the stream is read with fetch.
+// The signed-in user's token is sent along (lib/auth.js).
+//
+// Usage:
+//   const result = await postEventStream(`${API_BASE}/api/ask/stream`, body, (event, data) => { ... });
+//   // resolves with the `done` payload (same as the JSON endpoint), rejects on an `error` event
+
+import { authHeaders, clearAuth } from './auth';
+
+/**
+ * @param {string} url
+ * @param {object} body
+ * @param {(event: string, data: any) => void} onEvent
+ * @param {{ signal?: AbortSignal }} opts
+ * @returns {Promise<object>} data of the final `done` event
+ */
+export async function postEventStream(url, body, onEvent, opts = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...authHeaders() },
+    body: JSON.stringify(body),
+    signal: opts.signal
+  });
+  if (res.status === 401) clearAuth();
+  if (!res.ok || !res.body) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`Stream request failed (${res.status}): ${text || res.statusText}`);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let done = null;
+  let failure = null;
+
+  function handleBlock(block) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+    }
+    if (!data.length) return; // comment / heartbeat
+    const payload = JSON.parse(data.join('\n'));
+    onEvent(event, payload);
+    if (event === 'done') done = payload;
+    if (event === 'error') failure = payload;
+  }
+
+  for (;;) {
+    const { value, done: finished } = await reader.read();
+    if (finished) break;
+    buffer += decoder.decode(value, { stream: true });
+    let sep;
+    while ((sep = buffer.indexOf('\n\n')) >= 0) {
+      handleBlock(buffer.slice(0, sep));
+      buffer = buffer.slice(sep + 2);
+    }
+  }
+  if (buffer.trim()) handleBlock(buffer);
+
+  if (failure) {
+    const err = new Error(failure.error || 'Request failed');
+    err.status = failure.status;
+    err.data = failure;
+    throw err;
+  }
+  if (!done) throw new Error('Stream ended before the response was complete');
+  return done;
+}
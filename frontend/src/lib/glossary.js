@@ -0,0 +1,35 @@
+// frontend/src/lib/glossary.js
+// Underline a bundle's defined terms (GET /api/bundles/:bundle_id/glossary) in rendered text, with a hover /
+// focus tooltip showing the plain-English definition. Shared by the views that render document text.
+//
+// Usage:
+//   const html = markDefinedTerms(escapeHtml(text), glossary.terms);
+//   <div dangerouslySetInnerHTML={{ __html: html }} />
+import '../styles/Glossary.css';
+
+export function escapeHtml(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wrap every defined term in already-escaped text. Longer terms win ("Confidential Information" over
+ * "Information"); plurals are matched too.
+ * @param {string} escapedText - HTML-escaped text without markup
+ * @param {Array<{ term, plain, chunk_id }>} terms
+ * @returns {string} HTML
+ */
+export function markDefinedTerms(escapedText, terms) {
+  if (!escapedText || !terms || !terms.length) return escapedText || '';
+  const byTerm = new Map(terms.map(t => [escapeHtml(t.term), t]));
+  const pattern = [...byTerm.keys()].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+  const re = new RegExp(`(?<![\\w-])(${pattern})(?:s|es)?(?![\\w-])`, 'g');
+  return escapedText.replace(re, (match, term) => {
+    const t = byTerm.get(term);
+    const tip = `${t.term}: ${t.plain} (defined in ${t.chunk_id})`;
+    return `<span class="glossary-term" tabindex="0" data-definition="${escapeHtml(tip)}">${match}</span>`;
+  });
+}
@@ -0,0 +1,142 @@
+// server/lib/audit.js
+// The audit view of a bundle: what was stored, how it was indexed and every question asked about it, without
+// the embeddings and BM25 statistics that make the raw bundle (GET /api/audit/:bundle_id) unreadable.
+//
+// Usage:
+//   const { buildAuditView } = require('./audit');
+//   const view = await buildAuditView(bundle, req.user, { logsLimit: 50 });
+//   // { bundle_id, role, metadata, index, retention, redaction, chunks: [...], logs_total, logs: [...] }
+//
+// Ask logs (storage 'logs', written by routes/ask.js) are read in full and filtered by bundle_id. Owners and
+// admins of the bundle see every log; other roles only the ones they asked themselves (`asked_by`).
+//
+// Env: none
+
+const storage = require('./storage');
+const { canAccess, bundleRole } = require('./auth');
+const { expiresAt } = require('./retention');
+
+const DEFAULT_LOGS_LIMIT = 50;
+const MAX_LOGS_LIMIT = 200;
+
+/**
+ * A chunk as shown in the audit: offsets, header and text; the embedding is reduced to whether there is one.
+ * @param {object} chunk
+ * @returns {object}
+ */
+function auditChunk(chunk) {
+  return {
+    chunk_id: chunk.chunk_id,
+    start_char: chunk.start_char,
+    end_char: chunk.end_char,
+    tokens: chunk.tokens,
+    origin_page: chunk.origin_page ?? null,
+    section_header: chunk.section_header || null,
+    embedding_id: chunk.embedding_id || null,
+    embedded: Array.isArray(chunk.embedding) && chunk.embedding.length > 0,
+    primary_type: chunk.classification ? chunk.classification.primary_type : null,
+    text: chunk.text
+  };
+}
+
+/**
+ * An ask log as shown in the audit. The raw provider response (llm_raw) is left out; the delivered answer,
+ * prompt, retrieval scores, citation check and verification are kept.
+ * @param {string} logId
+ * @param {object} log
+ * @returns {object}
+ */
+function auditLog(logId, log) {
+  return {
+    log_id: logId,
+    timestamp: log.timestamp,
+    asked_by: log.asked_by || null,
+    session_id: log.session_id || null,
+    question: log.question,
+    standalone_question: log.standalone_question || null,
+    top_k: log.top_k,
+    retrieval_mode: log.retrieval_mode || null,
+    reranked: !!log.reranked,
+    retrieved: (log.retrieved || []).map(r => ({ chunk_id: r.chunk_id, score: r.score, scores: r.scores || null, snippet: r.snippet })),
+    prompt: log.prompt || [],
+    model: log.model || null,
+    redacted: !!log.redacted,
+    citation_check: log.citation_check || null,
+    verification: log.verification || null,
+    answer_delivered: log.answer_delivered ?? null,
+    hallucination: !!log.hallucination,
+    hallucination_note: log.hallucination_note || null
+  };
+}
+
+/**
+ * The ask logs of a bundle the user may see, newest first.
+ * @param {object} bundle
+ * @param {object|null} user - lib/auth.js user; owners and admins see every log
+ * @returns {Promise<Array<{ log_id: string, record: object }>>}
+ */
+async function bundleLogs(bundle, user) {
+  const seeAll = canAccess(user, bundle, 'admin');
+  return (await storage.getAll('logs'))
+    .filter(({ record }) => record && record.bundle_id === bundle.bundle_id
+      && (seeAll || (user && record.asked_by === user.user_id)))
+    .sort((a, b) => String(b.record.timestamp).localeCompare(String(a.record.timestamp)))
+    .map(({ id, record }) => ({ log_id: id, record }));
+}
+
+/**
+ * Build the audit view of a bundle.
+ * @param {object} bundle - stored MCP bundle
+ * @param {object|null} user - the caller (lib/auth.js)
+ * @param {{ logsLimit?: number }} [opts] - newest logs returned (logs_total counts them all)
+ * @returns {Promise<object>}
+ */
+async function buildAuditView(bundle, user, opts = {}) {
+  const limit = opts.logsLimit || DEFAULT_LOGS_LIMIT;
+  const chunks = (bundle.chunks || []).map(auditChunk);
+  const policy = bundle.access_policy || {};
+  const expiry = expiresAt(bundle);
+  const entities = (bundle.redaction && bundle.redaction.entities) || [];
+  const byType = {};
+  for (const e of entities) byType[e.type] = (byType[e.type] || 0) + 1;
+  const logs = await bundleLogs(bundle, user);
+
+  return {
+    bundle_id: bundle.bundle_id,
+    role: bundleRole(user, bundle),
+    metadata: {
+      doc_title: bundle.doc_title,
+      created_at: bundle.created_at,
+      uploader_id: bundle.uploader_id,
+      source_checksum: bundle.source_checksum || null,
+      source_format: bundle.source_format || null,
+      source_url: bundle.source_url || null,
+      page_count: bundle.page_count ?? null,
+      original_text_length: bundle.original_text_length ?? null,
+      language: bundle.language || null,
+      jurisdiction: bundle.jurisdiction || null
+    },
+    index: {
+      ...(bundle.index_metadata || {}),
+      chunk_count: chunks.length,
+      embedded_chunks: chunks.filter(c => c.embedded).length
+    },
+    retention: {
+      retention_days: policy.retention_days ?? null,
+      expires_at: expiry ? expiry.toISOString() : null,
+      encrypted: !!policy.encrypted,
+      consent_given: policy.consent_given ?? null
+    },
+    // counts only: the mapping itself holds the personal data it replaces
+    redaction: bundle.redaction ? { version: bundle.redaction.version, entities: entities.length, by_type: byType } : null,
+    chunks,
+    logs_total: logs.length,
+    logs: logs.slice(0, limit).map(({ log_id, record }) => auditLog(log_id, record))
+  };
+}
+
+module.exports = {
+  DEFAULT_LOGS_LIMIT,
+  MAX_LOGS_LIMIT,
+  buildAuditView
+};
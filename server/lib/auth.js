@@ -0,0 +1,221 @@
+// server/lib/auth.js
+// Authentication (bearer tokens for the users in lib/users.js) and per-bundle access control.
+//
+// Tokens are JWTs (HS256, signed with AUTH_SECRET): { sub: user_id, iat, exp }. The user is re-read on every
+// request, so role and team changes apply to tokens already issued and deleted users are locked out.
+//
+// Bundle access: the uploader (bundle.uploader_id) owns the bundle. access_policy.shares grants others a role:
+//   [{ type: 'user'|'team', id: 'alice'|'legal', role: 'viewer'|'reviewer'|'admin', granted_by, granted_at }]
+//   viewer    read the bundle, its results, clauses, facts, timeline and glossary; ask questions; compare
+//   reviewer  viewer + simplify again, edit metadata, run playbook checks
+//   admin     reviewer + delete the bundle and change its shares
+// Users with the global role 'admin' (lib/users.js) are admins of every bundle.
+// Bundles the caller cannot read answer 404, like unknown ids; readable ones without the role answer 403.
+//
+// Usage:
+//   app.use('/api', authenticate);                       // sets req.user (null in open mode without a token)
+//   const { bundle, status, body } = await loadAuthorizedBundle(id, req.user, 'review');
+//   if (!bundle) return res.status(status).json(body);
+//
+// Env:
+//  - AUTH_REQUIRED          'false' lets requests without a token through with full access (local demo mode;
+//                           uploader_id then comes from the request body as before). Default true.
+//  - AUTH_SECRET            token signing secret (at least 32 characters). Without it a random secret is used
+//                           and tokens stop working when the server restarts.
+//  - AUTH_TOKEN_TTL_HOURS   token lifetime (default 12)
+//  - AUTH_ALLOW_REGISTRATION  'true' enables POST /api/auth/register (default off: accounts are created with
+//                           scripts/manage_users.js)
+
+const crypto = require('crypto');
+const { loadBundle } = require('./mcp');
+const { loadUser, publicUser } = require('./users');
+const { isValidId } = require('./storage');
+
+const BUNDLE_ROLES = ['viewer', 'reviewer', 'admin'];
+const ROLE_RANK = { viewer: 1, reviewer: 2, admin: 3, owner: 4 };
+const CAPABILITY_ROLES = { read: 'viewer', review: 'reviewer', admin: 'admin' };
+const SHARE_TYPES = ['user', 'team'];
+const SHARE_ID_REGEX = /^[a-z0-9][a-z0-9._-]{2,39}$/;
+const MAX_SHARES = 100;
+const DEFAULT_TTL_HOURS = 12;
+const MIN_SECRET_CHARS = 32;
+
+let ephemeralSecret = null;
+
+function authRequired() {
+  return process.env.AUTH_REQUIRED !== 'false';
+}
+
+function registrationAllowed() {
+  return process.env.AUTH_ALLOW_REGISTRATION === 'true';
+}
+
+function signingSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (secret) {
+    if (secret.length < MIN_SECRET_CHARS) throw new Error(`AUTH_SECRET must be at least ${MIN_SECRET_CHARS} characters`);
+    return secret;
+  }
+  if (!ephemeralSecret) {
+    console.warn('AUTH_SECRET is not set: using a random secret, tokens will not survive a restart');
+    ephemeralSecret = crypto.randomBytes(32).toString('base64');
+  }
+  return ephemeralSecret;
+}
+
+function tokenTtlSeconds() {
+  const hours = Number(process.env.AUTH_TOKEN_TTL_HOURS || DEFAULT_TTL_HOURS);
+  return Math.round((Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 3600);
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', signingSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Issue a token for a user.
+ * @returns {{ token: string, expires_at: string }}
+ */
+function issueToken(user) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + tokenTtlSeconds();
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({ sub: user.user_id, iat, exp })).toString('base64url');
+  return { token: `${header}.${payload}.${hmac(`${header}.${payload}`)}`, expires_at: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * @returns {object|null} the payload of a valid, unexpired token
+ */
+function verifyToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof claims.sub === 'string' && claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Express middleware: sets req.user from the bearer token. 401 for a bad token, and for a missing one
+ * unless AUTH_REQUIRED=false (req.user is then null).
+ */
+async function authenticate(req, res, next) {
+  try {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (!match) {
+      if (authRequired()) return res.status(401).json({ error: 'authentication required' });
+      req.user = null;
+      return next();
+    }
+    const claims = verifyToken(match[1]);
+    const user = claims && await loadUser(claims.sub);
+    if (!user) return res.status(401).json({ error: 'invalid or expired token' });
+    req.user = publicUser(user);
+    return next();
+  } catch (err) {
+    console.error('Error in authenticate:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+}
+
+/**
+ * Express middleware: global admins only (anyone in open mode without a token).
+ */
+function requireAdmin(req, res, next) {
+  if (req.user ? req.user.role === 'admin' : !authRequired()) return next();
+  return res.status(403).json({ error: 'admin role required' });
+}
+
+/**
+ * The caller's role on a bundle (or a listBundles entry, which carries `shares`).
+ * @returns {'owner'|'admin'|'reviewer'|'viewer'|null}
+ */
+function bundleRole(user, bundle) {
+  if (!user) return authRequired() ? null : 'owner';
+  if (bundle.uploader_id === user.user_id) return 'owner';
+  if (user.role === 'admin') return 'admin';
+  const shares = (bundle.access_policy && bundle.access_policy.shares) || bundle.shares || [];
+  const teams = user.teams || [];
+  let best = null;
+  for (const s of shares) {
+    const applies = (s.type === 'user' && s.id === user.user_id) || (s.type === 'team' && teams.includes(s.id));
+    if (applies && (!best || ROLE_RANK[s.role] > ROLE_RANK[best])) best = s.role;
+  }
+  return best;
+}
+
+/**
+ * @param {'read'|'review'|'admin'} capability
+ */
+function canAccess(user, bundle, capability = 'read') {
+  const role = bundleRole(user, bundle);
+  return !!role && ROLE_RANK[role] >= ROLE_RANK[CAPABILITY_ROLES[capability]];
+}
+
+/**
+ * Load a bundle for a capability.
+ * @returns {Promise<{ bundle: object }|{ status: number, body: object }>} 400 for a malformed id, 404 when
+ *          unknown or unreadable, 403 when readable without the role the capability needs
+ */
+async function loadAuthorizedBundle(bundleId, user, capability = 'read') {
+  if (!isValidId('bundles', bundleId)) return { status: 400, body: { error: `invalid bundle_id: ${String(bundleId).slice(0, 80)}` } };
+  const bundle = await loadBundle(bundleId);
+  if (!bundle || !canAccess(user, bundle, 'read')) return { status: 404, body: { error: `bundle not found: ${bundleId}` } };
+  if (!canAccess(user, bundle, capability)) {
+    return { status: 403, body: { error: `${CAPABILITY_ROLES[capability]} access to bundle ${bundleId} required` } };
+  }
+  return { bundle };
+}
+
+/**
+ * Validate a replacement list of shares (PUT /api/bundles/:bundle_id/access).
+ * @returns {string[]} error messages (empty when valid)
+ */
+function validateShares(shares) {
+  if (!Array.isArray(shares)) return ['shares must be an array'];
+  if (shares.length > MAX_SHARES) return [`at most ${MAX_SHARES} shares`];
+  const errors = [];
+  const seen = new Set();
+  shares.forEach((s, i) => {
+    if (!s || typeof s !== 'object') return errors.push(`shares[${i}] must be an object`);
+    if (!SHARE_TYPES.includes(s.type)) errors.push(`shares[${i}].type must be one of: ${SHARE_TYPES.join(', ')}`);
+    if (typeof s.id !== 'string' || !SHARE_ID_REGEX.test(s.id)) errors.push(`shares[${i}].id must be a user id or team name`);
+    if (!BUNDLE_ROLES.includes(s.role)) errors.push(`shares[${i}].role must be one of: ${BUNDLE_ROLES.join(', ')}`);
+    const key = `${s.type}:${s.id}`;
+    if (seen.has(key)) errors.push(`shares[${i}] repeats ${key}`);
+    seen.add(key);
+    return null;
+  });
+  return errors;
+}
+
+/**
+ * The owner recorded for something the caller creates: the signed-in user, else the body's uploader_id
+ * (open mode only).
+ */
+function ownerId(user, bodyUploaderId, fallback = 'anonymous') {
+  return user ? user.user_id : (bodyUploaderId || fallback);
+}
+
+module.exports = {
+  BUNDLE_ROLES,
+  authRequired,
+  registrationAllowed,
+  issueToken,
+  verifyToken,
+  authenticate,
+  requireAdmin,
+  bundleRole,
+  canAccess,
+  loadAuthorizedBundle,
+  validateShares,
+  ownerId
+};
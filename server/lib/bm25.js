@@ -0,0 +1,104 @@
+// server/lib/bm25.js
+// Per-bundle lexical index (Okapi BM25), built when the bundle is created and stored in
+// bundle.lexical_index. Complements embeddings for exact legal terms: "Section 12.3",
+// defined terms ("Confidential Information"), amounts ("$4,000" == "4000").
+//
+// Usage:
+//   const { buildBm25Index, scoreBm25 } = require('./bm25');
+//   bundle.lexical_index = buildBm25Index(bundle.chunks);
+//   scoreBm25(bundle.lexical_index, 'termination under Section 12.3');
+//   // [{ chunk_id, score }] sorted desc, only chunks sharing at least one term
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'by', 'with', 'at', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'which',
+  'what', 'when', 'where', 'how', 'who', 'do', 'does', 'did', 'can', 'i', 'we', 'you', 'if', 'there'
+]);
+
+/**
+ * Lower-case terms; numbers keep their dots ("12.3") and lose thousands separators ("4,000" -> "4000").
+ * Plural "s" is stripped so "Fees" matches "fee".
+ */
+function tokenize(text) {
+  const raw = String(text || '').toLowerCase().match(/\d+(?:[.,]\d+)*|[a-z]+(?:'[a-z]+)?/g) || [];
+  const terms = [];
+  for (let t of raw) {
+    if (/^\d/.test(t)) {
+      t = t.replace(/,(?=\d{3}\b)/g, '');
+    } else {
+      t = t.replace(/'s$/, '');
+      if (STOPWORDS.has(t)) continue;
+      if (t.length > 3 && t.endsWith('s') && !t.endsWith('ss')) t = t.slice(0, -1);
+    }
+    terms.push(t);
+  }
+  return terms;
+}
+
+/**
+ * Build the BM25 statistics for a list of chunks.
+ * @param {Array<{ chunk_id, text }>} chunks
+ * @returns {{ algorithm, k1, b, doc_count, avg_length, df, docs: Array<{ chunk_id, length, tf }> }}
+ */
+function buildBm25Index(chunks) {
+  const df = {};
+  const docs = (chunks || []).map(c => {
+    const terms = tokenize(c.text);
+    const tf = {};
+    for (const t of terms) tf[t] = (tf[t] || 0) + 1;
+    for (const t of Object.keys(tf)) df[t] = (df[t] || 0) + 1;
+    return { chunk_id: c.chunk_id, length: terms.length, tf };
+  });
+  const total = docs.reduce((sum, d) => sum + d.length, 0);
+  return {
+    algorithm: 'bm25',
+    k1: K1,
+    b: B,
+    doc_count: docs.length,
+    avg_length: docs.length ? total / docs.length : 0,
+    df,
+    docs
+  };
+}
+
+/**
+ * Score every chunk of the index against a query.
+ * @param {object} index - output of buildBm25Index
+ * @param {string} query
+ * @returns {Array<{ chunk_id, score }>} chunks with score > 0, best first
+ */
+function scoreBm25(index, query) {
+  if (!index || !index.doc_count) return [];
+  const qTerms = [...new Set(tokenize(query))];
+  const k1 = index.k1 || K1;
+  const b = index.b === undefined ? B : index.b;
+  const avg = index.avg_length || 1;
+
+  const idf = {};
+  for (const t of qTerms) {
+    const n = index.df[t] || 0;
+    if (n) idf[t] = Math.log(1 + (index.doc_count - n + 0.5) / (n + 0.5));
+  }
+
+  const scored = [];
+  for (const doc of index.docs) {
+    let score = 0;
+    for (const t of qTerms) {
+      const f = doc.tf[t];
+      if (!f || !idf[t]) continue;
+      score += idf[t] * (f * (k1 + 1)) / (f + k1 * (1 - b + b * (doc.length / avg)));
+    }
+    if (score > 0) scored.push({ chunk_id: doc.chunk_id, score });
+  }
+  scored.sort((x, y) => y.score - x.score);
+  return scored;
+}
+
+module.exports = {
+  buildBm25Index,
+  scoreBm25,
+  tokenize
+};
@@ -0,0 +1,349 @@
+// server/lib/clauseTaxonomy.js
+// Clause-type taxonomy, a deterministic rule/keyword classifier, named risk factors with a numeric risk
+// score, and an optional LLM-assisted pass that suggests extra clause types and risk factors.
+//
+// Usage:
+//   const { classifyChunk, classifyBundleClauses } = require('./clauseTaxonomy');
+//   chunk.classification = classifyChunk(chunk);          // rules only, synchronous
+//   await classifyBundleClauses(bundle, { llm: true });    // fills every chunk, adds the LLM pass
+//
+// chunk.classification = {
+//   primary_type: 'indemnity' | null,
+//   clause_types: [{ type, label, confidence, sources: ['rules'|'llm'], matched: [...] }],
+//   risk: { score: 0-100, level: 'Low'|'Medium'|'High', factors: [{ factor, label, weight, evidence }],
+//           llm_factors: [...] },
+//   classifier: { version, llm_assisted }
+// }
+//
+// The risk score only uses rule matches, so it is reproducible; LLM suggestions are listed next to it
+// (clause types with sources ['llm'], risk.llm_factors) but never change the score.
+
+const { chatComplete } = require('./embeddings');
+
+const TAXONOMY_VERSION = 'clause-taxonomy-v1';
+const LLM_BATCH = 8;
+const SNIPPET_CHARS = 160;
+
+// weight 2 = decisive on its own, 1 = needs a second signal; heading matches count double
+const TAXONOMY = [
+  {
+    type: 'termination', label: 'Termination', base_risk: 20,
+    keywords: ['terminat', 'cancel'],
+    rules: [[/\bterminat(e|es|ed|ion)\b/i, 2], [/\bcancel(l?ation|s|led)?\b/i, 1], [/\bend (this|the) agreement\b/i, 2]]
+  },
+  {
+    type: 'indemnity', label: 'Indemnity', base_risk: 30,
+    keywords: ['indemnif', 'hold harmless'],
+    rules: [[/\bindemnif(y|ies|ied|ication)\b/i, 2], [/\bhold (\w+ )?harmless\b/i, 2], [/\bdefend\b/i, 1]]
+  },
+  {
+    type: 'limitation_of_liability', label: 'Limitation of liability', base_risk: 30,
+    keywords: ['limitation of liability', 'liable', 'consequential'],
+    rules: [
+      [/\blimitation of liability\b/i, 2], [/\bin no event\b/i, 1], [/\b(aggregate|total|maximum) liability\b/i, 2],
+      [/\b(consequential|indirect|incidental|special|punitive) damages\b/i, 1], [/\bliab(le|ility)\b/i, 1]
+    ]
+  },
+  {
+    type: 'confidentiality', label: 'Confidentiality', base_risk: 15,
+    keywords: ['confidential', 'non-disclosure', 'trade secret'],
+    rules: [[/\bconfidential(ity)?\b/i, 2], [/\bnon-?disclosure\b/i, 2], [/\btrade secrets?\b/i, 1], [/\bdisclos(e|ure)\b/i, 1]]
+  },
+  {
+    type: 'non_compete', label: 'Non-compete / non-solicitation', base_risk: 35,
+    keywords: ['non-compete', 'noncompete', 'non-solicit', 'compete'],
+    rules: [[/\bnon-?compet(e|ition)\b/i, 2], [/\bnon-?solicit(ation)?\b/i, 2], [/\b(not|never) (directly or indirectly )?(compete|solicit)\b/i, 2]]
+  },
+  {
+    type: 'auto_renewal', label: 'Automatic renewal', base_risk: 20,
+    keywords: ['renew'],
+    rules: [[/\bautomatic(ally)? renew/i, 2], [/\bauto-?renew/i, 2], [/\bsuccessive (renewal )?(terms?|periods?)\b/i, 2], [/\bnon-?renewal\b/i, 1], [/\brenew(al|s|ed)?\b/i, 1]]
+  },
+  {
+    type: 'governing_law', label: 'Governing law / jurisdiction', base_risk: 10,
+    keywords: ['governing law', 'governed by', 'jurisdiction'],
+    rules: [[/\bgoverning law\b/i, 2], [/\bgoverned by (and construed in accordance with )?the laws? of\b/i, 2], [/\bjurisdiction\b/i, 1], [/\bvenue\b/i, 1]]
+  },
+  {
+    type: 'arbitration', label: 'Arbitration / dispute resolution', base_risk: 25,
+    keywords: ['arbitrat', 'jury'],
+    rules: [[/\barbitrat(ion|or|e|ed)\b/i, 2], [/\b(AAA|JAMS|ICC|LCIA)\b/, 1], [/\bjury trial\b|\btrial by jury\b/i, 1], [/\bclass action\b/i, 1]]
+  },
+  {
+    type: 'assignment', label: 'Assignment', base_risk: 15,
+    keywords: ['assign'],
+    rules: [[/\bmay not (be )?assign|\bshall not assign\b|\bassign (this|the) agreement\b/i, 2], [/\bassign(ment|s|ed)?\b/i, 1], [/\bchange of control\b/i, 1]]
+  },
+  {
+    type: 'ip_assignment', label: 'Intellectual property', base_risk: 25,
+    keywords: ['intellectual property', 'copyright', 'patent', 'work made for hire'],
+    rules: [
+      [/\bintellectual property\b/i, 2], [/\bworks? made for hire\b/i, 2], [/\b(copyright|patent|trademark)s?\b/i, 1],
+      [/\bright,? title and interest\b/i, 1], [/\blicen[cs]e\b/i, 1]
+    ]
+  },
+  {
+    type: 'data_protection', label: 'Data protection / privacy', base_risk: 20,
+    keywords: ['personal data', 'personal information', 'privacy', 'gdpr'],
+    rules: [
+      [/\bpersonal (data|information)\b/i, 2], [/\b(GDPR|CCPA|HIPAA)\b/, 2], [/\bdata protection\b|\bprivacy\b/i, 2],
+      [/\b(data|security) (breach|incident)\b/i, 1], [/\b(processor|controller)\b/i, 1]
+    ]
+  },
+  {
+    type: 'payment', label: 'Payment', base_risk: 15,
+    keywords: ['pay', 'fee', 'invoice', 'price'],
+    rules: [[/\bpay(s|ment|able|ing)?\b/i, 1], [/\bfees?\b/i, 1], [/\binvoic(e|es|ed|ing)\b/i, 2], [/[$€£]\s?\d|\b\d[\d,.]* (USD|EUR|GBP|dollars)\b/i, 1], [/\bprice\b/i, 1]]
+  }
+];
+
+const UNCLASSIFIED_BASE_RISK = 5;
+
+// Named risk factors. `types` limits a factor to clauses of those types (null = any clause).
+// A test returns the evidence string, or null.
+const RISK_FACTORS = [
+  { factor: 'uncapped_liability', label: 'Liability is not capped', weight: 25, types: null,
+    test: text => match(text, /\b(unlimited liability|without (any )?limit(ation)?|no (cap|limit) on)\b[^.]*/i) },
+  { factor: 'one_sided_indemnity', label: 'Only one party indemnifies', weight: 20, types: ['indemnity'],
+    test: text => (/\b(each party|mutual(ly)?|both parties)\b/i.test(text) ? null : match(text, /\b\w+ (shall|will|agrees to) indemnify\b/i)) },
+  { factor: 'broad_indemnity_scope', label: 'Indemnity covers any and all claims', weight: 10, types: ['indemnity'],
+    test: text => match(text, /\bany and all (claims|losses|liabilities|damages)\b|\ball third[- ]party claims\b/i) },
+  { factor: 'consequential_damages_excluded', label: 'Indirect or consequential damages are excluded', weight: 10, types: ['limitation_of_liability'],
+    test: text => match(text, /\b(consequential|indirect|lost profits)\b[^.]*/i) },
+  { factor: 'termination_for_convenience', label: 'Can be ended at any time / for any reason', weight: 15, types: ['termination'],
+    test: text => match(text, /\bfor (any reason|convenience|no reason)\b|\bat any time\b/i) },
+  { factor: 'short_notice_period', label: 'Notice period of 30 days or less', weight: 10, types: ['termination', 'auto_renewal'],
+    test: text => {
+      const m = text.match(/\b(\d{1,3})\s*(\(\w+\)\s*)?days?'?\s*(prior |advance |written )*notice\b/i);
+      return m && Number(m[1]) <= 30 ? m[0] : null;
+    } },
+  { factor: 'renewal_opt_out_window', label: 'Renews unless cancelled well in advance', weight: 15, types: ['auto_renewal'],
+    test: text => {
+      const m = text.match(/\b(\d{1,3})\s*days?\b[^.]*\b(before|prior to)\b[^.]*\b(end|expir|renewal)/i);
+      return m && Number(m[1]) >= 60 ? m[0] : null;
+    } },
+  { factor: 'long_restrictive_covenant', label: 'Restriction lasts 12 months or more', weight: 20, types: ['non_compete'],
+    test: text => {
+      const m = text.match(/\b(\d{1,2}|one|two|three|five)\s*(\(\d+\)\s*)?(years?|months?)\b/i);
+      if (!m) return null;
+      const words = { one: 1, two: 2, three: 3, five: 5 };
+      const n = Number(m[1]) || words[m[1].toLowerCase()];
+      return (/year/i.test(m[3]) ? n * 12 : n) >= 12 ? m[0] : null;
+    } },
+  { factor: 'worldwide_scope', label: 'Worldwide or unlimited territory', weight: 10, types: ['non_compete', 'ip_assignment', 'confidentiality'],
+    test: text => match(text, /\b(worldwide|anywhere in the world|throughout the world|any geographic)\b/i) },
+  { factor: 'perpetual_obligation', label: 'Obligation never expires', weight: 15, types: null,
+    test: text => match(text, /\b(perpetual|in perpetuity|indefinitely|irrevocabl[ey])\b/i) },
+  { factor: 'broad_ip_transfer', label: 'All rights in the work are transferred', weight: 15, types: ['ip_assignment'],
+    test: text => match(text, /\b(all|any) right,? title and interest\b|\bworks? made for hire\b|\bhereby assigns?\b/i) },
+  { factor: 'unilateral_change', label: 'One party can change terms on its own', weight: 15, types: null,
+    test: text => match(text, /\b(in its|at its) sole discretion\b|\bmay (amend|modify|change)\b[^.]*\bat any time\b/i) },
+  { factor: 'waiver_of_rights', label: 'Waives a legal right (jury, class action, claims)', weight: 15, types: ['arbitration', 'limitation_of_liability'],
+    test: text => match(text, /\bwaives?\b[^.]*\b(right|jury|class action|claims?)\b/i) },
+  { factor: 'penalty_or_late_fee', label: 'Penalties, liquidated damages or late fees', weight: 10, types: null,
+    test: text => match(text, /\bliquidated damages\b|\bpenalty\b|\blate (fee|charge|payment)\b|\binterest (at|of) [\d.]+ ?%/i) },
+  { factor: 'cross_border_transfer', label: 'Data may be transferred abroad', weight: 10, types: ['data_protection'],
+    test: text => match(text, /\b(transfer\w*)\b[^.]*\b(outside|abroad|third countr\w*|cross-border)\b/i) }
+];
+
+const TYPE_BY_NAME = new Map(TAXONOMY.map(t => [t.type, t]));
+const FACTOR_BY_NAME = new Map(RISK_FACTORS.map(f => [f.factor, f]));
+
+function match(text, re) {
+  const m = String(text).match(re);
+  return m ? m[0].slice(0, SNIPPET_CHARS) : null;
+}
+
+function riskLevel(score) {
+  if (score >= 60) return 'High';
+  if (score >= 30) return 'Medium';
+  return 'Low';
+}
+
+/**
+ * Rule/keyword clause types for a text, best first.
+ * @param {string} text
+ * @param {string} heading - section_header; matches there count double
+ */
+function classifyText(text, heading = '') {
+  const found = [];
+  for (const entry of TAXONOMY) {
+    let score = 0;
+    const matched = [];
+    for (const [re, weight] of entry.rules) {
+      const inHeading = heading && re.test(heading);
+      const inText = re.exec(text);
+      if (inHeading) score += weight * 2;
+      if (inText) {
+        score += weight;
+        matched.push(inText[0].toLowerCase());
+      }
+    }
+    if (score >= 2) {
+      found.push({
+        type: entry.type,
+        label: entry.label,
+        confidence: Math.min(1, Math.round((score / 4) * 100) / 100),
+        sources: ['rules'],
+        matched: [...new Set(matched)]
+      });
+    }
+  }
+  return found.sort((a, b) => b.confidence - a.confidence || TYPE_BY_NAME.get(b.type).base_risk - TYPE_BY_NAME.get(a.type).base_risk);
+}
+
+/**
+ * Deterministic risk score from rule-based clause types and risk factors.
+ */
+function scoreRisk(text, ruleTypes) {
+  const typeNames = ruleTypes.map(t => t.type);
+  const factors = [];
+  for (const f of RISK_FACTORS) {
+    if (f.types && !f.types.some(t => typeNames.includes(t))) continue;
+    const evidence = f.test(text);
+    if (evidence) factors.push({ factor: f.factor, label: f.label, weight: f.weight, evidence });
+  }
+  const base = ruleTypes.length ? Math.max(...ruleTypes.map(t => TYPE_BY_NAME.get(t.type).base_risk)) : UNCLASSIFIED_BASE_RISK;
+  const score = Math.min(100, base + factors.reduce((sum, f) => sum + f.weight, 0));
+  return { score, level: riskLevel(score), factors, llm_factors: [] };
+}
+
+/**
+ * Rules-only classification of one chunk.
+ * @param {{ text, section_header? }} chunk
+ */
+function classifyChunk(chunk) {
+  const text = String(chunk.text || '');
+  const clauseTypes = classifyText(text, String(chunk.section_header || ''));
+  return {
+    primary_type: clauseTypes.length ? clauseTypes[0].type : null,
+    clause_types: clauseTypes,
+    risk: scoreRisk(text, clauseTypes),
+    classifier: { version: TAXONOMY_VERSION, llm_assisted: false }
+  };
+}
+
+/**
+ * One-line risk text in the format the simplify contract uses ("High - reason; reason").
+ */
+function describeRisk(classification) {
+  const { level, factors } = classification.risk;
+  const type = classification.primary_type ? TYPE_BY_NAME.get(classification.primary_type).label : null;
+  const reasons = factors.length ? factors.slice(0, 2).map(f => f.label.toLowerCase()).join('; ') : (type ? `${type.toLowerCase()} clause` : 'no unusual obligations detected');
+  return `${level} - ${reasons}`;
+}
+
+function buildClassifyPrompt(chunks) {
+  const types = TAXONOMY.map(t => `- ${t.type}: ${t.label}`).join('\n');
+  const factors = RISK_FACTORS.map(f => `- ${f.factor}: ${f.label}`).join('\n');
+  const sources = chunks.map(c => `[${c.chunk_id}] ${String(c.text).slice(0, 1500)}`).join('\n\n');
+  return [
+    {
+      role: 'system',
+      content: 'You classify contract clauses. Use ONLY these clause types:\n' + types
+        + '\n\nand ONLY these risk factors:\n' + factors
+        + '\n\nOutput MUST BE JSON only: {"classifications": {"<chunk_id>": {"clause_types": ["..."], "risk_factors": ["..."]}}}'
+        + ' with one entry per source. Use [] when nothing applies.'
+    },
+    { role: 'user', content: `SOURCES:\n${sources}` }
+  ];
+}
+
+/**
+ * LLM-assisted pass over a batch of chunks. Unknown types / factors are dropped.
+ * @returns {Promise<object|null>} chunk_id -> { clause_types, risk_factors }, null when the reply is unusable
+ */
+async function llmClassify(chunks) {
+  const resp = await chatComplete(buildClassifyPrompt(chunks), {
+    max_tokens: 800,
+    task: 'classify',
+    context: { sources: chunks, taxonomy: TAXONOMY.map(t => ({ type: t.type, keywords: t.keywords })) }
+  });
+  const text = resp.content || '';
+  let parsed;
+  try {
+    parsed = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+  } catch (e) {
+    return null;
+  }
+  const byId = parsed && (parsed.classifications || parsed);
+  if (!byId || typeof byId !== 'object') return null;
+  const out = {};
+  for (const c of chunks) {
+    const entry = byId[c.chunk_id];
+    if (!entry) continue;
+    out[c.chunk_id] = {
+      clause_types: (Array.isArray(entry.clause_types) ? entry.clause_types : []).filter(t => TYPE_BY_NAME.has(t)),
+      risk_factors: (Array.isArray(entry.risk_factors) ? entry.risk_factors : []).filter(f => FACTOR_BY_NAME.has(f))
+    };
+  }
+  return out;
+}
+
+function mergeLlm(classification, suggestion) {
+  const types = classification.clause_types.map(t => ({ ...t, sources: t.sources.filter(s => s !== 'llm') }));
+  for (const name of suggestion.clause_types) {
+    const existing = types.find(t => t.type === name);
+    if (existing) {
+      existing.sources.push('llm');
+      existing.confidence = Math.min(1, Math.round((existing.confidence + 0.2) * 100) / 100);
+    } else {
+      types.push({ type: name, label: TYPE_BY_NAME.get(name).label, confidence: 0.4, sources: ['llm'], matched: [] });
+    }
+  }
+  const ruleFactors = new Set(classification.risk.factors.map(f => f.factor));
+  return {
+    ...classification,
+    primary_type: classification.primary_type || (types[0] ? types[0].type : null),
+    clause_types: types,
+    risk: {
+      ...classification.risk,
+      llm_factors: suggestion.risk_factors
+        .filter(f => !ruleFactors.has(f))
+        .map(f => ({ factor: f, label: FACTOR_BY_NAME.get(f).label }))
+    },
+    classifier: { version: TAXONOMY_VERSION, llm_assisted: true }
+  };
+}
+
+/**
+ * Classify every chunk of a bundle (rules; plus the LLM pass when opts.llm). Chunks already classified
+ * with the current taxonomy version are kept. Mutates the bundle; the caller saves it.
+ * @param {object} bundle
+ * @param {object} opts - { llm: boolean }
+ * @returns {Promise<boolean>} whether any chunk changed
+ */
+async function classifyBundleClauses(bundle, opts = {}) {
+  let changed = false;
+  for (const chunk of bundle.chunks || []) {
+    if (!chunk.classification || chunk.classification.classifier.version !== TAXONOMY_VERSION) {
+      chunk.classification = classifyChunk(chunk);
+      changed = true;
+    }
+  }
+  if (!opts.llm) return changed;
+
+  const pending = bundle.chunks.filter(c => !c.classification.classifier.llm_assisted);
+  for (let i = 0; i < pending.length; i += LLM_BATCH) {
+    const batch = pending.slice(i, i + LLM_BATCH);
+    const suggestions = await llmClassify(batch);
+    if (!suggestions) continue; // keep the rules-only result; retried on the next request
+    for (const chunk of batch) {
+      chunk.classification = mergeLlm(chunk.classification, suggestions[chunk.chunk_id] || { clause_types: [], risk_factors: [] });
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  TAXONOMY_VERSION,
+  TAXONOMY: TAXONOMY.map(({ type, label, base_risk }) => ({ type, label, base_risk })),
+  RISK_FACTORS: RISK_FACTORS.map(({ factor, label, weight, types }) => ({ factor, label, weight, types })),
+  classifyChunk,
+  classifyBundleClauses,
+  describeRisk,
+  riskLevel,
+  // exported for testing
+  _internals: { classifyText, scoreRisk, mergeLlm, buildClassifyPrompt }
+};
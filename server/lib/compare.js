@@ -0,0 +1,324 @@
+// server/lib/compare.js
+// Redline two bundles (e.g. a vendor's revision of the same NDA) behind POST /api/compare.
+//  - alignment   chunks are paired by section_header and lexical similarity (bm25 terms, Jaccard);
+//                unpaired base chunks are "removed", unpaired revised chunks "added"
+//  - diff        word-level LCS diff per aligned pair: [{ op: 'equal'|'delete'|'insert', text }]
+//  - materiality changed numbers, obligation words (shall / may / not ...), a clause type or risk change
+//                (lib/clauseTaxonomy.js) or a large rewrite make a change material; punctuation, casing
+//                and small wording edits do not
+//  - explanation material changes get a plain-English impact note from the model (task 'compare'), citing
+//                both chunk ids; a diff-based sentence is used when the model's reply is unusable
+//
+// Usage:
+//   const { compareBundles } = require('./compare');
+//   const result = await compareBundles(baseBundle, revisedBundle, { include_unchanged: false });
+//   // { summary: { aligned, unchanged, modified, added, removed, material }, changes: [...] }
+
+const { chatComplete } = require('./embeddings');
+const { extractJson } = require('./jsonOutput');
+const { tokenize } = require('./bm25');
+const { classifyChunk } = require('./clauseTaxonomy');
+
+const MIN_SIMILARITY = 0.35;        // pair chunks without a matching section header
+const MIN_HEADER_SIMILARITY = 0.15; // pair chunks whose section headers match
+const HEADER_BONUS = 0.3;
+const MAX_DIFF_CELLS = 4000000;     // LCS table limit; larger pairs are diffed as delete-all / insert-all
+const MATERIAL_CHANGE_RATIO = 0.15;
+const EXPLAIN_BATCH = 10;
+const QUOTE_CHARS = 160;
+
+// Words whose addition or removal changes who must do what
+const MATERIAL_WORDS = /^(shall|must|may|will|not|no|never|only|any|all|each|sole|solely|exclusive|exclusively|unlimited|without|including|excluding|except|unless|prior|written|immediately|perpetual|irrevocable|terminate|indemnify|liable|liability)$/i;
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9>]+/g, ' ').trim();
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+function classificationOf(chunk) {
+  return chunk.classification || classifyChunk(chunk); // bundles created before the taxonomy
+}
+
+/**
+ * Pair base and revised chunks. Best pairs are taken first; each chunk is used at most once.
+ * @returns {{ pairs: Array<{ baseIndex, revisedIndex, similarity }>, removed: number[], added: number[] }} (indexes into the inputs)
+ */
+function alignChunks(baseChunks, revisedChunks) {
+  const baseTerms = baseChunks.map(c => new Set(tokenize(c.text)));
+  const revisedTerms = revisedChunks.map(c => new Set(tokenize(c.text)));
+  const candidates = [];
+  baseChunks.forEach((b, i) => {
+    revisedChunks.forEach((r, j) => {
+      const similarity = jaccard(baseTerms[i], revisedTerms[j]);
+      const header = normalizeHeader(b.section_header);
+      const sameHeader = !!header && header === normalizeHeader(r.section_header);
+      if (similarity >= (sameHeader ? MIN_HEADER_SIMILARITY : MIN_SIMILARITY)) {
+        candidates.push({ i, j, similarity, rank: similarity + (sameHeader ? HEADER_BONUS : 0) });
+      }
+    });
+  });
+  candidates.sort((x, y) => y.rank - x.rank || Math.abs(x.i - x.j) - Math.abs(y.i - y.j));
+
+  const usedBase = new Set();
+  const usedRevised = new Set();
+  const pairs = [];
+  for (const c of candidates) {
+    if (usedBase.has(c.i) || usedRevised.has(c.j)) continue;
+    usedBase.add(c.i);
+    usedRevised.add(c.j);
+    pairs.push({ baseIndex: c.i, revisedIndex: c.j, similarity: Math.round(c.similarity * 1000) / 1000 });
+  }
+  return {
+    pairs,
+    removed: baseChunks.map((_, i) => i).filter(i => !usedBase.has(i)),
+    added: revisedChunks.map((_, j) => j).filter(j => !usedRevised.has(j))
+  };
+}
+
+/**
+ * Word-level diff (longest common subsequence over whitespace-separated words).
+ * @returns {Array<{ op: 'equal'|'delete'|'insert', text: string }>} consecutive words with the same op merged
+ */
+function wordDiff(baseText, revisedText) {
+  const a = String(baseText || '').match(/\S+/g) || [];
+  const b = String(revisedText || '').match(/\S+/g) || [];
+  const ops = [];
+  const push = (op, word) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += ` ${word}`;
+    else ops.push({ op, text: word });
+  };
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    a.forEach(w => push('delete', w));
+    b.forEach(w => push('insert', w));
+    return ops;
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..], flattened
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+  return ops;
+}
+
+function diffText(diff, op) {
+  return diff.filter(d => d.op === op).map(d => d.text).join(' … ');
+}
+
+function comparable(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Whether a modification matters, and why.
+ * @returns {{ material: boolean, reasons: string[] }}
+ */
+function assessChange(base, revised, diff, baseClass, revisedClass) {
+  if (comparable(base.text) === comparable(revised.text)) return { material: false, reasons: ['formatting only'] };
+  const changedWords = diff.filter(d => d.op !== 'equal').flatMap(d => d.text.split(' '));
+  const totalWords = Math.max(1, diff.filter(d => d.op !== 'insert').reduce((n, d) => n + d.text.split(' ').length, 0));
+  const reasons = [];
+  if (changedWords.some(w => /\d/.test(w))) reasons.push('numbers, amounts or periods changed');
+  const obligation = changedWords.map(w => w.replace(/[^A-Za-z]/g, '')).filter(w => MATERIAL_WORDS.test(w));
+  if (obligation.length) reasons.push(`obligation wording changed (${[...new Set(obligation.map(w => w.toLowerCase()))].join(', ')})`);
+  if (baseClass.primary_type !== revisedClass.primary_type) reasons.push('clause type changed');
+  if (baseClass.risk.score !== revisedClass.risk.score) reasons.push('risk score changed');
+  if (changedWords.length / totalWords >= MATERIAL_CHANGE_RATIO) reasons.push('substantial rewording');
+  return { material: reasons.length > 0, reasons: reasons.length ? reasons : ['minor wording'] };
+}
+
+function quote(text) {
+  const t = String(text || '').replace(/\s+/g, ' ').trim();
+  return t.length > QUOTE_CHARS ? `${t.slice(0, QUOTE_CHARS)}...` : t;
+}
+
+/**
+ * Diff-based explanation, used when the model's reply is missing or unusable.
+ */
+function fallbackExplanation(change) {
+  const cite = change.citations.map(id => `[${id}]`).join(' ');
+  const riskNote = change.risk.delta > 0 ? ' The revised wording scores as riskier.' : (change.risk.delta < 0 ? ' The revised wording scores as less risky.' : '');
+  if (change.type === 'removed') return `The revision deletes this clause: "${quote(change.base_text)}" ${cite}.${riskNote}`;
+  if (change.type === 'added') return `The revision adds a new clause: "${quote(change.revised_text)}" ${cite}.${riskNote}`;
+  const deleted = diffText(change.diff, 'delete');
+  const inserted = diffText(change.diff, 'insert');
+  const what = deleted && inserted ? `"${quote(deleted)}" is replaced by "${quote(inserted)}"`
+    : (deleted ? `"${quote(deleted)}" is removed` : `"${quote(inserted)}" is added`);
+  return `In this clause ${what} (${change.reasons.join('; ')}) ${cite}.${riskNote}`;
+}
+
+function buildExplainPrompt(changes) {
+  const blocks = changes.map(c => [
+    `CHANGE ${c.change_id} (${c.type})`,
+    c.base_chunk_id ? `BASE [${c.base_chunk_id}]: ${c.base_text}` : 'BASE: (none)',
+    c.revised_chunk_id ? `REVISED [${c.revised_chunk_id}]: ${c.revised_text}` : 'REVISED: (none)',
+    c.type === 'modified' ? `DELETED: ${diffText(c.diff, 'delete') || '(nothing)'}\nINSERTED: ${diffText(c.diff, 'insert') || '(nothing)'}` : null
+  ].filter(Boolean).join('\n')).join('\n\n');
+  return [
+    {
+      role: 'system',
+      content: 'You explain revisions to a legal document for a non-lawyer. For each change, write one or two plain-English '
+        + 'sentences on what the revision means for the reader (who gains or loses rights, money, time or protection). '
+        + 'Use ONLY the quoted text. Cite every chunk id shown for the change in square brackets, e.g. [chunk-id]. '
+        + 'Output MUST BE JSON only: {"explanations": {"<change id>": "..."}}'
+    },
+    { role: 'user', content: blocks }
+  ];
+}
+
+/**
+ * Ask the model to explain a batch of material changes.
+ * @returns {Promise<object>} change_id -> explanation (only usable entries)
+ */
+async function explainChanges(changes) {
+  const resp = await chatComplete(buildExplainPrompt(changes), {
+    max_tokens: 200 * changes.length,
+    task: 'compare',
+    context: { changes }
+  });
+  const { value } = extractJson(resp.content || '');
+  const byId = value && (value.explanations || value);
+  const out = {};
+  if (!byId || typeof byId !== 'object') return out;
+  for (const c of changes) {
+    const text = typeof byId[c.change_id] === 'string' ? byId[c.change_id].trim() : '';
+    if (!text) continue;
+    // every citation must be present; add the ones the model left out
+    const missing = c.citations.filter(id => !text.includes(id));
+    out[c.change_id] = missing.length ? `${text} ${missing.map(id => `[${id}]`).join(' ')}` : text;
+  }
+  return out;
+}
+
+/**
+ * Compare two bundles clause by clause.
+ * @param {object} base - the earlier version
+ * @param {object} revised - the later version
+ * @param {object} opts - { include_unchanged: boolean, explain: boolean (default true) }
+ */
+async function compareBundles(base, revised, opts = {}) {
+  const baseChunks = base.chunks || [];
+  const revisedChunks = revised.chunks || [];
+  const { pairs, removed, added } = alignChunks(baseChunks, revisedChunks);
+
+  const entries = [];
+  const risk = (b, r) => {
+    const baseScore = b ? classificationOf(b).risk.score : null;
+    const revisedScore = r ? classificationOf(r).risk.score : null;
+    return { base_score: baseScore, revised_score: revisedScore, delta: (revisedScore || 0) - (baseScore || 0) };
+  };
+  const entry = (type, b, r, extra) => ({
+    type,
+    base_chunk_id: b ? b.chunk_id : null,
+    revised_chunk_id: r ? r.chunk_id : null,
+    base_section_header: b ? b.section_header || null : null,
+    revised_section_header: r ? r.section_header || null : null,
+    base_text: b ? b.text : null,
+    revised_text: r ? r.text : null,
+    citations: [b && b.chunk_id, r && r.chunk_id].filter(Boolean),
+    risk: risk(b, r),
+    ...extra
+  });
+
+  for (const p of pairs) {
+    const b = baseChunks[p.baseIndex];
+    const r = revisedChunks[p.revisedIndex];
+    const order = p.revisedIndex;
+    if (b.text === r.text) {
+      entries.push({ order, change: entry('unchanged', b, r, { similarity: p.similarity, diff: [], material: false, reasons: [] }) });
+      continue;
+    }
+    const diff = wordDiff(b.text, r.text);
+    const { material, reasons } = assessChange(b, r, diff, classificationOf(b), classificationOf(r));
+    entries.push({ order, change: entry('modified', b, r, { similarity: p.similarity, diff, material, reasons }) });
+  }
+  for (const j of added) {
+    entries.push({ order: j, change: entry('added', null, revisedChunks[j], { similarity: null, diff: [{ op: 'insert', text: revisedChunks[j].text }], material: true, reasons: ['new clause'] }) });
+  }
+  for (const i of removed) {
+    // place a removed clause after the revised position of the nearest earlier base chunk that was kept
+    const prev = pairs.filter(p => p.baseIndex < i).sort((x, y) => y.baseIndex - x.baseIndex)[0];
+    entries.push({ order: (prev ? prev.revisedIndex : -1) + 0.5, change: entry('removed', baseChunks[i], null, { similarity: null, diff: [{ op: 'delete', text: baseChunks[i].text }], material: true, reasons: ['clause deleted'] }) });
+  }
+  entries.sort((x, y) => x.order - y.order);
+  const changes = entries.map((e, idx) => ({ change_id: `chg-${String(idx + 1).padStart(3, '0')}`, ...e.change }));
+
+  const material = changes.filter(c => c.material);
+  const explained = {};
+  let explanationErrors = 0;
+  if (opts.explain !== false) {
+    for (let i = 0; i < material.length; i += EXPLAIN_BATCH) {
+      try {
+        Object.assign(explained, await explainChanges(material.slice(i, i + EXPLAIN_BATCH)));
+      } catch (err) {
+        explanationErrors++;
+        console.warn('compare explanation call failed:', err.message || err);
+      }
+    }
+  }
+  for (const c of changes) {
+    if (!c.material) {
+      c.explanation = null;
+      c.explanation_source = null;
+    } else if (explained[c.change_id]) {
+      c.explanation = explained[c.change_id];
+      c.explanation_source = 'llm';
+    } else {
+      c.explanation = fallbackExplanation(c);
+      c.explanation_source = 'diff';
+    }
+  }
+
+  const count = type => changes.filter(c => c.type === type).length;
+  return {
+    summary: {
+      base_chunks: baseChunks.length,
+      revised_chunks: revisedChunks.length,
+      aligned: pairs.length,
+      unchanged: count('unchanged'),
+      modified: count('modified'),
+      added: count('added'),
+      removed: count('removed'),
+      material: material.length,
+      risk_delta: material.reduce((sum, c) => sum + c.risk.delta, 0),
+      explanation_errors: explanationErrors
+    },
+    changes: opts.include_unchanged ? changes : changes.filter(c => c.type !== 'unchanged')
+  };
+}
+
+module.exports = {
+  compareBundles,
+  alignChunks,
+  wordDiff,
+  // exported for testing
+  _internals: { assessChange, fallbackExplanation, buildExplainPrompt, jaccard }
+};
@@ -0,0 +1,483 @@
+// server/lib/contractFacts.js
+// Key terms and obligations of a bundle as typed "contract facts", behind GET /api/bundles/:bundle_id/facts.
+//
+// Fields:
+//   parties          [{ name, role }]                       "between Acme Ltd (the "Supplier") and ..."
+//   effective_date   { date: 'YYYY-MM-DD' }                  "effective as of March 1, 2024"
+//   term             { amount, unit, days }                  "for an initial term of two (2) years"
+//   renewal          { automatic, renewal_term }             "renews automatically for successive one-year terms"
+//   notice_periods   [{ amount, unit, days, purpose }]       purpose: termination | renewal | other
+//   payments         [{ amount, currency, frequency }]       "$5,000 per month", "EUR 1,200"
+//   governing_law    { jurisdiction }                        "governed by the laws of England and Wales"
+//   obligations      [{ party, modality, action, deadline }] "The Supplier shall ... within 10 days"
+//
+// Every extracted value cites where it was read:
+//   { value, text, chunk_id, start_char, end_char, chunk_offsets: { start, end }, method: 'rules'|'llm' }
+// `text` is chunk.text.slice(chunk_offsets.start, chunk_offsets.end); start_char / end_char add the chunk's
+// start_char, so they are exact document offsets for legal-structure chunks (whose text is a verbatim
+// slice of the source) and approximate for paragraph chunks.
+//
+// Rules extract first. The optional model pass (task 'facts') only fills scalar fields the rules left
+// empty, and its answers are kept only when the quote it cites occurs verbatim in that chunk.
+// Results are cached next to the bundle in storage/bundles/<bundle_id>-facts.json (the 'facts' collection of
+// lib/storage.js).
+//
+// Usage:
+//   const { getBundleFacts, factsToCsv } = require('./contractFacts');
+//   const report = await getBundleFacts(bundle, { llm: true });
+//   // { bundle_id, facts_version, source_checksum, llm_assisted, generated_at, facts: { parties, ... } }
+//   const csv = factsToCsv(report.facts);
+
+const { chatComplete } = require('./embeddings');
+const { extractJson } = require('./jsonOutput');
+const { findPeriods, findDates } = require('./periods');
+const storage = require('./storage');
+
+const FACTS_VERSION = 'contract-facts-v1';
+const PARTY_SCAN_CHUNKS = 3;   // parties are introduced at the top of the document
+const LLM_SOURCE_CHUNKS = 12;
+const LIST_FIELDS = ['parties', 'notice_periods', 'payments', 'obligations'];
+const SCALAR_FIELDS = ['effective_date', 'term', 'renewal', 'governing_law'];
+const FIELDS = ['parties', 'effective_date', 'term', 'renewal', 'notice_periods', 'payments', 'governing_law', 'obligations'];
+const LLM_FIELDS = ['parties', 'effective_date', 'term', 'governing_law'];
+const CSV_COLUMNS = ['field', 'index', 'party', 'value', 'text', 'chunk_id', 'start_char', 'end_char', 'method'];
+
+const PARTY_ROLES = [
+  'supplier', 'customer', 'client', 'vendor', 'provider', 'service provider', 'company', 'contractor', 'consultant',
+  'licensor', 'licensee', 'discloser', 'disclosing party', 'recipient', 'receiving party', 'employer', 'employee',
+  'landlord', 'tenant', 'lessor', 'lessee', 'buyer', 'seller', 'purchaser', 'lender', 'borrower', 'agency'
+];
+const ROLE_REGEX = /\(\s*(?:the\s+|hereinafter\s+(?:the\s+)?)?["“']([^"”']{2,40})["”']\s*\)/;
+const DEFINED_PARTY_REGEX = new RegExp(
+  `([A-Z][\\w&.'-]*(?:\\s+[A-Z][\\w&.'-]*){0,5}),?\\s*\\(\\s*(?:the\\s+)?["“'](${PARTY_ROLES.join('|')})["”']\\s*\\)`,
+  'gi'
+);
+
+const TERM_CUE = /\b(initial term|term of this agreement|remain in (?:full )?(?:force|effect)|continue (?:in (?:full )?(?:force|effect) )?for|for a (?:period|term) of|the term)\b/i;
+const NOT_TERM = /\b(notice|renew|confidential|surviv|payment|invoice|pay|warrant)\w*/i;
+const EFFECTIVE_CUE = /\b(effective|commence|dated|made (?:and entered into )?(?:on|as of)|entered into (?:on|as of)|as of)\b/i;
+const RENEWAL_CUE = /\brenew/i;
+const AUTOMATIC_RENEWAL = /\b(automatic(?:ally)?|auto-renew\w*|(?:shall|will) (?:be )?renew\w*)\b/i;
+const NOT_AUTOMATIC = /\b(not|no)\b[^.;]{0,30}\b(automatic\w*|renew\w*)/i;
+const NOTICE_BEFORE = /\b(notice|at least|not less than|no less than|no fewer than)\b[^.;]{0,30}$/i;
+const NOTICE_AFTER = /^[^.;]{0,40}\b(notice|prior written|in advance|before|prior to)\b/i;
+const GOVERNING_LAW_REGEX = /\b(?:governed by|construed in accordance with|subject to)\b[^.;]{0,40}?\blaws? of\s+(?:the\s+)?((?:(?:State|Commonwealth|Province|Republic|Kingdom)\s+of\s+)?[A-Z][A-Za-z]*(?:\s+(?:and\s+|of\s+)?[A-Z][A-Za-z]*){0,3})|\blaws? of\s+(?:the\s+)?((?:(?:State|Commonwealth|Province|Republic|Kingdom)\s+of\s+)?[A-Z][A-Za-z]*(?:\s+(?:and\s+|of\s+)?[A-Z][A-Za-z]*){0,3})\s+(?:shall|will)\s+govern/d;
+
+const CURRENCIES = {
+  $: 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY',
+  usd: 'USD', eur: 'EUR', gbp: 'GBP', inr: 'INR', cad: 'CAD', aud: 'AUD', jpy: 'JPY', chf: 'CHF', 'rs.': 'INR', rs: 'INR',
+  dollars: 'USD', euros: 'EUR', pounds: 'GBP', rupees: 'INR'
+};
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 };
+const AMOUNT = '(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d{1,2}))?(?:\\s?(k|thousand|million|m)\\b)?';
+const MONEY_REGEX = new RegExp(
+  `(?:(USD|EUR|GBP|INR|CAD|AUD|JPY|CHF|Rs\\.?)\\s?|([$€£₹¥])\\s?)${AMOUNT}|\\b${AMOUNT}\\s?(USD|EUR|GBP|INR|CAD|AUD|JPY|CHF|dollars|euros|pounds|rupees)\\b`,
+  'g'
+);
+const FREQUENCIES = [
+  ['monthly', /\b(per|a|each|every)\s+(calendar\s+)?month\b|\bmonthly\b/i],
+  ['quarterly', /\b(per|a|each|every)\s+(calendar\s+)?quarter\b|\bquarterly\b/i],
+  ['annual', /\b(per|a|each|every)\s+(year|annum)\b|\b(annual(ly)?|yearly)\b/i],
+  ['weekly', /\b(per|a|each|every)\s+week\b|\bweekly\b/i],
+  ['hourly', /\b(per|an|each|every)\s+hour\b|\bhourly\b/i],
+  ['one-time', /\b(one[- ]time|one[- ]off|lump sum)\b/i]
+];
+const NOT_PAYMENT = /\b(liabilit\w*|insurance|indemn\w*|damages)\b/i;
+
+const OBLIGATION_REGEX = /^(?:\(\w{1,4}\)\s*)?((?:[Tt]he\s+)?[A-Z][\w&'-]*(?:\s+[A-Z][\w&'-]*){0,3}|[Ee]ach [Pp]arty|[Ee]ither [Pp]arty|[Bb]oth [Pp]arties)\s+(shall not|must not|will not|shall|must|will|agrees to|undertakes to|is required to)\s+([\s\S]+?)[.;]?$/;
+const DEADLINE_CUE = /\b(within|no later than|not later than|by|before|prior to|at least|on or before)\s*$/i;
+
+/**
+ * Sentences of a text with their offsets in it.
+ * @returns {Array<{ text, start, end }>}
+ */
+function sentenceSpans(text) {
+  const spans = [];
+  const re = /\S[\s\S]*?(?:[.;!?](?=\s|$)|(?=\n\s*\n)|$)/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (!m[0]) { re.lastIndex++; continue; }
+    spans.push({ text: m[0], start: m.index, end: m.index + m[0].length });
+  }
+  return spans;
+}
+
+/**
+ * A fact value citing chunk.text[start, end).
+ */
+function cite(chunk, start, end, value, method = 'rules') {
+  const offset = Number.isFinite(chunk.start_char) ? chunk.start_char : 0;
+  return {
+    value,
+    text: chunk.text.slice(start, end),
+    chunk_id: chunk.chunk_id,
+    start_char: offset + start,
+    end_char: offset + end,
+    chunk_offsets: { start, end },
+    method
+  };
+}
+
+function period(p) {
+  return { amount: p.amount, unit: p.unit, days: p.days };
+}
+
+function cleanName(name) {
+  return name.replace(/^\s*(?:the\s+)?/i, '').replace(/[\s,]+$/, '');
+}
+
+function extractParties(chunks) {
+  const out = [];
+  for (const chunk of chunks.slice(0, PARTY_SCAN_CHUNKS)) {
+    const between = /\bbetween\s+([\s\S]+?)\s*,?\s+and\s+([\s\S]+?)(?=\.\s+[A-Z]|\.$|;|\n|$)/i.exec(chunk.text);
+    if (between) {
+      let cursor = between.index + between[0].indexOf(between[1]);
+      for (const part of [between[1], between[2]]) {
+        const partStart = chunk.text.indexOf(part, cursor);
+        cursor = partStart + part.length;
+        const nameMatch = /^(?:the\s+)?([^,(]+?)\s*(?:,|\(|$)/i.exec(part);
+        if (!nameMatch) continue;
+        const name = cleanName(nameMatch[1]);
+        if (!name) continue;
+        const nameStart = partStart + part.indexOf(name);
+        const role = ROLE_REGEX.exec(part);
+        out.push(cite(chunk, nameStart, nameStart + name.length, { name, role: role ? role[1].trim() : null }));
+      }
+      if (out.length) return out;
+    }
+  }
+  // no "between X and Y": fall back to defined party roles, e.g. Acme Ltd (the "Supplier")
+  for (const chunk of chunks.slice(0, PARTY_SCAN_CHUNKS)) {
+    const re = new RegExp(DEFINED_PARTY_REGEX.source, 'gi');
+    let m;
+    while ((m = re.exec(chunk.text)) !== null) {
+      const name = cleanName(m[1]);
+      const nameStart = m.index + m[0].indexOf(name);
+      if (!out.some(p => p.value.role === m[2])) {
+        out.push(cite(chunk, nameStart, nameStart + name.length, { name, role: m[2] }));
+      }
+    }
+  }
+  return out;
+}
+
+function extractEffectiveDate(chunk, sentence) {
+  if (!EFFECTIVE_CUE.test(sentence.text)) return null;
+  const date = findDates(sentence.text)[0];
+  if (!date) return null;
+  const start = sentence.start + date.index;
+  return cite(chunk, start, start + date.text.length, { date: date.iso });
+}
+
+function extractTerm(chunk, sentence) {
+  if (!TERM_CUE.test(sentence.text) || NOT_TERM.test(sentence.text)) return null;
+  const p = findPeriods(sentence.text)[0];
+  if (!p) return null;
+  const start = sentence.start + p.index;
+  return cite(chunk, start, start + p.text.length, period(p));
+}
+
+/**
+ * Periods of a sentence split into notice periods (next to "notice", "at least", "prior") and the rest.
+ */
+function splitPeriods(text) {
+  const notice = [];
+  const other = [];
+  for (const p of findPeriods(text)) {
+    const before = text.slice(0, p.index);
+    const after = text.slice(p.index + p.text.length);
+    if (/notice/i.test(text) && (NOTICE_BEFORE.test(before) || NOTICE_AFTER.test(after))) notice.push(p);
+    else other.push(p);
+  }
+  return { notice, other };
+}
+
+function extractRenewal(chunk, sentence) {
+  if (!RENEWAL_CUE.test(sentence.text)) return null;
+  const { other } = splitPeriods(sentence.text);
+  const automatic = AUTOMATIC_RENEWAL.test(sentence.text) && !NOT_AUTOMATIC.test(sentence.text);
+  const renewalTerm = other[0] ? period(other[0]) : null;
+  if (!automatic && !renewalTerm) return null;
+  return cite(chunk, sentence.start, sentence.end, { automatic, renewal_term: renewalTerm });
+}
+
+function extractNoticePeriods(chunk, sentence) {
+  const { notice } = splitPeriods(sentence.text);
+  const purpose = /terminat/i.test(sentence.text) ? 'termination' : (RENEWAL_CUE.test(sentence.text) ? 'renewal' : 'other');
+  return notice.map(p => {
+    const start = sentence.start + p.index;
+    return cite(chunk, start, start + p.text.length, { ...period(p), purpose });
+  });
+}
+
+function extractPayments(chunk, sentence) {
+  if (NOT_PAYMENT.test(sentence.text)) return [];
+  const frequency = (FREQUENCIES.find(([, re]) => re.test(sentence.text)) || [null])[0];
+  const out = [];
+  const re = new RegExp(MONEY_REGEX.source, 'g');
+  let m;
+  while ((m = re.exec(sentence.text)) !== null) {
+    const [symbol, whole, cents, scale, code] = m[1] || m[2] ? [m[1] || m[2], m[3], m[4], m[5], null] : [null, m[6], m[7], m[8], m[9]];
+    const currency = CURRENCIES[String(symbol || code).toLowerCase()] || null;
+    const amount = Number(`${whole.replace(/,/g, '')}.${cents || 0}`) * (scale ? MULTIPLIERS[scale.toLowerCase()] : 1);
+    const start = sentence.start + m.index;
+    out.push(cite(chunk, start, start + m[0].length, { amount, currency, frequency }));
+  }
+  return out;
+}
+
+function extractGoverningLaw(chunk, sentence) {
+  const m = GOVERNING_LAW_REGEX.exec(sentence.text);
+  if (!m) return null;
+  const group = m[1] ? 1 : 2;
+  const [start, end] = m.indices[group];
+  return cite(chunk, sentence.start + start, sentence.start + end, { jurisdiction: m[group] });
+}
+
+/**
+ * Whether a sentence subject names a contracting party ("the Supplier", "Acme", "Each party").
+ */
+function isPartySubject(subject, parties) {
+  const s = cleanName(subject).toLowerCase();
+  if (/^(each|either|both) part(y|ies)$/.test(s)) return true;
+  if (parties.some(p => p.value.name.toLowerCase() === s || String(p.value.role || '').toLowerCase() === s)) return true;
+  return !parties.length && PARTY_ROLES.includes(s);
+}
+
+function extractObligations(chunk, sentence, parties) {
+  const m = OBLIGATION_REGEX.exec(sentence.text.trim());
+  if (!m || !isPartySubject(m[1], parties)) return null;
+  const action = m[3].trim();
+  let deadline = null;
+  const p = findPeriods(action).find(x => DEADLINE_CUE.test(action.slice(0, x.index)));
+  const d = findDates(action).find(x => DEADLINE_CUE.test(action.slice(0, x.index)));
+  if (p) deadline = { ...period(p), text: p.text };
+  else if (d) deadline = { date: d.iso, text: d.text };
+  const lead = sentence.text.length - sentence.text.trimStart().length;
+  return cite(chunk, sentence.start + lead, sentence.start + sentence.text.trimEnd().length, {
+    party: cleanName(m[1]),
+    modality: m[2].toLowerCase(),
+    action,
+    deadline
+  });
+}
+
+function dedupe(values) {
+  const seen = new Set();
+  return values.filter(v => {
+    const key = `${v.chunk_id}:${v.chunk_offsets.start}:${v.chunk_offsets.end}`;
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+/**
+ * Rule-based extraction over every chunk.
+ * @returns {object} facts with every field (lists empty, scalars null when not found)
+ */
+function extractFactsByRules(bundle) {
+  const chunks = bundle.chunks || [];
+  const facts = { parties: extractParties(chunks) };
+  for (const f of SCALAR_FIELDS) facts[f] = null;
+  for (const f of ['notice_periods', 'payments', 'obligations']) facts[f] = [];
+
+  for (const chunk of chunks) {
+    for (const sentence of sentenceSpans(chunk.text)) {
+      facts.effective_date = facts.effective_date || extractEffectiveDate(chunk, sentence);
+      facts.term = facts.term || extractTerm(chunk, sentence);
+      facts.renewal = facts.renewal || extractRenewal(chunk, sentence);
+      facts.governing_law = facts.governing_law || extractGoverningLaw(chunk, sentence);
+      facts.notice_periods.push(...extractNoticePeriods(chunk, sentence));
+      facts.payments.push(...extractPayments(chunk, sentence));
+      const obligation = extractObligations(chunk, sentence, facts.parties);
+      if (obligation) facts.obligations.push(obligation);
+    }
+  }
+  for (const f of LIST_FIELDS) facts[f] = dedupe(facts[f]);
+  return facts;
+}
+
+function buildFactsPrompt(fields, sources) {
+  const text = sources.map(c => `[${c.chunk_id}] ${c.text}`).join('\n\n');
+  return [
+    {
+      role: 'system',
+      content: 'You extract contract facts from the SOURCES. Report only what the sources state; quote the exact words '
+        + '(copied character for character) from the chunk that states each fact. Fields: parties (value: {"name", "role"}), '
+        + 'effective_date (value: the date as written), term (value: the duration as written), governing_law (value: the jurisdiction). '
+        + 'Output MUST BE JSON only: {"facts": [{"field": "...", "chunk_id": "...", "quote": "...", "value": ...}]}'
+    },
+    { role: 'user', content: `FIELDS: ${fields.join(', ')}\n\nSOURCES:\n${text}` }
+  ];
+}
+
+/**
+ * Typed value for a model answer, read back from the quote with the same parsers the rules use.
+ * @returns {object|null} null when the quote does not support the field
+ */
+function normalizeLlmValue(field, quote, value) {
+  if (field === 'effective_date') {
+    const d = findDates(quote)[0];
+    return d ? { offset: d.index, text: d.text, value: { date: d.iso } } : null;
+  }
+  if (field === 'term') {
+    const p = findPeriods(quote)[0];
+    return p ? { offset: p.index, text: p.text, value: period(p) } : null;
+  }
+  if (field === 'governing_law') {
+    const jurisdiction = typeof value === 'string' ? value.trim() : '';
+    const at = jurisdiction ? quote.indexOf(jurisdiction) : -1;
+    return at >= 0 ? { offset: at, text: jurisdiction, value: { jurisdiction } } : null;
+  }
+  if (field === 'parties') {
+    const name = value && typeof value.name === 'string' ? value.name.trim() : '';
+    const at = name ? quote.indexOf(name) : -1;
+    const role = value && typeof value.role === 'string' && value.role.trim() ? value.role.trim() : null;
+    return at >= 0 ? { offset: at, text: name, value: { name, role } } : null;
+  }
+  return null;
+}
+
+/**
+ * Ask the model for the fields the rules missed. Answers whose quote is not in the cited chunk are dropped.
+ * @returns {Promise<boolean>} true when facts were added
+ */
+async function fillWithModel(bundle, facts) {
+  const missing = LLM_FIELDS.filter(f => (Array.isArray(facts[f]) ? !facts[f].length : !facts[f]));
+  if (!missing.length) return false;
+  const sources = (bundle.chunks || []).slice(0, LLM_SOURCE_CHUNKS);
+  const resp = await chatComplete(buildFactsPrompt(missing, sources), {
+    max_tokens: 600,
+    task: 'facts',
+    context: { fields: missing, sources }
+  });
+  const { value } = extractJson(resp.content || '');
+  const answers = value && Array.isArray(value.facts) ? value.facts : [];
+  const byId = new Map(sources.map(c => [c.chunk_id, c]));
+  let added = false;
+  for (const a of answers) {
+    if (!a || !missing.includes(a.field) || typeof a.quote !== 'string' || !a.quote) continue;
+    const chunk = byId.get(a.chunk_id);
+    const at = chunk ? chunk.text.indexOf(a.quote) : -1;
+    if (at < 0) continue;
+    const normalized = normalizeLlmValue(a.field, a.quote, a.value);
+    if (!normalized) continue;
+    const start = at + normalized.offset;
+    const fact = cite(chunk, start, start + normalized.text.length, normalized.value, 'llm');
+    if (a.field === 'parties') facts.parties.push(fact);
+    else if (!facts[a.field]) facts[a.field] = fact;
+    added = true;
+  }
+  facts.parties = dedupe(facts.parties);
+  return added;
+}
+
+/**
+ * Extract the facts of a bundle.
+ * @param {object} bundle
+ * @param {object} opts - { llm: boolean } run the model pass for fields the rules missed (default true)
+ * @returns {Promise<{ facts, llm_assisted }>}
+ */
+async function extractFacts(bundle, opts = {}) {
+  const facts = extractFactsByRules(bundle);
+  let llmAssisted = false;
+  if (opts.llm !== false) {
+    await fillWithModel(bundle, facts);
+    llmAssisted = true;
+  }
+  return { facts, llm_assisted: llmAssisted };
+}
+
+async function loadCachedFacts(bundleId) {
+  try {
+    return await storage.get('facts', bundleId);
+  } catch (err) {
+    if (err instanceof SyntaxError) return null;
+    throw err;
+  }
+}
+
+/**
+ * Facts for a bundle, served from storage/bundles/<bundle_id>-facts.json while the extractor version and the
+ * source checksum still match (an llm request is not served from a rules-only result).
+ * @param {object} bundle
+ * @param {object} opts - { llm (default true), refresh (default false) }
+ * @returns {Promise<object>} { bundle_id, facts_version, source_checksum, llm_assisted, generated_at, facts }
+ */
+async function getBundleFacts(bundle, opts = {}) {
+  const llm = opts.llm !== false;
+  if (!opts.refresh) {
+    const cached = await loadCachedFacts(bundle.bundle_id);
+    if (cached && cached.facts_version === FACTS_VERSION && cached.source_checksum === (bundle.source_checksum || null)
+      && (cached.llm_assisted || !llm)) {
+      return cached;
+    }
+  }
+
+  let extracted;
+  try {
+    extracted = await extractFacts(bundle, { llm });
+  } catch (err) {
+    // the model pass is an extra; keep the rules-only facts
+    console.warn('LLM fact extraction failed:', err.message || err);
+    extracted = await extractFacts(bundle, { llm: false });
+  }
+  const report = {
+    bundle_id: bundle.bundle_id,
+    facts_version: FACTS_VERSION,
+    source_checksum: bundle.source_checksum || null,
+    llm_assisted: extracted.llm_assisted,
+    generated_at: new Date().toISOString(),
+    facts: extracted.facts
+  };
+  return storage.put('facts', bundle.bundle_id, report);
+}
+
+function describeValue(field, v) {
+  const span = p => (p ? `${p.amount} ${p.amount === 1 ? p.unit.replace(/s$/, '') : p.unit}` : '');
+  switch (field) {
+    case 'parties': return v.name;
+    case 'effective_date': return v.date;
+    case 'term': return span(v);
+    case 'renewal': return [v.automatic ? 'automatic' : 'not automatic', span(v.renewal_term)].filter(Boolean).join(', ');
+    case 'notice_periods': return `${span(v)} (${v.purpose})`;
+    case 'payments': return [v.currency, v.amount, v.frequency].filter(x => x !== null && x !== undefined).join(' ');
+    case 'governing_law': return v.jurisdiction;
+    case 'obligations': return [`${v.modality} ${v.action}`, v.deadline ? `deadline: ${v.deadline.text}` : null].filter(Boolean).join('; ');
+    default: return JSON.stringify(v);
+  }
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * One CSV row per extracted value: field, index, party, value, text, chunk_id, start_char, end_char, method.
+ * @param {object} facts - report.facts
+ * @returns {string}
+ */
+function factsToCsv(facts) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const field of FIELDS) {
+    const values = Array.isArray(facts[field]) ? facts[field] : (facts[field] ? [facts[field]] : []);
+    values.forEach((f, i) => {
+      const party = field === 'parties' ? f.value.role : (field === 'obligations' ? f.value.party : '');
+      rows.push([field, i, party, describeValue(field, f.value), f.text, f.chunk_id, f.start_char, f.end_char, f.method].map(csvCell).join(','));
+    });
+  }
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  FACTS_VERSION,
+  FIELDS,
+  extractFacts,
+  getBundleFacts,
+  factsToCsv,
+  extractParties,
+  sentenceSpans,
+  cite,
+  // exported for testing
+  _internals: { extractFactsByRules, normalizeLlmValue, buildFactsPrompt }
+};
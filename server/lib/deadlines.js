@@ -0,0 +1,280 @@
+// server/lib/deadlines.js
+// Dated events of a contract, resolved from its facts (lib/contractFacts.js), behind
+// GET /api/bundles/:bundle_id/timeline and GET /api/bundles/:bundle_id/calendar.ics.
+//
+// Relative terms are resolved against the effective date:
+//   effective_date     the effective date itself
+//   expiry             effective date + term, i.e. the anniversary the term runs up to ("renews automatically"
+//                      is noted on the event)
+//   renewal_opt_out    expiry - renewal notice period: the last day to give notice of non-renewal
+//   payment            recurring payments (monthly, quarterly, annual, weekly) from the effective date until expiry
+//   obligation         obligation deadlines anchored to the effective date ("within 30 days of the Effective
+//                      Date"), to expiry ("90 days before expiry") or given as a date
+//   survival_end       "survives for five (5) years after termination" -> expiry + 5 years
+// Terms that cannot be placed on a date (no effective date, "within 30 days of the invoice") are listed as
+// unresolved with the reason. Every event cites the chunk and offsets of the value it was computed from.
+// The caller can give the effective date (opts.effectiveDate) when the contract states none or another one
+// applies; the effective_date event is then only listed when the contract states a date to cite.
+//
+// Usage:
+//   const { buildTimeline, toICalendar } = require('./deadlines');
+//   const timeline = buildTimeline(bundle, factsReport.facts);  // { anchors, events, unresolved }
+//   buildTimeline(bundle, factsReport.facts, { effectiveDate: '2024-03-01' });
+//   const ics = toICalendar(bundle, timeline.events, { now: new Date() });
+
+const { findPeriods, addPeriod } = require('./periods');
+const { sentenceSpans, cite } = require('./contractFacts');
+const { TAXONOMY } = require('./clauseTaxonomy');
+
+const ALARM_DAYS = 14;           // reminder before deadlines (opt-out, obligations)
+const ICS_LINE_OCTETS = 75;      // RFC 5545 3.1 line length
+const PRODID = '-//LexiClear//Contract deadlines//EN';
+const RECURRING = { monthly: 'MONTHLY', quarterly: 'MONTHLY;INTERVAL=3', annual: 'YEARLY', weekly: 'WEEKLY' };
+
+// "<period> ... of / after / following the Effective Date", "<period> before expiry", "<period> after termination"
+const AFTER_START = /^[^.;]{0,30}?\b(?:of|after|from|following)\s+(?:the\s+)?(?:effective date|execution|signing|commencement|date of this agreement)\b/i;
+const BEFORE_END = /^[^.;]{0,30}?\b(?:before|prior to|preceding)\s+(?:the\s+)?(?:expiry|expiration|end)\b/i;
+const AFTER_END = /^[^.;]{0,30}?\b(?:after|following|from|of)\s+(?:the\s+)?(?:termination|expiry|expiration|end)\b/i;
+const SURVIVAL_CUE = /\bsurviv\w*/i;
+const ENDS_AT_EXPIRY = 'assumes the agreement ends at the end of the initial term';
+
+function source(fact) {
+  return { chunk_id: fact.chunk_id, start_char: fact.start_char, end_char: fact.end_char, text: fact.text };
+}
+
+function periodLabel(p) {
+  const unit = p.amount === 1 ? p.unit.replace(/s$/, '') : p.unit;
+  return `${p.amount} ${p.business ? 'business ' : ''}${unit}`;
+}
+
+/**
+ * The period (with its business-day flag) a fact's text names, e.g. "ten (10) business days".
+ */
+function periodOf(text) {
+  return findPeriods(text)[0] || null;
+}
+
+/**
+ * Place a period on the calendar from the words that follow it in its sentence.
+ * @returns {{ date, basis, assumption }|{ reason }}
+ */
+function resolveRelative(p, after, anchors) {
+  if (AFTER_START.test(after)) {
+    if (!anchors.effective_date) return { reason: 'no effective date found' };
+    return { date: addPeriod(anchors.effective_date, p), basis: `effective date ${anchors.effective_date} + ${periodLabel(p)}`, assumption: null };
+  }
+  if (BEFORE_END.test(after)) {
+    if (!anchors.expiry) return { reason: 'no expiry date (effective date + term) found' };
+    return { date: addPeriod(anchors.expiry, p, -1), basis: `expiry ${anchors.expiry} - ${periodLabel(p)}`, assumption: null };
+  }
+  if (AFTER_END.test(after)) {
+    if (!anchors.expiry) return { reason: 'no expiry date (effective date + term) found' };
+    return { date: addPeriod(anchors.expiry, p), basis: `expiry ${anchors.expiry} + ${periodLabel(p)}`, assumption: ENDS_AT_EXPIRY };
+  }
+  return { reason: 'the period is not measured from the effective date, expiry or termination' };
+}
+
+function clauseLabel(chunk) {
+  const type = chunk.classification && chunk.classification.primary_type;
+  const entry = TAXONOMY.find(t => t.type === type);
+  return entry ? entry.label : 'Surviving';
+}
+
+/**
+ * Events and unresolved terms of a bundle.
+ * @param {object} bundle
+ * @param {object} facts - report.facts from getBundleFacts
+ * @param {object} opts - { effectiveDate: 'YYYY-MM-DD' } used instead of the stated effective date
+ * @returns {{ anchors: { effective_date, expiry }, events: object[], unresolved: object[] }}
+ */
+function buildTimeline(bundle, facts, opts = {}) {
+  const events = [];
+  const unresolved = [];
+  const counts = {};
+  const add = (kind, event) => {
+    counts[kind] = (counts[kind] || 0) + 1;
+    events.push({ event_id: `${kind}-${counts[kind]}`, kind, recurrence: null, assumption: null, alarm_days: null, ...event });
+  };
+
+  const stated = facts.effective_date ? facts.effective_date.value.date : null;
+  const effective = opts.effectiveDate || stated;
+  const term = facts.term ? periodOf(facts.term.text) : null;
+  const expiry = effective && term ? addPeriod(effective, term) : null;
+  const anchors = { effective_date: effective, expiry };
+
+  if (stated) {
+    const basis = effective === stated ? `stated: "${facts.effective_date.text}"` : `given as ${effective} (the contract states "${facts.effective_date.text}")`;
+    add('effective_date', { title: 'Agreement takes effect', date: effective, basis, source: source(facts.effective_date) });
+  }
+  if (expiry) {
+    const renewal = facts.renewal && facts.renewal.value;
+    const renews = renewal && renewal.automatic
+      ? ` (renews automatically${renewal.renewal_term ? ` for ${periodLabel(renewal.renewal_term)}` : ''})`
+      : '';
+    add('expiry', { title: `Initial term ends${renews}`, date: expiry, basis: `effective date ${effective} + ${periodLabel(term)}`, source: source(facts.term) });
+  } else if (facts.term) {
+    unresolved.push({ kind: 'expiry', reason: 'no effective date found', source: source(facts.term) });
+  }
+
+  for (const notice of facts.notice_periods.filter(n => n.value.purpose === 'renewal')) {
+    if (!facts.renewal || !facts.renewal.value.automatic) continue;
+    if (!expiry) {
+      unresolved.push({ kind: 'renewal_opt_out', reason: 'no expiry date (effective date + term) found', source: source(notice) });
+      continue;
+    }
+    const p = periodOf(notice.text);
+    add('renewal_opt_out', {
+      title: `Last day to give notice of non-renewal (${periodLabel(p)} before expiry)`,
+      date: addPeriod(expiry, p, -1),
+      basis: `expiry ${expiry} - ${periodLabel(p)}`,
+      alarm_days: ALARM_DAYS,
+      source: source(notice)
+    });
+  }
+
+  for (const payment of facts.payments) {
+    const { amount, currency, frequency } = payment.value;
+    const label = `${currency || ''} ${amount.toLocaleString('en-US')}`.trim();
+    if (!RECURRING[frequency]) {
+      unresolved.push({ kind: 'payment', reason: `${frequency || 'unscheduled'} payment of ${label} has no due date`, source: source(payment) });
+    } else if (!effective) {
+      unresolved.push({ kind: 'payment', reason: 'no effective date found', source: source(payment) });
+    } else {
+      add('payment', {
+        title: `${frequency[0].toUpperCase()}${frequency.slice(1)} payment of ${label}`,
+        date: effective,
+        // the last payment falls inside the term, before the expiry date
+        recurrence: { rule: RECURRING[frequency], until: expiry ? addPeriod(expiry, { amount: 1, unit: 'days' }, -1) : null },
+        basis: `${frequency} from the effective date ${effective}${expiry ? ` until expiry ${expiry}` : ''}`,
+        source: source(payment)
+      });
+    }
+  }
+
+  for (const obligation of facts.obligations) {
+    const { party, action, deadline } = obligation.value;
+    if (!deadline) continue;
+    const title = `${party}: ${action.length > 80 ? `${action.slice(0, 80)}...` : action}`;
+    if (deadline.date) {
+      add('obligation', { title, date: deadline.date, basis: `stated: "${deadline.text}"`, alarm_days: ALARM_DAYS, source: source(obligation) });
+      continue;
+    }
+    const at = action.indexOf(deadline.text);
+    const resolved = resolveRelative(periodOf(deadline.text), action.slice(at + deadline.text.length), anchors);
+    if (resolved.reason) unresolved.push({ kind: 'obligation', reason: `"${deadline.text}": ${resolved.reason}`, source: source(obligation) });
+    else add('obligation', { title, date: resolved.date, basis: resolved.basis, assumption: resolved.assumption, alarm_days: ALARM_DAYS, source: source(obligation) });
+  }
+
+  for (const chunk of bundle.chunks || []) {
+    for (const sentence of sentenceSpans(chunk.text)) {
+      if (!SURVIVAL_CUE.test(sentence.text)) continue;
+      for (const p of findPeriods(sentence.text)) {
+        const start = sentence.start + p.index;
+        const fact = cite(chunk, start, start + p.text.length, null);
+        const resolved = resolveRelative(p, sentence.text.slice(p.index + p.text.length), anchors);
+        if (resolved.reason) {
+          unresolved.push({ kind: 'survival_end', reason: `"${p.text}": ${resolved.reason}`, source: source(fact) });
+          continue;
+        }
+        add('survival_end', {
+          title: `${clauseLabel(chunk)} obligations end (survive ${periodLabel(p)})`,
+          date: resolved.date,
+          basis: resolved.basis,
+          assumption: resolved.assumption,
+          source: source(fact)
+        });
+      }
+    }
+  }
+
+  events.sort((a, b) => (a.date < b.date ? -1 : (a.date > b.date ? 1 : 0)));
+  return { anchors, events, unresolved };
+}
+
+// RFC 5545 3.3.11: backslash, semicolon, comma and newlines are escaped in TEXT values
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 3.1: lines longer than 75 octets continue on the next line after CRLF + space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, 'utf8');
+    if (octets + size > (parts.length ? ICS_LINE_OCTETS - 1 : ICS_LINE_OCTETS)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDate(iso) {
+  return iso.replace(/-/g, '');
+}
+
+function icsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Serialize timeline events as an RFC 5545 calendar of all-day events. UIDs are stable per bundle and event
+ * so a re-imported calendar updates the events instead of duplicating them.
+ * @param {object} bundle
+ * @param {object[]} events - buildTimeline(...).events
+ * @param {object} opts - { now: Date } DTSTAMP (default: current time)
+ * @returns {string}
+ */
+function toICalendar(bundle, events, opts = {}) {
+  const stamp = icsTimestamp(opts.now || new Date());
+  const name = bundle.doc_title || bundle.bundle_id;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${name} deadlines`)}`
+  ];
+  for (const e of events) {
+    const description = [
+      e.basis,
+      e.assumption ? `Note: ${e.assumption}.` : null,
+      `Source: ${e.source.chunk_id} (characters ${e.source.start_char}-${e.source.end_char}): "${e.source.text}"`
+    ].filter(Boolean).join('\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${bundle.bundle_id}-${e.event_id}@lexiclear`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(addPeriod(e.date, { amount: 1, unit: 'days' }))}`,
+      `SUMMARY:${escapeText(e.title)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `CATEGORIES:${escapeText(e.kind)}`,
+      `X-LEXICLEAR-BUNDLE-ID:${escapeText(bundle.bundle_id)}`,
+      `X-LEXICLEAR-CHUNK-ID:${escapeText(e.source.chunk_id)}`
+    );
+    if (e.recurrence) {
+      lines.push(`RRULE:FREQ=${e.recurrence.rule}${e.recurrence.until ? `;UNTIL=${icsDate(e.recurrence.until)}` : ''}`);
+    }
+    if (e.alarm_days) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:-P${e.alarm_days}D`, `DESCRIPTION:${escapeText(e.title)}`, 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  buildTimeline,
+  toICalendar,
+  // exported for testing
+  _internals: { resolveRelative, escapeText, foldLine }
+};
@@ -0,0 +1,237 @@
+// server/lib/documentParser.js
+// Extracts plain text from uploaded documents while keeping page boundaries and headings,
+// so bundle chunks can carry origin_page and section_header.
+//
+// Supported: .pdf (pdf-parse), .docx (jszip + word/document.xml), .txt, .md
+//
+// Usage:
+//   const { parseDocument } = require('./documentParser');
+//   const doc = await parseDocument(buffer, 'contract.pdf');
+//   // doc = { text, format, pages: [{ page, start_char, end_char }], headings: [{ text, level, start_char }] }
+//
+// Offsets are character indices into doc.text (the exact string that will be chunked).
+
+const path = require('path');
+
+const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.txt', '.md'];
+const PAGE_SEPARATOR = '\n\n';
+
+/** Error for inputs we cannot handle (unsupported type, corrupt file, no text). */
+class DocumentParseError extends Error {
+  constructor(message, code = 'PARSE_FAILED') {
+    super(message);
+    this.name = 'DocumentParseError';
+    this.code = code;
+  }
+}
+
+function formatFromFilename(filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  return SUPPORTED_EXTENSIONS.includes(ext) ? ext.slice(1) : null;
+}
+
+/**
+ * Join per-page texts into one string and record each page's character range.
+ * @param {string[]} pageTexts
+ */
+function joinPages(pageTexts) {
+  let text = '';
+  const pages = [];
+  pageTexts.forEach((pageText, i) => {
+    if (i > 0) text += PAGE_SEPARATOR;
+    const start = text.length;
+    text += pageText;
+    pages.push({ page: i + 1, start_char: start, end_char: text.length });
+  });
+  return { text, pages };
+}
+
+/**
+ * Heuristic heading detection for formats without style information (PDF, TXT):
+ * short lines that are ALL CAPS, numbered ("7. Termination", "Section 3.2 Fees") or "ARTICLE IV".
+ */
+function detectHeadings(text) {
+  const headings = [];
+  const lineRe = /[^\n]+/g;
+  let m;
+  while ((m = lineRe.exec(text)) !== null) {
+    const line = m[0].trim();
+    if (line.length < 3 || line.length > 80 || /[.;:,]$/.test(line)) continue;
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    const allCaps = letters.length >= 3 && letters === letters.toUpperCase();
+    const numbered = /^(\d+(\.\d+)*\.?|[IVXLC]+\.)\s+[A-Z]/.test(line) && line.split(/\s+/).length <= 8;
+    const article = /^(ARTICLE|Article|SECTION|Section|SCHEDULE|Schedule)\s+[\dIVXLC]+/.test(line);
+    if (allCaps || numbered || article) {
+      headings.push({ text: line, level: 1, start_char: m.index + (m[0].length - m[0].trimStart().length) });
+    }
+  }
+  return headings;
+}
+
+/* ---------------------
+   Plain text / Markdown
+   ---------------------*/
+
+function parseText(buffer, format) {
+  const raw = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  // Form feeds mark page breaks in text exports
+  const { text, pages } = joinPages(raw.split('\f'));
+  let headings;
+  if (format === 'md') {
+    headings = [];
+    const re = /^(#{1,6})\s+(.+?)\s*#*\s*$/gm;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      headings.push({ text: m[2], level: m[1].length, start_char: m.index });
+    }
+  } else {
+    headings = detectHeadings(text);
+  }
+  return { text, pages, headings };
+}
+
+/* ---------------------
+   PDF
+   ---------------------*/
+
+async function parsePdf(buffer) {
+  // lib path avoids pdf-parse's debug harness in its index.js
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const pageTexts = [];
+
+  // Render each page ourselves so we know where one page ends and the next begins.
+  async function renderPage(pageData) {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let out = '';
+    for (const item of content.items) {
+      const y = item.transform[5];
+      if (lastY !== undefined && y !== lastY) out += '\n';
+      out += item.str;
+      lastY = y;
+    }
+    pageTexts[pageData.pageIndex] = out.replace(/[ \t]+\n/g, '\n').trim();
+    return out;
+  }
+
+  try {
+    // Copy into a standalone array: small Node Buffers live at an offset inside a shared pool,
+    // and pdf.js reads the underlying ArrayBuffer from byte 0.
+    await pdfParse(new Uint8Array(buffer), { pagerender: renderPage });
+  } catch (err) {
+    throw new DocumentParseError(`Could not read PDF: ${err.message || err}`);
+  }
+
+  const { text, pages } = joinPages(Array.from(pageTexts, t => t || ''));
+  return { text, pages, headings: detectHeadings(text) };
+}
+
+/* ---------------------
+   DOCX
+   ---------------------*/
+
+function decodeXml(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+async function parseDocx(buffer) {
+  const JSZip = require('jszip');
+  let xml;
+  try {
+    const zip = await JSZip.loadAsync(buffer);
+    const entry = zip.file('word/document.xml');
+    if (!entry) throw new Error('word/document.xml missing');
+    xml = await entry.async('string');
+  } catch (err) {
+    throw new DocumentParseError(`Could not read DOCX: ${err.message || err}`);
+  }
+
+  let text = '';
+  const pageStarts = [0];
+  const headings = [];
+
+  // Word marks page breaks explicitly (<w:br w:type="page"/>, pageBreakBefore) and where it last
+  // rendered one (<w:lastRenderedPageBreak/>); both can sit at the same spot, so dedupe by offset.
+  const breakPage = (offset) => {
+    if (offset > 0 && pageStarts[pageStarts.length - 1] !== offset) pageStarts.push(offset);
+  };
+
+  const paraRe = /<w:p[\s>][\s\S]*?<\/w:p>/g;
+  const tokenRe = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br([^>]*)\/>|<w:lastRenderedPageBreak\/>/g;
+  let p;
+  while ((p = paraRe.exec(xml)) !== null) {
+    const para = p[0];
+    const paraStart = text.length > 0 ? text.length + PAGE_SEPARATOR.length : 0;
+    let body = '';
+    if (/<w:pageBreakBefore(?:\s+w:val="(?:1|true|on)")?\s*\/>/.test(para)) breakPage(paraStart);
+
+    let t;
+    tokenRe.lastIndex = 0;
+    while ((t = tokenRe.exec(para)) !== null) {
+      if (t[1] !== undefined) {
+        body += decodeXml(t[1]);
+      } else if (t[0] === '<w:tab/>') {
+        body += '\t';
+      } else if (t[0].startsWith('<w:br')) {
+        if (/w:type="page"/.test(t[2] || '')) breakPage(paraStart + body.length);
+        else body += '\n';
+      } else {
+        breakPage(paraStart + body.length);
+      }
+    }
+
+    if (!body.trim()) continue;
+    if (text.length > 0) text += PAGE_SEPARATOR;
+    const style = (para.match(/<w:pStyle w:val="([^"]+)"/) || [])[1] || '';
+    const headingMatch = style.match(/^(?:Heading|heading)\s*(\d)$/) || (style === 'Title' ? [style, '0'] : null);
+    if (headingMatch) {
+      headings.push({ text: body.trim(), level: Number(headingMatch[1]), start_char: text.length });
+    }
+    text += body;
+  }
+
+  const pages = pageStarts
+    .filter((start, i) => i === 0 || start < text.length)
+    .map((start, i, arr) => ({
+      page: i + 1,
+      start_char: start,
+      end_char: i + 1 < arr.length ? arr[i + 1] : text.length
+    }));
+  return { text, pages, headings };
+}
+
+/**
+ * Parse an uploaded document.
+ * @param {Buffer} buffer - file contents
+ * @param {string} filename - original filename (extension selects the parser)
+ * @returns {Promise<{ text, format, pages, headings }>}
+ */
+async function parseDocument(buffer, filename) {
+  const format = formatFromFilename(filename);
+  if (!format) {
+    throw new DocumentParseError(`Unsupported file type. Allowed: ${SUPPORTED_EXTENSIONS.join(', ')}`, 'UNSUPPORTED_TYPE');
+  }
+
+  let doc;
+  if (format === 'pdf') doc = await parsePdf(buffer);
+  else if (format === 'docx') doc = await parseDocx(buffer);
+  else doc = parseText(buffer, format);
+
+  if (!doc.text || !doc.text.trim()) {
+    throw new DocumentParseError('No extractable text found (scanned PDFs need OCR first).', 'NO_TEXT');
+  }
+  return { ...doc, format };
+}
+
+module.exports = {
+  parseDocument,
+  DocumentParseError,
+  SUPPORTED_EXTENSIONS,
+  formatFromFilename,
+  // exported for testing
+  _internals: { detectHeadings, joinPages, decodeXml }
+};
@@ -0,0 +1,118 @@
+// server/lib/documentView.js
+// The original document as the viewer shows it, rebuilt from a bundle's chunks, and where citations point in it.
+//
+// Bundles keep chunks, not the uploaded text. The chunks are laid out in start_char order: a gap between two
+// chunks becomes a space (one character) or a paragraph break (more), and the sentences a chunk shares with
+// the previous one (paragraph+sentences overlap) are shown once. Every chunk's text is a contiguous range
+// [view_start, view_end) of the rebuilt text, so highlights are chunk offsets plus view_start.
+//
+// Usage:
+//   const { buildDocumentView, resolveCitations } = require('./documentView');
+//   const view = buildDocumentView(bundle);
+//   // { text, chunks: [{ chunk_id, start_char, end_char, view_start, view_end, section_header, origin_page }] }
+//   const items = resolveCitations(bundle, [{ text: answer }, { chunk_id, snippet: clause.original }]);
+//   // [{ citations: [{ chunk_id, known, status: 'verified'|'unverified'|'unquoted', snippet, match }] }]
+//
+// Snippets are matched with the verifier's doesSnippetMatchChunk (lib/verifier.js, locateSnippet).
+//
+// Env: none
+
+const { extractChunkIds, locateSnippet, _internals } = require('./verifier');
+
+const { extractQuotedSnippets, mapChunksById } = _internals;
+
+/**
+ * Length of the longest prefix of `next` that `prev` ends with, tried at word boundaries (overlapping chunks
+ * repeat whole sentences).
+ * @param {string} prev
+ * @param {string} next
+ * @returns {number}
+ */
+function sharedOverlap(prev, next) {
+  for (let k = Math.min(prev.length, next.length); k > 0; k--) {
+    if ((k === next.length || next[k] === ' ') && prev.endsWith(next.slice(0, k))) return k;
+  }
+  return 0;
+}
+
+/**
+ * Rebuild the document text from the bundle's chunks.
+ * @param {object} bundle - stored MCP bundle
+ * @returns {{ text: string, chunks: object[] }}
+ */
+function buildDocumentView(bundle) {
+  const ordered = (bundle.chunks || [])
+    .filter(c => c && typeof c.text === 'string')
+    .slice()
+    .sort((a, b) => a.start_char - b.start_char);
+  let text = '';
+  let prev = null;
+  const chunks = [];
+  for (const c of ordered) {
+    let viewStart;
+    const overlap = prev && c.start_char < prev.end_char ? sharedOverlap(prev.text, c.text) : 0;
+    if (overlap > 0) {
+      viewStart = text.length - overlap;
+      text += c.text.slice(overlap);
+    } else {
+      if (prev) text += c.start_char - prev.end_char > 1 ? '\n\n' : ' ';
+      viewStart = text.length;
+      text += c.text;
+    }
+    chunks.push({
+      chunk_id: c.chunk_id,
+      start_char: c.start_char,
+      end_char: c.end_char,
+      view_start: viewStart,
+      view_end: viewStart + c.text.length,
+      section_header: c.section_header || null,
+      origin_page: c.origin_page ?? null
+    });
+    prev = c;
+  }
+  return { text, chunks };
+}
+
+/**
+ * One citation: the first candidate snippet that matches the chunk decides.
+ * status is "verified" when a snippet matched, "unquoted" when there was nothing to check and "unverified"
+ * when the chunk is unknown or no snippet matched.
+ * @param {Map} chunkMap
+ * @param {string} chunkId
+ * @param {string[]} snippets - candidate quotes
+ * @returns {object}
+ */
+function resolveCitation(chunkMap, chunkId, snippets) {
+  const chunk = chunkMap.get(chunkId);
+  if (!chunk) return { chunk_id: chunkId, known: false, status: 'unverified', snippet: null, match: null };
+  for (const snippet of snippets) {
+    const match = locateSnippet(snippet, chunk.text);
+    if (match.matched) return { chunk_id: chunkId, known: true, status: 'verified', snippet, match };
+  }
+  return { chunk_id: chunkId, known: true, status: snippets.length ? 'unverified' : 'unquoted', snippet: snippets[0] || null, match: null };
+}
+
+/**
+ * Resolve the citations of simplification items and chat answers.
+ * An item with a chunk_id cites that chunk with its snippet (e.g. a clause's `original`); an item with text
+ * cites every chunk id in it, checked against the quoted snippets of the text, as verifyResponseAgainstBundle does.
+ * @param {object} bundle
+ * @param {Array<{ text?: string, chunk_id?: string, snippet?: string }>} items
+ * @returns {Array<{ citations: object[] }>} match offsets are into the chunk's text
+ */
+function resolveCitations(bundle, items) {
+  const chunkMap = mapChunksById(bundle);
+  return items.map(item => {
+    const quoted = item.text ? extractQuotedSnippets(item.text) : [];
+    if (item.chunk_id) {
+      const snippets = item.snippet ? [item.snippet] : quoted;
+      return { citations: [resolveCitation(chunkMap, item.chunk_id, snippets)] };
+    }
+    return { citations: extractChunkIds(item.text || '').map(id => resolveCitation(chunkMap, id, quoted)) };
+  });
+}
+
+module.exports = {
+  buildDocumentView,
+  resolveCitations
+};
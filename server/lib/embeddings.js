@@ -1,170 +1,101 @@
 // server/lib/embeddings.js
-// Utilities for calling OpenAI (chat completions) and embeddings.
-// Dependencies: node-fetch@2, dotenv
+// Model access for the server: chat completions and embeddings, routed through the
+// provider selected by LLM_PROVIDER (see lib/providers/index.js).
+// Everything sent to the provider is redacted first and placeholders in replies are restored
+// (see lib/piiRedaction.js).
+// Dependencies: dotenv
 //
 // Usage:
-//   const { callOpenAI, getEmbedding, batchGetEmbeddings } = require('./embeddings');
-//   const resp = await callOpenAI([{role:'system', content:'You are...'}, {role:'user', content:'Hi'}]);
+//   const { chatComplete, getEmbedding, batchGetEmbeddings } = require('./embeddings');
+//   const { content } = await chatComplete([{role:'system', content:'You are...'}, {role:'user', content:'Hi'}]);
 //   const emb = await getEmbedding("Some text");
 
 require('dotenv').config();
-const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
-
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_KEY) {
-  console.warn('WARNING: OPENAI_API_KEY not set in environment.');
-}
-
-const EMBED_MODEL = process.env.EMBED_MODEL || 'text-embedding-3-small';
-const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4o-mini';
-
-const OPENAI_BASE = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
-const MAX_RETRIES = 3;
-const RETRY_BACKOFF_MS = 500;
+const { getProvider } = require('./providers');
+const { activeRedactor } = require('./piiRedaction');
 
 /**
- * Basic exponential-backoff retry helper.
- * @param {Function} fn async function that returns a Promise
- * @param {number} retries
+ * Describe the active provider/models (used for bundle metadata and logs).
+ * @returns {{ provider: string, llm_model: string, embedding_model: string }}
  */
-async function withRetry(fn, retries = MAX_RETRIES) {
-  let attempt = 0;
-  while (true) {
-    try {
-      return await fn();
-    } catch (err) {
-      attempt++;
-      if (attempt > retries) throw err;
-      const wait = RETRY_BACKOFF_MS * Math.pow(2, attempt - 1);
-      console.warn(`Call failed (attempt ${attempt}). Retrying in ${wait}ms. Error: ${err.message || err}`);
-      await new Promise((r) => setTimeout(r, wait));
-    }
-  }
+function getModelInfo() {
+  const p = getProvider();
+  return { provider: p.name, llm_model: p.chatModel, embedding_model: p.embedModel };
 }
 
 /**
- * Call the OpenAI Chat Completions endpoint.
- * Returns the raw parsed JSON response.
- * 
+ * Chat completion through the active provider.
+ *
  * messages: [{role:'system'|'user'|'assistant', content: '...'}, ...]
- * max_tokens: number (optional)
+ * opts: {
+ *   max_tokens, temperature, model,
+ *   task: 'simplify'|'ask'|...   // lets the offline provider pick a template
+ *   context: { sources: [{chunk_id, text}], question, ... },
+ *   onToken: (text) => void      // stream the reply (providers without chatStream send it in one piece)
+ * }
+ * The provider sees message contents and context strings with personal data replaced by placeholders;
+ * `content` and streamed tokens come back with the values restored (`raw` stays as the provider sent it).
+ * @returns {Promise<{ content: string, raw: object, model: string, provider: string }>}
  */
-async function callOpenAI(messages, max_tokens = 800, model = LLM_MODEL, temperature = 0.0) {
-  if (!OPENAI_KEY) throw new Error('OPENAI_API_KEY not configured');
-
-  const body = {
-    model,
-    messages,
-    max_tokens,
-    temperature
-  };
-
-  return withRetry(async () => {
-    const res = await fetch(`${OPENAI_BASE}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      const err = new Error(`OpenAI Chat API error ${res.status}: ${text}`);
-      err.status = res.status;
-      throw err;
-    }
-    const json = await res.json();
-    return json;
-  });
+async function chatComplete(messages, opts = {}) {
+  const provider = getProvider();
+  const redactor = activeRedactor();
+  const { onToken, ...chatOpts } = opts;
+  if (redactor) {
+    messages = messages.map(m => ({ ...m, content: redactor.redact(m.content) }));
+    if (chatOpts.context) chatOpts.context = redactor.redactDeep(chatOpts.context);
+  }
+  const restore = result => ({ ...result, content: redactor ? redactor.restore(result.content) : result.content, provider: provider.name });
+  if (!onToken) return restore(await provider.chat(messages, chatOpts));
+
+  const stream = redactor ? redactor.streamRestorer(onToken) : { push: onToken, flush: () => {} };
+  if (provider.chatStream) {
+    const result = await provider.chatStream(messages, chatOpts, t => stream.push(t));
+    stream.flush();
+    return restore(result);
+  }
+  const result = await provider.chat(messages, chatOpts);
+  stream.push(result.content);
+  stream.flush();
+  return restore(result);
 }
 
 /**
  * Get a single embedding vector for `text`.
  * Returns an array of floats.
  */
-async function getEmbedding(text, model = EMBED_MODEL) {
-  if (!OPENAI_KEY) throw new Error('OPENAI_API_KEY not configured');
+async function getEmbedding(text) {
   if (typeof text !== 'string') text = String(text);
-
-  const body = {
-    input: text,
-    model
-  };
-
-  return withRetry(async () => {
-    const res = await fetch(`${OPENAI_BASE}/embeddings`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      const err = new Error(`OpenAI Embeddings API error ${res.status}: ${text}`);
-      err.status = res.status;
-      throw err;
-    }
-
-    const json = await res.json();
-    if (!json.data || !json.data[0] || !json.data[0].embedding) {
-      throw new Error('Unexpected embeddings response: ' + JSON.stringify(json));
-    }
-    return json.data[0].embedding;
-  });
+  const redactor = activeRedactor();
+  if (redactor) text = redactor.redact(text);
+  const [embedding] = await getProvider().embed([text]);
+  if (!embedding) throw new Error('Embedding provider returned no vector');
+  return embedding;
 }
 
 /**
  * Batch embeddings for an array of texts.
- * Returns array of embeddings in the same order as texts.
- * batchSize controls how many texts we send per request (OpenAI supports batching).
+ * Returns array of embeddings (or null on a per-item failure) in the same order as texts.
+ * batchSize controls how many texts we send per provider call.
  */
-async function batchGetEmbeddings(texts = [], batchSize = 16, model = EMBED_MODEL) {
+async function batchGetEmbeddings(texts = [], batchSize = 16) {
   if (!Array.isArray(texts)) throw new Error('texts must be an array');
 
+  const provider = getProvider();
+  const redactor = activeRedactor();
   const embeddings = [];
   for (let i = 0; i < texts.length; i += batchSize) {
-    const batch = texts.slice(i, i + batchSize);
-    // For embeddings endpoint we can pass array of inputs
-    const body = { input: batch, model };
-    const resJson = await withRetry(async () => {
-      const res = await fetch(`${OPENAI_BASE}/embeddings`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${OPENAI_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
-      });
-      if (!res.ok) {
-        const txt = await res.text();
-        const err = new Error(`OpenAI embeddings batch error ${res.status}: ${txt}`);
-        err.status = res.status;
-        throw err;
-      }
-      return res.json();
-    });
-
-    if (!resJson.data || !Array.isArray(resJson.data)) {
-      throw new Error('Unexpected batch embeddings response: ' + JSON.stringify(resJson));
-    }
-
-    // resJson.data[i] corresponds to batch[i]
-    for (const item of resJson.data) {
-      if (!item || !item.embedding) {
-        embeddings.push(null);
-      } else {
-        embeddings.push(item.embedding);
-      }
+    const batch = texts.slice(i, i + batchSize)
+      .map(t => (typeof t === 'string' ? t : String(t)))
+      .map(t => (redactor ? redactor.redact(t) : t));
+    const vectors = await provider.embed(batch);
+    for (let j = 0; j < batch.length; j++) embeddings.push(vectors[j] || null);
+    // small throttle to be safe with remote providers
+    if (provider.batchThrottleMs && i + batchSize < texts.length) {
+      await new Promise((r) => setTimeout(r, provider.batchThrottleMs));
     }
-    // small throttle to be safe
-    await new Promise((r) => setTimeout(r, 100));
   }
   return embeddings;
 }
@@ -220,7 +151,8 @@ function loadEmbeddingsFromFile(filepath = './server/storage/embeddings.json') {
 }
 
 module.exports = {
-  callOpenAI,
+  chatComplete,
+  getModelInfo,
   getEmbedding,
   batchGetEmbeddings,
   cosineSimilarity,
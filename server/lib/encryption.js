@@ -0,0 +1,362 @@
+// server/lib/encryption.js
+// Encryption at rest for stored JSON records (envelope encryption, AES-256-GCM).
+//
+// Every encrypted file gets its own random 256-bit data key. The record is encrypted with the data key, and
+// the data key is wrapped (AES-256-GCM) with the master key. The file stays JSON:
+//   { "lexiclear_envelope": "v1", "alg": "AES-256-GCM", "kek_id": "<sha256 of the master key, 16 hex>",
+//     "wrapped_key": "<base64 iv|tag|key>", "iv": "...", "tag": "...", "ciphertext": "..." }
+// The file name is authenticated too (GCM additional data), so an envelope cannot be swapped into another
+// record's file. Rotating the master key only re-wraps data keys; the ciphertext is left as is.
+//
+// The master keys are parsed once and cached; they are re-read when the ENCRYPTION_* variables change and
+// by reloadMasterKeys() (called by migrateStorage and rotateStorage, e.g. after a new keyfile is written).
+//
+// Covered: the collections lib/storage.js marks encrypted - bundles, their -meta.json / -result.json /
+// -facts.json files, /api/ask logs, chat sessions, comparisons and users - and the vector index files
+// (lib/vectorIndex.js). Tombstones stay plaintext: they hold counts, dates and a hashed uploader, no content.
+// Reads are transparent: plaintext records still load, so existing storage keeps working until migrated
+// (scripts/encrypt_storage.js migrate).
+//
+// Usage:
+//   const { encodeRecord, decodeRecord, encryptionEnabled, reloadMasterKeys } = require('./encryption');
+//   const text = encodeRecord(bundle, 'bundle-1-ab12cd34.json');  // envelope when a master key is configured
+//   const bundle = decodeRecord(text, 'bundle-1-ab12cd34.json');  // either format
+//   reloadMasterKeys();                                            // after replacing ENCRYPTION_KEYFILE
+//
+// Env:
+//  - ENCRYPTION_MASTER_KEY     32-byte master key, base64 or hex; enables encryption of new writes
+//  - ENCRYPTION_KEYFILE        file holding the master key instead (scripts/encrypt_storage.js generate-key)
+//  - ENCRYPTION_PREVIOUS_KEYS  comma-separated earlier master keys, still accepted for reading (key rotation)
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ENVELOPE_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const WRAP_AAD = Buffer.from('lexiclear-data-key');
+
+// { source, keys }: the keys parsed from the env values in `source`
+let cachedKeys = null;
+
+/**
+ * Parse a master key given as base64 or hex.
+ * @returns {Buffer}
+ */
+function parseKey(text, source) {
+  const value = String(text || '').trim();
+  let key = null;
+  if (/^[0-9a-fA-F]{64}$/.test(value)) key = Buffer.from(value, 'hex');
+  else if (/^[A-Za-z0-9+/]{43}=?$/.test(value)) key = Buffer.from(value, 'base64');
+  if (!key || key.length !== KEY_BYTES) {
+    throw new Error(`${source} must be a 32-byte key, base64 or hex encoded (see scripts/encrypt_storage.js generate-key)`);
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * The configured master keys: the current one (used for new writes) and earlier ones (read only).
+ * Cached until the ENCRYPTION_* variables change or reloadMasterKeys() is called.
+ * @returns {{ current: { id, key }|null, all: Map<string, Buffer> }}
+ */
+function masterKeys() {
+  const source = [process.env.ENCRYPTION_MASTER_KEY, process.env.ENCRYPTION_KEYFILE, process.env.ENCRYPTION_PREVIOUS_KEYS].join('\n');
+  if (!cachedKeys || cachedKeys.source !== source) cachedKeys = { source, keys: loadMasterKeys() };
+  return cachedKeys.keys;
+}
+
+/**
+ * Drop the cached master keys, so the next use reads the environment and the keyfile again.
+ */
+function reloadMasterKeys() {
+  cachedKeys = null;
+}
+
+/**
+ * Parse the master keys from the environment (and the keyfile).
+ * @returns {{ current: { id, key }|null, all: Map<string, Buffer> }}
+ */
+function loadMasterKeys() {
+  let current = null;
+  if (process.env.ENCRYPTION_MASTER_KEY) {
+    current = parseKey(process.env.ENCRYPTION_MASTER_KEY, 'ENCRYPTION_MASTER_KEY');
+  } else if (process.env.ENCRYPTION_KEYFILE) {
+    let text;
+    try {
+      text = fs.readFileSync(process.env.ENCRYPTION_KEYFILE, 'utf8');
+    } catch (err) {
+      throw new Error(`ENCRYPTION_KEYFILE cannot be read: ${err.message}`);
+    }
+    current = parseKey(text, `ENCRYPTION_KEYFILE (${process.env.ENCRYPTION_KEYFILE})`);
+  }
+  const all = new Map();
+  if (current) all.set(keyId(current), current);
+  for (const k of String(process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const key = parseKey(k, 'ENCRYPTION_PREVIOUS_KEYS');
+    if (!all.has(keyId(key))) all.set(keyId(key), key);
+  }
+  return { current: current && { id: keyId(current), key: current }, all };
+}
+
+/**
+ * Whether new writes are encrypted (a master key is configured).
+ */
+function encryptionEnabled() {
+  return !!(process.env.ENCRYPTION_MASTER_KEY || process.env.ENCRYPTION_KEYFILE);
+}
+
+function isEnvelope(value) {
+  return !!value && typeof value === 'object' && value.lexiclear_envelope === ENVELOPE_VERSION;
+}
+
+function gcmEncrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function gcmDecrypt(key, { iv, tag, ciphertext }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapKey(masterKey, dataKey) {
+  const { iv, tag, ciphertext } = gcmEncrypt(masterKey, dataKey, WRAP_AAD);
+  return Buffer.concat([iv, tag, ciphertext]).toString('base64');
+}
+
+function unwrapKey(masterKey, wrapped) {
+  const buf = Buffer.from(wrapped, 'base64');
+  return gcmDecrypt(masterKey, { iv: buf.subarray(0, IV_BYTES), tag: buf.subarray(IV_BYTES, IV_BYTES + 16), ciphertext: buf.subarray(IV_BYTES + 16) }, WRAP_AAD);
+}
+
+/**
+ * The master key an envelope was wrapped with.
+ * @returns {Buffer}
+ */
+function keyForEnvelope(envelope, name) {
+  const key = masterKeys().all.get(envelope.kek_id);
+  if (!key) {
+    throw new Error(`${name} is encrypted with master key ${envelope.kek_id}, which is not configured `
+      + '(set ENCRYPTION_MASTER_KEY / ENCRYPTION_KEYFILE, or ENCRYPTION_PREVIOUS_KEYS after a rotation)');
+  }
+  return key;
+}
+
+/**
+ * Encrypt a record with a fresh data key wrapped by the current master key.
+ * @param {object} record
+ * @param {string} name - file name, authenticated as additional data
+ * @returns {object} envelope
+ */
+function seal(record, name) {
+  const { current } = masterKeys();
+  if (!current) throw new Error('no master key configured (ENCRYPTION_MASTER_KEY or ENCRYPTION_KEYFILE)');
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const { iv, tag, ciphertext } = gcmEncrypt(dataKey, Buffer.from(JSON.stringify(record), 'utf8'), Buffer.from(name));
+  return {
+    lexiclear_envelope: ENVELOPE_VERSION,
+    alg: 'AES-256-GCM',
+    kek_id: current.id,
+    wrapped_key: wrapKey(current.key, dataKey),
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an envelope written by seal().
+ * @param {object} envelope
+ * @param {string} name - the file name it was sealed under
+ * @returns {object} record
+ */
+function open(envelope, name) {
+  const masterKey = keyForEnvelope(envelope, name);
+  try {
+    const dataKey = unwrapKey(masterKey, envelope.wrapped_key);
+    const plaintext = gcmDecrypt(dataKey, {
+      iv: Buffer.from(envelope.iv, 'base64'),
+      tag: Buffer.from(envelope.tag, 'base64'),
+      ciphertext: Buffer.from(envelope.ciphertext, 'base64')
+    }, Buffer.from(name));
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (err) {
+    throw new Error(`${name} failed to decrypt (tampered, renamed or wrong key): ${err.message}`);
+  }
+}
+
+/**
+ * Re-wrap an envelope's data key with the current master key (the ciphertext is unchanged).
+ * @returns {object} envelope
+ */
+function rewrap(envelope, name) {
+  const { current } = masterKeys();
+  if (!current) throw new Error('no master key configured (ENCRYPTION_MASTER_KEY or ENCRYPTION_KEYFILE)');
+  if (envelope.kek_id === current.id) return envelope;
+  let dataKey;
+  try {
+    dataKey = unwrapKey(keyForEnvelope(envelope, name), envelope.wrapped_key);
+  } catch (err) {
+    throw new Error(`${name}: ${err.message}`);
+  }
+  return { ...envelope, kek_id: current.id, wrapped_key: wrapKey(current.key, dataKey) };
+}
+
+/**
+ * A record as stored: a JSON envelope when a master key is configured, else plain JSON.
+ * @param {object} record
+ * @param {string} name - the record's file name (lib/storage.js recordName), authenticated as additional data
+ * @returns {string}
+ */
+function encodeRecord(record, name) {
+  const stored = encryptionEnabled() ? seal(record, name) : record;
+  return JSON.stringify(stored, null, 2);
+}
+
+/**
+ * Parse a stored record written by encodeRecord (encrypted or plaintext).
+ * @returns {object}
+ */
+function decodeRecord(text, name) {
+  const parsed = JSON.parse(text);
+  return isEnvelope(parsed) ? open(parsed, name) : parsed;
+}
+
+/**
+ * Every record of the encrypted collections with its state.
+ * @returns {Promise<Array<{ collection, id, raw: object, encrypted: boolean }>>}
+ */
+async function scanStorage() {
+  const storage = require('./storage'); // lazy: storage encodes its records with this module
+  const out = [];
+  for (const [collection, spec] of Object.entries(storage.COLLECTIONS)) {
+    if (!spec.encrypted) continue;
+    for (const id of await storage.list(collection)) {
+      try {
+        const raw = JSON.parse(await storage.readRaw(collection, id));
+        out.push({ collection, id, raw, encrypted: isEnvelope(raw) });
+      } catch (err) {
+        // skip invalid
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * The vector index files with their state (a plaintext .vec file is binary: raw is null).
+ * @returns {Promise<Array<{ file, name, raw: object|null, encrypted: boolean }>>}
+ */
+async function scanIndexFiles() {
+  const { listIndexFiles } = require('./vectorIndex'); // lazy: the index encodes its files with this module
+  const out = [];
+  for (const { file, name } of await listIndexFiles()) {
+    let raw = null;
+    try {
+      raw = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+      // binary vectors or unreadable
+    }
+    out.push({ file, name, raw, encrypted: isEnvelope(raw) });
+  }
+  return out;
+}
+
+/**
+ * Encrypt every plaintext record of the encrypted collections and the vector index under the current master key.
+ * @param {object} opts - { dryRun }
+ * @returns {Promise<{ encrypted, already_encrypted, files: string[] }>}
+ */
+async function migrateStorage(opts = {}) {
+  reloadMasterKeys();
+  if (!encryptionEnabled()) throw new Error('no master key configured (ENCRYPTION_MASTER_KEY or ENCRYPTION_KEYFILE)');
+  const report = { encrypted: 0, already_encrypted: 0, files: [] };
+  const storage = require('./storage');
+  for (const { collection, id, raw, encrypted } of await scanStorage()) {
+    if (encrypted) {
+      report.already_encrypted++;
+      continue;
+    }
+    if (raw.access_policy) raw.access_policy.encrypted = true;
+    if (!opts.dryRun) await storage.put(collection, id, raw);
+    report.encrypted++;
+    report.files.push(`${collection}/${storage.recordName(collection, id)}`);
+  }
+  const { getVectorIndex } = require('./vectorIndex');
+  for (const { name, raw, encrypted } of await scanIndexFiles()) {
+    if (encrypted) {
+      report.already_encrypted++;
+      continue;
+    }
+    // saving the index writes both of its files, the .json carries the model
+    if (!opts.dryRun && raw && raw.model) await (await getVectorIndex(raw.model)).save();
+    report.encrypted++;
+    report.files.push(name);
+  }
+  return report;
+}
+
+/**
+ * Re-wrap every data key (records and vector index files) with the current master key. Old keys must be listed in ENCRYPTION_PREVIOUS_KEYS.
+ * @param {object} opts - { dryRun }
+ * @returns {Promise<{ rewrapped, current, plaintext, kek_id }>}
+ */
+async function rotateStorage(opts = {}) {
+  reloadMasterKeys();
+  const { current } = masterKeys();
+  if (!current) throw new Error('no master key configured (ENCRYPTION_MASTER_KEY or ENCRYPTION_KEYFILE)');
+  const report = { rewrapped: 0, current: 0, plaintext: 0, kek_id: current.id };
+  const storage = require('./storage');
+  for (const { collection, id, raw, encrypted } of await scanStorage()) {
+    if (!encrypted) {
+      report.plaintext++;
+    } else if (raw.kek_id === current.id) {
+      report.current++;
+    } else {
+      const rewrapped = rewrap(raw, storage.recordName(collection, id));
+      if (!opts.dryRun) await storage.writeRaw(collection, id, JSON.stringify(rewrapped, null, 2));
+      report.rewrapped++;
+    }
+  }
+  for (const { file, name, raw, encrypted } of await scanIndexFiles()) {
+    if (!encrypted) {
+      report.plaintext++;
+    } else if (raw.kek_id === current.id) {
+      report.current++;
+    } else {
+      if (!opts.dryRun) await storage.writeFileAtomic(file, JSON.stringify(rewrap(raw, name), null, 2));
+      report.rewrapped++;
+    }
+  }
+  return report;
+}
+
+/**
+ * A new random master key, base64 encoded.
+ */
+function generateMasterKey() {
+  return crypto.randomBytes(KEY_BYTES).toString('base64');
+}
+
+module.exports = {
+  encryptionEnabled,
+  encodeRecord,
+  decodeRecord,
+  isEnvelope,
+  migrateStorage,
+  rotateStorage,
+  reloadMasterKeys,
+  generateMasterKey,
+  // exported for testing
+  _internals: { seal, open, rewrap, parseKey }
+};
@@ -0,0 +1,210 @@
+// server/lib/glossary.js
+// Defined-terms glossary, built with the bundle (lib/mcp.js) and served by GET /api/bundles/:bundle_id/glossary.
+//
+// Definitions recognized:
+//   "Confidential Information" means any information ...        style 'means' (also: shall mean, refers to,
+//                                                                includes, has the meaning given in ...)
+//   Acme Ltd, a Delaware company (the "Supplier")               style 'parenthetical' (also: hereinafter "X",
+//                                                                ("X"), this "X", referred to as "X")
+// For every term the glossary keeps the verbatim definition, a plain-English rendering, the defining chunk and
+// how often the term is used elsewhere. It also flags:
+//   unused_terms      defined but never used outside their definition
+//   undefined_terms   capitalized phrases used like defined terms ("the Deliverables", "any Service Credits")
+//                     that are never defined; a heuristic, so review before relying on it
+//
+// Usage:
+//   const { buildGlossary } = require('./glossary');
+//   bundle.glossary = buildGlossary(bundle.chunks);
+//   // { version, terms: [{ term, definition, plain, style, chunk_id, start_char, end_char, occurrences, used_in }],
+//   //   unused_terms: ['...'], undefined_terms: [{ term, occurrences, chunk_ids }] }
+
+const GLOSSARY_VERSION = 'glossary-v1';
+const MAX_REFERENT_CHARS = 160;
+const MAX_PLAIN_CHARS = 220;
+
+const TERM = '["“]([A-Z][^"”\\n]{0,60}?)["”]';
+const MEANS_REGEX = new RegExp(
+  `${TERM}\\s*(?:\\([^)]{0,40}\\)\\s*)?,?\\s*(means|shall mean|will mean|refers to|shall refer to|includes|shall include|has the meaning|shall have the meaning)\\b\\s*([\\s\\S]*?)(?=\\.\\s|\\.$|;\\s|\\n\\s*\\n|$)`,
+  'g'
+);
+const PARENTHETICAL_REGEX = new RegExp(
+  `\\(\\s*(?:together|collectively|each|individually)?,?\\s*(?:(?:hereinafter|herein)\\s+)?(?:(?:referred to|called)\\s+as\\s+)?(?:the\\s+|this\\s+|a\\s+|an\\s+)?${TERM}\\s*\\)`,
+  'g'
+);
+// where a parenthetical's referent starts: after "between", after a previous party's closing "), and", or the clause start
+const REFERENT_START = /(?:\bbetween\s+|\)\s*,?\s*and\s+|[.;:]\s+(?=[A-Z"“])|\n)/g;
+
+// Wordy drafting replaced in the plain-English rendering
+const PLAIN_ENGLISH = [
+  [/\b(?:including,? but not limited to,?|including,? without limitation,?)/gi, 'including'],
+  [/\bhereinafter\b|\bherein\b/gi, ''],
+  [/\bsaid\b/gi, 'the'],
+  [/\bpursuant to\b/gi, 'under'],
+  [/\bprior to\b/gi, 'before'],
+  [/\bin the event that\b/gi, 'if'],
+  [/\bin connection with\b/gi, 'related to'],
+  [/\bwhether (?:in )?(?:oral|written|electronic)(?:,? (?:or )?(?:oral|written|electronic|other) (?:form|format))*/gi, 'in any form'],
+  [/\bshall\b/gi, 'will']
+];
+
+// Capitalized words that are not defined terms when they follow "the", "any" ...
+const NOT_DEFINED = new Set([
+  'Agreement', 'Section', 'Sections', 'Clause', 'Clauses', 'Article', 'Articles', 'Schedule', 'Schedules', 'Exhibit',
+  'Exhibits', 'Annex', 'Appendix', 'State', 'States', 'Commonwealth', 'Republic', 'Kingdom', 'United', 'Court', 'Courts',
+  'Government', 'Laws', 'Law', 'English', 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday',
+  'Saturday', 'Sunday', 'Internet', 'Board', 'Directors'
+]);
+const UNDEFINED_CANDIDATE = /\b(?:the|any|such|all|each|every|this|that|these|those|its|their|no|other|applicable|relevant)\s+([A-Z][a-z][\w'-]*(?:\s+(?:of\s+|and\s+)?[A-Z][a-z][\w'-]*){0,3})/g;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function squash(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Plain-English rendering of a definition: drafting filler removed, long definitions shortened.
+ */
+function plainEnglish(term, definition, style) {
+  let out = squash(definition);
+  for (const [re, rep] of PLAIN_ENGLISH) out = out.replace(re, rep);
+  out = squash(out).replace(/^(?:means|refers to|includes)\s+/i, '').replace(/[,;:]+$/, '');
+  if (style === 'parenthetical') out = `${term} refers to ${out.replace(/^(The|This|A|An)\b/, w => w.toLowerCase())}`;
+  if (out.length > MAX_PLAIN_CHARS) out = `${out.slice(0, MAX_PLAIN_CHARS).replace(/\s+\S*$/, '')}...`;
+  return out ? out.charAt(0).toUpperCase() + out.slice(1) : out;
+}
+
+function offsetOf(chunk) {
+  return Number.isFinite(chunk.start_char) ? chunk.start_char : 0;
+}
+
+/**
+ * Definitions in one chunk, in text order.
+ * @returns {Array<{ term, definition, style, start, end, quoteStart, quoteEnd }>} offsets within chunk.text
+ */
+function findDefinitions(text) {
+  const found = [];
+  const means = new RegExp(MEANS_REGEX.source, 'g');
+  let m;
+  while ((m = means.exec(text)) !== null) {
+    const verb = m[2].toLowerCase();
+    const rest = squash(m[3]);
+    if (!rest) continue;
+    const definition = /meaning/.test(verb) ? `${verb} ${rest}` : rest;
+    const quoteStart = m.index;
+    found.push({ term: m[1].trim(), definition, style: 'means', start: m.index, end: m.index + m[0].length, quoteStart, quoteEnd: quoteStart + m[1].length + 2 });
+  }
+
+  const parenthetical = new RegExp(PARENTHETICAL_REGEX.source, 'g');
+  while ((m = parenthetical.exec(text)) !== null) {
+    const before = text.slice(0, m.index);
+    let from = 0;
+    const starts = new RegExp(REFERENT_START.source, 'g');
+    let s;
+    while ((s = starts.exec(before)) !== null) from = s.index + s[0].length;
+    const clause = before.slice(from).replace(/[\s,]+$/, '');
+    const referent = clause.length > MAX_REFERENT_CHARS ? clause.slice(-MAX_REFERENT_CHARS).replace(/^\S*\s+/, '') : clause;
+    if (!squash(referent)) continue;
+    const quoteStart = m.index + m[0].indexOf(m[1]) - 1;
+    found.push({
+      term: m[1].trim(),
+      definition: squash(referent),
+      style: 'parenthetical',
+      start: from + clause.length - referent.length,
+      end: m.index + m[0].length,
+      quoteStart,
+      quoteEnd: quoteStart + m[1].length + 2
+    });
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build the glossary of a bundle's chunks.
+ * @param {Array<{ chunk_id, start_char, text }>} chunks
+ * @returns {{ version, terms, unused_terms, undefined_terms }}
+ */
+function buildGlossary(chunks) {
+  const terms = [];
+  const byTerm = new Map();
+  const quoteSpans = new Map(); // chunk_id -> [[start, end]] of quoted terms in definitions
+
+  for (const chunk of chunks) {
+    for (const d of findDefinitions(chunk.text)) {
+      if (!quoteSpans.has(chunk.chunk_id)) quoteSpans.set(chunk.chunk_id, []);
+      quoteSpans.get(chunk.chunk_id).push([d.quoteStart, d.quoteEnd]);
+      if (byTerm.has(d.term)) {
+        byTerm.get(d.term).definition_count++;
+        continue;
+      }
+      const entry = {
+        term: d.term,
+        definition: d.definition,
+        plain: plainEnglish(d.term, d.definition, d.style),
+        style: d.style,
+        chunk_id: chunk.chunk_id,
+        start_char: offsetOf(chunk) + d.start,
+        end_char: offsetOf(chunk) + d.end,
+        definition_count: 1,
+        occurrences: 0,
+        used_in: []
+      };
+      byTerm.set(d.term, entry);
+      terms.push(entry);
+    }
+  }
+
+  // usages: whole-word, case-sensitive, plural allowed; the quoted term in a definition is not a usage
+  for (const entry of terms) {
+    const re = new RegExp(`(?<![\\w-])${escapeRegex(entry.term)}(?:s|es)?(?![\\w-])`, 'g');
+    for (const chunk of chunks) {
+      const spans = quoteSpans.get(chunk.chunk_id) || [];
+      let m;
+      let inChunk = 0;
+      while ((m = re.exec(chunk.text)) !== null) {
+        if (!spans.some(([a, b]) => m.index >= a && m.index < b)) inChunk++;
+      }
+      if (inChunk) {
+        entry.occurrences += inChunk;
+        entry.used_in.push(chunk.chunk_id);
+      }
+    }
+  }
+
+  const defined = new Set(terms.map(t => t.term));
+  const isDefined = phrase => defined.has(phrase) || defined.has(phrase.replace(/e?s$/, ''))
+    || terms.some(t => t.style === 'parenthetical' && t.definition.includes(phrase));
+  const candidates = new Map();
+  for (const chunk of chunks) {
+    const re = new RegExp(UNDEFINED_CANDIDATE.source, 'g');
+    let m;
+    while ((m = re.exec(chunk.text)) !== null) {
+      // "the Supplier Materials": drop a leading defined term ("Supplier") only when the rest is defined too
+      const phrase = m[1];
+      const words = phrase.split(/\s+/);
+      if (words.some(w => NOT_DEFINED.has(w)) || isDefined(phrase)) continue;
+      if (words.length > 1 && words.every(w => /^(of|and)$/.test(w) || isDefined(w))) continue;
+      if (!candidates.has(phrase)) candidates.set(phrase, { term: phrase, occurrences: 0, chunk_ids: [] });
+      const c = candidates.get(phrase);
+      c.occurrences++;
+      if (!c.chunk_ids.includes(chunk.chunk_id)) c.chunk_ids.push(chunk.chunk_id);
+    }
+  }
+
+  return {
+    version: GLOSSARY_VERSION,
+    terms,
+    unused_terms: terms.filter(t => t.occurrences === 0).map(t => t.term),
+    undefined_terms: [...candidates.values()].sort((a, b) => b.occurrences - a.occurrences || a.term.localeCompare(b.term))
+  };
+}
+
+module.exports = {
+  GLOSSARY_VERSION,
+  buildGlossary,
+  // exported for testing
+  _internals: { findDefinitions, plainEnglish }
+};
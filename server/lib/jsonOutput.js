@@ -0,0 +1,158 @@
+// server/lib/jsonOutput.js
+// Getting JSON out of model replies: tolerant extraction, validation of the simplify contract
+// ({ overall_summary, clauses, notes }) and the repair prompt used when a reply does not comply.
+//
+// Usage:
+//   const { extractJson, validateSimplified, buildRepairMessages } = require('./jsonOutput');
+//   const { value, method, error } = extractJson(llmText);       // method: 'direct'|'code-fence'|'balanced-braces'|null
+//   const { valid, errors, value: clean } = validateSimplified(value, { chunkIds });
+//   if (!valid) messages = buildRepairMessages(messages, llmText, errors);
+
+const RISK_REGEX = /^(Low|Medium|High)\b/i;
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (err) {
+    // Common model slip: trailing commas before } or ]
+    try {
+      return { ok: true, value: JSON.parse(text.replace(/,\s*([}\]])/g, '$1')) };
+    } catch (e) {
+      return { ok: false, error: err.message };
+    }
+  }
+}
+
+/**
+ * Candidate JSON objects in a text: every balanced {...} span, scanning string literals so
+ * braces inside strings don't count. Reports whether an object was left open (truncated output).
+ */
+function balancedObjects(text) {
+  const spans = [];
+  let truncated = false;
+  for (let start = text.indexOf('{'); start >= 0; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    let end = -1;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        depth--;
+        if (depth === 0) { end = i; break; }
+      }
+    }
+    if (end < 0) {
+      truncated = true;
+      break; // every later '{' sits inside this unfinished object
+    }
+    spans.push(text.slice(start, end + 1));
+    start = end; // continue after this object
+  }
+  return { spans, truncated };
+}
+
+/**
+ * Extract the first JSON object from a model reply.
+ * Tries, in order: the whole reply, ```json fenced blocks, balanced-brace spans.
+ * @param {string} text
+ * @returns {{ value: object|null, method: string|null, error: string|null }}
+ */
+function extractJson(text) {
+  const raw = String(text || '').trim();
+  if (!raw) return { value: null, method: null, error: 'empty response' };
+
+  const direct = tryParse(raw);
+  if (direct.ok && direct.value && typeof direct.value === 'object') return { value: direct.value, method: 'direct', error: null };
+
+  const fenceRe = /```(?:json|JSON)?\s*([\s\S]*?)```/g;
+  let m;
+  while ((m = fenceRe.exec(raw)) !== null) {
+    const inner = tryParse(m[1].trim());
+    if (inner.ok && inner.value && typeof inner.value === 'object') return { value: inner.value, method: 'code-fence', error: null };
+  }
+
+  const { spans, truncated } = balancedObjects(raw);
+  for (const span of spans) {
+    const parsed = tryParse(span);
+    if (parsed.ok) return { value: parsed.value, method: 'balanced-braces', error: null };
+  }
+
+  let error = 'no JSON object found';
+  if (truncated) error = 'JSON object is truncated (unbalanced braces)';
+  else if (spans.length) error = `invalid JSON: ${tryParse(spans[0]).error}`;
+  return { value: null, method: null, error };
+}
+
+/**
+ * Validate (and lightly normalise) the simplify contract.
+ * @param {*} value - parsed model output
+ * @param {object} opts - { chunkIds: string[] } chunk ids of the bundle; clause chunk_ids must be among them
+ * @returns {{ valid: boolean, errors: string[], value: object|null }}
+ */
+function validateSimplified(value, opts = {}) {
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['root must be a JSON object'], value: null };
+  }
+  const known = opts.chunkIds ? new Set(opts.chunkIds) : null;
+
+  if (typeof value.overall_summary !== 'string' || !value.overall_summary.trim()) {
+    errors.push('"overall_summary" must be a non-empty string');
+  }
+
+  if (!Array.isArray(value.clauses)) {
+    errors.push('"clauses" must be an array');
+  } else {
+    value.clauses.forEach((c, i) => {
+      const at = `clauses[${i}]`;
+      if (!c || typeof c !== 'object' || Array.isArray(c)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (typeof c.chunk_id !== 'string' || !c.chunk_id) errors.push(`${at}.chunk_id must be a string`);
+      else if (known && !known.has(c.chunk_id)) errors.push(`${at}.chunk_id "${c.chunk_id}" is not a chunk of this document`);
+      if (typeof c.simplified !== 'string' || !c.simplified.trim()) errors.push(`${at}.simplified must be a non-empty string`);
+      if (typeof c.why_it_matters !== 'string') errors.push(`${at}.why_it_matters must be a string`);
+      if (c.original !== undefined && typeof c.original !== 'string') errors.push(`${at}.original must be a string`);
+      if (typeof c.risk !== 'string' || !RISK_REGEX.test(c.risk.trim())) errors.push(`${at}.risk must start with Low, Medium or High`);
+    });
+  }
+
+  if (value.notes !== undefined && (!Array.isArray(value.notes) || value.notes.some(n => typeof n !== 'string'))) {
+    errors.push('"notes" must be an array of strings');
+  }
+
+  if (errors.length) return { valid: false, errors, value: null };
+  return { valid: true, errors: [], value: { ...value, notes: value.notes || [] } };
+}
+
+/**
+ * Conversation for the single repair attempt: the original prompt, the bad reply and the errors.
+ */
+function buildRepairMessages(messages, badOutput, errors) {
+  return [
+    ...messages,
+    { role: 'assistant', content: String(badOutput || '').slice(0, 6000) },
+    {
+      role: 'user',
+      content: `Your previous output could not be used:\n${errors.map(e => `- ${e}`).join('\n')}\n\n`
+        + 'Return ONLY the corrected JSON object with the exact schema requested (no code fences, no commentary). '
+        + 'Use only chunk_ids that appear in the SOURCES.'
+    }
+  ];
+}
+
+module.exports = {
+  extractJson,
+  validateSimplified,
+  buildRepairMessages,
+  // exported for testing
+  _internals: { balancedObjects, tryParse }
+};
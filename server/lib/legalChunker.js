@@ -0,0 +1,269 @@
+// server/lib/legalChunker.js
+// Structure-aware chunking for legal documents ("legal-structure" strategy).
+//
+// Splits at clause boundaries instead of packing sentences, so a chunk never straddles
+// "7. Termination" and "8. Governing Law". Recognised line-start markers:
+//  - Article IV / ARTICLE 4
+//  - Section 3.2 / § 3.2
+//  - 1.  1.1  1.1.2  (numbered clauses)
+//  - (a)  (ii)  (1)  (lettered / roman / numbered sub-clauses)
+//  - ALL-CAPS headings ("GOVERNING LAW")
+//  - definition paragraphs ('"Affiliate" means ...'), grouped into definitions blocks
+//
+// Each chunk gets a hierarchical clause path, e.g. "8 > 8.2 > (b)", and exact offsets:
+// text === source.slice(start_char, end_char) always holds.
+//
+// Usage:
+//   const { chunkLegalStructure } = require('./legalChunker');
+//   const chunks = chunkLegalStructure(text, { targetTokens: 500 });
+//   // [{ text, start_char, end_char, section_header, clause_path: ['8', '8.2', '(b)'] }]
+
+const DEFAULT_TARGET_TOKENS = 500; // split clauses longer than this
+const DEFAULT_MIN_TOKENS = 40;     // merge clauses shorter than this into a related neighbour
+
+const PATH_SEPARATOR = ' > ';
+
+// Ranks order the hierarchy: a new segment pops every open segment of equal or deeper rank.
+// Numbered clauses take their depth as rank (8 -> 1, 8.2 -> 2). An unnumbered ALL-CAPS heading
+// ranks like a top-level clause so the next "1." replaces it instead of nesting under it.
+const RANK = { article: 0, heading: 1, letter: 20, roman: 21, paren_number: 22 };
+const TOP_LEVEL_RANK = 1; // segments at or above this rank are clause boundaries chunks never cross
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.max(1, Math.ceil(text.length / 4));
+}
+
+function isRoman(s) {
+  return /^(?=[ivxlcdm]+$)m*(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i.test(s);
+}
+
+/**
+ * Classify the marker at the start of a line.
+ * @param {string} line - line content without leading whitespace
+ * @param {Array} stack - open path segments (for "(i)" letter-vs-roman disambiguation)
+ * @returns {null | { segments: Array<{ label, rank }>, heading: string|null, definition?: boolean }}
+ */
+function detectMarker(line, stack) {
+  let m;
+
+  if ((m = line.match(/^(?:ARTICLE|Article)\s+([IVXLCDM]+|\d+)\b\.?\s*(.*)$/))) {
+    return { segments: [{ label: `Article ${m[1]}`, rank: RANK.article }], heading: m[2] || null };
+  }
+
+  // "Section 3.2", "§ 3.2", "1.", "1.1", "1.1.2" -> one segment per numeric prefix (8 > 8.2)
+  if ((m = line.match(/^(?:(?:SECTION|Section|§)\s*(\d{1,3}(?:\.\d{1,3})*)\.?|(\d{1,3})\.|(\d{1,3}(?:\.\d{1,3})+)\.?)(?:\s+|$)(.*)$/))) {
+    const number = m[1] || m[2] || m[3];
+    const parts = number.split('.');
+    const segments = parts.map((_, i) => ({ label: parts.slice(0, i + 1).join('.'), rank: i + 1 }));
+    return { segments, heading: m[4] || null };
+  }
+
+  if ((m = line.match(/^\(([a-z]{1,2}|[ivxlc]+|\d{1,2})\)\s+/i))) {
+    const token = m[1];
+    let rank;
+    if (/^\d+$/.test(token)) {
+      rank = RANK.paren_number;
+    } else if (isRoman(token)) {
+      // "(i)" right after "(h)" is a letter, otherwise treat roman-looking tokens as roman numerals
+      const openLetter = stack.find(s => s.rank === RANK.letter);
+      const continuesLetters = openLetter && openLetter.label === `(${String.fromCharCode(token.toLowerCase().charCodeAt(0) - 1)})`;
+      rank = (token.length === 1 && continuesLetters) || (token.length === 1 && !'ivx'.includes(token.toLowerCase())) ? RANK.letter : RANK.roman;
+    } else {
+      rank = RANK.letter;
+    }
+    return { segments: [{ label: `(${token.toLowerCase()})`, rank }], heading: null };
+  }
+
+  // ALL-CAPS heading: short line, at least two letters, nothing lowercase, no trailing sentence punctuation
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 4 && letters === letters.toUpperCase() && line.length <= 80 && !/[.;,]$/.test(line)) {
+    return { segments: [{ label: line.trim(), rank: RANK.heading, caption: true }], heading: line.trim() };
+  }
+
+  // Definition paragraph: '"Affiliate" means ...' (no new path segment, but a unit boundary)
+  if (/^["“][^"”]{1,80}["”]\s+(?:means|shall mean|has the meaning|includes|refers to)\b/.test(line)) {
+    return { segments: [], heading: null, definition: true };
+  }
+
+  return null;
+}
+
+/**
+ * Break the text into structural units at marker lines.
+ * @returns {Array<{ start, end, segments: Array<{ label, rank }>, definitions: boolean }>}
+ */
+function findUnits(text) {
+  const units = [];
+  const stack = []; // open segments [{ label, rank, definitions }]
+  let current = { start: 0, segments: [], definitions: false };
+
+  const lineRe = /[^\r\n]*(?:\r?\n|$)/g;
+  let m;
+  while ((m = lineRe.exec(text)) !== null) {
+    if (m[0] === '') break;
+    const raw = m[0];
+    const indent = raw.length - raw.trimStart().length;
+    const line = raw.trim();
+    if (!line) continue;
+
+    const marker = detectMarker(line, stack);
+    if (!marker) continue;
+
+    const lineStart = m.index + indent;
+    if (lineStart > current.start) units.push({ ...current, end: lineStart });
+
+    for (const seg of marker.segments) {
+      while (stack.length && stack[stack.length - 1].rank >= seg.rank) stack.pop();
+      const parentDefs = stack.length > 0 && stack[stack.length - 1].definitions;
+      const isDefs = parentDefs || /\b(definitions?|interpretation)\b/i.test(marker.heading || '');
+      stack.push({ ...seg, definitions: isDefs });
+    }
+    const inDefinitions = marker.definition || (stack.length > 0 && stack[stack.length - 1].definitions);
+    current = { start: lineStart, segments: stack.map(({ label, rank, caption }) => ({ label, rank, caption })), definitions: !!inDefinitions };
+  }
+  if (current.start < text.length) units.push({ ...current, end: text.length });
+
+  // Trim surrounding whitespace so offsets point at content
+  return units
+    .map(u => {
+      const slice = text.slice(u.start, u.end);
+      const lead = slice.length - slice.trimStart().length;
+      const trail = slice.length - slice.trimEnd().length;
+      return { ...u, start: u.start + lead, end: u.end - trail };
+    })
+    .filter(u => u.end > u.start);
+}
+
+/**
+ * Split an oversized unit at paragraph, then sentence, boundaries (offsets preserved).
+ */
+function splitLargeUnit(text, unit, targetTokens) {
+  const body = text.slice(unit.start, unit.end);
+  const cuts = new Set();
+  const boundaryRe = /\n\s*\n|[.!?;]["”’)]?\s+(?=[A-Z0-9("“])/g;
+  let m;
+  while ((m = boundaryRe.exec(body)) !== null) cuts.add(m.index + m[0].length);
+  const points = [...cuts].sort((a, b) => a - b);
+
+  const pieces = [];
+  let pieceStart = 0;
+  let lastCut = 0;
+  const maxChars = targetTokens * 4;
+  for (const p of points.concat(body.length)) {
+    if (p - pieceStart > maxChars && lastCut > pieceStart) {
+      pieces.push([pieceStart, lastCut]);
+      pieceStart = lastCut;
+    }
+    lastCut = p;
+  }
+  pieces.push([pieceStart, body.length]);
+
+  // hard-split anything still too long (e.g. a single run-on sentence)
+  const result = [];
+  for (const [s, e] of pieces) {
+    for (let i = s; i < e; i += maxChars) result.push([i, Math.min(e, i + maxChars)]);
+  }
+
+  return result
+    .map(([s, e]) => {
+      const slice = body.slice(s, e);
+      const lead = slice.length - slice.trimStart().length;
+      const trail = slice.length - slice.trimEnd().length;
+      return { ...unit, start: unit.start + s + lead, end: unit.start + e - trail };
+    })
+    .filter(u => u.end > u.start);
+}
+
+function isPrefix(a, b) {
+  return a.length <= b.length && a.every((seg, i) => seg.label === b[i].label);
+}
+
+function commonPrefix(a, b) {
+  const out = [];
+  for (let i = 0; i < Math.min(a.length, b.length) && a[i].label === b[i].label; i++) out.push(a[i]);
+  return out;
+}
+
+// Path up to and including the deepest top-level segment: "Article IV > 8" for "Article IV > 8 > 8.2 > (b)".
+function clauseAnchor(segments) {
+  let last = -1;
+  segments.forEach((seg, i) => { if (seg.rank <= TOP_LEVEL_RANK) last = i; });
+  return segments.slice(0, last + 1).map(seg => seg.label).join(PATH_SEPARATOR);
+}
+
+// Heading lines only, no clause text: "ARTICLE IV\n7. Termination", but not "8. Governing Law\n8.1 England."
+function isBareHeading(text) {
+  return text.split(/\r?\n/).every(line => !/[.;:,]\s*$/.test(line));
+}
+
+/**
+ * Path for two adjacent units merged into one chunk, or null when they must stay apart.
+ * Allowed: a unit absorbing its descendants ("8.2" + "(a)"), a bare heading absorbing the clause it
+ * introduces ("ARTICLE IV" + "7. Termination", "GOVERNING LAW" + "8.1"), and siblings inside the
+ * same top-level clause. Only a bare heading takes the deeper path of what it absorbs: "8.1 England."
+ * merged with "8.2 Courts" stays "8", so a citation of 8.1 is not shown as 8.2.
+ */
+function mergedPath(text, prev, next) {
+  const prevLast = prev.segments[prev.segments.length - 1];
+  const prevText = text.slice(prev.start, prev.end);
+  const bareCaption = prevLast && prevLast.caption && !/[\r\n]/.test(prevText);
+  if (bareCaption) return next.segments; // "GOVERNING LAW" + "8.1 ..."
+  if (isPrefix(prev.segments, next.segments)) return isBareHeading(prevText) ? next.segments : prev.segments;
+  if (clauseAnchor(prev.segments) === clauseAnchor(next.segments)) return commonPrefix(prev.segments, next.segments);
+  return null;
+}
+
+/**
+ * Chunk text along its clause structure.
+ * @param {string} text
+ * @param {object} options - { targetTokens, minTokens }
+ * @returns {Array<{ text, start_char, end_char, section_header, clause_path }>}
+ */
+function chunkLegalStructure(text, options = {}) {
+  if (!text || !text.trim()) return [];
+  const targetTokens = options.targetTokens || DEFAULT_TARGET_TOKENS;
+  const minTokens = options.minTokens || DEFAULT_MIN_TOKENS;
+
+  const units = findUnits(text).flatMap(u => (
+    estimateTokens(text.slice(u.start, u.end)) > targetTokens ? splitLargeUnit(text, u, targetTokens) : [u]
+  ));
+
+  // Merge tiny units (a bare heading, "(a) the Supplier;") and runs of definitions into a
+  // neighbour from the same clause, so no chunk straddles "7. Termination" and "8. Governing Law".
+  const tokensOf = u => estimateTokens(text.slice(u.start, u.end));
+  const merged = [];
+  for (const u of units) {
+    const prev = merged[merged.length - 1];
+    if (prev && estimateTokens(text.slice(prev.start, u.end)) <= targetTokens) {
+      const prevIsSmall = tokensOf(prev) < minTokens;
+      const wanted = prevIsSmall || tokensOf(u) < minTokens || (prev.definitions && u.definitions);
+      const segments = wanted ? mergedPath(text, prev, u) : null;
+      if (segments) {
+        prev.end = u.end;
+        prev.segments = segments;
+        prev.definitions = prev.definitions && u.definitions;
+        continue;
+      }
+    }
+    merged.push({ ...u });
+  }
+
+  return merged.map(u => {
+    const clausePath = u.segments.map(seg => seg.label);
+    return {
+      text: text.slice(u.start, u.end),
+      start_char: u.start,
+      end_char: u.end,
+      section_header: clausePath.length ? clausePath.join(PATH_SEPARATOR) : null,
+      clause_path: clausePath
+    };
+  });
+}
+
+module.exports = {
+  chunkLegalStructure,
+  PATH_SEPARATOR,
+  // exported for testing
+  _internals: { detectMarker, findUnits, splitLargeUnit, isRoman, clauseAnchor }
+};
@@ -3,30 +3,38 @@
 // Functions:
 //  - createBundleForText(text, opts)
 //  - loadBundle(bundleId)
+//  - saveBundle(bundle)
+//  - updateBundle(bundleId, fn)     (read-modify-write under a lock, see ./storage.js update)
 //  - getChunkById(bundleId, chunkId)
 //  - listBundles()
+//  - loadBundleResult(bundleId)     (the last POST /api/simplify result stored next to the bundle)
+//  - saveBundleResult(bundleId, result)
 //  - deleteBundle(bundleId)
+//  - ensureBundleEmbeddings(bundle)  (embed chunks once, cache them and add them to the vector index)
+//  - syncVectorIndex(bundleIds?)     (index stored bundles that are not in the vector index yet)
+// Chunking strategies: 'paragraph+sentences' (chunkText below) and 'legal-structure' (./legalChunker.js)
+// Bundles and results are stored through ./storage.js (encrypted at rest when a master key is configured).
+// Each bundle stores its PII redaction mapping (./piiRedaction.js); chunks are embedded redacted.
 
 // Usage: const { createBundleForText } = require('./mcp');
 
-const fs = require('fs').promises;
-const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-
-const STORAGE_DIR = path.join(__dirname, '..', 'storage', 'bundles');
+const { getModelInfo, batchGetEmbeddings } = require('./embeddings');
+const { getVectorIndex, indexBundle, removeBundleFromIndexes } = require('./vectorIndex');
+const { chunkLegalStructure } = require('./legalChunker');
+const { buildBm25Index } = require('./bm25');
+const { classifyChunk, TAXONOMY_VERSION } = require('./clauseTaxonomy');
+const { buildGlossary, GLOSSARY_VERSION } = require('./glossary');
+const { encryptionEnabled } = require('./encryption');
+const storage = require('./storage');
+const { buildRedactionMap, runWithRedaction, redactionEnabled, useBundleRedaction } = require('./piiRedaction');
+
+// Records kept per bundle next to the bundle itself: the simplify audit result and the extracted contract facts
+const SIDE_COLLECTIONS = ['bundle_meta', 'results', 'facts'];
 const DEFAULT_CHUNK_TOKENS = 500; // approximate target tokens per chunk
 const DEFAULT_CHUNK_OVERLAP = 50; // approx tokens overlap between chunks
 
-// Ensure the storage directory exists
-async function ensureStorageDir() {
-  try {
-    await fs.mkdir(STORAGE_DIR, { recursive: true });
-  } catch (err) {
-    // ignore if already exists
-  }
-}
-
 // Simple approximate token estimator: characters / 4
 function estimateTokens(text) {
   if (!text) return 0;
@@ -191,6 +199,48 @@ function computeChecksum(text) {
   return 'sha256:' + crypto.createHash('sha256').update(text, 'utf8').digest('hex');
 }
 
+/**
+ * Page number that contains a character offset.
+ * @param {Array<{ page, start_char, end_char }>} pages
+ * @param {number} offset
+ * @returns {number|null}
+ */
+function pageForOffset(pages, offset) {
+  if (!Array.isArray(pages) || pages.length === 0 || typeof offset !== 'number') return null;
+  let found = pages[0].page;
+  for (const p of pages) {
+    if (p.start_char <= offset) found = p.page;
+    else break;
+  }
+  return found;
+}
+
+/**
+ * Nearest heading at or before a character offset.
+ * @param {Array<{ text, start_char }>} headings - sorted by start_char
+ * @param {number} offset
+ * @returns {string|null}
+ */
+function headingForOffset(headings, offset) {
+  if (!Array.isArray(headings) || typeof offset !== 'number') return null;
+  let found = null;
+  for (const h of headings) {
+    if (h.start_char <= offset) found = h.text;
+    else break;
+  }
+  return found;
+}
+
+// Chunking strategies selectable via opts.chunking_strategy (default: CHUNKING_STRATEGY env or paragraph+sentences)
+const CHUNKING_STRATEGIES = {
+  'paragraph+sentences': (text, options) => chunkText(text, options),
+  'legal-structure': (text, options) => chunkLegalStructure(text, options)
+};
+
+function defaultChunkingStrategy() {
+  return process.env.CHUNKING_STRATEGY || 'paragraph+sentences';
+}
+
 // create unique bundle id
 function makeBundleId() {
   const timestamp = Date.now();
@@ -201,7 +251,9 @@ function makeBundleId() {
 /**
  * Create an MCP bundle from plain text.
  * @param {string} text - original document text
- * @param {object} opts - optional metadata: { title, uploader_id, language, origin_url, chunkOptions }
+ * @param {object} opts - optional metadata: { title, uploader_id, language, origin_url, chunkOptions, chunking_strategy,
+ *                        source_format, pages: [{ page, start_char, end_char }], headings: [{ text, start_char }] }
+ *                        (pages/headings come from lib/documentParser.js and fill origin_page / section_header)
  * @returns {Promise<object>} bundle object saved on disk
  */
 async function createBundleForText(text, opts = {}) {
@@ -209,8 +261,6 @@ async function createBundleForText(text, opts = {}) {
     throw new Error('Text must be provided to create a bundle.');
   }
 
-  await ensureStorageDir();
-
   const bundleId = makeBundleId();
   const createdAt = new Date().toISOString();
   const docTitle = opts.title || 'uploaded_doc';
@@ -218,10 +268,16 @@ async function createBundleForText(text, opts = {}) {
   const language = opts.language || null;
 
   // chunking
+  const chunkingStrategy = opts.chunking_strategy || defaultChunkingStrategy();
+  const chunker = CHUNKING_STRATEGIES[chunkingStrategy];
+  if (!chunker) {
+    throw new Error(`Unknown chunking_strategy "${chunkingStrategy}". Expected one of: ${Object.keys(CHUNKING_STRATEGIES).join(', ')}`);
+  }
   const chunkOptions = opts.chunkOptions || {};
-  const rawChunks = chunkText(text, chunkOptions);
+  const rawChunks = chunker(text, chunkOptions);
 
   // Build chunk objects with offsets and simple metadata
+  const headings = Array.isArray(opts.headings) ? [...opts.headings].sort((a, b) => a.start_char - b.start_char) : null;
   const chunks = rawChunks.map((c, idx) => {
     const chunkId = `${bundleId}-chunk-${String(idx + 1).padStart(3, '0')}`;
     return {
@@ -230,11 +286,14 @@ async function createBundleForText(text, opts = {}) {
       end_char: c.end_char,
       text: c.text,
       tokens: estimateTokens(c.text),
-      origin_page: null, // could be filled by PDF parser if available
-      section_header: null,
+      origin_page: pageForOffset(opts.pages, c.start_char), // filled when the upload parser reports pages
+      // legal-structure chunks carry their clause path ("8 > 8.2 > (b)"); otherwise use the nearest heading
+      section_header: c.section_header || headingForOffset(headings, c.start_char),
       embedding_id: null // placeholder for later when embedding
     };
   });
+  // rules-only clause types and risk; the LLM pass runs on demand (GET /api/bundles/:id/clauses)
+  for (const chunk of chunks) chunk.classification = classifyChunk(chunk);
 
   // Compute checksum of original text
   const checksum = computeChecksum(text);
@@ -248,25 +307,87 @@ async function createBundleForText(text, opts = {}) {
     source_checksum: checksum,
     chunks,
     index_metadata: {
-      vector_db: opts.vector_db || 'local-faiss',
+      vector_db: opts.vector_db || 'local-flat', // see lib/vectorIndex.js
       index_version: opts.index_version || 'v1',
-      embedding_model: opts.embedding_model || process.env.EMBED_MODEL || null,
-      chunking_strategy: opts.chunking_strategy || 'paragraph+sentences'
+      embedding_model: opts.embedding_model || getModelInfo().embedding_model,
+      chunking_strategy: chunkingStrategy,
+      lexical_index: 'bm25',
+      clause_taxonomy: TAXONOMY_VERSION,
+      glossary: GLOSSARY_VERSION
     },
+    // per-bundle BM25 statistics for lexical / hybrid retrieval (lib/bm25.js, lib/retrieval.js)
+    lexical_index: buildBm25Index(chunks),
+    // defined terms with their defining chunk, plus unused / undefined terms (lib/glossary.js)
+    glossary: buildGlossary(chunks),
+    // placeholders for personal data sent to the model provider (lib/piiRedaction.js)
+    redaction: buildRedactionMap(text, chunks),
     access_policy: {
       retention_days: typeof opts.retention_days === 'number' ? opts.retention_days : (process.env.RETENTION_DAYS ? Number(process.env.RETENTION_DAYS) : 7),
-      encrypted: !!opts.encrypted,
-      consent_given: opts.consent_given !== undefined ? !!opts.consent_given : true
+      encrypted: encryptionEnabled(),
+      consent_given: opts.consent_given !== undefined ? !!opts.consent_given : true,
+      // [{ type: 'user'|'team', id, role: 'viewer'|'reviewer'|'admin', granted_by, granted_at }] (lib/auth.js)
+      shares: []
     },
     // optional extras
     source_url: opts.origin_url || null,
+    source_format: opts.source_format || 'text',
+    page_count: Array.isArray(opts.pages) ? opts.pages.length : null,
     original_text_length: text.length
   };
 
   // Persist to disk
-  const filePath = path.join(STORAGE_DIR, `${bundleId}.json`);
-  await fs.writeFile(filePath, JSON.stringify(bundle, null, 2), 'utf8');
+  await saveBundle(bundle);
+
+  return bundle;
+}
+
+/**
+ * The listing entry of a bundle, stored next to it (<id>-meta.json) so listBundles does not have to load and
+ * decrypt every full bundle (chunks and embeddings included).
+ * @param {object} bundle
+ * @returns {object}
+ */
+function bundleMeta(bundle) {
+  return {
+    bundle_id: bundle.bundle_id,
+    doc_title: bundle.doc_title,
+    created_at: bundle.created_at,
+    uploader_id: bundle.uploader_id,
+    language: bundle.language || null,
+    jurisdiction: bundle.jurisdiction || null,
+    source_format: bundle.source_format || null,
+    chunk_count: (bundle.chunks || []).length,
+    shares: (bundle.access_policy && bundle.access_policy.shares) || []
+  };
+}
 
+/**
+ * Persist a bundle (overwrites the stored copy, e.g. after caching embeddings)
+ * @param {object} bundle
+ * @returns {Promise<object>} the same bundle
+ */
+async function saveBundle(bundle) {
+  if (!bundle || !bundle.bundle_id) throw new Error('bundle with bundle_id required');
+  if (bundle.access_policy) bundle.access_policy.encrypted = encryptionEnabled();
+  await storage.put('bundles', bundle.bundle_id, bundle);
+  await storage.put('bundle_meta', bundle.bundle_id, bundleMeta(bundle));
+  return bundle;
+}
+
+/**
+ * Change a stored bundle without losing concurrent writes (e.g. embeddings cached by a parallel request).
+ * @param {string} bundleId
+ * @param {Function} fn - (current bundle) => void; edits the bundle in place, synchronously
+ * @returns {Promise<object|null>} the stored bundle, null when it does not exist
+ */
+async function updateBundle(bundleId, fn) {
+  const bundle = await storage.update('bundles', bundleId, current => {
+    if (!current) return undefined;
+    fn(current);
+    if (current.access_policy) current.access_policy.encrypted = encryptionEnabled();
+    return current;
+  });
+  if (bundle) await storage.put('bundle_meta', bundleId, bundleMeta(bundle));
   return bundle;
 }
 
@@ -274,17 +395,11 @@ async function createBundleForText(text, opts = {}) {
  * Load a stored bundle by id
  * @param {string} bundleId
  * @returns {Promise<object|null>}
+ * @throws {InvalidIdError} when bundleId is malformed (./storage.js)
  */
 async function loadBundle(bundleId) {
   if (!bundleId) throw new Error('bundleId required');
-  const filePath = path.join(STORAGE_DIR, `${bundleId}.json`);
-  try {
-    const raw = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(raw);
-  } catch (err) {
-    if (err.code === 'ENOENT') return null;
-    throw err;
-  }
+  return storage.get('bundles', bundleId);
 }
 
 /**
@@ -301,28 +416,25 @@ async function getChunkById(bundleId, chunkId) {
 }
 
 /**
- * List all bundles available in storage (returns minimal metadata)
- * @returns {Promise<Array<{ bundle_id, doc_title, created_at, uploader_id }>>}
+ * List all bundles available in storage (returns minimal metadata), newest first.
+ * Reads the metadata records only; a bundle stored without one (written before they existed) is loaded once
+ * and its record written.
+ * @returns {Promise<Array<{ bundle_id, doc_title, created_at, uploader_id, language, jurisdiction, source_format,
+ *   chunk_count, has_result, shares }>>}
  */
 async function listBundles() {
-  await ensureStorageDir();
-  const files = await fs.readdir(STORAGE_DIR);
+  const results = new Set(await storage.list('results'));
+  const metas = new Map((await storage.getAll('bundle_meta')).map(({ id, record }) => [id, record]));
   const bundles = [];
-  for (const f of files) {
-    if (!f.endsWith('.json')) continue;
-    const raw = await fs.readFile(path.join(STORAGE_DIR, f), 'utf8');
-    try {
-      const b = JSON.parse(raw);
-      bundles.push({
-        bundle_id: b.bundle_id,
-        doc_title: b.doc_title,
-        created_at: b.created_at,
-        uploader_id: b.uploader_id,
-        chunk_count: (b.chunks || []).length
-      });
-    } catch (e) {
-      // skip invalid
+  for (const id of await storage.list('bundles')) {
+    let meta = metas.get(id);
+    if (!meta) {
+      const bundle = await storage.get('bundles', id);
+      if (!bundle) continue;
+      meta = bundleMeta(bundle);
+      await storage.put('bundle_meta', id, meta);
     }
+    bundles.push({ ...meta, has_result: results.has(id) });
   }
   // sort by created_at desc
   bundles.sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
@@ -330,28 +442,142 @@ async function listBundles() {
 }
 
 /**
- * Delete a bundle (and its file) - respects access policy (caller should check privileges)
+ * Load the stored result of the last simplification of a bundle (written by routes/simplify.js)
+ * @param {string} bundleId
+ * @returns {Promise<object|null>}
+ */
+async function loadBundleResult(bundleId) {
+  if (!bundleId) throw new Error('bundleId required');
+  return storage.get('results', bundleId);
+}
+
+/**
+ * Store the result of a simplification next to its bundle (replaces the previous one)
+ * @param {string} bundleId
+ * @param {object} result
+ * @returns {Promise<object>} the result
+ */
+async function saveBundleResult(bundleId, result) {
+  return storage.put('results', bundleId, result);
+}
+
+/**
+ * Delete a bundle (its file and side files) - respects access policy (caller should check privileges)
  * @param {string} bundleId
  * @returns {Promise<boolean>} true if deleted
  */
 async function deleteBundle(bundleId) {
-  const filePath = path.join(STORAGE_DIR, `${bundleId}.json`);
-  try {
-    await fs.unlink(filePath);
-    return true;
-  } catch (err) {
-    if (err.code === 'ENOENT') return false;
-    throw err;
+  if (!(await storage.remove('bundles', bundleId))) return false;
+  for (const collection of SIDE_COLLECTIONS) await storage.remove(collection, bundleId);
+  await removeBundleFromIndexes(bundleId);
+  return true;
+}
+
+/**
+ * Make sure every chunk has an embedding for the active model, cache them in the bundle
+ * and register the bundle in the vector index.
+ * Vectors from a different embedding model (e.g. provider switched) or of another size than the model returns
+ * now (opts.dim, else the index dimension) are not comparable: recompute.
+ * @param {object} bundle
+ * @param {object} opts - { onProgress({ done, total }) } called after each embedding batch,
+ *                        { dim } size of a vector just returned by the model (e.g. the query embedding)
+ * @returns {Promise<object>} the same bundle
+ */
+async function ensureBundleEmbeddings(bundle, opts = {}) {
+  const onProgress = opts.onProgress || (() => {});
+  const model = getModelInfo().embedding_model;
+  const index = await getVectorIndex(model);
+  const dim = opts.dim || index.dim;
+  bundle.index_metadata = bundle.index_metadata || {};
+  if (bundle.index_metadata.embedding_model !== model) {
+    for (const c of bundle.chunks) c.embedding = null;
+    bundle.index_metadata.embedding_model = model;
+  }
+  for (const c of bundle.chunks) {
+    if (c.embedding && dim && c.embedding.length !== dim) c.embedding = null;
+  }
+
+  const chunksWithoutEmb = bundle.chunks.filter(c => !c.embedding);
+  if (chunksWithoutEmb.length > 0) {
+    // Create embeddings in batches (batch size depends on provider; keep small)
+    const BATCH = 16;
+    for (let i = 0; i < chunksWithoutEmb.length; i += BATCH) {
+      const batch = chunksWithoutEmb.slice(i, i + BATCH);
+      // own redaction context: the same placeholders for this bundle whichever request triggers the embedding
+      const embs = await runWithRedaction(redactionEnabled(), () => {
+        useBundleRedaction(bundle);
+        return batchGetEmbeddings(batch.map(c => c.text), BATCH);
+      });
+      batch.forEach((c, j) => {
+        c.embedding = embs[j];
+        c.embedding_id = c.embedding_id || `emb-${crypto.createHash('sha1').update(c.text).digest('hex').slice(0, 12)}`;
+      });
+      onProgress({ done: i + batch.length, total: chunksWithoutEmb.length });
+    }
+    // Cache the embeddings in the stored bundle. Merged under the record lock rather than saving this copy:
+    // another request may have embedded or edited the bundle meanwhile.
+    const embedded = new Map(chunksWithoutEmb.map(c => [c.chunk_id, c]));
+    const stored = await updateBundle(bundle.bundle_id, current => {
+      current.index_metadata = { ...(current.index_metadata || {}), embedding_model: model };
+      for (const c of current.chunks || []) {
+        const fresh = embedded.get(c.chunk_id);
+        if (fresh && fresh.text === c.text) {
+          c.embedding = fresh.embedding;
+          c.embedding_id = fresh.embedding_id;
+        }
+      }
+    });
+    if (!stored) return bundle; // deleted meanwhile: nothing to index
+  }
+
+  if (chunksWithoutEmb.length > 0 || !index.hasBundle(bundle.bundle_id)) await indexBundle(bundle);
+  return bundle;
+}
+
+/**
+ * Index stored bundles the vector index has not seen yet (e.g. created before the index existed,
+ * or embedded with another model). Unreadable bundles are skipped.
+ * @param {string[]|null} bundleIds - limit to these bundles (default: every stored bundle)
+ * @param {object} opts - { dim } size of a vector just returned by the model: an index of another size
+ *                        is reset and rebuilt
+ * @returns {Promise<string[]>} ids of the bundles that were (re)indexed
+ */
+async function syncVectorIndex(bundleIds = null, opts = {}) {
+  const index = await getVectorIndex();
+  if (index.resetIfDimChanged(opts.dim)) await index.save();
+  const ids = bundleIds || await storage.list('bundles');
+
+  const synced = [];
+  for (const id of ids) {
+    if (index.hasBundle(id)) continue;
+    try {
+      const bundle = await loadBundle(id);
+      if (!bundle || !Array.isArray(bundle.chunks)) continue;
+      await ensureBundleEmbeddings(bundle, { dim: opts.dim });
+      synced.push(id);
+    } catch (err) {
+      console.warn(`Skipping bundle ${id} while syncing the vector index:`, err.message || err);
+    }
   }
+  return synced;
 }
 
 module.exports = {
   createBundleForText,
   loadBundle,
+  saveBundle,
   getChunkById,
   listBundles,
+  updateBundle,
+  loadBundleResult,
+  saveBundleResult,
   deleteBundle,
+  ensureBundleEmbeddings,
+  syncVectorIndex,
   // export chunkText if you want to reuse externally
   chunkText,
-  estimateTokens
+  estimateTokens,
+  CHUNKING_STRATEGIES,
+  pageForOffset,
+  headingForOffset
 };
@@ -0,0 +1,140 @@
+// server/lib/periods.js
+// Periods ("30 days", "thirty (30) days", "twenty-four (24) months", "12-month", "one year") and dates ("January 1, 2024", "1st March 2024",
+// "2024-01-01") found in contract text, and calendar arithmetic with them. Used by playbook checks, contract
+// fact extraction and the deadline calendar.
+//
+// Usage:
+//   const { findPeriods, findDates, toDays, addPeriod } = require('./periods');
+//   findPeriods('within thirty (30) days');   // [{ amount: 30, unit: 'days', days: 30, text: 'thirty (30) days', index: 7 }]
+//   findDates('effective as of March 1, 2024'); // [{ iso: '2024-03-01', text: 'March 1, 2024', index: 16 }]
+//   addPeriod('2024-01-31', { amount: 1, unit: 'months' });     // '2024-02-29' (clamped to the month end)
+//   addPeriod('2026-03-01', { amount: 90, unit: 'days' }, -1);  // '2025-12-01'
+
+const UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const TENS = Object.keys(NUMBER_WORDS).filter(w => NUMBER_WORDS[w] >= 20);
+const UNITS = Object.keys(NUMBER_WORDS).filter(w => NUMBER_WORDS[w] < 10);
+// "twenty-four" before "twenty" and "fourteen" before "four", so the longest spelling wins
+const NUMBER_PATTERN = [
+  '\\d{1,4}',
+  `(?:${TENS.join('|')})-(?:${UNITS.join('|')})`,
+  ...Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length)
+].join('|');
+// 30 days | thirty (30) days | twenty-four (24) months | 12-month | five-year | 10 business days
+const PERIOD_REGEX = new RegExp(
+  `\\b(${NUMBER_PATTERN})(?:\\s*\\((\\d{1,4})\\))?(?:\\s*|-)(?:(?:business|calendar)\\s+)?(day|week|month|year)s?\\b`,
+  'gi'
+);
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const DATE_REGEX = new RegExp([
+  `\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`,            // March 1, 2024
+  `\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:day\\s+)?(?:of\\s+)?${MONTH_PATTERN},?\\s+(\\d{4})\\b`, // 1st (day of) March 2024
+  '\\b(\\d{4})-(\\d{2})-(\\d{2})\\b',                                                // 2024-03-01
+  '\\b(\\d{1,2})/(\\d{1,2})/(\\d{4})\\b'                                            // 03/01/2024 (month first)
+].join('|'), 'gi');
+
+function monthIndex(name) {
+  const key = name.toLowerCase().replace(/\.$/, '').slice(0, 3);
+  return MONTHS.findIndex(m => m.startsWith(key));
+}
+
+function isoDate(year, month, day) {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (m < 1 || m > 12 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// '24', 'twelve' or 'twenty-four' as a number
+function wordsToNumber(text) {
+  if (/^\d/.test(text)) return Number(text);
+  return text.toLowerCase().split('-').reduce((sum, w) => sum + NUMBER_WORDS[w], 0);
+}
+
+/**
+ * @returns {Array<{ amount, unit: 'days'|'weeks'|'months'|'years', days, business, text, index }>}
+ *   business: "business days" (days stays the calendar approximation amount * 1)
+ */
+function findPeriods(text) {
+  const out = [];
+  const re = new RegExp(PERIOD_REGEX.source, 'gi');
+  let m;
+  while ((m = re.exec(String(text || ''))) !== null) {
+    const amount = wordsToNumber(m[2] || m[1]); // the numeral in "twenty-four (24)" wins over the words
+    const unit = m[3].toLowerCase();
+    out.push({ amount, unit: `${unit}s`, days: amount * UNIT_DAYS[unit], business: /\bbusiness\s/i.test(m[0]), text: m[0], index: m.index });
+  }
+  return out;
+}
+
+/**
+ * @returns {Array<{ iso: 'YYYY-MM-DD', text, index }>} impossible dates (February 30) are skipped
+ */
+function findDates(text) {
+  const out = [];
+  const re = new RegExp(DATE_REGEX.source, 'gi');
+  let m;
+  while ((m = re.exec(String(text || ''))) !== null) {
+    let iso = null;
+    if (m[1]) iso = isoDate(m[3], monthIndex(m[1]) + 1, m[2]);
+    else if (m[4]) iso = isoDate(m[6], monthIndex(m[5]) + 1, m[4]);
+    else if (m[7]) iso = isoDate(m[7], m[8], m[9]);
+    else iso = isoDate(m[12], m[10], m[11]);
+    if (iso) out.push({ iso, text: m[0], index: m.index });
+  }
+  return out;
+}
+
+/**
+ * @param {number} value
+ * @param {string} unit - day(s) | week(s) | month(s) | year(s)
+ */
+function toDays(value, unit) {
+  return value * UNIT_DAYS[String(unit).replace(/s$/, '')];
+}
+
+/**
+ * Move an ISO date by a period. Months and years move the calendar date (clamped to the end of shorter
+ * months); business days skip Saturdays and Sundays (public holidays are not known).
+ * @param {string} iso - 'YYYY-MM-DD'
+ * @param {{ amount: number, unit: string, business?: boolean }} p
+ * @param {number} sign - 1 forward, -1 backward
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addPeriod(iso, p, sign = 1) {
+  const [y, m, d] = iso.split('-').map(Number);
+  const unit = String(p.unit).replace(/s$/, '');
+  const n = p.amount * sign;
+  let date;
+  if (unit === 'month' || unit === 'year') {
+    const months = unit === 'year' ? n * 12 : n;
+    const target = new Date(Date.UTC(y, m - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    date = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), Math.min(d, lastDay)));
+  } else if (p.business && unit === 'day') {
+    date = new Date(Date.UTC(y, m - 1, d));
+    for (let left = Math.abs(n); left > 0;) {
+      date.setUTCDate(date.getUTCDate() + Math.sign(n));
+      if (date.getUTCDay() !== 0 && date.getUTCDay() !== 6) left--;
+    }
+  } else {
+    date = new Date(Date.UTC(y, m - 1, d + n * UNIT_DAYS[unit]));
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  isoDate,
+  findPeriods,
+  findDates,
+  toDays,
+  addPeriod
+};
@@ -0,0 +1,310 @@
+// server/lib/piiRedaction.js
+// PII and confidential-data redaction for everything sent to the model provider.
+//
+// Detectors:
+//   PARTY        party names from the preamble (dictionary, via contractFacts' party extraction)  [PARTY_A]
+//   EMAIL        e-mail addresses                                                                   [EMAIL_1]
+//   IBAN         IBANs (mod-97 checked)                                                             [IBAN_1]
+//   ACCOUNT      account / routing / sort code numbers after a cue ("Account No. 12345678")        [ACCOUNT_1]
+//   NATIONAL_ID  US SSN, UK NI number, Indian PAN / Aadhaar, numbers after "passport no." etc.      [NATIONAL_ID_1]
+//   PHONE        phone numbers (9-15 digits with separators or a leading +)                         [PHONE_1]
+//   ADDRESS      street addresses ("4 Dock Road", "221B Baker Street, London NW1 6XE")              [ADDRESS_1]
+//
+// A bundle stores the mapping built from its full text (`bundle.redaction`, see lib/mcp.js); the same value
+// always gets the same placeholder. lib/embeddings.js redacts every chat message, the offline provider's
+// context and every text to embed with the redactor of the current request, and restores the placeholders in
+// the reply (streamed tokens included) before anyone else sees it.
+//
+// The redactor of a request lives in an AsyncLocalStorage context opened by redactionMiddleware (a `redact`
+// body field or query parameter turns it off per request). Routes add the bundles they work on with
+// useBundleRedaction(bundle). Calls outside a request (scripts, tests) get the regex detectors only.
+//
+// Usage:
+//   const { buildRedactionMap, useBundleRedaction } = require('./piiRedaction');
+//   bundle.redaction = buildRedactionMap(text, chunks);   // { version, entities: [{ placeholder, type, value }] }
+//   useBundleRedaction(bundle);                            // after loading the bundle in a route
+//
+// Env:
+//  - REDACT_PII  default for requests without `redact` (default true)
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REDACTION_VERSION = 'redaction-v1';
+const TYPES = ['PARTY', 'EMAIL', 'IBAN', 'ACCOUNT', 'NATIONAL_ID', 'PHONE', 'ADDRESS'];
+const PLACEHOLDER_REGEX = /\[(PARTY_[A-Z]+|(?:EMAIL|IBAN|ACCOUNT|NATIONAL_ID|PHONE|ADDRESS)_\d+)\]/g;
+const MAX_PLACEHOLDER_CHARS = 20;
+// context keys that are never redacted (ids the caller matches on, vectors)
+const SKIP_KEYS = /^(?:embedding|.*_ids?)$/;
+// "between the Landlord and the Tenant": role words are not personal data
+const GENERIC_PARTY = /^(?:landlord|tenant|lessor|lessee|licensor|licensee|buyer|seller|purchaser|vendor|supplier|customer|client|contractor|consultant|employer|employee|company|owner|charterer|borrower|lender|guarantor|provider|recipient|disclosing party|receiving party|franchisor|franchisee|part(?:y|ies))$/i;
+
+const STREET_TYPES = 'Street|St\\.|Road|Rd\\.|Avenue|Ave\\.|Lane|Ln\\.|Boulevard|Blvd\\.|Drive|Dr\\.|Court|Ct\\.|Way|Place|Pl\\.|Square|Sq\\.|Terrace|Parkway|Highway|Close|Crescent|Marg|Nagar';
+
+// In priority order: where matches overlap the earlier detector wins
+const DETECTORS = [
+  { type: 'EMAIL', regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { type: 'IBAN', regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, valid: isValidIban },
+  {
+    type: 'ACCOUNT',
+    regex: /\b(?:account|acct\.?|a\/c|routing|sort code|aba)(?:\s+(?:number|no\.?|#))?\s*[:#]?\s*(\d[\d -]{4,22}\d)\b/gi,
+    group: 1
+  },
+  {
+    type: 'NATIONAL_ID',
+    regex: /\b(?:\d{3}-\d{2}-\d{4}|[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]|[A-Z]{5}\d{4}[A-Z]|\d{4} \d{4} \d{4})\b/g
+  },
+  {
+    type: 'NATIONAL_ID',
+    regex: /\b(?:passport|social security|national (?:id|identity|insurance)|id|identity card|tax id|tin|ein)(?:\s+(?:number|no\.?|#))\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{4,18}[A-Z0-9])\b/gi,
+    group: 1
+  },
+  {
+    type: 'PHONE',
+    regex: /(?<![\w-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,3}(?![\w-])/g,
+    valid: text => {
+      const digits = text.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15 && (/^\+|\(/.test(text) || /^\d{3}[ .-]\d{3}[ .-]\d{4}$/.test(text) || digits >= 10);
+    }
+  },
+  {
+    type: 'ADDRESS',
+    regex: new RegExp(`\\b\\d{1,5}[A-Z]?\\s+(?:[A-Z][a-z]+\\s+){1,4}(?:${STREET_TYPES})(?![A-Za-z])(?:,?\\s+(?:Suite|Unit|Floor|Apt\\.?)\\s+\\w+)?(?:,\\s*[A-Z][a-z]+(?:\\s[A-Z][a-z]+){0,2})?(?:,?\\s*(?:[A-Z]{2}\\s+\\d{5}(?:-\\d{4})?|[A-Z]{1,2}\\d[A-Z\\d]?\\s*\\d[A-Z]{2}|\\d{6}))?`, 'g')
+  }
+];
+
+function isValidIban(text) {
+  const iban = text.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const value = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function partyLetter(n) {
+  let out = '';
+  for (let i = n; i > 0; i = Math.floor((i - 1) / 26)) out = String.fromCharCode(65 + ((i - 1) % 26)) + out;
+  return out;
+}
+
+function placeholderFor(type, n) {
+  return `[${type}_${type === 'PARTY' ? partyLetter(n) : n}]`;
+}
+
+/**
+ * Regex detector matches in a text, overlaps resolved by detector priority.
+ * @returns {Array<{ type, value, index }>} in text order
+ */
+function detect(text) {
+  const found = [];
+  for (const d of DETECTORS) {
+    const re = new RegExp(d.regex.source, d.regex.flags);
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const value = d.group ? m[d.group] : m[0].trim();
+      const index = d.group ? m.index + m[0].lastIndexOf(value) : m.index + m[0].indexOf(value);
+      if (!value || (d.valid && !d.valid(value))) continue;
+      if (found.some(f => index < f.index + f.value.length && f.index < index + value.length)) continue;
+      found.push({ type: d.type, value, index });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * The redaction mapping of a document: party names from the preamble, then regex detector matches,
+ * numbered by first appearance.
+ * @param {string} text - the full document text
+ * @param {Array<{ chunk_id, text }>} chunks - its chunks (party extraction reads the first ones)
+ * @returns {{ version, entities: Array<{ placeholder, type, value }> }}
+ */
+function buildRedactionMap(text, chunks) {
+  // required here: contractFacts -> embeddings -> piiRedaction would be circular at load time
+  const { extractParties } = require('./contractFacts');
+  const redactor = createRedactor();
+  for (const party of extractParties(chunks || [])) {
+    if (!GENERIC_PARTY.test(party.value.name)) redactor.add('PARTY', party.value.name);
+  }
+  for (const match of detect(text || '')) redactor.add(match.type, match.value);
+  return { version: REDACTION_VERSION, entities: redactor.entities() };
+}
+
+/**
+ * A redactor over a set of entities. Values seen for the first time while redacting (detector matches in a
+ * question, say) are added with the next free placeholder of their type.
+ * @param {Array<{ placeholder, type, value }>} entities
+ */
+function createRedactor(entities = []) {
+  const byValue = new Map();
+  const byPlaceholder = new Map();
+  const counts = Object.fromEntries(TYPES.map(t => [t, 0]));
+  let valueRegex = null;
+
+  function add(type, value, placeholder = null) {
+    if (!value || byValue.has(value)) return byValue.get(value);
+    let p = placeholder;
+    if (!p || byPlaceholder.has(p)) {
+      do p = placeholderFor(type, ++counts[type]); while (byPlaceholder.has(p));
+    }
+    byValue.set(value, p);
+    byPlaceholder.set(p, { placeholder: p, type, value });
+    valueRegex = null;
+    return p;
+  }
+
+  for (const e of entities) add(e.type, e.value, e.placeholder);
+
+  function redact(text) {
+    if (typeof text !== 'string' || !text) return text;
+    let out = text;
+    for (const match of detect(out)) add(match.type, match.value);
+    if (!byValue.size) return out;
+    if (!valueRegex) {
+      const values = [...byValue.keys()].sort((a, b) => b.length - a.length).map(escapeRegex);
+      valueRegex = new RegExp(`(?<![\\w@])(?:${values.join('|')})(?![\\w@])`, 'g');
+    }
+    out = out.replace(valueRegex, v => byValue.get(v));
+    return out;
+  }
+
+  function restore(text) {
+    if (typeof text !== 'string' || !text) return text;
+    return text.replace(PLACEHOLDER_REGEX, (p, inner) => (byPlaceholder.has(`[${inner}]`) ? byPlaceholder.get(`[${inner}]`).value : p));
+  }
+
+  // strings anywhere in a value (the offline provider's context), ids and vectors left alone
+  function redactDeep(value, key = '') {
+    if (SKIP_KEYS.test(key)) return value;
+    if (typeof value === 'string') return redact(value);
+    if (Array.isArray(value)) return value.map(v => redactDeep(v, key));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactDeep(v, k)]));
+    }
+    return value;
+  }
+
+  // restores placeholders in streamed text, holding back a placeholder split across tokens
+  function streamRestorer(onToken) {
+    let pending = '';
+    return {
+      push(token) {
+        pending += token;
+        const open = pending.lastIndexOf('[');
+        const cut = open >= 0 && pending.indexOf(']', open) < 0 && pending.length - open < MAX_PLACEHOLDER_CHARS ? open : pending.length;
+        if (cut > 0) onToken(restore(pending.slice(0, cut)));
+        pending = pending.slice(cut);
+      },
+      flush() {
+        if (pending) onToken(restore(pending));
+        pending = '';
+      }
+    };
+  }
+
+  return {
+    add,
+    redact,
+    restore,
+    redactDeep,
+    streamRestorer,
+    entities: () => [...byPlaceholder.values()]
+  };
+}
+
+/**
+ * The stored mapping of a bundle; bundles from before redaction (or an older version) get one from their chunks.
+ */
+function bundleRedactionMap(bundle) {
+  if (bundle.redaction && bundle.redaction.version === REDACTION_VERSION) return bundle.redaction;
+  const chunks = bundle.chunks || [];
+  return buildRedactionMap(chunks.map(c => c.text).join('\n\n'), chunks);
+}
+
+/* ---------------------
+   Request context
+   ---------------------*/
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Parse a per-request `redact` value (boolean or 'true' / 'false'); undefined falls back to REDACT_PII.
+ * @returns {boolean|null} null when invalid
+ */
+function resolveRedact(value) {
+  if (value === undefined || value === null || value === '') return process.env.REDACT_PII !== 'false';
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return null;
+}
+
+/**
+ * Run fn with redaction on or off for every provider call it makes.
+ */
+function runWithRedaction(enabled, fn) {
+  return context.run({ enabled, redactor: enabled ? createRedactor() : null, bundles: new Set() }, fn);
+}
+
+/**
+ * Express middleware: opens the redaction context of a request from body.redact / query.redact.
+ */
+function redactionMiddleware(req, res, next) {
+  const requested = req.body && req.body.redact !== undefined ? req.body.redact : req.query.redact;
+  const enabled = resolveRedact(requested);
+  if (enabled === null) return res.status(400).json({ error: 'redact must be true or false' });
+  return runWithRedaction(enabled, next);
+}
+
+/**
+ * Add the mappings of bundles to the current request's redactor (no-op when redaction is off).
+ * @param {...object} bundles
+ */
+function useBundleRedaction(...bundles) {
+  const store = context.getStore();
+  if (store && !store.enabled) return;
+  for (const bundle of bundles) {
+    if (!bundle || !store || store.bundles.has(bundle.bundle_id)) continue;
+    for (const e of bundleRedactionMap(bundle).entities) store.redactor.add(e.type, e.value, e.placeholder);
+    store.bundles.add(bundle.bundle_id);
+  }
+}
+
+/**
+ * The redactor for a provider call: the request's, none when the request turned redaction off, and a
+ * detectors-only one outside a request (unless REDACT_PII=false).
+ * @returns {object|null}
+ */
+function activeRedactor() {
+  const store = context.getStore();
+  if (store) return store.redactor;
+  return process.env.REDACT_PII === 'false' ? null : createRedactor();
+}
+
+/**
+ * Whether redaction is on for the current request.
+ */
+function redactionEnabled() {
+  const store = context.getStore();
+  return store ? store.enabled : process.env.REDACT_PII !== 'false';
+}
+
+module.exports = {
+  REDACTION_VERSION,
+  buildRedactionMap,
+  createRedactor,
+  bundleRedactionMap,
+  resolveRedact,
+  runWithRedaction,
+  redactionMiddleware,
+  useBundleRedaction,
+  activeRedactor,
+  redactionEnabled,
+  // exported for testing
+  _internals: { detect, isValidIban }
+};
@@ -0,0 +1,213 @@
+// server/lib/playbookCheck.js
+// Check a bundle against a playbook (lib/playbooks.js) behind POST /api/bundles/:bundle_id/check.
+//
+// For every rule:
+//  1. candidates   chunks tagged with the rule's clause_type (lib/clauseTaxonomy.js), ordered by how well
+//                  they match the rule's query (lib/retrieval.js)
+//  2. expect       'absent' rules pass when no such clause exists; 'present' rules without candidates are
+//                  "missing"
+//  3. check        deterministic conditions (periods, one_of, must_include, must_not_include) decide pass /
+//                  fail, quoting the sentences they matched; periods are judged in the sentences that carry
+//                  the clause type ("terminate on 30 days notice", not "cure within 15 days") when there are any
+//  4. model        rules without a check, or whose check found nothing to judge, go to the model (task
+//                  'playbook') with the candidates (or the retrieved chunks when no chunk has the type);
+//                  an unusable verdict fails closed with needs_review
+//
+// Usage:
+//   const { checkBundle } = require('./playbookCheck');
+//   const report = await checkBundle(bundle, playbook);
+//   // { summary: { total, pass, fail, missing, high_severity_issues }, results: [...] }
+
+const { chatComplete } = require('./embeddings');
+const { extractJson } = require('./jsonOutput');
+const { retrieveChunks } = require('./retrieval');
+const { classifyChunk, TAXONOMY } = require('./clauseTaxonomy');
+const { findPeriods, toDays } = require('./periods');
+
+const RULE_TOP_K = 4;           // retrieved chunks per rule
+const MAX_CANDIDATES = 4;       // tagged chunks evaluated per rule
+const QUOTE_CHARS = 240;
+const STATUSES = ['pass', 'fail', 'missing'];
+
+function splitSentences(text) {
+  return String(text || '').split(/(?<=[.;!?])\s+/).map(s => s.trim()).filter(Boolean);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function quote(text) {
+  const t = String(text || '').replace(/\s+/g, ' ').trim();
+  return t.length > QUOTE_CHARS ? `${t.slice(0, QUOTE_CHARS)}...` : t;
+}
+
+function evidenceFor(chunk, sentence) {
+  return { chunk_id: chunk.chunk_id, section_header: chunk.section_header || null, quote: quote(sentence || chunk.text) };
+}
+
+// does the sentence on its own classify as the clause type?
+function speaksTo(sentence, clauseType) {
+  return classifyChunk({ text: sentence }).clause_types.some(t => t.type === clauseType);
+}
+
+/**
+ * Run a rule's deterministic conditions over the candidate chunks.
+ * @param {object} check
+ * @param {object[]} candidates
+ * @param {string} [clauseType] - periods in sentences carrying this type are the clause's own
+ * @returns {{ status: 'pass'|'fail'|null, reasons: string[], evidence: object[] }} null status = nothing to judge
+ */
+function runCheck(check, candidates, clauseType) {
+  const failures = [];
+  const passes = [];
+  const sentences = candidates.flatMap(chunk => splitSentences(chunk.text).map(sentence => ({ chunk, sentence })));
+
+  if (check.min !== undefined || check.max !== undefined) {
+    const min = check.min !== undefined ? toDays(check.min, check.unit) : -Infinity;
+    const max = check.max !== undefined ? toDays(check.max, check.unit) : Infinity;
+    const all = sentences.flatMap(s => findPeriods(s.sentence).map(p => ({ ...s, period: p })));
+    const own = all.filter(f => speaksTo(f.sentence, clauseType));
+    const found = own.length ? own : all;
+    const bad = found.filter(f => f.period.days < min || f.period.days > max);
+    const range = [check.min !== undefined ? `at least ${check.min} ${check.unit}` : null, check.max !== undefined ? `at most ${check.max} ${check.unit}` : null].filter(Boolean).join(' and ');
+    if (bad.length) failures.push({ reason: `period ${bad.map(b => `"${b.period.text}"`).join(', ')} is not ${range}`, hits: bad });
+    else if (found.length) passes.push({ reason: `period ${found.map(f => `"${f.period.text}"`).join(', ')} is ${range}`, hits: found });
+  }
+
+  if (check.one_of) {
+    const hit = sentences.find(s => check.one_of.some(v => new RegExp(`\\b${escapeRegex(v)}\\b`, 'i').test(s.sentence)));
+    if (hit) passes.push({ reason: `names one of: ${check.one_of.join(', ')}`, hits: [hit] });
+    else failures.push({ reason: `names none of: ${check.one_of.join(', ')}`, hits: sentences.slice(0, 1) });
+  }
+
+  for (const pattern of check.must_include || []) {
+    const re = new RegExp(pattern, 'i');
+    const hit = sentences.find(s => re.test(s.sentence));
+    if (hit) passes.push({ reason: `contains /${pattern}/`, hits: [hit] });
+    else failures.push({ reason: `does not contain /${pattern}/`, hits: [] });
+  }
+
+  for (const pattern of check.must_not_include || []) {
+    const re = new RegExp(pattern, 'i');
+    const hits = sentences.filter(s => re.test(s.sentence));
+    if (hits.length) failures.push({ reason: `contains /${pattern}/`, hits });
+  }
+
+  const decisive = failures.length ? failures : passes;
+  const seen = new Set();
+  const evidence = decisive.flatMap(d => d.hits)
+    .filter(h => !seen.has(h.sentence) && seen.add(h.sentence))
+    .map(h => evidenceFor(h.chunk, h.sentence));
+  return {
+    status: failures.length ? 'fail' : (passes.length ? 'pass' : null),
+    reasons: decisive.map(d => d.reason),
+    evidence
+  };
+}
+
+function buildPlaybookPrompt(rule, sources) {
+  const text = sources.map(c => `[${c.chunk_id}] ${c.text}`).join('\n\n');
+  return [
+    {
+      role: 'system',
+      content: 'You check a contract against a house position. Use ONLY the SOURCES. '
+        + 'status is "pass" when the sources meet the requirement, "fail" when they contradict it, "missing" when '
+        + 'they do not address it. Output MUST BE JSON only: {"status": "pass|fail|missing", "chunk_ids": ["..."], "reason": "one sentence"}'
+    },
+    { role: 'user', content: `REQUIREMENT (${rule.clause_type}): ${rule.requirement}\n\nSOURCES:\n${text || '(none)'}` }
+  ];
+}
+
+async function judgeWithModel(rule, sources) {
+  const resp = await chatComplete(buildPlaybookPrompt(rule, sources), {
+    max_tokens: 300,
+    task: 'playbook',
+    context: { requirement: rule.requirement, clause_type: rule.clause_type, sources }
+  });
+  const { value } = extractJson(resp.content || '');
+  if (!value || !STATUSES.includes(value.status)) {
+    return { status: 'fail', needs_review: true, reasons: ['the model verdict was unusable; review this rule manually'], evidence: sources.slice(0, 1).map(c => evidenceFor(c)) };
+  }
+  const byId = new Map(sources.map(c => [c.chunk_id, c]));
+  const cited = (Array.isArray(value.chunk_ids) ? value.chunk_ids : []).filter(id => byId.has(id));
+  return {
+    status: value.status,
+    needs_review: false,
+    reasons: [typeof value.reason === 'string' && value.reason.trim() ? value.reason.trim() : `model verdict: ${value.status}`],
+    evidence: value.status === 'missing' ? [] : cited.map(id => evidenceFor(byId.get(id)))
+  };
+}
+
+/**
+ * Evaluate one playbook rule against a bundle.
+ */
+async function evaluateRule(bundle, rule) {
+  const label = (TAXONOMY.find(t => t.type === rule.clause_type) || {}).label || rule.clause_type;
+  const { top } = await retrieveChunks(bundle, rule.query || `${label}: ${rule.requirement}`, { topK: RULE_TOP_K });
+  const rank = new Map(top.map((t, i) => [t.chunk.chunk_id, i]));
+  const typed = bundle.chunks
+    .filter(c => (c.classification || classifyChunk(c)).clause_types.some(t => t.type === rule.clause_type))
+    .sort((a, b) => (rank.has(a.chunk_id) ? rank.get(a.chunk_id) : Infinity) - (rank.has(b.chunk_id) ? rank.get(b.chunk_id) : Infinity));
+  const candidates = typed.slice(0, MAX_CANDIDATES);
+
+  const base = {
+    rule_id: rule.rule_id,
+    clause_type: rule.clause_type,
+    requirement: rule.requirement,
+    severity: rule.severity,
+    candidate_chunk_ids: candidates.map(c => c.chunk_id),
+    needs_review: false
+  };
+
+  if (rule.expect === 'absent') {
+    return candidates.length
+      ? { ...base, status: 'fail', method: 'rules', reasons: [`a ${label.toLowerCase()} clause is present`], evidence: candidates.map(c => evidenceFor(c)) }
+      : { ...base, status: 'pass', method: 'rules', reasons: [`no ${label.toLowerCase()} clause found`], evidence: [] };
+  }
+
+  if (rule.check) {
+    if (!candidates.length) {
+      return { ...base, status: 'missing', method: 'rules', reasons: [`no ${label.toLowerCase()} clause found`], evidence: [] };
+    }
+    const checked = runCheck(rule.check, candidates, rule.clause_type);
+    if (checked.status) return { ...base, method: 'rules', ...checked };
+  }
+
+  const sources = candidates.length ? candidates : top.map(t => t.chunk);
+  return { ...base, method: 'llm', ...(await judgeWithModel(rule, sources)) };
+}
+
+/**
+ * Check every rule of a playbook. Rules run one after another (each may call the model once).
+ * @returns {Promise<{ summary, results }>}
+ */
+async function checkBundle(bundle, playbook) {
+  const results = [];
+  for (const rule of playbook.rules) {
+    const result = await evaluateRule(bundle, rule);
+    results.push({
+      ...result,
+      // proposed wording only where the contract falls short
+      fallback_language: result.status === 'pass' ? null : (rule.fallback_language || null)
+    });
+  }
+  const count = status => results.filter(r => r.status === status).length;
+  return {
+    summary: {
+      total: results.length,
+      pass: count('pass'),
+      fail: count('fail'),
+      missing: count('missing'),
+      high_severity_issues: results.filter(r => r.severity === 'high' && r.status !== 'pass').map(r => r.rule_id)
+    },
+    results
+  };
+}
+
+module.exports = {
+  checkBundle,
+  evaluateRule,
+  // exported for testing
+  _internals: { runCheck, buildPlaybookPrompt }
+};
@@ -0,0 +1,216 @@
+// server/lib/playbooks.js
+// Team playbooks: house positions a contract is checked against (lib/playbookCheck.js), stored as
+// storage/playbooks/<playbook_id>.yaml (written by the API) or .json (hand-placed files are read too).
+//
+// Usage:
+//   const { parsePlaybook, validatePlaybook, savePlaybook, loadPlaybook, listPlaybooks } = require('./playbooks');
+//   const playbook = parsePlaybook(yamlOrJsonText);            // throws on syntax errors
+//   const errors = validatePlaybook(playbook);                 // [] when valid
+//   await savePlaybook(playbook);
+//
+// Format (YAML or JSON):
+//   playbook_id: house-nda
+//   name: House NDA positions
+//   description: optional
+//   rules:
+//     - rule_id: liability-cap
+//       clause_type: limitation_of_liability        # lib/clauseTaxonomy.js type
+//       requirement: Liability cap of at least 12 months' fees
+//       severity: high                              # high | medium | low
+//       expect: present                             # present (default) | absent
+//       check:                                      # optional; without it the model judges the requirement
+//         min: 12                                   # every period of the clause must be >= min and <= max ...
+//         max: 36
+//         unit: months                              # ... in this unit (days | weeks | months | years)
+//         one_of: [England, New York]               # the clause must name one of these
+//         must_include: ["fees paid"]               # regexes (case-insensitive) that must match
+//         must_not_include: ["at any time"]         # regexes that must not match
+//       query: optional retrieval query (defaults to the requirement)
+//       fallback_language: Text to propose when the rule fails or the clause is missing
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { TAXONOMY } = require('./clauseTaxonomy');
+
+const PLAYBOOKS_DIR = path.join(__dirname, '..', 'storage', 'playbooks');
+const PLAYBOOK_ID_REGEX = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const SEVERITIES = ['high', 'medium', 'low'];
+const EXPECTS = ['present', 'absent'];
+const UNITS = ['days', 'weeks', 'months', 'years'];
+const CHECK_KEYS = ['min', 'max', 'unit', 'one_of', 'must_include', 'must_not_include'];
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+/**
+ * Parse YAML or JSON text (JSON is valid YAML).
+ * @throws {Error} on syntax errors
+ */
+function parsePlaybook(text) {
+  return yaml.load(String(text || ''), { schema: yaml.JSON_SCHEMA });
+}
+
+function validRegex(source) {
+  try {
+    RegExp(source, 'i');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @returns {string[]} problems, empty when the playbook is usable
+ */
+function validatePlaybook(playbook) {
+  if (!playbook || typeof playbook !== 'object' || Array.isArray(playbook)) return ['playbook must be an object'];
+  const errors = [];
+  if (!PLAYBOOK_ID_REGEX.test(String(playbook.playbook_id || ''))) {
+    errors.push('playbook_id must be 2-64 lower-case letters, digits, "-" or "_"');
+  }
+  if (!playbook.name || typeof playbook.name !== 'string') errors.push('name is required');
+  if (!Array.isArray(playbook.rules) || playbook.rules.length === 0) {
+    errors.push('rules must be a non-empty array');
+    return errors;
+  }
+
+  const types = TAXONOMY.map(t => t.type);
+  const seen = new Set();
+  playbook.rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!rule.rule_id || typeof rule.rule_id !== 'string') errors.push(`${at}.rule_id is required`);
+    else if (seen.has(rule.rule_id)) errors.push(`${at}.rule_id "${rule.rule_id}" is used twice`);
+    seen.add(rule.rule_id);
+    if (!types.includes(rule.clause_type)) errors.push(`${at}.clause_type must be one of: ${types.join(', ')}`);
+    if (!rule.requirement || typeof rule.requirement !== 'string') errors.push(`${at}.requirement is required`);
+    if (!SEVERITIES.includes(rule.severity)) errors.push(`${at}.severity must be one of: ${SEVERITIES.join(', ')}`);
+    if (rule.expect !== undefined && !EXPECTS.includes(rule.expect)) errors.push(`${at}.expect must be one of: ${EXPECTS.join(', ')}`);
+    if (rule.fallback_language !== undefined && typeof rule.fallback_language !== 'string') errors.push(`${at}.fallback_language must be a string`);
+    if (rule.query !== undefined && typeof rule.query !== 'string') errors.push(`${at}.query must be a string`);
+
+    const check = rule.check;
+    if (check === undefined) return;
+    if (!check || typeof check !== 'object' || Array.isArray(check)) {
+      errors.push(`${at}.check must be an object`);
+      return;
+    }
+    for (const key of Object.keys(check)) {
+      if (!CHECK_KEYS.includes(key)) errors.push(`${at}.check.${key} is not supported (use ${CHECK_KEYS.join(', ')})`);
+    }
+    for (const key of ['min', 'max']) {
+      if (check[key] !== undefined && !(typeof check[key] === 'number' && check[key] >= 0)) errors.push(`${at}.check.${key} must be a number >= 0`);
+    }
+    if ((check.min !== undefined || check.max !== undefined) && !UNITS.includes(check.unit)) {
+      errors.push(`${at}.check.unit must be one of: ${UNITS.join(', ')}`);
+    }
+    for (const key of ['one_of', 'must_include', 'must_not_include']) {
+      if (check[key] === undefined) continue;
+      if (!Array.isArray(check[key]) || !check[key].length || check[key].some(v => typeof v !== 'string' || !v)) {
+        errors.push(`${at}.check.${key} must be a non-empty array of strings`);
+      } else if (key !== 'one_of') {
+        check[key].filter(v => !validRegex(v)).forEach(v => errors.push(`${at}.check.${key}: invalid pattern "${v}"`));
+      }
+    }
+  });
+  return errors;
+}
+
+async function findPlaybookFile(playbookId) {
+  for (const ext of EXTENSIONS) {
+    const p = path.join(PLAYBOOKS_DIR, `${playbookId}${ext}`);
+    try {
+      await fs.access(p);
+      return p;
+    } catch (e) {
+      // try the next extension
+    }
+  }
+  return null;
+}
+
+/**
+ * @returns {Promise<object|null>} null when the id is malformed or unknown
+ * @throws {Error} when the stored file does not parse
+ */
+async function loadPlaybook(playbookId) {
+  if (!PLAYBOOK_ID_REGEX.test(String(playbookId))) return null;
+  const file = await findPlaybookFile(playbookId);
+  if (!file) return null;
+  const playbook = parsePlaybook(await fs.readFile(file, 'utf8'));
+  return { ...playbook, playbook_id: playbookId };
+}
+
+/**
+ * Write a (validated) playbook as YAML, replacing any stored file with the same id.
+ */
+async function savePlaybook(playbook) {
+  await fs.mkdir(PLAYBOOKS_DIR, { recursive: true });
+  const stored = { ...playbook, updated_at: new Date().toISOString() };
+  await deletePlaybook(playbook.playbook_id);
+  await fs.writeFile(path.join(PLAYBOOKS_DIR, `${playbook.playbook_id}.yaml`), yaml.dump(stored, { lineWidth: 120 }), 'utf8');
+  return stored;
+}
+
+/**
+ * @returns {Promise<boolean>} whether a file was removed
+ */
+async function deletePlaybook(playbookId) {
+  if (!PLAYBOOK_ID_REGEX.test(String(playbookId))) return false;
+  let removed = false;
+  for (const ext of EXTENSIONS) {
+    try {
+      await fs.unlink(path.join(PLAYBOOKS_DIR, `${playbookId}${ext}`));
+      removed = true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return removed;
+}
+
+/**
+ * @returns {Promise<Array<{ playbook_id, name, description, rule_count, updated_at }>>} unreadable files are skipped
+ */
+async function listPlaybooks() {
+  let files;
+  try {
+    files = await fs.readdir(PLAYBOOKS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const out = [];
+  for (const f of files.sort()) {
+    const ext = path.extname(f);
+    const id = path.basename(f, ext);
+    if (!EXTENSIONS.includes(ext) || !PLAYBOOK_ID_REGEX.test(id)) continue;
+    try {
+      const p = parsePlaybook(await fs.readFile(path.join(PLAYBOOKS_DIR, f), 'utf8'));
+      out.push({
+        playbook_id: id,
+        name: p.name || id,
+        description: p.description || null,
+        rule_count: Array.isArray(p.rules) ? p.rules.length : 0,
+        updated_at: p.updated_at || null
+      });
+    } catch (err) {
+      console.warn(`Skipping unreadable playbook ${f}:`, err.message);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  PLAYBOOKS_DIR,
+  SEVERITIES,
+  parsePlaybook,
+  validatePlaybook,
+  loadPlaybook,
+  savePlaybook,
+  deletePlaybook,
+  listPlaybooks,
+  toYaml: playbook => yaml.dump(playbook, { lineWidth: 120 })
+};
@@ -0,0 +1,45 @@
+// server/lib/providers/index.js
+// Provider registry for LLM chat + embeddings.
+//
+// Selection (read on every call, so env changes apply without a restart):
+//  - LLM_PROVIDER=openai  OpenAI-compatible HTTP API (honours OPENAI_BASE_URL)
+//  - LLM_PROVIDER=local   offline deterministic provider (no API key needed)
+//  - unset                'openai' when OPENAI_API_KEY or OPENAI_BASE_URL is set, otherwise 'local'
+//
+// Provider interface:
+//  {
+//    name, chatModel, embedModel, batchThrottleMs,
+//    chat(messages, { max_tokens, temperature, model, task, context }) -> Promise<{ content, raw, model }>,
+//    chatStream(messages, opts, onToken) -> same as chat, calling onToken(text) as content arrives (optional)
+//    embed(texts, { model }) -> Promise<Array<number[]|null>>
+//  }
+
+const PROVIDERS = {
+  openai: () => require('./openai'),
+  local: () => require('./local')
+};
+
+function resolveProviderName() {
+  const explicit = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (explicit) return explicit;
+  return (process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL) ? 'openai' : 'local';
+}
+
+/**
+ * Return the active provider module.
+ * @param {string} [name] - override the env-selected provider
+ */
+function getProvider(name) {
+  const key = (name || resolveProviderName()).toLowerCase();
+  const load = PROVIDERS[key];
+  if (!load) {
+    throw new Error(`Unknown LLM_PROVIDER "${key}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return load();
+}
+
+module.exports = {
+  getProvider,
+  resolveProviderName,
+  providerNames: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,337 @@
+// server/lib/providers/local.js
+// Fully offline, deterministic provider. No network, no API key.
+//  - embed(): hashed bag-of-words vectors (unigrams + bigrams, feature hashing, L2-normalised)
+//  - chat():  extractive, template-based answers built from the SOURCE CHUNKS the caller passes
+//             in opts.context (task-specific: 'simplify' returns the JSON contract, 'ask' quotes
+//             the best-matching sentences with chunk_id citations, 'rerank' scores term overlap,
+//             'reduce' joins map-reduce part summaries, 'condense' anchors follow-up questions to
+//             the previous one, 'classify' tags clause types by taxonomy keywords, 'compare' restates
+//             redline deletions and insertions, 'playbook' looks for a source on the requirement's topic)
+//
+// Intended for demos, tests and CI. Output quality is far below a real LLM, but it is
+// grounded by construction: every sentence it emits is copied (or lightly rephrased) from a chunk.
+//
+// Env:
+//  - LOCAL_EMBED_DIM  vector size (default 384)
+
+const crypto = require('crypto');
+
+const DEFAULT_DIM = 384;
+const NOT_IN_DOCUMENT = 'Not in document';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'by', 'with', 'at', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those',
+  'any', 'all', 'such', 'which', 'who', 'whom', 'what', 'when', 'where', 'how', 'why', 'do', 'does',
+  'did', 'can', 'could', 'will', 'would', 'shall', 'should', 'may', 'might', 'must', 'i', 'we', 'you',
+  'he', 'she', 'they', 'them', 'our', 'your', 'their', 'my', 'me', 'us', 'if', 'than', 'then', 'so',
+  'not', 'no', 'there', 'here', 'about', 'into', 'under', 'other', 'each', 'per', 'upon'
+]);
+
+// Legalese -> plain English (applied in order)
+const PLAIN_ENGLISH = [
+  [/\bshall not\b/gi, 'must not'],
+  [/\bshall\b/gi, 'must'],
+  [/\bin the event that\b/gi, 'if'],
+  [/\bin the event of\b/gi, 'if there is'],
+  [/\bprior to\b/gi, 'before'],
+  [/\bsubsequent to\b/gi, 'after'],
+  [/\bpursuant to\b/gi, 'under'],
+  [/\bin accordance with\b/gi, 'following'],
+  [/\bnotwithstanding\b/gi, 'despite'],
+  [/\bforthwith\b/gi, 'immediately'],
+  [/\bcommence\b/gi, 'start'],
+  [/\bherein\b/gi, 'in this agreement'],
+  [/\bhereunder\b/gi, 'under this agreement'],
+  [/\bthereof\b/gi, 'of it'],
+  [/\bhereinafter\s+/gi, ''],
+  [/^\s*whereas,?\s*/i, '']
+];
+
+// Topic templates used for "why it matters" and a coarse risk label
+const TOPICS = [
+  { pattern: /indemnif|hold harmless/i, why: 'Decides who pays if a claim or loss arises.', risk: 'High', reason: 'indemnity obligations can be open-ended' },
+  { pattern: /limitation of liability|liable|liability/i, why: 'Caps or shifts how much either side can be made to pay.', risk: 'High', reason: 'affects how much you can recover or owe' },
+  { pattern: /non-?compete|non-?solicit/i, why: 'Restricts what you can do after the relationship ends.', risk: 'High', reason: 'restrictive covenant' },
+  { pattern: /terminat|cancel/i, why: 'Explains how and when the agreement can end.', risk: 'Medium', reason: 'check notice periods and exit rights' },
+  { pattern: /auto(matic(ally)?)?[- ]?renew|renew/i, why: 'Explains whether the agreement continues automatically.', risk: 'Medium', reason: 'renewal may happen unless you opt out in time' },
+  { pattern: /confidential|non-disclosure|secret/i, why: 'Limits what information you can share and for how long.', risk: 'Medium', reason: 'breach can lead to damages' },
+  { pattern: /pay|fee|invoice|price|\$|€|£/i, why: 'Sets what must be paid and when.', risk: 'Medium', reason: 'money obligations' },
+  { pattern: /governing law|jurisdiction|arbitrat|court/i, why: 'Decides which law and forum apply to disputes.', risk: 'Low', reason: 'procedural, but affects where disputes are heard' },
+  { pattern: /intellectual property|copyright|licen[cs]e/i, why: 'Decides who owns or may use the work and materials.', risk: 'Medium', reason: 'ownership of work product' },
+  { pattern: /data|privacy|personal information/i, why: 'Sets rules for handling personal or sensitive data.', risk: 'Medium', reason: 'regulatory exposure' }
+];
+
+/* ---------------------
+   Text helpers
+   ---------------------*/
+
+function splitSentences(text) {
+  const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!normalized) return [];
+  return normalized.split(/(?<=\S[.!?])\s+(?=[A-Z0-9"“‘([])/).map(s => s.trim()).filter(Boolean);
+}
+
+// crude stemmer: enough to match "terminate"/"terminated"/"termination"
+function stem(token) {
+  if (token.length <= 4) return token;
+  return token.replace(/(ations?|ing|ed|es|s)$/, '').slice(0, 8) || token;
+}
+
+function tokenize(text) {
+  const raw = String(text || '').toLowerCase().match(/[a-z0-9]+(?:[.'][a-z0-9]+)*/g) || [];
+  return raw.filter(t => !STOPWORDS.has(t)).map(stem);
+}
+
+function plainEnglish(sentence) {
+  let out = sentence;
+  for (const [re, rep] of PLAIN_ENGLISH) out = out.replace(re, rep);
+  out = out.replace(/\s{2,}/g, ' ').trim();
+  return out ? out.charAt(0).toUpperCase() + out.slice(1) : out;
+}
+
+function detectTopic(text) {
+  return TOPICS.find(t => t.pattern.test(text)) || null;
+}
+
+/* ---------------------
+   Embeddings: feature-hashed bag of words
+   ---------------------*/
+
+function hashToken(token) {
+  // first 4 bytes of md5 -> unsigned 32-bit int (deterministic across platforms)
+  return crypto.createHash('md5').update(token).digest().readUInt32BE(0);
+}
+
+function embedOne(text, dim) {
+  const vec = new Array(dim).fill(0);
+  const tokens = tokenize(text);
+  const features = new Map();
+  const add = (f, w) => features.set(f, (features.get(f) || 0) + w);
+  for (let i = 0; i < tokens.length; i++) {
+    add(tokens[i], 1);
+    if (i + 1 < tokens.length) add(`${tokens[i]}_${tokens[i + 1]}`, 0.5);
+  }
+  for (const [feature, tf] of features) {
+    const h = hashToken(feature);
+    const sign = (h & 1) ? 1 : -1;
+    vec[(h >>> 1) % dim] += sign * (1 + Math.log(tf));
+  }
+  const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+  return norm === 0 ? vec : vec.map(v => v / norm);
+}
+
+function dimension() {
+  const d = parseInt(process.env.LOCAL_EMBED_DIM || String(DEFAULT_DIM), 10);
+  return Number.isInteger(d) && d > 0 ? d : DEFAULT_DIM;
+}
+
+/**
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ */
+async function embed(texts) {
+  const dim = dimension();
+  return texts.map(t => embedOne(t, dim));
+}
+
+/* ---------------------
+   Chat: task-specific extractive templates
+   ---------------------*/
+
+function simplifyTask(context) {
+  const sources = context.sources || [];
+  const clauses = sources.map(c => {
+    const sentences = splitSentences(c.text);
+    const topic = detectTopic(c.text);
+    return {
+      chunk_id: c.chunk_id,
+      original: c.text.length > 300 ? `${c.text.slice(0, 300)}...` : c.text,
+      simplified: sentences.length ? plainEnglish(sentences[0]) : NOT_IN_DOCUMENT,
+      why_it_matters: topic ? topic.why : 'Sets out a rule both parties must follow.',
+      risk: topic ? `${topic.risk} - ${topic.reason}` : 'Low - no unusual obligations detected'
+    };
+  });
+
+  const lead = clauses.length ? clauses[0].simplified : NOT_IN_DOCUMENT;
+  const themes = [...new Set(sources.flatMap(c => TOPICS.filter(t => t.pattern.test(c.text)).map(t => t.reason)))].slice(0, 3);
+  // Review hints are advice, not document claims: they go in notes so the verifier doesn't treat them as facts
+  const notes = ['Generated by the offline extractive simplifier; review the original text.'];
+  if (themes.length) notes.push(`Points to check: ${themes.join('; ')}.`);
+
+  return JSON.stringify({
+    overall_summary: lead,
+    clauses,
+    notes
+  }, null, 2);
+}
+
+function askTask(context) {
+  const qTokens = new Set(tokenize(context.question));
+  if (qTokens.size === 0) return NOT_IN_DOCUMENT;
+
+  const scored = [];
+  for (const c of context.sources || []) {
+    for (const sentence of splitSentences(c.text)) {
+      const sTokens = new Set(tokenize(sentence));
+      let overlap = 0;
+      for (const t of qTokens) if (sTokens.has(t)) overlap++;
+      if (overlap > 0) scored.push({ chunk_id: c.chunk_id, sentence, score: overlap / Math.sqrt(sTokens.size || 1) });
+    }
+  }
+  if (scored.length === 0) return NOT_IN_DOCUMENT;
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, 2).map(s => `"${s.sentence}" [${s.chunk_id}]`).join('\n');
+}
+
+// Relevance scores 0-10 for lib/retrieval.js's rerank stage: share of question terms in the chunk.
+function rerankTask(context) {
+  const qTokens = new Set(tokenize(context.question));
+  const scores = {};
+  for (const c of context.sources || []) {
+    const cTokens = new Set(tokenize(c.text));
+    let overlap = 0;
+    for (const t of qTokens) if (cTokens.has(t)) overlap++;
+    scores[c.chunk_id] = qTokens.size ? Math.round((overlap / qTokens.size) * 100) / 10 : 0;
+  }
+  return JSON.stringify({ scores });
+}
+
+// Follow-ups that lean on the conversation: pronouns, "what about ...", "and ...", or very short questions
+const FOLLOW_UP_REGEX = /^(what|how) about\b|^(and|also|but)\b|\b(it|its|that|this|they|them|those|these|the other|either|he|she)\b/i;
+
+// Session follow-up rewriting (routes/ask.js): a follow-up is anchored to the previous question's terms.
+function condenseTask(context) {
+  const question = String(context.question || '').trim();
+  const previous = (context.history || []).map(t => t.question).filter(Boolean).pop();
+  if (!previous || (!FOLLOW_UP_REGEX.test(question) && tokenize(question).length >= 2)) return question;
+  return `${question.replace(/[?.!\s]+$/, '')} (regarding: ${previous.replace(/[?.!\s]+$/, '')})?`;
+}
+
+// Map-reduce simplify (lib/simplifier.js): the document summary is the part summaries in order.
+function reduceTask(context) {
+  const summaries = (context.parts || []).map(p => p.summary).filter(Boolean);
+  return JSON.stringify({
+    overall_summary: summaries.length ? summaries.slice(0, 4).join(' ') : NOT_IN_DOCUMENT,
+    notes: summaries.length > 4 ? [`Summary covers the first 4 of ${summaries.length} parts; see the clause list for the rest.`] : []
+  });
+}
+
+// Clause classification (lib/clauseTaxonomy.js): clause types whose keywords occur in the chunk.
+// Risk factors are left to the rule engine.
+function classifyTask(context) {
+  const taxonomy = context.taxonomy || [];
+  const classifications = {};
+  for (const c of context.sources || []) {
+    const text = String(c.text).toLowerCase();
+    classifications[c.chunk_id] = {
+      clause_types: taxonomy.filter(t => (t.keywords || []).some(k => text.includes(k))).map(t => t.type),
+      risk_factors: []
+    };
+  }
+  return JSON.stringify({ classifications });
+}
+
+// Redline explanations (lib/compare.js): restate what was deleted / inserted, citing both chunks.
+function compareTask(context) {
+  const explanations = {};
+  for (const c of context.changes || []) {
+    const cite = (c.citations || []).map(id => `[${id}]`).join(' ');
+    const first = text => splitSentences(text || '')[0] || '';
+    if (c.type === 'removed') explanations[c.change_id] = `The revision drops: "${first(c.base_text)}" ${cite}`;
+    else if (c.type === 'added') explanations[c.change_id] = `The revision adds: "${first(c.revised_text)}" ${cite}`;
+    else {
+      const part = op => (c.diff || []).filter(d => d.op === op).map(d => d.text).join(' ... ');
+      const removed = part('delete');
+      const inserted = part('insert');
+      explanations[c.change_id] = [
+        removed ? `The revision removes "${removed}".` : null,
+        inserted ? `It adds "${inserted}".` : null,
+        cite
+      ].filter(Boolean).join(' ');
+    }
+  }
+  return JSON.stringify({ explanations });
+}
+
+// Playbook rules without a deterministic check (lib/playbookCheck.js): a source sharing terms with the
+// requirement counts as meeting it. Crude by design; real providers judge the wording.
+function playbookTask(context) {
+  const required = new Set(tokenize(context.requirement));
+  let best = null;
+  for (const c of context.sources || []) {
+    const overlap = tokenize(c.text).filter(t => required.has(t)).length;
+    if (overlap > 0 && (!best || overlap > best.overlap)) best = { chunk_id: c.chunk_id, overlap };
+  }
+  if (!best) return JSON.stringify({ status: 'missing', chunk_ids: [], reason: 'No source mentions the requirement.' });
+  return JSON.stringify({ status: 'pass', chunk_ids: [best.chunk_id], reason: 'Offline check: a clause on this topic was found; review its wording.' });
+}
+
+// Contract facts (lib/contractFacts.js): the rules already read what plain pattern matching can;
+// offline there is nothing to add.
+function factsTask() {
+  return JSON.stringify({ facts: [] });
+}
+
+// Fallback for callers that don't pass a task: quote the first sentence of each source.
+function extractiveTask(context) {
+  const lines = (context.sources || []).map(c => {
+    const first = splitSentences(c.text)[0];
+    return first ? `"${first}" [${c.chunk_id}]` : null;
+  }).filter(Boolean);
+  return lines.length ? lines.join('\n') : NOT_IN_DOCUMENT;
+}
+
+const TASKS = {
+  simplify: simplifyTask,
+  ask: askTask,
+  rerank: rerankTask,
+  reduce: reduceTask,
+  condense: condenseTask,
+  classify: classifyTask,
+  compare: compareTask,
+  playbook: playbookTask,
+  facts: factsTask
+};
+
+/**
+ * Deterministic "chat" completion, emitted word by word to onToken for streaming callers.
+ * @param {Array<{role, content}>} messages
+ * @param {object} opts - as chat()
+ * @param {Function} onToken - (text) => void
+ */
+async function chatStream(messages, opts = {}, onToken = () => {}) {
+  const result = await chat(messages, opts);
+  for (const piece of result.content.match(/\s*\S+/g) || []) onToken(piece);
+  return result;
+}
+
+/**
+ * Deterministic "chat" completion.
+ * @param {Array<{role, content}>} messages - kept for interface parity (recorded in raw)
+ * @param {object} opts - { task: 'simplify'|'ask'|..., context: { sources: [{chunk_id, text}], question, reading_level } }
+ * @returns {Promise<{ content: string, raw: object, model: string }>}
+ */
+async function chat(messages, opts = {}) {
+  const task = TASKS[opts.task] ? opts.task : 'extractive';
+  const handler = TASKS[opts.task] || extractiveTask;
+  const content = handler(opts.context || {});
+  return {
+    content,
+    raw: { provider: 'local', task, message_count: Array.isArray(messages) ? messages.length : 0 },
+    model: module.exports.chatModel
+  };
+}
+
+module.exports = {
+  name: 'local',
+  chatModel: 'local-extractive-v1',
+  get embedModel() { return `local-hash-bow-${dimension()}`; },
+  batchThrottleMs: 0,
+  chat,
+  chatStream,
+  embed,
+  // exported for testing or reuse
+  _internals: { tokenize, splitSentences, plainEnglish, detectTopic, TASKS }
+};
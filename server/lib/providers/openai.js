@@ -0,0 +1,184 @@
+// server/lib/providers/openai.js
+// OpenAI-compatible HTTP provider (chat completions + embeddings).
+// Works against api.openai.com or any stand-in that speaks the same API
+// (set OPENAI_BASE_URL, e.g. http://localhost:8080/v1).
+//
+// Env:
+//  - OPENAI_API_KEY   bearer token (optional when OPENAI_BASE_URL points at a local stand-in)
+//  - OPENAI_BASE_URL  default https://api.openai.com/v1
+//  - LLM_MODEL        default gpt-4o-mini
+//  - EMBED_MODEL      default text-embedding-3-small
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const MAX_RETRIES = 3;
+const RETRY_BACKOFF_MS = 500;
+
+/**
+ * fetch resolved at call time: Node 18+ global fetch (easy to mock in tests),
+ * falling back to node-fetch on older runtimes.
+ */
+function fetch(url, init) {
+  if (typeof globalThis.fetch === 'function') return globalThis.fetch(url, init);
+  return require('node-fetch')(url, init);
+}
+
+// Env is read per call so tests (and long-running dev servers) pick up changes.
+function baseUrl() {
+  return (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+function apiKey() {
+  return process.env.OPENAI_API_KEY || null;
+}
+
+function headers() {
+  const key = apiKey();
+  if (!key && baseUrl() === DEFAULT_BASE_URL) throw new Error('OPENAI_API_KEY not configured');
+  const h = { 'Content-Type': 'application/json' };
+  if (key) h.Authorization = `Bearer ${key}`;
+  return h;
+}
+
+/**
+ * Basic exponential-backoff retry helper.
+ * @param {Function} fn async function that returns a Promise
+ * @param {number} retries
+ */
+async function withRetry(fn, retries = MAX_RETRIES) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn();
+    } catch (err) {
+      attempt++;
+      if (attempt > retries) throw err;
+      const wait = RETRY_BACKOFF_MS * Math.pow(2, attempt - 1);
+      console.warn(`Call failed (attempt ${attempt}). Retrying in ${wait}ms. Error: ${err.message || err}`);
+      await new Promise((r) => setTimeout(r, wait));
+    }
+  }
+}
+
+async function post(endpoint, body, label) {
+  const res = await fetch(`${baseUrl()}${endpoint}`, {
+    method: 'POST',
+    headers: headers(),
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    const err = new Error(`OpenAI ${label} API error ${res.status}: ${text}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res;
+}
+
+async function postJson(endpoint, body, label) {
+  const res = await post(endpoint, body, label);
+  return res.json();
+}
+
+/**
+ * Chat completion.
+ * @param {Array<{role, content}>} messages
+ * @param {object} opts - { max_tokens, temperature, model }
+ * @returns {Promise<{ content: string, raw: object, model: string }>}
+ */
+async function chat(messages, opts = {}) {
+  const model = opts.model || process.env.LLM_MODEL || 'gpt-4o-mini';
+  const body = {
+    model,
+    messages,
+    max_tokens: opts.max_tokens || 800,
+    temperature: typeof opts.temperature === 'number' ? opts.temperature : 0.0
+  };
+  const raw = await withRetry(() => postJson('/chat/completions', body, 'Chat'));
+  const content = raw?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw new Error('Unexpected chat response: ' + JSON.stringify(raw));
+  }
+  return { content, raw, model };
+}
+
+/**
+ * Streaming chat completion (`stream: true`): calls onToken(delta) for every content delta.
+ * Only the request itself is retried; a stream that breaks midway throws.
+ * @param {Array<{role, content}>} messages
+ * @param {object} opts - { max_tokens, temperature, model }
+ * @param {Function} onToken - (text) => void
+ * @returns {Promise<{ content: string, raw: object, model: string }>}
+ */
+async function chatStream(messages, opts = {}, onToken = () => {}) {
+  const model = opts.model || process.env.LLM_MODEL || 'gpt-4o-mini';
+  const body = {
+    model,
+    messages,
+    max_tokens: opts.max_tokens || 800,
+    temperature: typeof opts.temperature === 'number' ? opts.temperature : 0.0,
+    stream: true
+  };
+  const res = await withRetry(() => post('/chat/completions', body, 'Chat'));
+
+  // body is a web ReadableStream (global fetch) or a Node stream (node-fetch); both are async iterable
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let finishReason = null;
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+    const choice = JSON.parse(data)?.choices?.[0];
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    const delta = choice?.delta?.content;
+    if (delta) {
+      content += delta;
+      onToken(delta);
+    }
+  };
+  for await (const part of res.body) {
+    buffer += typeof part === 'string' ? part : decoder.decode(part, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf('\n')) >= 0) {
+      handleLine(buffer.slice(0, nl).trim());
+      buffer = buffer.slice(nl + 1);
+    }
+  }
+  handleLine(buffer.trim());
+  return { content, raw: { streamed: true, model, finish_reason: finishReason }, model };
+}
+
+/**
+ * Embed a batch of texts in one request.
+ * @param {string[]} texts
+ * @param {object} opts - { model }
+ * @returns {Promise<Array<number[]|null>>} embeddings in input order
+ */
+async function embed(texts, opts = {}) {
+  const model = opts.model || process.env.EMBED_MODEL || 'text-embedding-3-small';
+  const json = await withRetry(() => postJson('/embeddings', { input: texts, model }, 'Embeddings'));
+  if (!json.data || !Array.isArray(json.data)) {
+    throw new Error('Unexpected embeddings response: ' + JSON.stringify(json));
+  }
+  // data[i].index (when present) maps back to texts[i]
+  const out = new Array(texts.length).fill(null);
+  json.data.forEach((item, i) => {
+    const idx = typeof item?.index === 'number' ? item.index : i;
+    if (idx < out.length) out[idx] = item && item.embedding ? item.embedding : null;
+  });
+  return out;
+}
+
+module.exports = {
+  name: 'openai',
+  get chatModel() { return process.env.LLM_MODEL || 'gpt-4o-mini'; },
+  get embedModel() { return process.env.EMBED_MODEL || 'text-embedding-3-small'; },
+  // small pause between embedding batches to stay under rate limits
+  batchThrottleMs: 100,
+  chat,
+  chatStream,
+  embed,
+  // exported for testing
+  _internals: { baseUrl, withRetry }
+};
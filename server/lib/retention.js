@@ -0,0 +1,212 @@
+// server/lib/retention.js
+// Retention enforcement and erasure of stored client data.
+//
+// A bundle expires `access_policy.retention_days` after its created_at (set from RETENTION_DAYS when the
+// bundle is built, see lib/mcp.js). Erasing a bundle removes everything derived from its text:
+//   storage/bundles/<id>.json, <id>-meta.json, -result.json, -facts.json   (lib/mcp.js deleteBundle)
+//   vector index entries                                            (lib/vectorIndex.js)
+//   storage/logs/*.json          /api/ask logs with the prompt and retrieved chunks of the bundle
+//   storage/sessions/*.json      chat sessions over the bundle
+//   storage/compare/*.json       redlines with the bundle on either side
+// and writes a tombstone, storage/tombstones/<bundle_id>.json, that records what was removed and why
+// without any document text (the uploader id is kept only as a sha256 hash).
+//
+// The sweeper also removes logs, sessions and comparisons left behind by bundles that no longer exist.
+// Paths above are those of the default fs backend; everything goes through lib/storage.js.
+//
+// Usage:
+//   const { sweepExpired, eraseUploader, startRetentionSweeper } = require('./retention');
+//   const report = await sweepExpired();                               // { swept_at, bundles: [...], removed: {...} }
+//   const plan = await eraseUploader('user-123', { dryRun: true });   // same report, nothing deleted
+//   const timer = startRetentionSweeper();                             // every RETENTION_SWEEP_MINUTES
+//   await eraseBundles([bundle], { reason: 'deleted' });               // DELETE /api/bundles/:bundle_id
+//
+// Env:
+//  - RETENTION_DAYS              default retention for new bundles (default 7, see lib/mcp.js)
+//  - RETENTION_SWEEP_MINUTES     sweep interval for startRetentionSweeper (default 60, 0 disables)
+
+const crypto = require('crypto');
+const { loadBundle, deleteBundle } = require('./mcp');
+const storage = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_MINUTES = 60;
+
+// Stores that reference bundles: their storage collection and which bundle ids a record refers to
+// (sessions before logs: the logs of a removed session go with it)
+const ARTIFACT_STORES = [
+  { name: 'sessions', collection: 'sessions', bundleIds: r => [r.bundle_id] },
+  { name: 'logs', collection: 'logs', bundleIds: r => [r.bundle_id] },
+  { name: 'comparisons', collection: 'compare', bundleIds: r => [r.base_bundle_id, r.revised_bundle_id] }
+];
+
+function hashUploader(uploaderId) {
+  return `sha256:${crypto.createHash('sha256').update(String(uploaderId)).digest('hex')}`;
+}
+
+function emptyCounts() {
+  return { bundles: 0, result_files: 0, facts_files: 0, logs: 0, sessions: 0, comparisons: 0 };
+}
+
+/**
+ * When a bundle stops being retained.
+ * @returns {Date|null} null when the bundle has no creation date or retention period
+ */
+function expiresAt(bundle) {
+  const days = bundle.access_policy && bundle.access_policy.retention_days;
+  const created = Date.parse(bundle.created_at);
+  if (typeof days !== 'number' || !Number.isFinite(days) || Number.isNaN(created)) return null;
+  return new Date(created + days * DAY_MS);
+}
+
+/**
+ * All stored bundles (full records; side files excluded).
+ * @returns {Promise<object[]>}
+ */
+async function loadAllBundles() {
+  return (await storage.getAll('bundles')).map(({ record }) => record).filter(b => b && b.bundle_id);
+}
+
+/**
+ * Remove bundles and everything derived from them.
+ * @param {object[]} bundles - full bundle records
+ * @param {object} opts - { reason: 'retention'|'uploader_erasure'|'deleted', dryRun, extraRecord(store, record) => bool|Promise<bool> }
+ *                        extraRecord selects more artifacts to remove (e.g. all sessions of an uploader)
+ * @returns {Promise<{ bundles: object[], removed: object }>}
+ */
+async function eraseBundles(bundles, opts = {}) {
+  const { reason, dryRun = false, extraRecord = () => false } = opts;
+  const ids = new Set(bundles.map(b => b.bundle_id));
+  const removed = emptyCounts();
+  const perBundle = new Map(bundles.map(b => [b.bundle_id, emptyCounts()]));
+  const now = new Date().toISOString();
+
+  // artifacts first: a failure part-way leaves the bundle (and so the next sweep's reason to retry) in place
+  const removedSessionIds = new Set();
+  for (const store of ARTIFACT_STORES) {
+    for (const { id, record } of await storage.getAll(store.collection)) {
+      const refs = store.bundleIds(record).filter(id => ids.has(id));
+      const viaSession = store.name === 'logs' && removedSessionIds.has(record.session_id);
+      if (!refs.length && !viaSession && !(await extraRecord(store.name, record))) continue;
+      if (store.name === 'sessions') removedSessionIds.add(record.session_id);
+      if (!dryRun && !(await storage.remove(store.collection, id))) continue;
+      removed[store.name]++;
+      for (const id of refs) perBundle.get(id)[store.name]++;
+    }
+  }
+
+  for (const bundle of bundles) {
+    const counts = perBundle.get(bundle.bundle_id);
+    counts.result_files = (await storage.exists('results', bundle.bundle_id)) ? 1 : 0;
+    counts.facts_files = (await storage.exists('facts', bundle.bundle_id)) ? 1 : 0;
+    counts.bundles = dryRun || (await deleteBundle(bundle.bundle_id)) ? 1 : 0;
+    removed.bundles += counts.bundles;
+    removed.result_files += counts.result_files;
+    removed.facts_files += counts.facts_files;
+    if (dryRun || !counts.bundles) continue;
+
+    const expiry = expiresAt(bundle);
+    await storage.put('tombstones', bundle.bundle_id, {
+      bundle_id: bundle.bundle_id,
+      reason,
+      deleted_at: now,
+      created_at: bundle.created_at || null,
+      retention_days: bundle.access_policy ? bundle.access_policy.retention_days : null,
+      expired_at: expiry ? expiry.toISOString() : null,
+      uploader_hash: hashUploader(bundle.uploader_id),
+      removed: counts
+    });
+  }
+
+  return {
+    bundles: bundles.map(b => {
+      const expiry = expiresAt(b);
+      return { bundle_id: b.bundle_id, created_at: b.created_at || null, expired_at: expiry ? expiry.toISOString() : null };
+    }),
+    removed
+  };
+}
+
+/**
+ * Erase every bundle past its retention period, plus logs, sessions and comparisons of bundles that no
+ * longer exist.
+ * @param {object} opts - { now: Date|number (default now), dryRun }
+ * @returns {Promise<{ swept_at, dry_run, bundles: [{ bundle_id, created_at, expired_at }], removed }>}
+ */
+async function sweepExpired(opts = {}) {
+  const now = opts.now === undefined ? Date.now() : new Date(opts.now).getTime();
+  const all = await loadAllBundles();
+  const live = new Set(all.map(b => b.bundle_id));
+  const expired = all.filter(b => {
+    const expiry = expiresAt(b);
+    return expiry && expiry.getTime() <= now;
+  });
+  const orphaned = async (store, record) => {
+    const refs = ARTIFACT_STORES.find(s => s.name === store).bundleIds(record).filter(Boolean);
+    for (const id of refs) {
+      // re-check: the bundle may have been created after the listing above
+      if (!live.has(id) && !(await loadBundle(id))) return true;
+    }
+    return false;
+  };
+  const report = await eraseBundles(expired, { reason: 'retention', dryRun: !!opts.dryRun, extraRecord: orphaned });
+  return { swept_at: new Date(now).toISOString(), dry_run: !!opts.dryRun, ...report };
+}
+
+/**
+ * Erase all data of one uploader: their bundles (with logs, sessions, comparisons and index entries), and
+ * their chat sessions and /api/ask logs (asked_by) over other bundles.
+ * @param {string} uploaderId
+ * @param {object} opts - { dryRun }
+ * @returns {Promise<{ uploader_id, dry_run, bundles, removed }>}
+ */
+async function eraseUploader(uploaderId, opts = {}) {
+  if (!uploaderId) throw new Error('uploaderId required');
+  const bundles = (await loadAllBundles()).filter(b => b.uploader_id === uploaderId);
+  const ownRecord = (store, record) => (store === 'sessions' && record.uploader_id === uploaderId)
+    || (store === 'logs' && record.asked_by === uploaderId);
+  const report = await eraseBundles(bundles, { reason: 'uploader_erasure', dryRun: !!opts.dryRun, extraRecord: ownRecord });
+  return { uploader_id: uploaderId, dry_run: !!opts.dryRun, ...report };
+}
+
+/**
+ * Run sweepExpired now and then every RETENTION_SWEEP_MINUTES (does not keep the process alive).
+ * @param {object} opts - { intervalMinutes, onReport(report) }
+ * @returns {NodeJS.Timeout|null} null when disabled (interval 0)
+ */
+function startRetentionSweeper(opts = {}) {
+  const configured = opts.intervalMinutes !== undefined ? opts.intervalMinutes : Number(process.env.RETENTION_SWEEP_MINUTES || DEFAULT_SWEEP_MINUTES);
+  const minutes = Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_SWEEP_MINUTES;
+  if (minutes === 0) return null;
+  const onReport = opts.onReport || (report => {
+    const { bundles, logs, sessions, comparisons } = report.removed;
+    if (bundles || logs || sessions || comparisons) {
+      console.log(`Retention sweep: removed ${bundles} bundle(s), ${logs} log(s), ${sessions} session(s), ${comparisons} comparison(s)`);
+    }
+  });
+  let running = false;
+  const run = async () => {
+    if (running) return; // a slow sweep is not started twice
+    running = true;
+    try {
+      onReport(await sweepExpired());
+    } catch (err) {
+      console.error('Retention sweep failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  expiresAt,
+  eraseBundles,
+  sweepExpired,
+  eraseUploader,
+  startRetentionSweeper,
+  hashUploader
+};
@@ -0,0 +1,156 @@
+// server/lib/retrieval.js
+// Chunk retrieval for one bundle: vector (embedding index), lexical (BM25) or hybrid (both,
+// fused with reciprocal rank fusion), optionally followed by an LLM rerank stage.
+//
+// Usage:
+//   const { retrieveChunks } = require('./retrieval');
+//   const { mode, reranked, top } = await retrieveChunks(bundle, question, { topK: 4, mode: 'hybrid', rerank: true });
+//   // top: [{ chunk, score, scores: { vector, vector_rank, lexical, lexical_rank, fused, rerank } }]
+//
+// `score` is the score of the last stage that ran (rerank > fused > vector/lexical); every stage's
+// score is kept in `scores` (null when the stage did not run or did not match the chunk).
+//
+// Env:
+//  - RETRIEVAL_MODE  default mode (hybrid)
+//  - RERANK          "true" to rerank by default
+
+const { ensureBundleEmbeddings } = require('./mcp');
+const { getEmbedding, chatComplete } = require('./embeddings');
+const { getVectorIndex } = require('./vectorIndex');
+const { buildBm25Index, scoreBm25 } = require('./bm25');
+
+const RETRIEVAL_MODES = ['vector', 'lexical', 'hybrid'];
+const RRF_K = 60;             // standard reciprocal rank fusion constant
+const RERANK_POOL_FACTOR = 3; // rerank the best topK * 3 fused candidates
+
+function defaultMode() {
+  return process.env.RETRIEVAL_MODE || 'hybrid';
+}
+
+function defaultRerank() {
+  return process.env.RERANK === 'true';
+}
+
+async function vectorStage(bundle, question, onEmbeddingProgress) {
+  // the query first: its size tells whether the cached chunk vectors still match the model
+  const qEmb = await getEmbedding(question);
+  await ensureBundleEmbeddings(bundle, { onProgress: onEmbeddingProgress, dim: qEmb.length });
+  const index = await getVectorIndex(bundle.index_metadata.embedding_model);
+  const hits = index.search(qEmb, { topK: bundle.chunks.length, bundleIds: [bundle.bundle_id] });
+  // One embedding_id can be shared by several chunks with identical text
+  return hits.flatMap(h => h.refs.map(r => ({ chunk_id: r.chunk_id, score: h.score })));
+}
+
+function lexicalStage(bundle, question) {
+  // Bundles created before the lexical index existed get one on the fly
+  const index = bundle.lexical_index || buildBm25Index(bundle.chunks);
+  return scoreBm25(index, question);
+}
+
+function buildRerankPrompt(question, chunks) {
+  const system = 'You rank legal document excerpts by how well they answer a question. '
+    + 'Output MUST BE JSON only: {"scores": {"<chunk_id>": <0-10>}} with one entry per source.';
+  const sources = chunks.map(c => `[${c.chunk_id}] ${c.text.slice(0, 1200)}`).join('\n\n');
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: `Question: ${question}\n\nSOURCES:\n${sources}\n\nScore every source from 0 (irrelevant) to 10 (answers the question).` }
+  ];
+}
+
+/**
+ * Ask the model for 0-10 relevance scores. Returns null when the reply is not usable,
+ * in which case the fused order is kept.
+ */
+async function rerankStage(question, chunks) {
+  const messages = buildRerankPrompt(question, chunks);
+  const resp = await chatComplete(messages, { max_tokens: 400, task: 'rerank', context: { question, sources: chunks } });
+  const text = resp.content || '';
+  try {
+    const parsed = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+    const scores = parsed.scores || parsed;
+    const out = {};
+    for (const c of chunks) {
+      const s = Number(scores[c.chunk_id]);
+      if (Number.isFinite(s)) out[c.chunk_id] = s;
+    }
+    return Object.keys(out).length ? out : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Retrieve the top-k chunks of a bundle for a question.
+ * @param {object} bundle
+ * @param {string} question
+ * @param {object} opts - { topK = 4, mode = RETRIEVAL_MODE|'hybrid', rerank = RERANK==='true',
+ *                         onEmbeddingProgress({ done, total }) while missing chunk embeddings are created }
+ * @returns {Promise<{ mode, reranked: boolean, top: Array<{ chunk, score, scores }> }>}
+ */
+async function retrieveChunks(bundle, question, opts = {}) {
+  const topK = opts.topK || 4;
+  const mode = opts.mode || defaultMode();
+  const rerank = opts.rerank === undefined ? defaultRerank() : !!opts.rerank;
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw new Error(`Unknown retrieval_mode "${mode}". Expected one of: ${RETRIEVAL_MODES.join(', ')}`);
+  }
+
+  const byId = new Map(bundle.chunks.map(c => [c.chunk_id, c]));
+  const entries = new Map(); // chunk_id -> { chunk, scores }
+  const entry = id => {
+    if (!entries.has(id)) {
+      entries.set(id, {
+        chunk: byId.get(id),
+        scores: { vector: null, vector_rank: null, lexical: null, lexical_rank: null, fused: null, rerank: null }
+      });
+    }
+    return entries.get(id);
+  };
+
+  const stages = [];
+  if (mode !== 'lexical') stages.push(['vector', await vectorStage(bundle, question, opts.onEmbeddingProgress)]);
+  if (mode !== 'vector') stages.push(['lexical', lexicalStage(bundle, question)]);
+
+  for (const [name, hits] of stages) {
+    hits.filter(h => byId.has(h.chunk_id)).forEach((h, i) => {
+      const e = entry(h.chunk_id);
+      e.scores[name] = h.score;
+      e.scores[`${name}_rank`] = i + 1;
+    });
+  }
+
+  let ranked = [...entries.values()];
+  if (mode === 'hybrid') {
+    for (const e of ranked) {
+      e.scores.fused = ['vector_rank', 'lexical_rank']
+        .filter(r => e.scores[r] !== null)
+        .reduce((sum, r) => sum + 1 / (RRF_K + e.scores[r]), 0);
+    }
+    ranked.sort((a, b) => b.scores.fused - a.scores.fused);
+  } else {
+    ranked.sort((a, b) => b.scores[mode] - a.scores[mode]);
+  }
+
+  let reranked = false;
+  if (rerank && ranked.length > 1) {
+    const pool = ranked.slice(0, topK * RERANK_POOL_FACTOR);
+    const scores = await rerankStage(question, pool.map(e => e.chunk));
+    if (scores) {
+      reranked = true;
+      pool.forEach(e => { e.scores.rerank = scores[e.chunk.chunk_id] ?? 0; });
+      // stable sort keeps the fused order between equal rerank scores
+      ranked = pool.sort((a, b) => b.scores.rerank - a.scores.rerank);
+    }
+  }
+
+  const finalScore = e => (reranked ? e.scores.rerank : mode === 'hybrid' ? e.scores.fused : e.scores[mode]);
+  const top = ranked.slice(0, topK).map(e => ({ chunk: e.chunk, score: finalScore(e), scores: e.scores }));
+  return { mode, reranked, top };
+}
+
+module.exports = {
+  retrieveChunks,
+  RETRIEVAL_MODES,
+  // exported for testing
+  _internals: { rerankStage, buildRerankPrompt, RRF_K }
+};
@@ -0,0 +1,94 @@
+// server/lib/sessions.js
+// Server-side chat sessions for multi-turn Q&A over one bundle, stored as
+// storage/sessions/<session_id>.json (the 'sessions' collection of lib/storage.js).
+//
+// Usage:
+//   const { createSession, loadSession, appendTurn, historyForPrompt } = require('./sessions');
+//   const session = await createSession({ bundle_id, uploader_id });
+//   await appendTurn(session, { question, standalone_question, answer, cited_chunk_ids, log_id });
+//   const history = historyForPrompt(session.turns, 1000); // [{ role, content }] newest turns within budget
+//
+// Env:
+//  - SESSION_HISTORY_TOKENS  token budget for prior turns in the answer prompt (default 1000)
+
+const { v4: uuidv4 } = require('uuid');
+const { estimateTokens } = require('./mcp');
+const storage = require('./storage');
+
+const DEFAULT_HISTORY_TOKENS = 1000;
+
+function historyTokenBudget() {
+  const n = parseInt(process.env.SESSION_HISTORY_TOKENS || String(DEFAULT_HISTORY_TOKENS), 10);
+  return Number.isInteger(n) && n >= 0 ? n : DEFAULT_HISTORY_TOKENS;
+}
+
+async function saveSession(session) {
+  session.updated_at = new Date().toISOString();
+  return storage.put('sessions', session.session_id, session);
+}
+
+/**
+ * @param {object} opts - { bundle_id, uploader_id }
+ * @returns {Promise<object>} { session_id, bundle_id, uploader_id, created_at, updated_at, turns: [] }
+ */
+async function createSession(opts = {}) {
+  const now = new Date().toISOString();
+  return saveSession({
+    session_id: `sess-${uuidv4()}`,
+    bundle_id: opts.bundle_id,
+    uploader_id: opts.uploader_id || 'anonymous',
+    created_at: now,
+    updated_at: now,
+    turns: []
+  });
+}
+
+/**
+ * @returns {Promise<object|null>} null when the id is malformed or unknown
+ */
+async function loadSession(sessionId) {
+  if (!storage.isValidId('sessions', sessionId)) return null;
+  return storage.get('sessions', sessionId);
+}
+
+/**
+ * Record one question/answer turn and persist the session. Turns answered concurrently are all kept
+ * (appended to the stored session under its lock); `session` is refreshed with the stored copy.
+ */
+async function appendTurn(session, turn) {
+  const stored = await storage.update('sessions', session.session_id, current => {
+    if (!current) return undefined; // erased meanwhile (lib/retention.js): not brought back
+    current.turns.push({ turn_index: current.turns.length, created_at: new Date().toISOString(), ...turn });
+    current.updated_at = new Date().toISOString();
+    return current;
+  });
+  return stored ? Object.assign(session, stored) : session;
+}
+
+/**
+ * Prior turns as chat messages, newest kept first until the token budget is spent; returned in
+ * chronological order. A turn is kept whole (question + answer) or dropped.
+ * @param {Array} turns - session.turns
+ * @param {number} budget - tokens (default SESSION_HISTORY_TOKENS)
+ * @returns {Array<{ role: 'user'|'assistant', content: string }>}
+ */
+function historyForPrompt(turns, budget = historyTokenBudget()) {
+  const kept = [];
+  let used = 0;
+  for (let i = (turns || []).length - 1; i >= 0; i--) {
+    const t = turns[i];
+    const cost = estimateTokens(t.question) + estimateTokens(t.answer);
+    if (used + cost > budget) break;
+    kept.unshift({ role: 'user', content: t.question }, { role: 'assistant', content: t.answer });
+    used += cost;
+  }
+  return kept;
+}
+
+module.exports = {
+  createSession,
+  loadSession,
+  saveSession,
+  appendTurn,
+  historyForPrompt
+};
@@ -0,0 +1,421 @@
+// server/lib/simplifier.js
+// The simplify pipeline behind POST /api/simplify: prompt building, the JSON repair loop and the
+// two ways of covering a document.
+//  - single      the first MAX_SINGLE_CHUNKS chunks go to the model in one call
+//  - map-reduce  chunks are grouped (consecutive, same top-level clause, bounded size), every group
+//                is simplified on its own with at most SIMPLIFY_CONCURRENCY calls in flight (map),
+//                then the part summaries are merged into one overall summary (reduce)
+//
+// Usage:
+//   const { simplifyBundle, chooseMode } = require('./simplifier');
+//   const out = await simplifyBundle(bundle, { mode: chooseMode(bundle, 'auto'), reading_level, onProgress });
+//   // out = { llmResp, llmText, parsed, parse, retrievedChunks, coverage, parts? }
+//
+// Hooks (all optional), used by the progress endpoint and the SSE stream:
+//  - onProgress({ stage: 'map'|'reduce'|'repairing', done, total, part? }) as map groups finish, around
+//    the reduce call and before a repair prompt
+//  - onToken({ text, part })   model output as it arrives (part: map group index, null otherwise)
+//  - onPart({ index, total, chunk_ids, status, summary, clauses })   each finished map group
+//
+// Clause risk comes from the taxonomy (lib/clauseTaxonomy.js), not the model: each parsed clause's
+// `risk` is replaced by the chunk's rule-based level and factors (the model's text is kept as
+// `model_risk`), and `risk_score` / `clause_types` are added.
+//
+// Env:
+//  - SIMPLIFY_MODE         default mode: auto (map-reduce above MAX_SINGLE_CHUNKS chunks), single, map-reduce
+//  - SIMPLIFY_CONCURRENCY  parallel map calls (default 3)
+
+const { chatComplete } = require('./embeddings'); // provider-agnostic chat (see lib/providers)
+const { extractJson, validateSimplified, buildRepairMessages } = require('./jsonOutput');
+const { classifyChunk, describeRisk } = require('./clauseTaxonomy');
+
+const SIMPLIFY_MODES = ['auto', 'single', 'map-reduce'];
+const MAX_SINGLE_CHUNKS = 8;
+const MAP_GROUP_CHUNKS = 4;      // chunks per map call
+const MAP_GROUP_CHARS = 8000;    // ~2k tokens of source text per map call
+const DEFAULT_CONCURRENCY = 3;
+const STATUS_ORDER = ['ok', 'extracted', 'repaired'];
+
+function concurrency() {
+  const n = parseInt(process.env.SIMPLIFY_CONCURRENCY || String(DEFAULT_CONCURRENCY), 10);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Resolve the requested mode ('auto' or unset) to 'single' or 'map-reduce' for this bundle.
+ */
+function chooseMode(bundle, requested) {
+  const mode = requested || process.env.SIMPLIFY_MODE || 'auto';
+  if (mode !== 'auto') return mode;
+  return (bundle.chunks || []).length > MAX_SINGLE_CHUNKS ? 'map-reduce' : 'single';
+}
+
+/**
+ * Truncate a text to roughly n characters (safe for including as preview).
+ * Keeps full text for small chunks.
+ */
+function previewText(text, maxChars = 1200) {
+  if (!text) return '';
+  if (text.length <= maxChars) return text;
+  return text.slice(0, maxChars) + ' ... [truncated]';
+}
+
+/**
+ * Build the instruction prompt for the LLM.
+ * We instruct the model to output JSON only (structured).
+ * @param {Array} retrievedChunks
+ * @param {string} reading_level
+ * @param {object} part - map-reduce only: { index, total } of this group within the document
+ */
+function buildPrompt(retrievedChunks, reading_level = 'lay', part = null) {
+  // System instruction focusing on faithfulness and provenance
+  const system = `You are a careful legal assistant. STRICT RULES:
+1) Use ONLY the provided SOURCE CHUNKS below to produce any factual claim or summary.
+2) For every clause-level simplification include the chunk_id that the explanation is grounded on.
+3) If the answer cannot be found in the SOURCE CHUNKS, respond with "Not in document" for that field.
+4) Be conservative: if something is ambiguous, say "Consult a lawyer".
+5) Output MUST BE JSON only, with the exact structure requested (no extra commentary).
+
+Reading level hint: ${reading_level}
+`;
+
+  // User message: include the retrieved chunks and the JSON schema request
+  const sourcesText = retrievedChunks.map(c => {
+    // Include chunk id and a preview of text
+    return `[${c.chunk_id}] ${previewText(c.text, 2000)}`;
+  }).join('\n\n');
+
+  const scope = part
+    ? `NOTE: these sources are part ${part.index + 1} of ${part.total} of a longer document. Summarize only this part and include one clause per source.\n\n`
+    : '';
+
+  const user = `${scope}SOURCES:\n${sourcesText}
+
+TASK:
+1) Provide "overall_summary": a concise 2-4 sentence plain-English summary of the ${part ? 'sources' : 'document'} at the requested reading level.
+2) Provide "clauses": an array where each item has:
+   - chunk_id: the chunk id used
+   - original: the original chunk text (or a preview)
+   - simplified: a one-sentence plain-English rewrite of that chunk
+   - why_it_matters: one short line explaining practical effect
+   - risk: one of ["Low","Medium","High"] and a one-line reason
+3) Provide "notes": optional array of any warnings, or [] if none.
+
+Return JSON with the schema:
+{
+  "overall_summary": "...",
+  "clauses": [
+    {
+      "chunk_id": "...",
+      "original": "...",
+      "simplified": "...",
+      "why_it_matters": "...",
+      "risk": "Low|Medium|High - short reason"
+    }
+  ],
+  "notes": []
+}
+
+Remember: use ONLY the SOURCE CHUNKS above. If you must infer, mark it as "Consult a lawyer".
+`;
+
+  // Return messages array compatible with Chat Completion style APIs
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ];
+}
+
+/**
+ * Reduce prompt: merge the part summaries into one document summary.
+ */
+function buildReducePrompt(parts, reading_level = 'lay') {
+  const system = `You are a careful legal assistant. You merge summaries of consecutive parts of one legal document.
+Use ONLY the part summaries given. Do not add facts. Output MUST BE JSON only: {"overall_summary": "...", "notes": []}
+
+Reading level hint: ${reading_level}
+`;
+  const partsText = parts.map((p, i) => `[part ${i + 1}: ${p.chunk_ids[0]} .. ${p.chunk_ids[p.chunk_ids.length - 1]}] ${p.summary}`).join('\n\n');
+  const user = `PART SUMMARIES:\n${partsText}
+
+TASK: write "overall_summary", a 3-6 sentence plain-English summary of the whole document that mentions the most
+important obligations, payments, liabilities and termination rights from any part, and "notes" (warnings or []).`;
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ];
+}
+
+/**
+ * Extract + validate the JSON reply against the schema and the allowed chunk ids.
+ */
+function checkSimplifiedOutput(llmText, chunkIds) {
+  const extraction = extractJson(llmText);
+  if (!extraction.value) return { valid: false, errors: [extraction.error], value: null, method: null };
+  return { ...validateSimplified(extraction.value, { chunkIds }), method: extraction.method };
+}
+
+/**
+ * Call the model for the simplify task; when the reply is not valid against the schema, send one
+ * repair prompt listing the validation errors.
+ * @param {object} hooks - { onToken(text), onRepair(errors) } for streaming callers
+ * @returns {Promise<{ llmResp, llmText, parsed, parse: { status, method, errors, repair_attempted, first_attempt? } }>}
+ */
+async function simplifyWithRepair(conversation, context, chunkIds, hooks = {}) {
+  const call = (msgs) => chatComplete(msgs, {
+    max_tokens: 1200, // max tokens for response (adjust as needed)
+    task: 'simplify',
+    context,
+    onToken: hooks.onToken
+  });
+
+  let llmResp = await call(conversation);
+  let llmText = llmResp.content || '';
+  let check = checkSimplifiedOutput(llmText, chunkIds);
+  if (check.valid) {
+    const status = check.method === 'direct' ? 'ok' : 'extracted';
+    return { llmResp, llmText, parsed: check.value, parse: { status, method: check.method, errors: [], repair_attempted: false } };
+  }
+
+  const firstAttempt = { raw: llmText, errors: check.errors };
+  if (hooks.onRepair) hooks.onRepair(check.errors);
+  llmResp = await call(buildRepairMessages(conversation, llmText, check.errors));
+  llmText = llmResp.content || '';
+  check = checkSimplifiedOutput(llmText, chunkIds);
+  return {
+    llmResp,
+    llmText,
+    parsed: check.valid ? check.value : null,
+    parse: {
+      status: check.valid ? 'repaired' : 'failed',
+      method: check.method,
+      errors: check.valid ? [] : check.errors,
+      repair_attempted: true,
+      first_attempt: firstAttempt
+    }
+  };
+}
+
+/**
+ * Split a bundle's chunks into map groups: consecutive chunks, a new group whenever the top-level
+ * clause (first segment of section_header) changes or the group would exceed its size limits.
+ */
+function groupChunks(chunks, opts = {}) {
+  const maxChunks = opts.maxChunks || MAP_GROUP_CHUNKS;
+  const maxChars = opts.maxChars || MAP_GROUP_CHARS;
+  const topLevel = c => String(c.section_header || '').split(' > ')[0];
+  const groups = [];
+  let current = [];
+  let chars = 0;
+  for (const chunk of chunks) {
+    const len = (chunk.text || '').length;
+    const boundary = current.length && topLevel(chunk) !== topLevel(current[current.length - 1]);
+    if (current.length && (boundary || current.length >= maxChunks || chars + len > maxChars)) {
+      groups.push(current);
+      current = [];
+      chars = 0;
+    }
+    current.push(chunk);
+    chars += len;
+  }
+  if (current.length) groups.push(current);
+  return groups;
+}
+
+/**
+ * Run fn over items with at most `limit` promises in flight; results keep the input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Which chunks ended up in the output. A chunk counts as summarized when a clause cites it.
+ */
+function computeCoverage(bundle, mode, parsed, failedIds = []) {
+  const all = (bundle.chunks || []).map(c => c.chunk_id);
+  const cited = new Set(parsed && Array.isArray(parsed.clauses) ? parsed.clauses.map(c => c.chunk_id) : []);
+  const summarized = all.filter(id => cited.has(id));
+  return {
+    mode,
+    total_chunks: all.length,
+    summarized_chunks: summarized.length,
+    ratio: all.length ? Math.round((summarized.length / all.length) * 1000) / 1000 : 0,
+    summarized_chunk_ids: summarized,
+    missing_chunk_ids: all.filter(id => !cited.has(id)),
+    failed_chunk_ids: failedIds
+  };
+}
+
+async function simplifySingle(bundle, { reading_level, feedback, onProgress, onToken }) {
+  const retrievedChunks = (bundle.chunks || []).slice(0, MAX_SINGLE_CHUNKS);
+  const messages = buildPrompt(retrievedChunks, reading_level);
+  const out = await simplifyWithRepair(
+    feedback ? [...messages, feedback] : messages,
+    { sources: retrievedChunks, reading_level },
+    bundle.chunks.map(c => c.chunk_id),
+    {
+      onToken: onToken && (text => onToken({ text, part: null })),
+      onRepair: errors => onProgress({ stage: 'repairing', done: 0, total: 1, errors })
+    }
+  );
+  return { ...out, retrievedChunks, coverage: computeCoverage(bundle, 'single', out.parsed) };
+}
+
+/**
+ * Reduce step. Falls back to joining the part summaries when the reply is unusable.
+ */
+async function reduceSummaries(parts, { reading_level, feedback, onToken }) {
+  const messages = buildReducePrompt(parts, reading_level);
+  const llmResp = await chatComplete(feedback ? [...messages, feedback] : messages, {
+    max_tokens: 600,
+    task: 'reduce',
+    context: { parts, reading_level },
+    onToken: onToken && (text => onToken({ text, part: null }))
+  });
+  const llmText = llmResp.content || '';
+  const { value, method } = extractJson(llmText);
+  if (value && typeof value.overall_summary === 'string' && value.overall_summary.trim()) {
+    const notes = Array.isArray(value.notes) ? value.notes.filter(n => typeof n === 'string') : [];
+    return { llmResp, llmText, summary: value.overall_summary.trim(), notes, status: method === 'direct' ? 'ok' : 'extracted' };
+  }
+  return { llmResp, llmText, summary: parts.map(p => p.summary).join(' '), notes: [], status: 'failed' };
+}
+
+async function simplifyMapReduce(bundle, { reading_level, feedback, onProgress, onToken, onPart }) {
+  const groups = groupChunks(bundle.chunks || []);
+  let done = 0;
+  onProgress({ stage: 'map', done, total: groups.length });
+
+  const mapped = await mapWithConcurrency(groups, concurrency(), async (group, index) => {
+    const messages = buildPrompt(group, reading_level, { index, total: groups.length });
+    const ids = group.map(c => c.chunk_id);
+    const out = await simplifyWithRepair(feedback ? [...messages, feedback] : messages, { sources: group, reading_level }, ids, {
+      onToken: onToken && (text => onToken({ text, part: index })),
+      onRepair: errors => onProgress({ stage: 'repairing', done, total: groups.length, part: index, errors })
+    });
+    onPart({
+      index,
+      total: groups.length,
+      chunk_ids: ids,
+      status: out.parse.status,
+      summary: out.parsed ? out.parsed.overall_summary : null,
+      clauses: out.parsed ? out.parsed.clauses : []
+    });
+    onProgress({ stage: 'map', done: ++done, total: groups.length });
+    return { chunk_ids: ids, ...out };
+  });
+
+  const ok = mapped.filter(m => m.parsed);
+  const failedIds = mapped.filter(m => !m.parsed).flatMap(m => m.chunk_ids);
+  const parts = mapped.map(m => ({
+    chunk_ids: m.chunk_ids,
+    status: m.parse.status,
+    errors: m.parse.errors,
+    summary: m.parsed ? m.parsed.overall_summary : null
+  }));
+  const rawMap = mapped.map(m => `[${m.chunk_ids[0]} .. ${m.chunk_ids[m.chunk_ids.length - 1]}]\n${m.llmText}`).join('\n\n');
+  const lastResp = mapped[mapped.length - 1].llmResp;
+
+  if (!ok.length) {
+    const errors = mapped.flatMap(m => m.parse.errors.map(e => `${m.chunk_ids[0]}: ${e}`));
+    return {
+      llmResp: lastResp,
+      llmText: rawMap,
+      parsed: null,
+      parse: { status: 'failed', method: null, errors, repair_attempted: true },
+      retrievedChunks: bundle.chunks,
+      coverage: computeCoverage(bundle, 'map-reduce', null, failedIds),
+      parts
+    };
+  }
+
+  onProgress({ stage: 'reduce', done: 0, total: 1 });
+  const reduced = ok.length > 1
+    ? await reduceSummaries(parts.filter(p => p.summary), { reading_level, feedback, onToken })
+    : { llmResp: ok[0].llmResp, llmText: '', summary: ok[0].parsed.overall_summary, notes: [], status: 'ok' };
+  onProgress({ stage: 'reduce', done: 1, total: 1 });
+
+  const parsed = {
+    overall_summary: reduced.summary,
+    clauses: ok.flatMap(m => m.parsed.clauses),
+    notes: [...new Set([...ok.flatMap(m => m.parsed.notes), ...reduced.notes])]
+  };
+  if (failedIds.length) parsed.notes.push(`${failedIds.length} chunk(s) could not be simplified; see the original text.`);
+
+  // Worst status over the map calls; 'partial' when some groups failed even after repair
+  const statuses = ok.map(m => m.parse.status);
+  const status = failedIds.length ? 'partial' : STATUS_ORDER[Math.max(...statuses.map(s => STATUS_ORDER.indexOf(s)))];
+  return {
+    llmResp: reduced.llmResp,
+    llmText: `${rawMap}\n\n[reduce]\n${reduced.llmText}`,
+    parsed,
+    parse: {
+      status,
+      method: null,
+      errors: mapped.flatMap(m => m.parse.errors.map(e => `${m.chunk_ids[0]}: ${e}`)),
+      repair_attempted: mapped.some(m => m.parse.repair_attempted),
+      reduce_status: reduced.status
+    },
+    retrievedChunks: bundle.chunks,
+    coverage: computeCoverage(bundle, 'map-reduce', parsed, failedIds),
+    parts
+  };
+}
+
+/**
+ * Replace the model's free-text risk on every parsed clause with the taxonomy's deterministic one.
+ * Mutates parsed.clauses.
+ */
+function applyClauseRisk(bundle, parsed) {
+  if (!parsed || !Array.isArray(parsed.clauses)) return;
+  const byId = new Map((bundle.chunks || []).map(c => [c.chunk_id, c]));
+  for (const clause of parsed.clauses) {
+    const chunk = byId.get(clause.chunk_id);
+    if (!chunk) continue;
+    const classification = chunk.classification || classifyChunk(chunk); // bundles created before the taxonomy
+    clause.model_risk = clause.risk;
+    clause.risk = describeRisk(classification);
+    clause.risk_score = classification.risk.score;
+    clause.clause_types = classification.clause_types.map(t => t.type);
+  }
+}
+
+/**
+ * Simplify a bundle in the given mode ('single' or 'map-reduce'; resolve 'auto' with chooseMode).
+ * @param {object} bundle
+ * @param {object} opts - { mode, reading_level, feedback (verifier retry message), onProgress, onToken, onPart }
+ */
+async function simplifyBundle(bundle, opts = {}) {
+  const noop = () => {};
+  const args = {
+    reading_level: opts.reading_level || 'lay',
+    feedback: opts.feedback || null,
+    onProgress: opts.onProgress || noop,
+    onToken: opts.onToken || null, // only streaming callers ask the provider to stream
+    onPart: opts.onPart || noop
+  };
+  const out = opts.mode === 'map-reduce' ? await simplifyMapReduce(bundle, args) : await simplifySingle(bundle, args);
+  applyClauseRisk(bundle, out.parsed);
+  return out;
+}
+
+module.exports = {
+  SIMPLIFY_MODES,
+  MAX_SINGLE_CHUNKS,
+  chooseMode,
+  simplifyBundle,
+  buildPrompt,
+  simplifyWithRepair,
+  // exported for testing
+  _internals: { groupChunks, mapWithConcurrency, computeCoverage, buildReducePrompt, checkSimplifiedOutput, applyClauseRisk }
+};
@@ -0,0 +1,77 @@
+// server/lib/sse.js
+// Server-Sent Events for the streaming endpoints (/api/simplify/stream, /api/ask/stream,
+// /api/sessions/:session_id/messages/stream).
+//
+// Usage:
+//   router.post('/stream', sseHandler((body, emit) => runSimplify(body, emit)));
+//   // runSimplify calls emit('stage', {...}), emit('token', {...}), ... and resolves { status, body }
+//   // (the runner also gets `req` as third argument, e.g. for route params)
+//
+// The stream always ends with exactly one of:
+//   event: done   data: <the JSON response body of the non-streaming endpoint>
+//   event: error  data: { status, error, ... }  (the non-streaming endpoint's error body plus its status)
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Switch a response to text/event-stream.
+ * @returns {{ send(event, data), close(), readonly closed: boolean }}
+ */
+function openEventStream(req, res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // tell nginx not to buffer this response
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  // comment lines keep idle proxies from dropping the connection during long LLM calls
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  heartbeat.unref();
+  const stop = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  res.on('close', stop);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      stop();
+      res.end();
+    },
+    get closed() { return closed; }
+  };
+}
+
+/**
+ * Express handler that runs `run(body, emit)` and streams its events.
+ * Work continues if the client disconnects (results are still persisted); events are dropped.
+ * @param {Function} run - async (body, emit, req) => ({ status, body })
+ */
+function sseHandler(run) {
+  return async (req, res) => {
+    const stream = openEventStream(req, res);
+    try {
+      const result = await run(req.body || {}, stream.send, req);
+      if (result.status === 200) stream.send('done', result.body);
+      else stream.send('error', { status: result.status, ...result.body });
+    } catch (err) {
+      console.error(`Unexpected error in ${req.baseUrl}${req.path}:`, err);
+      stream.send('error', { status: 500, error: String(err) });
+    }
+    stream.close();
+  };
+}
+
+module.exports = {
+  openEventStream,
+  sseHandler
+};
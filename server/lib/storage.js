@@ -0,0 +1,449 @@
+// server/lib/storage.js
+// One storage layer for the JSON records the server keeps: bundles, their listing metadata, simplify results
+// and contract facts, /api/ask logs, chat sessions, comparisons, tombstones and users.
+//
+// Every record lives in a collection under an id. Ids are checked against the collection's pattern before
+// anything touches a backend, so a request parameter can never name a file outside its collection.
+// Records of encrypted collections are sealed with lib/encryption.js when a master key is configured.
+//
+// Backends (STORAGE_BACKEND):
+//   fs      storage/<dir>/<id><suffix>, the layout used so far. Writes go to a temp file that is renamed into
+//           place; update() holds <file>.lock (created exclusively) so other processes wait too.
+//   sqlite  one table, records(collection, id, body, updated_at), in STORAGE_SQLITE_FILE
+//           (needs the optional better-sqlite3 package). update() runs in an IMMEDIATE transaction.
+// A backend implements: read(spec, id) -> text|null, write(spec, id, text), remove(spec, id) -> bool,
+// list(spec) -> ids, update(spec, id, mutate(text|null) -> text|null) -> text|null.
+//
+// Usage:
+//   const storage = require('./storage');
+//   await storage.put('bundles', bundle.bundle_id, bundle);
+//   const bundle = await storage.get('bundles', bundleId);            // null when missing
+//   await storage.update('bundles', bundleId, current => ({ ...current, doc_title: 'Lease' }));
+//   if (!storage.isValidId('sessions', sessionId)) ...
+//
+// Env:
+//  - STORAGE_BACKEND       fs (default) | sqlite
+//  - STORAGE_SQLITE_FILE   database file of the sqlite backend (default storage/lexiclear.db)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { encodeRecord, decodeRecord } = require('./encryption');
+
+const STORAGE_ROOT = path.join(__dirname, '..', 'storage');
+const BACKENDS = ['fs', 'sqlite'];
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000; // a lock file older than this was left by a crashed process
+
+// Ids are plain names: no path separators, no dots in bundle ids. Bundle ids must not end like the records
+// stored next to them (<id>-result.json, <id>-facts.json, <id>-meta.json).
+const BUNDLE_ID = /^(?!.*-(?:result|facts|meta)$)[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const COLLECTIONS = {
+  bundles: { dir: 'bundles', suffix: '.json', id: BUNDLE_ID, encrypted: true },
+  bundle_meta: { dir: 'bundles', suffix: '-meta.json', id: BUNDLE_ID, encrypted: true },
+  results: { dir: 'bundles', suffix: '-result.json', id: BUNDLE_ID, encrypted: true },
+  facts: { dir: 'bundles', suffix: '-facts.json', id: BUNDLE_ID, encrypted: true },
+  logs: { dir: 'logs', suffix: '.json', id: UUID, encrypted: true },
+  sessions: { dir: 'sessions', suffix: '.json', id: /^sess-[0-9a-f-]{36}$/, encrypted: true },
+  compare: { dir: 'compare', suffix: '.json', id: /^cmp-[0-9a-f-]{36}$/, encrypted: true },
+  // no document content: counts, dates and a hashed uploader (lib/retention.js)
+  tombstones: { dir: 'tombstones', suffix: '.json', id: BUNDLE_ID, encrypted: false },
+  users: { dir: 'users', suffix: '.json', id: /^[a-z0-9][a-z0-9._-]{2,39}$/, encrypted: true }
+};
+for (const [name, spec] of Object.entries(COLLECTIONS)) spec.name = name;
+
+class InvalidIdError extends Error {
+  constructor(collection, id) {
+    super(`invalid ${collection} id: ${JSON.stringify(String(id)).slice(0, 80)}`);
+    this.name = 'InvalidIdError';
+    this.code = 'EINVALIDID';
+  }
+}
+
+function collectionSpec(collection) {
+  const spec = COLLECTIONS[collection];
+  if (!spec) throw new Error(`unknown storage collection: ${collection}`);
+  return spec;
+}
+
+/**
+ * Whether `id` is a well-formed id for the collection (it may still not exist).
+ * @param {string} collection
+ * @param {*} id
+ * @returns {boolean}
+ */
+function isValidId(collection, id) {
+  return typeof id === 'string' && collectionSpec(collection).id.test(id);
+}
+
+function checkedSpec(collection, id) {
+  const spec = collectionSpec(collection);
+  if (typeof id !== 'string' || !spec.id.test(id)) throw new InvalidIdError(collection, id);
+  return spec;
+}
+
+/**
+ * The name a record is stored (and its envelope authenticated) under, e.g. "bundle-1-ab12cd34-result.json".
+ */
+function recordName(collection, id) {
+  const spec = checkedSpec(collection, id);
+  return `${id}${spec.suffix}`;
+}
+
+// In-process mutex per key: callers in this process queue instead of polling the lock file
+const queues = new Map();
+
+async function withQueue(key, fn) {
+  const previous = queues.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  queues.set(key, tail);
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (queues.get(key) === tail) queues.delete(key);
+  }
+}
+
+/**
+ * Write a file through a temp file in the same directory and a rename, so readers never see a partial file.
+ * @param {string} file
+ * @param {string|Buffer} data
+ */
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.promises.writeFile(tmp, data);
+    await fs.promises.rename(tmp, file);
+  } catch (err) {
+    await fs.promises.unlink(tmp).catch(() => {});
+    throw err;
+  }
+}
+
+async function acquireLockFile(lockFile) {
+  const started = Date.now();
+  for (;;) {
+    try {
+      const handle = await fs.promises.open(lockFile, 'wx');
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    try {
+      const { mtimeMs } = await fs.promises.stat(lockFile);
+      if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+        await fs.promises.unlink(lockFile).catch(() => {});
+        continue;
+      }
+    } catch (err) {
+      if (err.code === 'ENOENT') continue; // released meanwhile
+      throw err;
+    }
+    if (Date.now() - started > LOCK_TIMEOUT_MS) throw new Error(`timed out waiting for lock ${path.basename(lockFile)}`);
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+/**
+ * Files under a storage root.
+ * @param {object} opts - { root } (default server/storage)
+ */
+function createFsBackend(opts = {}) {
+  const root = opts.root || STORAGE_ROOT;
+  const dirFor = spec => path.join(root, spec.dir);
+  const fileFor = (spec, id) => path.join(dirFor(spec), `${id}${spec.suffix}`);
+
+  async function read(spec, id) {
+    try {
+      return await fs.promises.readFile(fileFor(spec, id), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function write(spec, id, text) {
+    await fs.promises.mkdir(dirFor(spec), { recursive: true });
+    await writeFileAtomic(fileFor(spec, id), text);
+  }
+
+  return {
+    name: 'fs',
+    read,
+    write,
+    async remove(spec, id) {
+      try {
+        await fs.promises.unlink(fileFor(spec, id));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+    async list(spec) {
+      let names;
+      try {
+        names = await fs.promises.readdir(dirFor(spec));
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      return names
+        .filter(n => n.endsWith(spec.suffix))
+        .map(n => n.slice(0, -spec.suffix.length))
+        .filter(id => spec.id.test(id))
+        .sort();
+    },
+    async update(spec, id, mutate) {
+      const file = fileFor(spec, id);
+      return withQueue(file, async () => {
+        await fs.promises.mkdir(dirFor(spec), { recursive: true });
+        const lockFile = `${file}.lock`;
+        await acquireLockFile(lockFile);
+        try {
+          const next = mutate(await read(spec, id));
+          if (next !== null) await write(spec, id, next);
+          return next;
+        } finally {
+          await fs.promises.unlink(lockFile).catch(() => {});
+        }
+      });
+    }
+  };
+}
+
+/**
+ * One SQLite table for every collection.
+ * @param {object} opts - { file } (default STORAGE_SQLITE_FILE or storage/lexiclear.db)
+ */
+function createSqliteBackend(opts = {}) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  const file = opts.file || process.env.STORAGE_SQLITE_FILE || path.join(STORAGE_ROOT, 'lexiclear.db');
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    body TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  )`);
+  const selectOne = db.prepare('SELECT body FROM records WHERE collection = ? AND id = ?');
+  const upsert = db.prepare(`INSERT INTO records (collection, id, body, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, id) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at`);
+  const deleteOne = db.prepare('DELETE FROM records WHERE collection = ? AND id = ?');
+  const selectIds = db.prepare('SELECT id FROM records WHERE collection = ? ORDER BY id');
+
+  const read = (spec, id) => {
+    const row = selectOne.get(spec.name, id);
+    return row ? row.body : null;
+  };
+  const write = (spec, id, text) => {
+    upsert.run(spec.name, id, text, new Date().toISOString());
+  };
+  const updateTx = db.transaction((spec, id, mutate) => {
+    const next = mutate(read(spec, id));
+    if (next !== null) write(spec, id, next);
+    return next;
+  });
+
+  return {
+    name: 'sqlite',
+    file,
+    async read(spec, id) {
+      return read(spec, id);
+    },
+    async write(spec, id, text) {
+      write(spec, id, text);
+    },
+    async remove(spec, id) {
+      return deleteOne.run(spec.name, id).changes > 0;
+    },
+    async list(spec) {
+      return selectIds.all(spec.name).map(r => r.id);
+    },
+    async update(spec, id, mutate) {
+      return updateTx.immediate(spec, id, mutate);
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * @param {'fs'|'sqlite'} name
+ * @param {object} opts - backend options ({ root } for fs, { file } for sqlite)
+ */
+function createBackend(name, opts = {}) {
+  if (name === 'fs') return createFsBackend(opts);
+  if (name === 'sqlite') return createSqliteBackend(opts);
+  throw new Error(`STORAGE_BACKEND must be one of: ${BACKENDS.join(', ')} (got ${name})`);
+}
+
+let activeBackend = null;
+
+/**
+ * The backend selected by STORAGE_BACKEND (created on first use).
+ */
+function backend() {
+  if (!activeBackend) activeBackend = createBackend(process.env.STORAGE_BACKEND || 'fs');
+  return activeBackend;
+}
+
+/**
+ * Use another backend from now on (tests). Returns the previous one.
+ */
+function setBackend(next) {
+  const previous = activeBackend;
+  activeBackend = next;
+  return previous;
+}
+
+function encode(spec, id, record) {
+  return spec.encrypted ? encodeRecord(record, `${id}${spec.suffix}`) : JSON.stringify(record, null, 2);
+}
+
+function decode(spec, id, text) {
+  return spec.encrypted ? decodeRecord(text, `${id}${spec.suffix}`) : JSON.parse(text);
+}
+
+/**
+ * @returns {Promise<object|null>} the record, null when it does not exist
+ * @throws {InvalidIdError} for a malformed id
+ */
+async function get(collection, id) {
+  const spec = checkedSpec(collection, id);
+  const text = await backend().read(spec, id);
+  return text === null ? null : decode(spec, id, text);
+}
+
+/**
+ * Create or replace a record.
+ * @returns {Promise<object>} the record
+ */
+async function put(collection, id, record) {
+  const spec = checkedSpec(collection, id);
+  await backend().write(spec, id, encode(spec, id, record));
+  return record;
+}
+
+/**
+ * Read-modify-write under a lock, so concurrent updates of one record are not lost.
+ * @param {string} collection
+ * @param {string} id
+ * @param {Function} fn - (current record or null) => new record, or undefined to leave it as is; must be synchronous
+ * @returns {Promise<object|null>} the stored record afterwards
+ */
+async function update(collection, id, fn) {
+  const spec = checkedSpec(collection, id);
+  let result = null;
+  await backend().update(spec, id, text => {
+    const current = text === null ? null : decode(spec, id, text);
+    const next = fn(current);
+    result = next === undefined ? current : next;
+    return next === undefined ? null : encode(spec, id, next);
+  });
+  return result;
+}
+
+/**
+ * Store a record only if the id is free.
+ * @returns {Promise<boolean>} false when a record with this id already exists
+ */
+async function create(collection, id, record) {
+  let created = false;
+  await update(collection, id, current => {
+    if (current) return undefined;
+    created = true;
+    return record;
+  });
+  return created;
+}
+
+/**
+ * @returns {Promise<boolean>} true when a record was removed
+ */
+async function remove(collection, id) {
+  const spec = checkedSpec(collection, id);
+  return backend().remove(spec, id);
+}
+
+async function exists(collection, id) {
+  const spec = checkedSpec(collection, id);
+  return (await backend().read(spec, id)) !== null;
+}
+
+/**
+ * Ids of every record in a collection.
+ * @returns {Promise<string[]>}
+ */
+async function list(collection) {
+  return backend().list(collectionSpec(collection));
+}
+
+/**
+ * Every readable record of a collection (records that fail to parse or decrypt are skipped).
+ * @returns {Promise<Array<{ id, record }>>}
+ */
+async function getAll(collection) {
+  const out = [];
+  for (const id of await list(collection)) {
+    try {
+      const record = await get(collection, id);
+      if (record) out.push({ id, record });
+    } catch (err) {
+      // skip invalid
+    }
+  }
+  return out;
+}
+
+/**
+ * The stored text of a record, as is (encryption tooling works on envelopes without opening them).
+ */
+async function readRaw(collection, id) {
+  return backend().read(checkedSpec(collection, id), id);
+}
+
+async function writeRaw(collection, id, text) {
+  await backend().write(checkedSpec(collection, id), id, text);
+}
+
+module.exports = {
+  COLLECTIONS,
+  STORAGE_ROOT,
+  InvalidIdError,
+  isValidId,
+  recordName,
+  get,
+  put,
+  update,
+  create,
+  remove,
+  exists,
+  list,
+  getAll,
+  readRaw,
+  writeRaw,
+  backend,
+  setBackend,
+  createBackend,
+  writeFileAtomic
+};
@@ -0,0 +1,154 @@
+// server/lib/users.js
+// Local user store for authentication (lib/auth.js): the 'users' collection of lib/storage.js
+// (storage/users/<user_id>.json), encrypted at rest like bundles when a master key is configured.
+//
+// A user: { user_id, display_name, role: 'user'|'admin', teams: ['legal', ...], password_hash, created_at, updated_at }
+// user_id is the login name (lower case). Passwords are hashed with scrypt and a per-user salt;
+// password_hash never leaves this module (publicUser strips it).
+//
+// Bundles are owned by uploader_id (lib/auth.js bundleRole), so an account may not take an id that already
+// owns bundles: the fallback owners of bundles uploaded without an account ('anonymous', 'demo-user') are
+// reserved, and createUser refuses any uploader_id found on a stored bundle.
+//
+// Usage:
+//   const { createUser, loadUser, verifyPassword, publicUser } = require('./users');
+//   const user = await createUser({ user_id: 'alice', password: 'correct horse', teams: ['legal'] });
+//   if (await verifyPassword(await loadUser('alice'), 'correct horse')) { ... }
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const storage = require('./storage');
+const { listBundles } = require('./mcp');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USER_ID_REGEX = /^[a-z0-9][a-z0-9._-]{2,39}$/;
+const TEAM_REGEX = USER_ID_REGEX;
+const USER_ROLES = ['user', 'admin'];
+const MIN_PASSWORD_CHARS = 8;
+const MAX_DISPLAY_NAME_CHARS = 100;
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+// owners given to bundles uploaded without an account (lib/auth.js ownerId fallbacks, open mode, demo scripts)
+const RESERVED_USER_IDS = ['anonymous', 'demo-user'];
+
+/**
+ * scrypt$N$r$p$salt$hash (salt and hash base64)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * @returns {Promise<boolean>} false for a wrong password, a missing user or an unknown hash format
+ */
+async function verifyPassword(user, password) {
+  if (!user || typeof password !== 'string' || typeof user.password_hash !== 'string') return false;
+  const [alg, N, r, p, salt, hash] = user.password_hash.split('$');
+  if (alg !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Validate the fields of a new user (or of an update when `partial`).
+ * @returns {string[]} error messages (empty when valid)
+ */
+function validateUser(fields, { partial = false } = {}) {
+  const errors = [];
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return ['body must be a JSON object'];
+  if (!partial && (typeof fields.user_id !== 'string' || !USER_ID_REGEX.test(fields.user_id))) {
+    errors.push('user_id must be 3-40 characters of a-z, 0-9, ., _ or -, starting with a letter or digit');
+  } else if (!partial && RESERVED_USER_IDS.includes(fields.user_id)) {
+    errors.push(`user_id is reserved: ${fields.user_id}`);
+  }
+  if ((!partial || 'password' in fields) && (typeof fields.password !== 'string' || fields.password.length < MIN_PASSWORD_CHARS)) {
+    errors.push(`password must be at least ${MIN_PASSWORD_CHARS} characters`);
+  }
+  if ('display_name' in fields && fields.display_name !== null
+    && (typeof fields.display_name !== 'string' || fields.display_name.length > MAX_DISPLAY_NAME_CHARS)) {
+    errors.push(`display_name must be null or a string of at most ${MAX_DISPLAY_NAME_CHARS} characters`);
+  }
+  if ('role' in fields && !USER_ROLES.includes(fields.role)) errors.push(`role must be one of: ${USER_ROLES.join(', ')}`);
+  if ('teams' in fields && (!Array.isArray(fields.teams) || !fields.teams.every(t => typeof t === 'string' && TEAM_REGEX.test(t)))) {
+    errors.push('teams must be an array of team names (3-40 characters of a-z, 0-9, ., _ or -)');
+  }
+  return errors;
+}
+
+/**
+ * @returns {Promise<object|null>} null when the id is malformed or unknown
+ */
+async function loadUser(userId) {
+  if (!USER_ID_REGEX.test(String(userId))) return null;
+  return storage.get('users', userId);
+}
+
+/**
+ * @returns {Promise<boolean>} true when stored bundles are owned by this id (uploaded before it had an account)
+ */
+async function ownsBundles(userId) {
+  return (await listBundles()).some(b => b.uploader_id === userId);
+}
+
+/**
+ * Create a user; fields are expected to pass validateUser.
+ * @returns {Promise<object|null>} the public user, or null when the user_id is taken by an account or is the
+ *   uploader_id of stored bundles
+ */
+async function createUser({ user_id, password, display_name = null, role = 'user', teams = [] }) {
+  if (RESERVED_USER_IDS.includes(user_id) || await loadUser(user_id) || await ownsBundles(user_id)) return null;
+  const now = new Date().toISOString();
+  const user = {
+    user_id,
+    display_name: display_name || null,
+    role,
+    teams: [...new Set(teams)],
+    password_hash: await hashPassword(password),
+    created_at: now,
+    updated_at: now
+  };
+  // checked again under the record lock: two registrations may race for the same id
+  return (await storage.create('users', user_id, user)) ? publicUser(user) : null;
+}
+
+/**
+ * Change role, teams, display_name or password of a user; fields are expected to pass validateUser (partial).
+ * @returns {Promise<object|null>} the public user, or null for an unknown user
+ */
+async function updateUser(userId, fields) {
+  if (!(await loadUser(userId))) return null;
+  const passwordHash = 'password' in fields ? await hashPassword(fields.password) : null;
+  return publicUser(await storage.update('users', userId, user => {
+    if (!user) return undefined;
+    if ('role' in fields) user.role = fields.role;
+    if ('teams' in fields) user.teams = [...new Set(fields.teams)];
+    if ('display_name' in fields) user.display_name = fields.display_name || null;
+    if (passwordHash) user.password_hash = passwordHash;
+    user.updated_at = new Date().toISOString();
+    return user;
+  }));
+}
+
+/**
+ * The user without its password hash.
+ */
+function publicUser(user) {
+  if (!user) return null;
+  const rest = { ...user };
+  delete rest.password_hash;
+  return rest;
+}
+
+module.exports = {
+  USER_ROLES,
+  RESERVED_USER_IDS,
+  validateUser,
+  createUser,
+  loadUser,
+  updateUser,
+  verifyPassword,
+  publicUser
+};
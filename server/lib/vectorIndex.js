@@ -0,0 +1,336 @@
+// server/lib/vectorIndex.js
+// Local on-disk vector index (flat, exact cosine search in pure JS), keyed by embedding_id.
+//
+// One index per embedding model, so vectors of different sizes / spaces never mix:
+//   storage/index/<model>.json  - { model, dim, ids: [embedding_id], refs: { embedding_id: [{ bundle_id, chunk_id }] }, bundles: { bundle_id: chunk_count } }
+//   storage/index/<model>.vec   - Float32 vectors (L2-normalised), row i belongs to ids[i]
+//
+// Identical chunk text yields the same embedding_id, so one vector can be referenced by chunks
+// from several bundles. When the model starts returning vectors of another size (the backend behind the
+// same model name changed), the index is reset and bundles are re-embedded and re-indexed as they are used.
+//
+// Vectors can be inverted back to text, so with a master key configured both files are encryption envelopes
+// (lib/encryption.js) authenticated under "index/<file name>": the .json as any record, the .vec holding
+// { vectors: <base64 Float32> }, flagged by vectors_encrypted in the .json. Plaintext indexes still load.
+//
+// Usage:
+//   const { getVectorIndex } = require('./vectorIndex');
+//   const index = await getVectorIndex();            // index for the active embedding model
+//   index.upsert('emb-1a2b3c', vector, { bundle_id, chunk_id });
+//   await index.save();
+//   index.search(queryVector, { topK: 5, bundleIds: ['bundle-...'] });
+//   // [{ embedding_id, score, refs: [{ bundle_id, chunk_id }] }]
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getModelInfo } = require('./embeddings');
+const { writeFileAtomic } = require('./storage');
+const { encodeRecord, decodeRecord, encryptionEnabled } = require('./encryption');
+
+const INDEX_DIR = path.join(__dirname, '..', 'storage', 'index');
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  const out = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) out[i] = vector[i] / norm;
+  return out;
+}
+
+// File-system friendly name for an embedding model ("text-embedding-3-small", "local-hash-bow-384")
+function indexName(model) {
+  return String(model).replace(/[^A-Za-z0-9._-]+/g, '_');
+}
+
+class FlatVectorIndex {
+  /**
+   * @param {string} model - embedding model the vectors come from
+   * @param {string} dir - directory holding the index files
+   */
+  constructor(model, dir = INDEX_DIR) {
+    this.model = model;
+    this.dir = dir;
+    this.dim = null;
+    this.ids = [];
+    this.slots = new Map(); // embedding_id -> row
+    this.refs = new Map();  // embedding_id -> [{ bundle_id, chunk_id }]
+    this.bundles = {};      // bundle_id -> chunk_count (which bundles are indexed)
+    this.vectors = new Float32Array(0);
+    this._saving = Promise.resolve();
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  get files() {
+    const base = path.join(this.dir, indexName(this.model));
+    return { meta: `${base}.json`, vec: `${base}.vec` };
+  }
+
+  // names the envelopes of the two files are authenticated under
+  get recordNames() {
+    return { meta: indexRecordName(`${indexName(this.model)}.json`), vec: indexRecordName(`${indexName(this.model)}.vec`) };
+  }
+
+  hasBundle(bundleId) {
+    return Object.prototype.hasOwnProperty.call(this.bundles, bundleId);
+  }
+
+  /**
+   * Add (or re-point) a vector. The vector itself is stored once per embedding_id.
+   */
+  upsert(embeddingId, vector, ref) {
+    if (!embeddingId || !vector || !vector.length) throw new Error('embedding_id and vector are required');
+    if (this.dim === null) this.dim = vector.length;
+    if (vector.length !== this.dim) {
+      throw new Error(`Vector size ${vector.length} does not match index dimension ${this.dim} (${this.model})`);
+    }
+
+    if (!this.slots.has(embeddingId)) {
+      const row = this.ids.length;
+      this._ensureCapacity(row + 1);
+      this.vectors.set(normalize(vector), row * this.dim);
+      this.ids.push(embeddingId);
+      this.slots.set(embeddingId, row);
+      this.refs.set(embeddingId, []);
+    }
+    if (ref) {
+      const list = this.refs.get(embeddingId);
+      if (!list.some(r => r.bundle_id === ref.bundle_id && r.chunk_id === ref.chunk_id)) {
+        list.push({ bundle_id: ref.bundle_id, chunk_id: ref.chunk_id });
+      }
+    }
+  }
+
+  /**
+   * Empty the index when `dim` is not its dimension: vectors of another size come from another model and
+   * cannot be compared. Call save() to persist the reset.
+   * @param {number} dim - size of the vectors the model returns now
+   * @returns {boolean} true when the index was reset
+   */
+  resetIfDimChanged(dim) {
+    if (this.dim === null || !dim || this.dim === dim) return false;
+    console.warn(`Vector index ${this.model}: vector size changed from ${this.dim} to ${dim}, resetting the index`);
+    this.dim = null;
+    this.ids = [];
+    this.slots = new Map();
+    this.refs = new Map();
+    this.bundles = {};
+    this.vectors = new Float32Array(0);
+    return true;
+  }
+
+  /**
+   * Drop every reference from a bundle; vectors nobody references any more are removed.
+   * @returns {number} number of references removed
+   */
+  removeBundle(bundleId) {
+    let removed = 0;
+    for (const [id, list] of this.refs) {
+      const kept = list.filter(r => r.bundle_id !== bundleId);
+      removed += list.length - kept.length;
+      if (kept.length) this.refs.set(id, kept);
+      else this._removeVector(id);
+    }
+    delete this.bundles[bundleId];
+    return removed;
+  }
+
+  /**
+   * Exact top-k cosine search.
+   * @param {number[]} query - query embedding
+   * @param {object} opts - { topK = 10, bundleIds?: string[] } (bundleIds limits the refs considered)
+   * @returns {Array<{ embedding_id, score, refs }>}
+   */
+  search(query, { topK = 10, bundleIds = null } = {}) {
+    if (!this.size) return [];
+    if (query.length !== this.dim) {
+      throw new Error(`Query size ${query.length} does not match index dimension ${this.dim} (${this.model})`);
+    }
+    const allowed = bundleIds && bundleIds.length ? new Set(bundleIds) : null;
+    const q = normalize(query);
+    const hits = [];
+    for (let row = 0; row < this.ids.length; row++) {
+      const id = this.ids[row];
+      const refs = allowed ? this.refs.get(id).filter(r => allowed.has(r.bundle_id)) : this.refs.get(id);
+      if (!refs.length) continue;
+      let score = 0;
+      const offset = row * this.dim;
+      for (let i = 0; i < this.dim; i++) score += q[i] * this.vectors[offset + i];
+      hits.push({ embedding_id: id, score, refs });
+    }
+    hits.sort((a, b) => b.score - a.score);
+    return hits.slice(0, topK);
+  }
+
+  /** Persist to disk (writes are serialised). */
+  save() {
+    this._saving = this._saving.catch(() => {}).then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      const encrypted = encryptionEnabled();
+      const meta = {
+        model: this.model,
+        dim: this.dim,
+        ids: this.ids,
+        refs: Object.fromEntries(this.refs),
+        bundles: this.bundles,
+        vectors_encrypted: encrypted,
+        updated_at: new Date().toISOString()
+      };
+      const used = this.vectors.subarray(0, this.ids.length * (this.dim || 0));
+      const bytes = Buffer.from(used.buffer, used.byteOffset, used.byteLength);
+      // temp file + rename (lib/storage.js), so a crash never leaves a half-written index behind
+      await writeFileAtomic(this.files.vec, encrypted ? encodeRecord({ vectors: bytes.toString('base64') }, this.recordNames.vec) : bytes);
+      await writeFileAtomic(this.files.meta, encrypted ? encodeRecord(meta, this.recordNames.meta) : JSON.stringify(meta));
+    });
+    return this._saving;
+  }
+
+  /**
+   * Load the index for `model` from `dir` (an empty index when none exists yet).
+   */
+  static async load(model, dir = INDEX_DIR) {
+    const index = new FlatVectorIndex(model, dir);
+    let meta;
+    try {
+      meta = decodeRecord(await fs.readFile(index.files.meta, 'utf8'), index.recordNames.meta);
+    } catch (err) {
+      if (err.code === 'ENOENT') return index;
+      throw err;
+    }
+    let buf = await fs.readFile(index.files.vec);
+    if (meta.vectors_encrypted) buf = Buffer.from(decodeRecord(buf.toString('utf8'), index.recordNames.vec).vectors, 'base64');
+    index.dim = meta.dim;
+    index.ids = meta.ids || [];
+    index.bundles = meta.bundles || {};
+    index.vectors = new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+    if (index.vectors.length !== index.ids.length * (index.dim || 0)) {
+      throw new Error(`Vector index ${index.files.vec} is corrupt (size does not match ${index.ids.length} ids)`);
+    }
+    index.ids.forEach((id, row) => {
+      index.slots.set(id, row);
+      index.refs.set(id, (meta.refs && meta.refs[id]) || []);
+    });
+    return index;
+  }
+
+  _ensureCapacity(rows) {
+    const needed = rows * this.dim;
+    if (this.vectors.length >= needed) return;
+    const grown = new Float32Array(Math.max(needed, this.vectors.length * 2));
+    grown.set(this.vectors);
+    this.vectors = grown;
+  }
+
+  // Remove a row by moving the last row into its place
+  _removeVector(embeddingId) {
+    const row = this.slots.get(embeddingId);
+    const lastRow = this.ids.length - 1;
+    if (row !== lastRow) {
+      const lastId = this.ids[lastRow];
+      this.vectors.copyWithin(row * this.dim, lastRow * this.dim, (lastRow + 1) * this.dim);
+      this.ids[row] = lastId;
+      this.slots.set(lastId, row);
+    }
+    this.ids.pop();
+    this.slots.delete(embeddingId);
+    this.refs.delete(embeddingId);
+  }
+}
+
+/**
+ * The name an index file's envelope is authenticated under, e.g. "index/local-hash-bow-384.vec".
+ * @param {string} fileName
+ */
+function indexRecordName(fileName) {
+  return `index/${fileName}`;
+}
+
+/**
+ * The index files on disk (both files of every model).
+ * @returns {Promise<Array<{ file: string, name: string }>>} absolute path and record name
+ */
+async function listIndexFiles() {
+  let files = [];
+  try {
+    files = await fs.readdir(INDEX_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return files.filter(f => f.endsWith('.json') || f.endsWith('.vec'))
+    .map(f => ({ file: path.join(INDEX_DIR, f), name: indexRecordName(f) }));
+}
+
+// One loaded index per model for the lifetime of the process
+const loaded = new Map();
+
+/**
+ * Index for an embedding model (defaults to the active provider's model).
+ * @param {string} [model]
+ * @returns {Promise<FlatVectorIndex>}
+ */
+function getVectorIndex(model = getModelInfo().embedding_model) {
+  if (!loaded.has(model)) {
+    const promise = FlatVectorIndex.load(model).catch(err => {
+      loaded.delete(model);
+      throw err;
+    });
+    loaded.set(model, promise);
+  }
+  return loaded.get(model);
+}
+
+/**
+ * (Re)index every embedded chunk of a bundle and persist the index.
+ * @param {object} bundle - bundle whose chunks carry embedding + embedding_id
+ * @returns {Promise<FlatVectorIndex>}
+ */
+async function indexBundle(bundle) {
+  const index = await getVectorIndex(bundle.index_metadata?.embedding_model || getModelInfo().embedding_model);
+  const embedded = (bundle.chunks || []).find(c => c.embedding && c.embedding_id);
+  if (embedded) index.resetIfDimChanged(embedded.embedding.length);
+  index.removeBundle(bundle.bundle_id);
+  for (const c of bundle.chunks || []) {
+    if (c.embedding && c.embedding_id) index.upsert(c.embedding_id, c.embedding, { bundle_id: bundle.bundle_id, chunk_id: c.chunk_id });
+  }
+  index.bundles[bundle.bundle_id] = (bundle.chunks || []).length;
+  await index.save();
+  return index;
+}
+
+/**
+ * Remove a bundle from every index on disk (all embedding models).
+ * @param {string} bundleId
+ * @returns {Promise<number>} references removed
+ */
+async function removeBundleFromIndexes(bundleId) {
+  const models = new Set(loaded.keys());
+  for (const { file, name } of (await listIndexFiles()).filter(f => f.file.endsWith('.json'))) {
+    try {
+      const meta = decodeRecord(await fs.readFile(file, 'utf8'), name);
+      if (meta.model) models.add(meta.model);
+    } catch (e) {
+      // skip unreadable index files
+    }
+  }
+
+  let removed = 0;
+  for (const model of models) {
+    const index = await getVectorIndex(model);
+    if (!index.hasBundle(bundleId)) continue;
+    removed += index.removeBundle(bundleId);
+    await index.save();
+  }
+  return removed;
+}
+
+module.exports = {
+  FlatVectorIndex,
+  getVectorIndex,
+  indexBundle,
+  removeBundleFromIndexes,
+  listIndexFiles,
+  INDEX_DIR
+};
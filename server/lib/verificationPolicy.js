@@ -0,0 +1,99 @@
+// server/lib/verificationPolicy.js
+// Applies the verification policy to a model response, so unverified claims never reach a client
+// silently. Used by routes/simplify.js and routes/ask.js around their LLM call.
+//
+// Policies (VERIFICATION_POLICY env, overridable per request with `verification_policy`):
+//  - warn                         deliver as-is, attach the verification result (default)
+//  - redact-unverified-sentences  remove flagged sentences / clauses before delivering
+//  - reject-and-retry-once        ask the model again with the verifier's findings; if the retry
+//                                 still fails, the response is rejected (routes answer 422)
+//
+// Usage:
+//   const outcome = await runWithVerification({
+//     policy,
+//     generate: async (feedback) => ({ ...modelOutput }),   // feedback is null on the first attempt
+//     verify: async (output) => verificationResult,
+//     redact: (output, verification) => ({ output, redactions })
+//   });
+//   // outcome = { output, verification, rejected }
+
+const VERIFICATION_POLICIES = ['warn', 'redact-unverified-sentences', 'reject-and-retry-once'];
+
+function resolvePolicy(requested) {
+  return requested || process.env.VERIFICATION_POLICY || 'warn';
+}
+
+/**
+ * Short, model-readable list of what the verifier found (for the retry prompt).
+ */
+function describeProblems(verification) {
+  const lines = [];
+  for (const id of verification.unknown_chunk_ids || []) lines.push(`- ${id} is not a valid chunk_id.`);
+  for (const m of verification.missing_snippet_matches || []) lines.push(`- The text attributed to ${m.chunk_id} does not appear in that chunk.`);
+  for (const c of (verification.clauses || []).filter(x => !x.ok)) lines.push(`- Clause ${c.index + 1} (${c.chunk_id || 'no chunk_id'}): ${c.reasons.join('; ')}.`);
+  for (const h of verification.potential_hallucinations || []) lines.push(`- "${h.sentence}" ${h.reason}.`);
+  if (verification.cites_retrieved === false) lines.push('- The answer cites none of the provided SOURCE chunk_ids.');
+  return [...new Set(lines)].join('\n');
+}
+
+/**
+ * Message appended to the conversation for the single retry.
+ */
+function retryMessage(verification) {
+  return {
+    role: 'user',
+    content: `Your previous answer failed verification:\n${describeProblems(verification)}\n\n`
+      + 'Answer again using ONLY the SOURCE CHUNKS. Quote source text exactly, cite the chunk_id for every claim, '
+      + 'and leave out anything you cannot support.'
+  };
+}
+
+/**
+ * Generate, verify and enforce the policy.
+ * @param {object} args - { policy, generate(feedback), verify(output), redact(output, verification) }
+ * @returns {Promise<{ output, verification, rejected: boolean }>}
+ *   verification gains { policy, action: 'none'|'warned'|'redacted'|'retried'|'rejected', attempts, redactions? }
+ */
+async function runWithVerification({ policy, generate, verify, redact }) {
+  if (!VERIFICATION_POLICIES.includes(policy)) {
+    throw new Error(`Unknown verification policy "${policy}". Expected one of: ${VERIFICATION_POLICIES.join(', ')}`);
+  }
+
+  let output = await generate(null);
+  let verification = await verify(output);
+  let attempts = 1;
+
+  if (verification.ok) {
+    return { output, verification: { ...verification, policy, action: 'none', attempts }, rejected: false };
+  }
+
+  if (policy === 'warn') {
+    return { output, verification: { ...verification, policy, action: 'warned', attempts }, rejected: false };
+  }
+
+  if (policy === 'redact-unverified-sentences') {
+    const redacted = redact(output, verification);
+    return {
+      output: redacted.output,
+      verification: { ...verification, policy, action: 'redacted', attempts, redactions: redacted.redactions },
+      rejected: false
+    };
+  }
+
+  // reject-and-retry-once
+  const firstVerification = verification;
+  output = await generate(retryMessage(verification));
+  verification = await verify(output);
+  attempts = 2;
+  const outcome = { ...verification, policy, attempts, first_attempt: { ok: false, problems: describeProblems(firstVerification) } };
+  if (verification.ok) return { output, verification: { ...outcome, action: 'retried' }, rejected: false };
+  return { output, verification: { ...outcome, action: 'rejected' }, rejected: true };
+}
+
+module.exports = {
+  VERIFICATION_POLICIES,
+  resolvePolicy,
+  runWithVerification,
+  // exported for testing
+  _internals: { describeProblems, retryMessage }
+};
@@ -13,6 +13,10 @@
  *  - extractChunkIds(text) -> Array<string>
  *  - verifyResponseAgainstBundle(bundle, responseText, options) -> Promise<VerificationResult>
  *  - verifyQAAnswer(bundle, answerText, retrievedChunkIds, options) -> Promise<VerificationResult>
+ *  - verifySimplifiedResult(bundle, simplified, retrievedChunkIds, options) -> Promise<VerificationResult>
+ *  - redactUnverifiedText(text, verification) -> { text, redactions }
+ *  - redactUnverifiedSimplified(simplified, verification) -> { simplified, redactions }
+ *  - locateSnippet(snippet, chunkText, options) -> { matched, match_type, start, end }  (offsets of the match)
  *
  * VerificationResult:
  * {
@@ -117,6 +121,41 @@ function doesSnippetMatchChunk(snippet, chunkText, options = {}) {
   return { matched: false, match_type: 'none' };
 }
 
+/**
+ * Helper: where doesSnippetMatchChunk found a snippet in the chunk text.
+ * Exact matches cover the snippet; normalized and prefix matches are mapped back from the normalized text
+ * (prefix matches cover only the matched prefix).
+ * @returns {{ matched: boolean, match_type: string, start: number|null, end: number|null }} offsets into chunkText
+ */
+function locateSnippet(snippet, chunkText, options = {}) {
+  const check = doesSnippetMatchChunk(snippet, chunkText, options);
+  if (!check.matched) return { ...check, start: null, end: null };
+  if (check.match_type === 'exact') {
+    const start = chunkText.indexOf(snippet);
+    return { ...check, start, end: start + snippet.length };
+  }
+  // normalize the chunk as normalizeText does, remembering the source index of every character
+  let norm = '';
+  const source = [];
+  for (let i = 0; i < chunkText.length; i++) {
+    if (/\s/.test(chunkText[i])) {
+      if (norm.length > 0 && norm[norm.length - 1] !== ' ') {
+        norm += ' ';
+        source.push(i);
+      }
+      continue;
+    }
+    for (const ch of chunkText[i].toLowerCase()) {
+      norm += ch;
+      source.push(i);
+    }
+  }
+  const nSnippet = normalizeText(snippet);
+  const target = check.match_type === 'normalized' ? nSnippet : nSnippet.slice(0, Math.min(40, nSnippet.length));
+  const at = norm.indexOf(target);
+  return { ...check, start: source[at], end: source[at + target.length - 1] + 1 };
+}
+
 /**
  * verifyResponseAgainstBundle
  * Verify an LLM response (simplified doc or structured string) against an MCP bundle.
@@ -220,7 +259,7 @@ async function verifyResponseAgainstBundle(bundle, responseText, opts = {}) {
   for (const sent of sentences) {
     const low = sent.toLowerCase();
     // skip if sentence contains a chunk id (we consider it cited)
-    if (CHUNK_ID_REGEX.test(sent)) continue;
+    if (extractChunkIds(sent).length > 0) continue;
 
     for (const kw of options.legalKeywords) {
       if (low.includes(kw)) {
@@ -317,16 +356,191 @@ async function verifyQAAnswer(bundle, answerText, retrievedChunkIds = [], opts =
   return baseResult;
 }
 
+/** Helper: content words of a text (for lexical support checks) */
+function contentWords(text) {
+  return new Set((normalizeText(text).match(/[a-z0-9]+/g) || []).filter(w => w.length > 3));
+}
+
+/** Helper: share of a sentence's content words found in the best supporting chunk */
+function bestSupport(sentence, chunks) {
+  const words = contentWords(sentence);
+  if (words.size === 0) return { chunk_id: null, support: 1 };
+  let best = { chunk_id: null, support: 0 };
+  for (const c of chunks) {
+    const chunkWords = contentWords(c.text);
+    let hit = 0;
+    for (const w of words) if (chunkWords.has(w)) hit++;
+    const support = hit / words.size;
+    if (support > best.support) best = { chunk_id: c.chunk_id, support };
+  }
+  return best;
+}
+
+/**
+ * verifySimplifiedResult
+ * Verify the structured simplify output ({ overall_summary, clauses, notes }) against the bundle.
+ *  - every clause must cite a chunk_id from the bundle (and from the retrieved set when given)
+ *  - a clause's `original` must match its chunk (exact / normalized / prefix)
+ *  - summary sentences with legal keywords must be lexically supported by the retrieved chunks
+ *    (the summary carries no citations by design, so keyword-only flagging would flag everything)
+ *
+ * @param {Object} bundle - MCP bundle
+ * @param {Object} simplified - parsed simplify JSON
+ * @param {Array<string>} retrievedChunkIds - chunk ids sent to the model
+ * @param {Object} [opts] - { minSummarySupport = 0.5, ...DEFAULT_OPTIONS }
+ * @returns {Promise<Object>} VerificationResult plus clauses: [{ index, chunk_id, ok, reasons }]
+ */
+async function verifySimplifiedResult(bundle, simplified, retrievedChunkIds = [], opts = {}) {
+  const options = { minSummarySupport: 0.5, ...DEFAULT_OPTIONS, ...opts };
+  const chunkMap = mapChunksById(bundle);
+  const retrievedSet = new Set(retrievedChunkIds);
+  const clauses = Array.isArray(simplified && simplified.clauses) ? simplified.clauses : [];
+
+  const result = {
+    ok: true,
+    cited_chunks: [],
+    unknown_chunk_ids: [],
+    matched_snippets: [],
+    missing_snippet_matches: [],
+    potential_hallucinations: [],
+    clauses: [],
+    stats: {
+      num_chunks_in_bundle: chunkMap.size,
+      num_cited_chunks: 0,
+      citation_coverage: 0
+    }
+  };
+
+  clauses.forEach((clause, index) => {
+    const chunkId = clause && clause.chunk_id;
+    const reasons = [];
+    const chunk = chunkId ? chunkMap.get(chunkId) : null;
+    if (!chunkId) {
+      reasons.push('no chunk_id cited');
+    } else if (!chunk) {
+      reasons.push('chunk_id not in bundle');
+      result.unknown_chunk_ids.push(chunkId);
+    } else {
+      if (retrievedSet.size > 0 && !retrievedSet.has(chunkId)) reasons.push('chunk_id was not among the retrieved sources');
+      if (clause.original) {
+        const check = doesSnippetMatchChunk(clause.original, chunk.text, options);
+        result.matched_snippets.push({ chunk_id: chunkId, snippet: clause.original, matched: check.matched, match_type: check.match_type });
+        if (!check.matched) {
+          reasons.push('original text does not match the cited chunk');
+          result.missing_snippet_matches.push({ chunk_id: chunkId });
+        }
+      }
+    }
+    if (chunkId && !result.cited_chunks.includes(chunkId)) result.cited_chunks.push(chunkId);
+    result.clauses.push({ index, chunk_id: chunkId || null, ok: reasons.length === 0, reasons });
+  });
+
+  // Summary sentences: only claims that look legal and are not supported by the sources are flagged
+  const sources = [...retrievedSet].map(id => chunkMap.get(id)).filter(Boolean);
+  const summary = (simplified && typeof simplified.overall_summary === 'string') ? simplified.overall_summary : '';
+  const sentences = summary.split(options.sentenceSplitterRegex).map(x => x.trim()).filter(Boolean);
+  for (const sent of sentences) {
+    const low = sent.toLowerCase();
+    const kw = options.legalKeywords.find(k => low.includes(k));
+    if (!kw) continue;
+    const support = bestSupport(sent, sources.length ? sources : bundle.chunks || []);
+    if (support.support < options.minSummarySupport) {
+      result.potential_hallucinations.push({
+        sentence: sent,
+        field: 'overall_summary',
+        reason: `contains legal keyword "${kw}" but is not supported by the sources (support ${support.support.toFixed(2)})`
+      });
+    }
+  }
+
+  result.stats.num_cited_chunks = result.cited_chunks.length;
+  result.stats.citation_coverage = result.stats.num_cited_chunks > 0
+    ? Math.min(1, result.stats.num_cited_chunks / Math.max(1, result.stats.num_chunks_in_bundle))
+    : 0;
+  result.ok = result.clauses.every(c => c.ok) && result.potential_hallucinations.length === 0;
+  return result;
+}
+
+/** Helper: chunk ids whose citation could not be verified */
+function unverifiedChunkIds(verification) {
+  return new Set([
+    ...(verification.unknown_chunk_ids || []),
+    ...(verification.missing_snippet_matches || []).map(m => m.chunk_id)
+  ]);
+}
+
+/**
+ * redactUnverifiedText
+ * Remove sentences the verifier flagged (potential hallucinations, or citing an unknown / unmatched chunk).
+ *
+ * @param {string} text - model answer
+ * @param {Object} verification - result of verifyResponseAgainstBundle / verifyQAAnswer
+ * @returns {{ text: string, redactions: Array<{ sentence, reason }> }}
+ */
+function redactUnverifiedText(text, verification, opts = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...opts };
+  const flagged = new Map((verification.potential_hallucinations || []).map(h => [h.sentence, h.reason]));
+  const badIds = unverifiedChunkIds(verification);
+  const redactions = [];
+  const kept = [];
+  for (const sent of (text || '').split(options.sentenceSplitterRegex).map(x => x.trim()).filter(Boolean)) {
+    const badCitation = extractChunkIds(sent).find(id => badIds.has(id));
+    if (flagged.has(sent)) redactions.push({ sentence: sent, reason: flagged.get(sent) });
+    else if (badCitation) redactions.push({ sentence: sent, reason: `cites unverified chunk ${badCitation}` });
+    else kept.push(sent);
+  }
+  return { text: kept.length ? kept.join(' ') : 'Not in document', redactions };
+}
+
+/**
+ * redactUnverifiedSimplified
+ * Drop clauses that failed verification and unsupported summary sentences from a simplify result.
+ *
+ * @param {Object} simplified - parsed simplify JSON
+ * @param {Object} verification - result of verifySimplifiedResult
+ * @returns {{ simplified: Object, redactions: Array<{ field, sentence?, chunk_id?, reason }> }}
+ */
+function redactUnverifiedSimplified(simplified, verification, opts = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...opts };
+  const redactions = [];
+  const badClauses = new Map((verification.clauses || []).filter(c => !c.ok).map(c => [c.index, c]));
+  const clauses = (simplified.clauses || []).filter((clause, i) => {
+    if (!badClauses.has(i)) return true;
+    redactions.push({ field: 'clauses', chunk_id: badClauses.get(i).chunk_id, reason: badClauses.get(i).reasons.join('; ') });
+    return false;
+  });
+
+  const flagged = new Map((verification.potential_hallucinations || []).map(h => [h.sentence, h.reason]));
+  const summarySentences = String(simplified.overall_summary || '').split(options.sentenceSplitterRegex).map(x => x.trim()).filter(Boolean);
+  const summary = summarySentences.filter(sent => {
+    if (!flagged.has(sent)) return true;
+    redactions.push({ field: 'overall_summary', sentence: sent, reason: flagged.get(sent) });
+    return false;
+  });
+
+  const notes = Array.isArray(simplified.notes) ? [...simplified.notes] : [];
+  if (redactions.length) notes.push(`${redactions.length} unverified statement(s) were removed by the verifier; see the audit record.`);
+  return {
+    simplified: { ...simplified, overall_summary: summary.join(' '), clauses, notes },
+    redactions
+  };
+}
+
 module.exports = {
   extractChunkIds,
   verifyResponseAgainstBundle,
   verifyQAAnswer,
+  verifySimplifiedResult,
+  redactUnverifiedText,
+  redactUnverifiedSimplified,
+  locateSnippet,
   // exported for testing or reuse
   _internals: {
     CHUNK_ID_REGEX,
     normalizeText,
     extractQuotedSnippets,
     doesSnippetMatchChunk,
-    mapChunksById
+    mapChunksById,
+    bestSupport
   }
 };
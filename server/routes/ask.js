@@ -1,165 +1,53 @@
 // server/routes/ask.js
 // POST /api/ask
-// Body: { bundle_id: string, question: string, top_k?: number }
-// Response: { answer, retrieved_chunk_ids, retrieved_chunks, hallucination, log_id }
+// Body: { bundle_id: string, question: string, top_k?: number,
+//         retrieval_mode?: "vector"|"lexical"|"hybrid", rerank?: boolean,
+//         verification_policy?: "warn"|"redact-unverified-sentences"|"reject-and-retry-once",
+//         redact?: boolean }   (personal data replaced by placeholders before provider calls; default REDACT_PII)
+// Response: { bundle_id, answer, hallucination, hallucination_note, retrieval_mode, reranked,
+//             retrieved_chunk_ids, retrieved_chunks: [{ chunk_id, score, snippet, scores }], cited_chunk_ids,
+//             verification, log_id }
+// 422 when the policy is reject-and-retry-once and the retry also fails verification.
+//
+// POST /api/ask/stream  (same body) -> text/event-stream (lib/sse.js):
+//   stage        { stage: "condensing"|"retrieving"|"generating"|"verifying"|"retrying" }
+//   condensed    { standalone_question }   session follow-ups only (routes/sessions.js)
+//   embedding    { done, total }   while missing chunk embeddings are created
+//   retrieval    { retrieval_mode, reranked, retrieved_chunks }
+//   token        { text }          answer as it arrives
+//   verification { ...same as the response's verification }
+//   done         the response body above  |  error { status, error, ... }
 
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
-const fetch = require('node-fetch');
-const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
-const STORAGE_DIR = path.join(__dirname, '..', 'storage');
-const BUNDLES_DIR = path.join(STORAGE_DIR, 'bundles');
-const LOGS_DIR = path.join(STORAGE_DIR, 'logs');
-
-if (!fs.existsSync(LOGS_DIR)) fs.mkdirSync(LOGS_DIR, { recursive: true });
+const { loadAuthorizedBundle } = require('../lib/auth');
+const { chatComplete } = require('../lib/embeddings');
+const { retrieveChunks, RETRIEVAL_MODES } = require('../lib/retrieval');
+const { verifyQAAnswer, redactUnverifiedText } = require('../lib/verifier');
+const { VERIFICATION_POLICIES, resolvePolicy, runWithVerification } = require('../lib/verificationPolicy');
+const { sseHandler } = require('../lib/sse');
+const { historyForPrompt } = require('../lib/sessions');
+const storage = require('../lib/storage');
+const { useBundleRedaction, redactionEnabled } = require('../lib/piiRedaction');
 
 // Config / env
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_KEY) {
-  console.warn('WARNING: OPENAI_API_KEY not set. Set it in .env before running.');
-}
-const EMBED_MODEL = process.env.EMBED_MODEL || 'text-embedding-3-small';
-const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4o-mini';
 const TOP_K_DEFAULT = parseInt(process.env.TOP_K_DEFAULT || '4', 10);
+const CONDENSE_TURNS = 3; // prior turns shown to the follow-up rewriter
 
 // Helpers ---------------------------------------------------------------
 
-async function callOpenAIEmbeddings(texts) {
-  // texts: array of strings
-  const url = 'https://api.openai.com/v1/embeddings';
-  const body = {
-    model: EMBED_MODEL,
-    input: texts
-  };
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`Embedding request failed: ${res.status} ${txt}`);
-  }
-  const j = await res.json();
-  // j.data is array of { embedding: [...] }
-  return j.data.map(d => d.embedding);
-}
-
-async function callOpenAIChat(messages, max_tokens = 512, temperature = 0.0) {
-  const url = 'https://api.openai.com/v1/chat/completions';
-  const body = {
-    model: LLM_MODEL,
-    messages,
-    max_tokens,
-    temperature
-  };
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`Chat request failed: ${res.status} ${txt}`);
-  }
-  const j = await res.json();
-  const choice = j.choices && j.choices[0];
-  const content = choice?.message?.content ?? '';
-  return { raw: j, content };
-}
-
-function cosineSimilarity(a, b) {
-  // a,b: numeric arrays
-  let dot = 0.0, na = 0.0, nb = 0.0;
-  for (let i = 0; i < a.length; i++) {
-    const ai = a[i] || 0;
-    const bi = b[i] || 0;
-    dot += ai * bi;
-    na += ai * ai;
-    nb += bi * bi;
-  }
-  if (na === 0 || nb === 0) return 0;
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
-}
-
-function readBundle(bundle_id) {
-  const p = path.join(BUNDLES_DIR, `${bundle_id}.json`);
-  if (!fs.existsSync(p)) {
-    throw new Error(`Bundle not found: ${bundle_id}`);
-  }
-  const raw = fs.readFileSync(p, 'utf8');
-  return JSON.parse(raw);
-}
-
-function saveBundle(bundle) {
-  const p = path.join(BUNDLES_DIR, `${bundle.bundle_id}.json`);
-  fs.writeFileSync(p, JSON.stringify(bundle, null, 2), 'utf8');
-}
-
 function safeSnippet(text, maxLength = 400) {
   if (!text) return '';
   if (text.length <= maxLength) return text;
   return text.slice(0, maxLength) + '...';
 }
 
-// Core: ensure chunks have embeddings cached in bundle
-async function ensureBundleEmbeddings(bundle) {
-  // bundle.chunks = [{ chunk_id, text, embedding? }]
-  const chunksWithoutEmb = bundle.chunks.filter(c => !c.embedding);
-  if (chunksWithoutEmb.length === 0) return bundle;
-
-  // Create embeddings in batches (batch size depends on provider; keep small)
-  const BATCH = 16;
-  for (let i = 0; i < chunksWithoutEmb.length; i += BATCH) {
-    const batch = chunksWithoutEmb.slice(i, i + BATCH);
-    const texts = batch.map(c => c.text);
-    const embs = await callOpenAIEmbeddings(texts);
-    for (let j = 0; j < batch.length; j++) {
-      const c = batch[j];
-      c.embedding = embs[j];
-      // optionally add embedding_id or fingerprint
-      c.embedding_id = c.embedding_id || `emb-${crypto.createHash('sha1').update(c.text).digest('hex').slice(0,12)}`;
-    }
-  }
-
-  // Save bundle with embeddings for caching
-  saveBundle(bundle);
-  return bundle;
-}
-
-// Retrieve top-k relevant chunks given a question
-async function retrieveTopK(bundle, question, k = TOP_K_DEFAULT) {
-  // Ensure embeddings exist for chunks
-  await ensureBundleEmbeddings(bundle);
-
-  // Embed the question
-  const qEmbArr = await callOpenAIEmbeddings([question]);
-  const qEmb = qEmbArr[0];
-
-  // Calculate similarities
-  const scored = bundle.chunks.map(c => {
-    const sim = c.embedding ? cosineSimilarity(qEmb, c.embedding) : 0;
-    return { chunk: c, score: sim };
-  });
-
-  // Sort desc and pick top k
-  scored.sort((a, b) => b.score - a.score);
-  const top = scored.slice(0, k).map(s => ({ ...s, snippet: safeSnippet(s.chunk.text, 600) }));
-  return { qEmb, top }; // top: [{chunk, score, snippet}]
-}
-
-// Compose strict prompt with retrieved chunks
-function assemblePrompt(retrieved, question) {
+// Compose strict prompt with retrieved chunks.
+// history: prior session turns as [{ role, content }] (already trimmed to the token budget, see lib/sessions.js);
+// standalone: the condensed form of a follow-up question, used for retrieval
+function assemblePrompt(retrieved, question, history = [], standalone = null) {
   // retrieved: [{chunk, score, snippet}]
   const system = `You are a careful legal assistant. Use ONLY the provided SOURCE CHUNKS to answer. \
 For any factual claim, quote the exact snippet and the chunk_id. If the information cannot be found in the sources, respond exactly: "Not in document". \
@@ -171,15 +59,43 @@ Be concise and conservative. If the snippet is ambiguous, say "Consult a lawyer.
     return `${header}\n"${safeSnippet(r.chunk.text, 1000)}"`;
   }).join('\n\n');
 
-  const user = `SOURCES:\n${sourcesText}\n\nQuestion: ${question}\n\nAnswer. Include source chunk_ids used.`;
+  const asked = standalone && standalone !== question ? `${question}\n(Standalone form: ${standalone})` : question;
+  const user = `SOURCES:\n${sourcesText}\n\nQuestion: ${asked}\n\nAnswer. Include source chunk_ids used.`;
 
+  // Earlier turns give the conversation context only; the SOURCES above stay the only evidence
   const messages = [
     { role: 'system', content: system },
+    ...history,
     { role: 'user', content: user }
   ];
   return messages;
 }
 
+// Rewrite a follow-up ("What about the other party?") into a question that retrieves well on its own
+function buildCondensePrompt(turns, question) {
+  const transcript = turns.map(t => `User: ${t.question}\nAssistant: ${safeSnippet(t.answer, 400)}`).join('\n\n');
+  return [
+    {
+      role: 'system',
+      content: 'Rewrite the follow-up question so it can be understood without the conversation. Resolve pronouns and '
+        + 'references ("it", "the other party", "that clause") from the conversation. Output only the rewritten question. '
+        + 'If it already stands alone, output it unchanged.'
+    },
+    { role: 'user', content: `CONVERSATION:\n${transcript}\n\nFOLLOW-UP QUESTION: ${question}` }
+  ];
+}
+
+async function condenseQuestion(turns, question) {
+  const recent = turns.slice(-CONDENSE_TURNS);
+  const result = await chatComplete(buildCondensePrompt(recent, question), {
+    max_tokens: 120,
+    task: 'condense',
+    context: { question, history: recent.map(t => ({ question: t.question, answer: t.answer })) }
+  });
+  const standalone = (result.content || '').trim().replace(/^["']|["']$/g, '');
+  return standalone || question;
+}
+
 // Simple post-check: does the answer include at least one chunk_id from retrieved?
 function checkForCitations(answerText, retrieved) {
   const ids = retrieved.map(r => r.chunk.chunk_id);
@@ -189,84 +105,186 @@ function checkForCitations(answerText, retrieved) {
   return { cited: false, cited_ids: [] };
 }
 
-// Logging utility
-function writeLog(log) {
+// Logging utility (storage/logs/<log_id>.json, the 'logs' collection of lib/storage.js)
+async function writeLog(log) {
   const logId = uuidv4();
-  const p = path.join(LOGS_DIR, `${logId}.json`);
-  fs.writeFileSync(p, JSON.stringify(log, null, 2), 'utf8');
+  await storage.put('logs', logId, log);
   return logId;
 }
 
-// Route handler --------------------------------------------------------
-router.post('/', async (req, res) => {
-  try {
-    const { bundle_id, question, top_k } = req.body;
-    if (!bundle_id || !question) {
-      return res.status(400).json({ error: 'bundle_id and question are required in body' });
-    }
-    // 1) load bundle
-    let bundle;
-    try {
-      bundle = readBundle(bundle_id);
-    } catch (err) {
-      return res.status(404).json({ error: `bundle not found: ${bundle_id}` });
-    }
-
-    // 2) retrieve top-k chunks
-    const k = top_k && Number.isInteger(top_k) ? top_k : TOP_K_DEFAULT;
-    const { qEmb, top } = await retrieveTopK(bundle, question, k);
-
-    // 3) assemble prompt (use only retrieved chunks)
-    const messages = assemblePrompt(top, question);
-
-    // 4) call LLM
-    const llmResult = await callOpenAIChat(messages, 512, 0.0);
-    const answer = llmResult.content.trim();
-
-    // 5) post-check for citations / hallucination
-    const citationCheck = checkForCitations(answer, top);
-    const hallucination = !citationCheck.cited;
+/**
+ * The Q&A pipeline shared by the JSON endpoint and its SSE variant.
+ * @param {object} body - request body
+ * @param {Function|null} emit - (event, data) => void for the event stream (see POST /api/ask/stream)
+ * @param {object|null} session - chat session (lib/sessions.js): follow-ups are condensed before retrieval
+ *                                and prior turns go into the prompt
+ * @param {object|null} user - the signed-in user (lib/auth.js); needs read access to the bundle
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function runAsk(body, emit = null, session = null, user = null) {
+  const send = emit || (() => {});
+  const { bundle_id, question, top_k, retrieval_mode, rerank, verification_policy } = body;
+  if (!bundle_id || question === undefined || question === null) {
+    return { status: 400, body: { error: 'bundle_id and question are required in body' } };
+  }
+  if (typeof question !== 'string' || !question.trim()) {
+    return { status: 400, body: { error: 'question must be a non-empty string' } };
+  }
+  if (retrieval_mode && !RETRIEVAL_MODES.includes(retrieval_mode)) {
+    return { status: 400, body: { error: `retrieval_mode must be one of: ${RETRIEVAL_MODES.join(', ')}` } };
+  }
+  const policy = resolvePolicy(verification_policy);
+  if (!VERIFICATION_POLICIES.includes(policy)) {
+    return { status: 400, body: { error: `verification_policy must be one of: ${VERIFICATION_POLICIES.join(', ')}` } };
+  }
+  // 1) load bundle
+  const { bundle, status, body: denied } = await loadAuthorizedBundle(bundle_id, user);
+  if (!bundle) return { status, body: denied };
+  useBundleRedaction(bundle);
+
+  // 2) in a session, condense the follow-up into a standalone query first
+  const turns = session ? session.turns : [];
+  let standalone = question;
+  if (turns.length) {
+    send('stage', { stage: 'condensing' });
+    standalone = await condenseQuestion(turns, question);
+    send('condensed', { standalone_question: standalone });
+  }
 
-    // If hallucination, augment answer with a conservational note (do not modify original content)
-    let finalAnswer = answer;
-    let hallucination_note = null;
-    if (hallucination) {
-      hallucination_note = 'WARNING: The response does not contain explicit chunk_id citations from the retrieved sources. Marked for review.';
-      // We keep the model output but flag it. (Alternatively we could block the response.)
+  // 3) retrieve top-k chunks (vector / BM25 / hybrid, optional rerank; see lib/retrieval.js)
+  send('stage', { stage: 'retrieving' });
+  const k = top_k && Number.isInteger(top_k) ? top_k : TOP_K_DEFAULT;
+  const retrieval = await retrieveChunks(bundle, standalone, {
+    topK: k,
+    mode: retrieval_mode,
+    rerank,
+    onEmbeddingProgress: p => send('embedding', p)
+  });
+  const top = retrieval.top.map(t => ({ ...t, snippet: safeSnippet(t.chunk.text, 600) }));
+  const retrievedChunks = top.map(t => ({ chunk_id: t.chunk.chunk_id, score: t.score, scores: t.scores, snippet: t.snippet }));
+  send('retrieval', { retrieval_mode: retrieval.mode, reranked: retrieval.reranked, retrieved_chunks: retrievedChunks });
+
+  // 4) assemble prompt (use only retrieved chunks; prior turns within SESSION_HISTORY_TOKENS)
+  const history = historyForPrompt(turns);
+  const messages = assemblePrompt(top, question, history, standalone);
+
+  // 5) call LLM, verify the answer against the bundle (lib/verifier.js) and apply the policy
+  const retrievedIds = top.map(t => t.chunk.chunk_id);
+  const outcome = await runWithVerification({
+    policy,
+    generate: async (feedback) => {
+      send('stage', { stage: feedback ? 'retrying' : 'generating' });
+      const llmResult = await chatComplete(feedback ? [...messages, feedback] : messages, {
+        max_tokens: 512,
+        task: 'ask',
+        context: { question: standalone, sources: top.map(t => t.chunk) },
+        onToken: emit && (text => emit('token', { text })) // providers only stream when asked to
+      });
+      const answer = (llmResult.content || '').trim();
+      send('stage', { stage: 'verifying' });
+      return { llmResult, answer, delivered: answer };
+    },
+    verify: (out) => verifyQAAnswer(bundle, out.answer, retrievedIds),
+    redact: (out, verification) => {
+      const r = redactUnverifiedText(out.answer, verification);
+      return { output: { ...out, delivered: r.text }, redactions: r.redactions };
     }
+  });
+  const { llmResult, delivered } = outcome.output;
+  const verification = outcome.verification;
+  send('verification', verification);
+
+  // 6) post-check for citations / hallucination
+  const citationCheck = checkForCitations(delivered, top);
+  const hallucination = !citationCheck.cited || !verification.ok;
+
+  // If hallucination, augment answer with a conservational note (do not modify original content)
+  let finalAnswer = delivered;
+  let hallucination_note = null;
+  if (!citationCheck.cited) {
+    hallucination_note = 'WARNING: The response does not contain explicit chunk_id citations from the retrieved sources. Marked for review.';
+    // We keep the model output but flag it. (Alternatively we could block the response.)
+  } else if (!verification.ok) {
+    hallucination_note = `WARNING: The verifier could not confirm every claim against the cited chunks (policy: ${policy}, action: ${verification.action}). Marked for review.`;
+  }
 
-    // 6) Persist a log for audit & LLMOps
-    const logRecord = {
-      timestamp: new Date().toISOString(),
-      bundle_id,
-      question,
-      top_k: k,
-      retrieved: top.map(t => ({ chunk_id: t.chunk.chunk_id, score: t.score, snippet: t.snippet })),
-      prompt: messages,
-      model: {
-        name: LLM_MODEL
-      },
-      llm_raw: llmResult.raw, // this can be large; ok for hackathon logs but consider trimming
-      citation_check: citationCheck,
-      hallucination,
-      hallucination_note
+  // 7) Persist a log for audit & LLMOps
+  const logRecord = {
+    timestamp: new Date().toISOString(),
+    bundle_id,
+    session_id: session ? session.session_id : null,
+    asked_by: user ? user.user_id : null, // audit views show non-admins only their own questions (lib/audit.js)
+    question,
+    standalone_question: standalone,
+    history_turns: history.length / 2,
+    top_k: k,
+    retrieval_mode: retrieval.mode,
+    reranked: retrieval.reranked,
+    retrieved: retrievedChunks,
+    prompt: messages,
+    model: {
+      provider: llmResult.provider,
+      name: llmResult.model
+    },
+    llm_raw: llmResult.raw, // this can be large; ok for hackathon logs but consider trimming
+    redacted: redactionEnabled(), // the provider saw placeholders instead of personal data
+    citation_check: citationCheck,
+    verification,
+    answer_delivered: outcome.rejected ? null : finalAnswer,
+    hallucination,
+    hallucination_note
+  };
+  const log_id = await writeLog(logRecord);
+
+  if (outcome.rejected) {
+    return {
+      status: 422,
+      body: {
+        error: 'The answer failed verification after one retry.',
+        bundle_id,
+        verification,
+        log_id
+      }
     };
-    const log_id = writeLog(logRecord);
+  }
 
-    // 7) Return structured response
-    return res.json({
+  // 8) Return structured response
+  return {
+    status: 200,
+    body: {
+      bundle_id,
+      ...(session ? { session_id: session.session_id, standalone_question: standalone } : {}),
       answer: finalAnswer,
       hallucination,
       hallucination_note,
-      retrieved_chunk_ids: top.map(t => t.chunk.chunk_id),
-      retrieved_chunks: top.map(t => ({ chunk_id: t.chunk.chunk_id, score: t.score, snippet: t.snippet })),
+      retrieval_mode: retrieval.mode,
+      reranked: retrieval.reranked,
+      retrieved_chunk_ids: retrievedIds,
+      retrieved_chunks: retrievedChunks,
       cited_chunk_ids: citationCheck.cited_ids,
+      verification,
       log_id
-    });
+    }
+  };
+}
+
+// Route handler --------------------------------------------------------
+router.post('/', async (req, res) => {
+  try {
+    const { status, body } = await runAsk(req.body || {}, null, null, req.user);
+    return res.status(status).json(body);
   } catch (err) {
     console.error('Error in /api/ask:', err);
     return res.status(500).json({ error: String(err) });
   }
 });
 
+/**
+ * POST /api/ask/stream
+ * Same body as POST /api/ask; answers with Server-Sent Events (lib/sse.js).
+ */
+router.post('/stream', sseHandler((body, emit, req) => runAsk(body, emit, null, req.user)));
+
 module.exports = router;
+// shared with routes/sessions.js
+module.exports.runAsk = runAsk;
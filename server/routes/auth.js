@@ -0,0 +1,81 @@
+// server/routes/auth.js
+// Sign-up, sign-in and user administration (lib/users.js, lib/auth.js).
+//
+// POST  /api/auth/register        { user_id, password, display_name? } -> 201 { user, token, expires_at }
+//   403 unless AUTH_ALLOW_REGISTRATION=true, 409 when the user_id is taken (an account, or the uploader of
+//   stored bundles); 'anonymous' and 'demo-user' are reserved
+// POST  /api/auth/login           { user_id, password } -> { user, token, expires_at }   401 on a bad password
+// GET   /api/auth/me              -> { user, auth_required }   (user is null in open mode without a token)
+// PATCH /api/auth/users/:user_id  { role?, teams?, display_name?, password? } -> { user }   admins only
+//
+// Send the token as `Authorization: Bearer <token>` on every other /api request.
+
+const express = require('express');
+const router = express.Router();
+
+const { validateUser, createUser, loadUser, updateUser, verifyPassword, publicUser } = require('../lib/users');
+const { authenticate, requireAdmin, issueToken, authRequired, registrationAllowed } = require('../lib/auth');
+
+const REGISTER_FIELDS = ['user_id', 'password', 'display_name'];
+const ADMIN_FIELDS = ['role', 'teams', 'display_name', 'password'];
+
+router.post('/register', async (req, res) => {
+  try {
+    if (!registrationAllowed()) return res.status(403).json({ error: 'registration is disabled; ask an admin for an account' });
+    const body = req.body || {};
+    const errors = validateUser(body);
+    for (const k of Object.keys(body)) {
+      if (!REGISTER_FIELDS.includes(k)) errors.push(`${k} cannot be set at registration`);
+    }
+    if (errors.length) return res.status(400).json({ error: 'invalid user', details: errors });
+
+    const user = await createUser({ user_id: body.user_id, password: body.password, display_name: body.display_name });
+    if (!user) return res.status(409).json({ error: `user_id already taken: ${body.user_id}` });
+    return res.status(201).json({ user, ...issueToken(user) });
+  } catch (err) {
+    console.error('Error in POST /api/auth/register:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const { user_id, password } = req.body || {};
+    if (typeof user_id !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'user_id and password are required in body' });
+    }
+    const user = await loadUser(user_id.trim().toLowerCase());
+    // same answer for unknown users and wrong passwords
+    if (!(await verifyPassword(user, password))) return res.status(401).json({ error: 'invalid user_id or password' });
+    return res.json({ user: publicUser(user), ...issueToken(user) });
+  } catch (err) {
+    console.error('Error in POST /api/auth/login:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/me', authenticate, (req, res) => {
+  res.json({ user: req.user, auth_required: authRequired() });
+});
+
+router.patch('/users/:user_id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const keys = Object.keys(body);
+    const errors = validateUser(body, { partial: true });
+    for (const k of keys) {
+      if (!ADMIN_FIELDS.includes(k)) errors.push(`${k} cannot be edited (editable: ${ADMIN_FIELDS.join(', ')})`);
+    }
+    if (!keys.length) errors.push(`provide at least one of: ${ADMIN_FIELDS.join(', ')}`);
+    if (errors.length) return res.status(400).json({ error: 'invalid user', details: errors });
+
+    const user = await updateUser(req.params.user_id, body);
+    if (!user) return res.status(404).json({ error: `user not found: ${req.params.user_id}` });
+    return res.json({ user });
+  } catch (err) {
+    console.error('Error in PATCH /api/auth/users/:user_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,610 @@
+// server/routes/bundles.js
+// Stored bundles: listing and management, plus views over them (clause classification, defined terms, contract
+// facts, deadlines and playbook checks).
+//
+// Every route checks the caller's role on the bundle (lib/auth.js): reading needs viewer, PATCH and check need
+// reviewer, DELETE and PUT .../access need admin. Bundles the caller cannot read answer 404.
+//
+// GET /api/bundles?uploader_id=demo-user&title=nda&created_after=2024-01-01&created_before=...&limit=20&offset=0
+//   Bundles the caller can read, newest first. `title` is a case-insensitive substring, dates are ISO 8601;
+//   limit is 1..100 (default 20).
+//   -> { total, limit, offset,
+//        bundles: [{ bundle_id, doc_title, created_at, uploader_id, language, jurisdiction, source_format,
+//                    chunk_count, has_result, shares, role }] }
+//   role is the caller's: owner | admin | reviewer | viewer
+//
+// GET /api/bundles/:bundle_id/access
+//   -> { bundle_id, owner, role, shares: [{ type: "user"|"team", id, role: "viewer"|"reviewer"|"admin", granted_by, granted_at }] }
+//
+// PUT /api/bundles/:bundle_id/access   body: { shares: [{ type, id, role }] }
+//   Replace the shares (recorded in access_policy.shares). Unchanged entries keep granted_by / granted_at.
+//   -> same as GET
+//
+// GET /api/bundles/:bundle_id/chunks/:chunk_id
+//   One chunk (without its embedding) and its neighbours.
+//   -> { bundle_id, chunk: { chunk_id, start_char, end_char, text, tokens, origin_page, section_header, classification },
+//        previous_chunk_id, next_chunk_id }
+//
+// GET /api/bundles/:bundle_id/audit?logs_limit=50
+//   What was stored and asked (lib/audit.js): metadata, index settings, retention, redaction counts, every chunk
+//   (offsets, header, text; no embeddings) and the bundle's /api/ask logs, newest first. logs_limit is 1..200.
+//   Owners and admins see every log; viewers and reviewers the ones they asked.
+//   -> { bundle_id, role, metadata: { doc_title, created_at, uploader_id, source_checksum, source_format, ... },
+//        index: { chunking_strategy, embedding_model, vector_db, ..., chunk_count, embedded_chunks },
+//        retention: { retention_days, expires_at, encrypted, consent_given },
+//        redaction: { version, entities, by_type } | null,
+//        chunks: [{ chunk_id, start_char, end_char, tokens, origin_page, section_header, embedding_id, embedded,
+//                   primary_type, text }],
+//        logs_total,
+//        logs: [{ log_id, timestamp, asked_by, session_id, question, standalone_question, top_k, retrieval_mode,
+//                 reranked, retrieved: [{ chunk_id, score, scores, snippet }], prompt, model, redacted,
+//                 citation_check, verification, answer_delivered, hallucination, hallucination_note }] }
+//
+// GET /api/bundles/:bundle_id/document
+//   The document rebuilt from its chunks for the source viewer (lib/documentView.js). Each chunk's text is
+//   text.slice(view_start, view_end); whitespace between chunks is approximated.
+//   -> { bundle_id, doc_title, text, chunks: [{ chunk_id, start_char, end_char, view_start, view_end, section_header, origin_page }] }
+//
+// POST /api/bundles/:bundle_id/citations   body: { items: [{ text?, chunk_id?, snippet? }] }   (1..200 items)
+//   Where the citations of simplification items and chat answers point: an item with chunk_id cites that chunk
+//   with its snippet; an item with text cites every chunk id in it, checked against its quoted snippets.
+//   -> { bundle_id, items: [{ citations: [{ chunk_id, known, status: "verified"|"unverified"|"unquoted", snippet,
+//                                            match: { matched, match_type: "exact"|"normalized"|"prefix", start, end } | null }] }] }
+//   match offsets are into the chunk's text (add view_start for the document view).
+//
+// GET /api/bundles/:bundle_id/result
+//   The last simplification of the bundle, shaped like the POST /api/simplify response (404 if there is none).
+//
+// PATCH /api/bundles/:bundle_id   body: { doc_title?, jurisdiction?, language? }
+//   Edit bundle metadata; jurisdiction and language accept null to clear them. Unknown fields are rejected.
+//   -> the bundle's list entry
+//
+// DELETE /api/bundles/:bundle_id
+//   Erase the bundle like the retention sweeper does (lib/retention.js): its side files (result, facts), index
+//   entries, /api/ask logs, chat sessions and comparisons; leaves a tombstone. -> 204
+//
+// GET /api/bundles/:bundle_id/clauses?type=indemnity&min_score=30&llm=false
+//   Clause types and risk for every chunk (lib/clauseTaxonomy.js). Chunks are classified by rules when
+//   the bundle is created; the first request with llm (default true) also runs the LLM-assisted pass and
+//   stores the result on the bundle.
+//   -> {
+//        bundle_id, taxonomy_version, llm_assisted,
+//        taxonomy: [{ type, label, base_risk }],
+//        summary: { by_type: { <type>: count }, by_level: { Low, Medium, High }, high_risk_chunk_ids },
+//        clauses: [{ chunk_id, section_header, origin_page, snippet, primary_type, clause_types, risk }]
+//      }
+//   `type` keeps chunks tagged with that clause type, `min_score` chunks with risk.score >= it.
+//
+// GET /api/bundles/:bundle_id/glossary
+//   Defined terms (lib/glossary.js), built with the bundle; bundles from before the glossary (or an older
+//   version of it) get one on first request.
+//   -> { bundle_id, version, terms: [{ term, definition, plain, style, chunk_id, start_char, end_char,
+//        definition_count, occurrences, used_in }], unused_terms: [...], undefined_terms: [{ term, occurrences, chunk_ids }] }
+//
+// GET /api/bundles/:bundle_id/facts?format=csv&llm=false&refresh=true
+//   Parties, effective date, term, renewal, notice periods, payments, governing law and obligations per party
+//   (lib/contractFacts.js). Every value carries the chunk_id and character offsets it was read from.
+//   Cached in storage/bundles/<bundle_id>-facts.json; refresh=true re-extracts.
+//   -> { bundle_id, facts_version, source_checksum, llm_assisted, generated_at,
+//        facts: { parties: [...], effective_date, term, renewal, notice_periods: [...], payments: [...],
+//                 governing_law, obligations: [...] } }
+//   format=csv returns one row per value as an attachment (<bundle_id>-facts.csv).
+//
+// GET /api/bundles/:bundle_id/timeline?llm=false&effective_date=2024-03-01
+//   Dated events resolved from the facts (lib/deadlines.js): effective date, expiry, renewal opt-out, payments,
+//   obligation deadlines and survival ends, each citing its source chunk. effective_date (YYYY-MM-DD) replaces
+//   the stated effective date; 400 when it is not a date.
+//   -> { bundle_id, anchors: { effective_date, expiry },
+//        events: [{ event_id, kind, title, date, recurrence, basis, assumption, alarm_days,
+//                   source: { chunk_id, start_char, end_char, text } }],
+//        unresolved: [{ kind, reason, source }] }
+//
+// GET /api/bundles/:bundle_id/calendar.ics?llm=false&effective_date=2024-03-01
+//   The same events as an RFC 5545 calendar (all-day VEVENTs; X-LEXICLEAR-CHUNK-ID links the source chunk).
+//
+// POST /api/bundles/:bundle_id/check?playbook=<playbook_id>   (or body { playbook_id })
+//   Evaluate every rule of a stored playbook (lib/playbooks.js, lib/playbookCheck.js).
+//   -> {
+//        bundle_id, playbook_id, playbook_name,
+//        summary: { total, pass, fail, missing, high_severity_issues: [rule_id] },
+//        results: [{ rule_id, clause_type, requirement, severity, status: "pass"|"fail"|"missing",
+//                    method: "rules"|"llm", needs_review, reasons: [...], candidate_chunk_ids,
+//                    evidence: [{ chunk_id, section_header, quote }], fallback_language }]
+//      }
+//   400 without a playbook id or when the stored playbook is invalid, 404 for an unknown bundle / playbook.
+
+const express = require('express');
+const router = express.Router();
+
+const { updateBundle, listBundles, loadBundleResult } = require('../lib/mcp');
+const { eraseBundles } = require('../lib/retention');
+const { TAXONOMY, TAXONOMY_VERSION, classifyBundleClauses } = require('../lib/clauseTaxonomy');
+const { loadPlaybook, validatePlaybook } = require('../lib/playbooks');
+const { checkBundle } = require('../lib/playbookCheck');
+const { buildGlossary, GLOSSARY_VERSION } = require('../lib/glossary');
+const { getBundleFacts, factsToCsv } = require('../lib/contractFacts');
+const { buildTimeline, toICalendar } = require('../lib/deadlines');
+const { isoDate } = require('../lib/periods');
+const { useBundleRedaction } = require('../lib/piiRedaction');
+const { loadAuthorizedBundle, canAccess, bundleRole, validateShares } = require('../lib/auth');
+const { buildAuditView, MAX_LOGS_LIMIT, DEFAULT_LOGS_LIMIT } = require('../lib/audit');
+const { buildDocumentView, resolveCitations } = require('../lib/documentView');
+
+const SNIPPET_CHARS = 200;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_TITLE_CHARS = 200;
+const MAX_JURISDICTION_CHARS = 100;
+const LANGUAGE_TAG = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const EDITABLE_FIELDS = ['doc_title', 'jurisdiction', 'language'];
+const MAX_CITATION_ITEMS = 200;
+const MAX_CITATION_TEXT_CHARS = 20000;
+
+/**
+ * Parse a non-negative integer query parameter.
+ * @returns {number|null} null when invalid
+ */
+function parseCount(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+// 2024-01-31, optionally with a time and zone (2024-01-31T09:30:00Z)
+const ISO_DATE_PARAM = /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Parse an ISO 8601 date query parameter. Date's own parser is not used to check it: it accepts
+ * "foo 2020" and "1", and rolls February 30 over into March.
+ * @returns {Date|null|undefined} undefined when absent, null when invalid
+ */
+function parseDateParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const m = typeof value === 'string' ? ISO_DATE_PARAM.exec(value) : null;
+  if (!m || !isoDate(m[1], m[2], m[3])) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate a POST .../citations body.
+ * @returns {string[]} error messages (empty when valid)
+ */
+function validateCitationItems(body) {
+  const items = body && body.items;
+  if (!Array.isArray(items) || items.length < 1 || items.length > MAX_CITATION_ITEMS) {
+    return [`items must be an array of 1 to ${MAX_CITATION_ITEMS} objects`];
+  }
+  const errors = [];
+  items.forEach((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push(`items[${i}] must be an object`);
+      return;
+    }
+    for (const k of ['text', 'chunk_id', 'snippet']) {
+      if (k in item && item[k] !== null && typeof item[k] !== 'string') errors.push(`items[${i}].${k} must be a string`);
+      else if (typeof item[k] === 'string' && item[k].length > MAX_CITATION_TEXT_CHARS) {
+        errors.push(`items[${i}].${k} must be at most ${MAX_CITATION_TEXT_CHARS} characters`);
+      }
+    }
+    if (!item.text && !item.chunk_id) errors.push(`items[${i}] needs text or chunk_id`);
+  });
+  return errors;
+}
+
+/**
+ * Validate a PATCH body.
+ * @returns {string[]} error messages (empty when valid)
+ */
+function validateMetadataPatch(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return ['body must be a JSON object'];
+  const keys = Object.keys(body);
+  for (const k of keys) {
+    if (!EDITABLE_FIELDS.includes(k)) errors.push(`${k} cannot be edited (editable: ${EDITABLE_FIELDS.join(', ')})`);
+  }
+  if (!keys.some(k => EDITABLE_FIELDS.includes(k))) errors.push(`provide at least one of: ${EDITABLE_FIELDS.join(', ')}`);
+  if ('doc_title' in body) {
+    const t = body.doc_title;
+    if (typeof t !== 'string' || !t.trim()) errors.push('doc_title must be a non-empty string');
+    else if (t.trim().length > MAX_TITLE_CHARS) errors.push(`doc_title must be at most ${MAX_TITLE_CHARS} characters`);
+  }
+  if ('jurisdiction' in body && body.jurisdiction !== null) {
+    const j = body.jurisdiction;
+    if (typeof j !== 'string' || j.trim().length > MAX_JURISDICTION_CHARS) {
+      errors.push(`jurisdiction must be null or a string of at most ${MAX_JURISDICTION_CHARS} characters`);
+    }
+  }
+  if ('language' in body && body.language !== null) {
+    if (typeof body.language !== 'string' || !LANGUAGE_TAG.test(body.language)) {
+      errors.push('language must be null or a language tag such as "en" or "en-GB"');
+    }
+  }
+  return errors;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { uploader_id, title, created_after, created_before } = req.query;
+    const limit = parseCount(req.query.limit, DEFAULT_PAGE_SIZE);
+    const offset = parseCount(req.query.offset, 0);
+    const errors = [];
+    if (limit === null || limit < 1 || limit > MAX_PAGE_SIZE) errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    if (offset === null) errors.push('offset must be a non-negative integer');
+    const after = parseDateParam(created_after);
+    const before = parseDateParam(created_before);
+    if (after === null) errors.push('created_after must be an ISO 8601 date (2024-01-31 or 2024-01-31T09:30:00Z)');
+    if (before === null) errors.push('created_before must be an ISO 8601 date (2024-01-31 or 2024-01-31T09:30:00Z)');
+    if (errors.length) return res.status(400).json({ error: 'invalid query', details: errors });
+
+    const needle = title ? String(title).toLowerCase() : null;
+    const matching = (await listBundles()).filter(b =>
+      canAccess(req.user, b)
+      && (!uploader_id || b.uploader_id === uploader_id)
+      && (!needle || String(b.doc_title || '').toLowerCase().includes(needle))
+      && (!after || new Date(b.created_at) >= after)
+      && (!before || new Date(b.created_at) <= before));
+
+    const page = matching.slice(offset, offset + limit).map(b => ({ ...b, role: bundleRole(req.user, b) }));
+    return res.json({ total: matching.length, limit, offset, bundles: page });
+  } catch (err) {
+    console.error('Error in GET /api/bundles:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:bundle_id/chunks/:chunk_id', async (req, res) => {
+  try {
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    const chunks = bundle.chunks || [];
+    const i = chunks.findIndex(c => c.chunk_id === req.params.chunk_id);
+    if (i < 0) return res.status(404).json({ error: `chunk not found: ${req.params.chunk_id}` });
+    const chunk = { ...chunks[i] };
+    delete chunk.embedding;
+    return res.json({
+      bundle_id: bundle.bundle_id,
+      chunk,
+      previous_chunk_id: i > 0 ? chunks[i - 1].chunk_id : null,
+      next_chunk_id: i < chunks.length - 1 ? chunks[i + 1].chunk_id : null
+    });
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/chunks/:chunk_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:bundle_id/audit', async (req, res) => {
+  try {
+    const logsLimit = parseCount(req.query.logs_limit, DEFAULT_LOGS_LIMIT);
+    if (logsLimit === null || logsLimit < 1 || logsLimit > MAX_LOGS_LIMIT) {
+      return res.status(400).json({ error: 'invalid query', details: [`logs_limit must be an integer between 1 and ${MAX_LOGS_LIMIT}`] });
+    }
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    return res.json(await buildAuditView(bundle, req.user, { logsLimit }));
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/audit:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:bundle_id/document', async (req, res) => {
+  try {
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    return res.json({ bundle_id: bundle.bundle_id, doc_title: bundle.doc_title, ...buildDocumentView(bundle) });
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/document:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.post('/:bundle_id/citations', async (req, res) => {
+  try {
+    const errors = validateCitationItems(req.body);
+    if (errors.length) return res.status(400).json({ error: 'invalid citations request', details: errors });
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    return res.json({ bundle_id: bundle.bundle_id, items: resolveCitations(bundle, req.body.items) });
+  } catch (err) {
+    console.error('Error in POST /api/bundles/:bundle_id/citations:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:bundle_id/result', async (req, res) => {
+  try {
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    const result = await loadBundleResult(bundle.bundle_id);
+    if (!result || !result.delivered) {
+      return res.status(404).json({ error: `bundle has no accepted simplification: ${bundle.bundle_id}` });
+    }
+    return res.json({
+      bundle_id: bundle.bundle_id,
+      bundle_title: bundle.doc_title,
+      retrieved_chunk_ids: result.retrieved_chunk_ids,
+      audit_link: `/api/audit/${bundle.bundle_id}`,
+      simplified: result.delivered,
+      parse_status: result.parse ? result.parse.status : null,
+      coverage: result.coverage,
+      verification: result.verification,
+      reading_level: result.reading_level,
+      timestamp: result.timestamp
+    });
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/result:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.patch('/:bundle_id', async (req, res) => {
+  try {
+    const errors = validateMetadataPatch(req.body);
+    if (errors.length) return res.status(400).json({ error: 'invalid bundle metadata', details: errors });
+
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user, 'review');
+    if (!bundle) return res.status(status).json(body);
+    const { doc_title, jurisdiction, language } = req.body;
+    await updateBundle(bundle.bundle_id, current => {
+      if (doc_title !== undefined) current.doc_title = doc_title.trim();
+      if (jurisdiction !== undefined) current.jurisdiction = jurisdiction === null ? null : jurisdiction.trim() || null;
+      if (language !== undefined) current.language = language;
+      current.updated_at = new Date().toISOString();
+    });
+
+    const entry = (await listBundles()).find(b => b.bundle_id === bundle.bundle_id);
+    return res.json({ ...entry, role: bundleRole(req.user, entry) });
+  } catch (err) {
+    console.error('Error in PATCH /api/bundles/:bundle_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.delete('/:bundle_id', async (req, res) => {
+  try {
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user, 'admin');
+    if (!bundle) return res.status(status).json(body);
+    await eraseBundles([bundle], { reason: 'deleted' });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Error in DELETE /api/bundles/:bundle_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+function accessView(bundle, user) {
+  return {
+    bundle_id: bundle.bundle_id,
+    owner: bundle.uploader_id,
+    role: bundleRole(user, bundle),
+    shares: (bundle.access_policy && bundle.access_policy.shares) || []
+  };
+}
+
+router.get('/:bundle_id/access', async (req, res) => {
+  try {
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    return res.json(accessView(bundle, req.user));
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/access:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.put('/:bundle_id/access', async (req, res) => {
+  try {
+    const shares = req.body && req.body.shares;
+    const errors = validateShares(shares);
+    if (errors.length) return res.status(400).json({ error: 'invalid shares', details: errors });
+
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user, 'admin');
+    if (!bundle) return res.status(status).json(body);
+    const now = new Date().toISOString();
+    const updated = await updateBundle(bundle.bundle_id, current => {
+      const previous = (current.access_policy && current.access_policy.shares) || [];
+      current.access_policy = {
+        ...current.access_policy,
+        shares: shares.map(({ type, id, role }) => {
+          const kept = previous.find(p => p.type === type && p.id === id && p.role === role);
+          return kept || { type, id, role, granted_by: req.user ? req.user.user_id : null, granted_at: now };
+        })
+      };
+      current.updated_at = now;
+    });
+    if (!updated) return res.status(404).json({ error: `bundle not found: ${bundle.bundle_id}` });
+    return res.json(accessView(updated, req.user));
+  } catch (err) {
+    console.error('Error in PUT /api/bundles/:bundle_id/access:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:bundle_id/clauses', async (req, res) => {
+  try {
+    const { type, min_score, llm } = req.query;
+    if (type && !TAXONOMY.some(t => t.type === type)) {
+      return res.status(400).json({ error: `type must be one of: ${TAXONOMY.map(t => t.type).join(', ')}` });
+    }
+    // a plain decimal: Number() would also take '', ' ', '0x10' and '1e1'
+    const minScore = min_score === undefined ? 0 : (typeof min_score === 'string' && /^\d+(?:\.\d+)?$/.test(min_score) ? Number(min_score) : NaN);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+      return res.status(400).json({ error: 'min_score must be a number between 0 and 100' });
+    }
+
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    useBundleRedaction(bundle);
+
+    let changed;
+    try {
+      changed = await classifyBundleClauses(bundle, { llm: llm !== 'false' });
+    } catch (err) {
+      // the LLM pass is an extra; fall back to the stored / rules-only classification
+      console.warn('LLM clause classification failed:', err.message || err);
+      changed = await classifyBundleClauses(bundle, { llm: false });
+    }
+    if (changed) {
+      // only the classifications: a PATCH or PUT /access since this request loaded the bundle stays
+      const classified = new Map(bundle.chunks.map(c => [c.chunk_id, c.classification]));
+      await updateBundle(bundle.bundle_id, current => {
+        for (const chunk of current.chunks || []) {
+          if (classified.has(chunk.chunk_id)) chunk.classification = classified.get(chunk.chunk_id);
+        }
+      });
+    }
+
+    const all = bundle.chunks.map(c => ({
+      chunk_id: c.chunk_id,
+      section_header: c.section_header || null,
+      origin_page: c.origin_page || null,
+      snippet: c.text.length > SNIPPET_CHARS ? `${c.text.slice(0, SNIPPET_CHARS)}...` : c.text,
+      primary_type: c.classification.primary_type,
+      clause_types: c.classification.clause_types,
+      risk: c.classification.risk
+    }));
+
+    const byType = {};
+    const byLevel = { Low: 0, Medium: 0, High: 0 };
+    for (const c of all) {
+      for (const t of c.clause_types) byType[t.type] = (byType[t.type] || 0) + 1;
+      byLevel[c.risk.level]++;
+    }
+
+    return res.json({
+      bundle_id: bundle.bundle_id,
+      taxonomy_version: TAXONOMY_VERSION,
+      llm_assisted: bundle.chunks.every(c => c.classification.classifier.llm_assisted),
+      taxonomy: TAXONOMY,
+      summary: {
+        by_type: byType,
+        by_level: byLevel,
+        high_risk_chunk_ids: all.filter(c => c.risk.level === 'High').map(c => c.chunk_id)
+      },
+      clauses: all.filter(c => (!type || c.clause_types.some(t => t.type === type)) && c.risk.score >= minScore)
+    });
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/clauses:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:bundle_id/glossary', async (req, res) => {
+  try {
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    if (!bundle.glossary || bundle.glossary.version !== GLOSSARY_VERSION) {
+      const glossary = buildGlossary(bundle.chunks);
+      await updateBundle(bundle.bundle_id, current => {
+        current.glossary = glossary;
+        current.index_metadata = { ...(current.index_metadata || {}), glossary: GLOSSARY_VERSION };
+      });
+      bundle.glossary = glossary;
+    }
+    return res.json({ bundle_id: bundle.bundle_id, ...bundle.glossary });
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/glossary:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:bundle_id/facts', async (req, res) => {
+  try {
+    const { format, llm, refresh } = req.query;
+    if (format && !['json', 'csv'].includes(format)) return res.status(400).json({ error: 'format must be json or csv' });
+
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    useBundleRedaction(bundle);
+
+    const report = await getBundleFacts(bundle, { llm: llm !== 'false', refresh: refresh === 'true' });
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.attachment(`${bundle.bundle_id}-facts.csv`);
+      return res.send(factsToCsv(report.facts));
+    }
+    return res.json(report);
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/facts:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+/**
+ * Load a bundle the user may read and resolve its timeline.
+ * @returns {Promise<{ bundle, timeline }|{ status, body }>} status/body for an invalid query or an unknown or
+ *   unreadable bundle
+ */
+async function loadTimeline(bundleId, user, query) {
+  let effectiveDate = null;
+  if (query.effective_date !== undefined) {
+    const m = typeof query.effective_date === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(query.effective_date) : null;
+    effectiveDate = m && isoDate(m[1], m[2], m[3]);
+    if (!effectiveDate) return { status: 400, body: { error: 'invalid query', details: ['effective_date must be a date (YYYY-MM-DD)'] } };
+  }
+  const access = await loadAuthorizedBundle(bundleId, user);
+  if (!access.bundle) return access;
+  const { bundle } = access;
+  useBundleRedaction(bundle);
+  const report = await getBundleFacts(bundle, { llm: query.llm !== 'false' });
+  return { bundle, timeline: buildTimeline(bundle, report.facts, { effectiveDate }) };
+}
+
+router.get('/:bundle_id/timeline', async (req, res) => {
+  try {
+    const loaded = await loadTimeline(req.params.bundle_id, req.user, req.query);
+    if (!loaded.bundle) return res.status(loaded.status).json(loaded.body);
+    return res.json({ bundle_id: loaded.bundle.bundle_id, ...loaded.timeline });
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/timeline:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:bundle_id/calendar.ics', async (req, res) => {
+  try {
+    const loaded = await loadTimeline(req.params.bundle_id, req.user, req.query);
+    if (!loaded.bundle) return res.status(loaded.status).json(loaded.body);
+    res.attachment(`${loaded.bundle.bundle_id}.ics`);
+    res.type('text/calendar; charset=utf-8');
+    return res.send(toICalendar(loaded.bundle, loaded.timeline.events));
+  } catch (err) {
+    console.error('Error in GET /api/bundles/:bundle_id/calendar.ics:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.post('/:bundle_id/check', async (req, res) => {
+  try {
+    const playbookId = req.query.playbook || (req.body && req.body.playbook_id);
+    if (!playbookId) return res.status(400).json({ error: 'playbook is required (query ?playbook= or body playbook_id)' });
+
+    const { bundle, status, body } = await loadAuthorizedBundle(req.params.bundle_id, req.user, 'review');
+    if (!bundle) return res.status(status).json(body);
+    useBundleRedaction(bundle);
+    let playbook;
+    try {
+      playbook = await loadPlaybook(playbookId);
+    } catch (err) {
+      return res.status(400).json({ error: `stored playbook does not parse: ${playbookId}`, details: [err.message] });
+    }
+    if (!playbook) return res.status(404).json({ error: `playbook not found: ${playbookId}` });
+    const errors = validatePlaybook(playbook);
+    if (errors.length) return res.status(400).json({ error: `stored playbook is invalid: ${playbookId}`, details: errors });
+
+    const report = await checkBundle(bundle, playbook);
+    return res.json({
+      bundle_id: bundle.bundle_id,
+      playbook_id: playbook.playbook_id,
+      playbook_name: playbook.name,
+      ...report
+    });
+  } catch (err) {
+    console.error('Error in POST /api/bundles/:bundle_id/check:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+module.exports = router;
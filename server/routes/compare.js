@@ -0,0 +1,96 @@
+// server/routes/compare.js
+// Redline between two bundles, e.g. a vendor's revision of an NDA against the version you sent (lib/compare.js).
+//
+// POST /api/compare
+// Body: { base_bundle_id: "...", revised_bundle_id: "...", include_unchanged?: false, explain?: true }
+//
+// Response:
+// {
+//   compare_id: "cmp-<uuid>",
+//   base_bundle_id, revised_bundle_id, base_title, revised_title,
+//   summary: { base_chunks, revised_chunks, aligned, unchanged, modified, added, removed, material, risk_delta, explanation_errors },
+//   changes: [{
+//     change_id: "chg-001", type: "modified"|"added"|"removed"|"unchanged",
+//     base_chunk_id, revised_chunk_id, base_section_header, revised_section_header, base_text, revised_text,
+//     similarity, diff: [{ op: "equal"|"delete"|"insert", text }],
+//     material, reasons: [...], risk: { base_score, revised_score, delta },
+//     explanation, explanation_source: "llm"|"diff"|null, citations: [base_chunk_id, revised_chunk_id]
+//   }],
+//   audit_file: "/storage/compare/<compare_id>.json"
+// }
+//
+// GET /api/compare/:compare_id   the stored result (for callers who may read both bundles)
+//
+// 400 when an id is missing or both ids are the same, 404 when a bundle does not exist or the caller
+// cannot read it (lib/auth.js).
+
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+
+const { loadAuthorizedBundle } = require('../lib/auth');
+const { compareBundles } = require('../lib/compare');
+const { useBundleRedaction } = require('../lib/piiRedaction');
+const storage = require('../lib/storage');
+
+
+router.post('/', async (req, res) => {
+  try {
+    const { base_bundle_id, revised_bundle_id, include_unchanged = false, explain = true } = req.body || {};
+    if (!base_bundle_id || !revised_bundle_id) {
+      return res.status(400).json({ error: 'base_bundle_id and revised_bundle_id are required in body' });
+    }
+    if (base_bundle_id === revised_bundle_id) {
+      return res.status(400).json({ error: 'base_bundle_id and revised_bundle_id must be different bundles' });
+    }
+
+    const access = await Promise.all([base_bundle_id, revised_bundle_id].map(id => loadAuthorizedBundle(id, req.user)));
+    const denied = access.find(a => !a.bundle);
+    if (denied) return res.status(denied.status).json(denied.body);
+    const [base, revised] = access.map(a => a.bundle);
+    useBundleRedaction(base, revised);
+
+    const comparison = await compareBundles(base, revised, { include_unchanged: !!include_unchanged, explain: explain !== false });
+    const compareId = `cmp-${uuidv4()}`;
+    const result = {
+      compare_id: compareId,
+      base_bundle_id,
+      revised_bundle_id,
+      base_title: base.doc_title,
+      revised_title: revised.doc_title,
+      ...comparison,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      await storage.put('compare', compareId, result);
+    } catch (werr) {
+      console.warn('Failed to write compare result:', werr);
+    }
+
+    return res.json({ ...result, audit_file: `/storage/compare/${compareId}.json` });
+  } catch (err) {
+    console.error('Error in POST /api/compare:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:compare_id', async (req, res) => {
+  const { compare_id } = req.params;
+  if (!storage.isValidId('compare', compare_id)) return res.status(404).json({ error: `comparison not found: ${compare_id}` });
+  try {
+    const comparison = await storage.get('compare', compare_id);
+    if (!comparison) return res.status(404).json({ error: `comparison not found: ${compare_id}` });
+    // readable by whoever may read both documents
+    for (const id of [comparison.base_bundle_id, comparison.revised_bundle_id]) {
+      const { bundle } = await loadAuthorizedBundle(id, req.user);
+      if (!bundle) return res.status(404).json({ error: `comparison not found: ${compare_id}` });
+    }
+    return res.json(comparison);
+  } catch (err) {
+    console.error('Error in GET /api/compare/:compare_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+module.exports = router;
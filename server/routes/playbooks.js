@@ -0,0 +1,113 @@
+// server/routes/playbooks.js
+// CRUD for team playbooks (lib/playbooks.js), stored in storage/playbooks/. Bodies are JSON, or YAML
+// sent with Content-Type text/yaml / application/yaml / application/x-yaml.
+//
+// GET    /api/playbooks                    -> { playbooks: [{ playbook_id, name, description, rule_count, updated_at }] }
+// GET    /api/playbooks/:playbook_id       -> the playbook (?format=yaml returns YAML)
+// POST   /api/playbooks                    playbook -> 201 (409 when the id exists)
+// PUT    /api/playbooks/:playbook_id       playbook -> 200 (creates or replaces; the path id wins over a missing body id)
+// DELETE /api/playbooks/:playbook_id       -> 204
+//
+// 400 { error, details: [...] } when the playbook does not parse or fails validation.
+// Changing playbooks needs the global admin role (lib/auth.js); every signed-in user can read them.
+// Checking a bundle against a playbook: POST /api/bundles/:bundle_id/check?playbook=<playbook_id> (routes/bundles.js).
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  parsePlaybook,
+  validatePlaybook,
+  loadPlaybook,
+  savePlaybook,
+  deletePlaybook,
+  listPlaybooks,
+  toYaml
+} = require('../lib/playbooks');
+const { requireAdmin } = require('../lib/auth');
+
+const YAML_TYPES = ['text/yaml', 'application/yaml', 'application/x-yaml'];
+router.use(express.text({ type: YAML_TYPES, limit: '1mb' }));
+
+/**
+ * Playbook from a JSON or YAML request body.
+ * @returns {{ playbook?: object, error?: object }} error is a { status, body } response
+ */
+function readBody(req) {
+  let playbook = req.body;
+  if (typeof playbook === 'string') {
+    try {
+      playbook = parsePlaybook(playbook);
+    } catch (err) {
+      return { error: { status: 400, body: { error: 'playbook is not valid YAML or JSON', details: [err.message] } } };
+    }
+  }
+  return { playbook };
+}
+
+router.get('/', async (req, res) => {
+  try {
+    return res.json({ playbooks: await listPlaybooks() });
+  } catch (err) {
+    console.error('Error in GET /api/playbooks:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:playbook_id', async (req, res) => {
+  try {
+    const playbook = await loadPlaybook(req.params.playbook_id);
+    if (!playbook) return res.status(404).json({ error: `playbook not found: ${req.params.playbook_id}` });
+    if (req.query.format === 'yaml') return res.type('text/yaml').send(toYaml(playbook));
+    return res.json(playbook);
+  } catch (err) {
+    console.error('Error in GET /api/playbooks/:playbook_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { playbook, error } = readBody(req);
+    if (error) return res.status(error.status).json(error.body);
+    const errors = validatePlaybook(playbook);
+    if (errors.length) return res.status(400).json({ error: 'invalid playbook', details: errors });
+    if (await loadPlaybook(playbook.playbook_id)) {
+      return res.status(409).json({ error: `playbook already exists: ${playbook.playbook_id} (use PUT to replace it)` });
+    }
+    return res.status(201).json(await savePlaybook(playbook));
+  } catch (err) {
+    console.error('Error in POST /api/playbooks:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.put('/:playbook_id', requireAdmin, async (req, res) => {
+  try {
+    const { playbook, error } = readBody(req);
+    if (error) return res.status(error.status).json(error.body);
+    if (playbook && typeof playbook === 'object' && playbook.playbook_id && playbook.playbook_id !== req.params.playbook_id) {
+      return res.status(400).json({ error: 'playbook_id in the body does not match the path' });
+    }
+    const withId = playbook && typeof playbook === 'object' ? { ...playbook, playbook_id: req.params.playbook_id } : playbook;
+    const errors = validatePlaybook(withId);
+    if (errors.length) return res.status(400).json({ error: 'invalid playbook', details: errors });
+    return res.json(await savePlaybook(withId));
+  } catch (err) {
+    console.error('Error in PUT /api/playbooks/:playbook_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.delete('/:playbook_id', requireAdmin, async (req, res) => {
+  try {
+    const removed = await deletePlaybook(req.params.playbook_id);
+    if (!removed) return res.status(404).json({ error: `playbook not found: ${req.params.playbook_id}` });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Error in DELETE /api/playbooks/:playbook_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// server/routes/search.js
+//
+// GET /api/search?q=five%20year%20confidentiality&bundle_ids=bundle-a,bundle-b&top_k=10
+// Semantic search across the stored bundles the caller can read (all of them unless bundle_ids is given;
+// an unreadable id in bundle_ids answers 404 like an unknown one, see lib/auth.js).
+//
+// Response:
+// {
+//   query: "...",
+//   top_k: 10,
+//   bundle_ids: null | ["..."],
+//   results: [{ bundle_id, doc_title, chunk_id, score, snippet, section_header, origin_page }]
+// }
+//
+// Bundles that are not in the vector index yet are embedded and indexed on first search.
+
+const express = require('express');
+const router = express.Router();
+
+const { loadBundle, listBundles, syncVectorIndex } = require('../lib/mcp');
+const { getEmbedding, getModelInfo } = require('../lib/embeddings');
+const { getVectorIndex } = require('../lib/vectorIndex');
+const { useBundleRedaction } = require('../lib/piiRedaction');
+const { loadAuthorizedBundle, canAccess } = require('../lib/auth');
+
+const SEARCH_TOP_K_DEFAULT = 10;
+const SEARCH_TOP_K_MAX = 50;
+
+function safeSnippet(text, maxLength = 400) {
+  if (!text) return '';
+  if (text.length <= maxLength) return text;
+  return text.slice(0, maxLength) + '...';
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < 2) {
+      return res.status(400).json({ error: 'Query parameter "q" is required' });
+    }
+
+    const topK = req.query.top_k === undefined ? SEARCH_TOP_K_DEFAULT : parseInt(req.query.top_k, 10);
+    if (!Number.isInteger(topK) || topK < 1 || topK > SEARCH_TOP_K_MAX) {
+      return res.status(400).json({ error: `top_k must be an integer between 1 and ${SEARCH_TOP_K_MAX}` });
+    }
+
+    const bundleIds = typeof req.query.bundle_ids === 'string' && req.query.bundle_ids.trim()
+      ? [...new Set(req.query.bundle_ids.split(',').map(s => s.trim()).filter(Boolean))]
+      : null;
+
+    // Load scoped bundles up front so unknown ids fail fast; results reuse them
+    const bundles = new Map();
+    if (bundleIds) {
+      for (const id of bundleIds) {
+        const { bundle, status, body } = await loadAuthorizedBundle(id, req.user);
+        if (!bundle) return res.status(status).json(body);
+        bundles.set(id, bundle);
+      }
+    }
+    // unscoped searches still only look at readable bundles (admins and open mode see everything)
+    const searchIds = bundleIds || (req.user && req.user.role !== 'admin'
+      ? (await listBundles()).filter(b => canAccess(req.user, b)).map(b => b.bundle_id)
+      : null);
+    if (searchIds && !searchIds.length) return res.json({ query: q, top_k: topK, bundle_ids: bundleIds, results: [] });
+
+    useBundleRedaction(...bundles.values()); // the query is embedded with the scoped bundles' placeholders
+    const qEmb = await getEmbedding(q);
+    await syncVectorIndex(searchIds, { dim: qEmb.length });
+    const index = await getVectorIndex(getModelInfo().embedding_model);
+    const hits = index.search(qEmb, { topK, bundleIds: searchIds });
+
+    const results = [];
+    for (const hit of hits) {
+      for (const ref of hit.refs) {
+        if (!bundles.has(ref.bundle_id)) bundles.set(ref.bundle_id, await loadBundle(ref.bundle_id));
+        const bundle = bundles.get(ref.bundle_id);
+        const chunk = bundle && (bundle.chunks || []).find(c => c.chunk_id === ref.chunk_id);
+        if (!chunk) continue; // bundle deleted outside the API; the index catches up on delete
+        results.push({
+          bundle_id: bundle.bundle_id,
+          doc_title: bundle.doc_title,
+          chunk_id: chunk.chunk_id,
+          score: hit.score,
+          snippet: safeSnippet(chunk.text),
+          section_header: chunk.section_header || null,
+          origin_page: chunk.origin_page || null
+        });
+      }
+    }
+
+    return res.json({
+      query: q,
+      top_k: topK,
+      bundle_ids: bundleIds,
+      results: results.slice(0, topK)
+    });
+  } catch (err) {
+    console.error('Error in /api/search:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+// server/routes/sessions.js
+// Multi-turn Q&A over one bundle (lib/sessions.js). Sessions live in storage/sessions/.
+//
+// POST /api/sessions                        { bundle_id, uploader_id? } -> 201 { session_id, bundle_id, turns: [], ... }
+// GET  /api/sessions/:session_id            -> the session with every turn (used to resume a chat)
+// POST /api/sessions/:session_id/messages   { question, top_k?, retrieval_mode?, rerank?, verification_policy? }
+//   -> the POST /api/ask response plus { session_id, standalone_question, turn_index }
+// POST /api/sessions/:session_id/messages/stream   same body, Server-Sent Events like POST /api/ask/stream
+//
+// Follow-ups are condensed into a standalone question before retrieval, and earlier turns are added to
+// the answer prompt within SESSION_HISTORY_TOKENS (see routes/ask.js). Only delivered answers become
+// turns; a 422 (rejected by the verification policy) leaves the session unchanged.
+// A session belongs to the signed-in user who started it (lib/auth.js); others get 404, admins excepted.
+// Reading it or adding to it also needs access to its bundle, so revoking a share closes the session.
+
+const express = require('express');
+const router = express.Router();
+
+const { loadAuthorizedBundle, ownerId } = require('../lib/auth');
+const { createSession, loadSession, appendTurn } = require('../lib/sessions');
+const { sseHandler } = require('../lib/sse');
+const { runAsk } = require('./ask');
+
+/**
+ * The session, when the caller started it (or is an admin, or no one is signed in in open mode).
+ * @returns {Promise<object|null>}
+ */
+async function loadOwnSession(sessionId, user) {
+  const session = await loadSession(sessionId);
+  if (!session || (user && user.role !== 'admin' && session.uploader_id !== user.user_id)) return null;
+  return session;
+}
+
+async function runSessionMessage(sessionId, body, emit = null, user = null) {
+  const session = await loadOwnSession(sessionId, user);
+  if (!session) return { status: 404, body: { error: `session not found: ${sessionId}` } };
+  if (!body.question || typeof body.question !== 'string') {
+    return { status: 400, body: { error: 'question is required in body' } };
+  }
+
+  // the session pins the bundle; a bundle_id in the body is ignored
+  const result = await runAsk({ ...body, bundle_id: session.bundle_id }, emit, session, user);
+  if (result.status !== 200) return result;
+
+  const answer = result.body;
+  await appendTurn(session, {
+    question: body.question,
+    standalone_question: answer.standalone_question,
+    answer: answer.answer,
+    cited_chunk_ids: answer.cited_chunk_ids,
+    hallucination: answer.hallucination,
+    log_id: answer.log_id
+  });
+  return { status: 200, body: { ...answer, turn_index: session.turns.length - 1 } };
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const { bundle_id, uploader_id } = req.body || {};
+    if (!bundle_id) return res.status(400).json({ error: 'bundle_id is required in body' });
+    const { bundle, status, body } = await loadAuthorizedBundle(bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    const session = await createSession({ bundle_id, uploader_id: ownerId(req.user, uploader_id) });
+    return res.status(201).json(session);
+  } catch (err) {
+    console.error('Error in POST /api/sessions:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.get('/:session_id', async (req, res) => {
+  try {
+    const session = await loadOwnSession(req.params.session_id, req.user);
+    if (!session) return res.status(404).json({ error: `session not found: ${req.params.session_id}` });
+    // the turns quote the bundle: a revoked share closes the session too, as it does for new messages
+    const { bundle, status, body } = await loadAuthorizedBundle(session.bundle_id, req.user);
+    if (!bundle) return res.status(status).json(body);
+    return res.json(session);
+  } catch (err) {
+    console.error('Error in GET /api/sessions/:session_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.post('/:session_id/messages', async (req, res) => {
+  try {
+    const { status, body } = await runSessionMessage(req.params.session_id, req.body || {}, null, req.user);
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error('Error in POST /api/sessions/:session_id/messages:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+router.post('/:session_id/messages/stream', sseHandler((body, emit, req) => runSessionMessage(req.params.session_id, body, emit, req.user)));
+
+module.exports = router;
@@ -1,211 +1,267 @@
 // server/routes/simplify.js
 //
 // POST /api/simplify
-// Body: { text: "...", reading_level?: "lay"|"business"|"lawyer", uploader_id?: "user-123" }
+// Body: { text: "...", reading_level?: "lay"|"business"|"lawyer", uploader_id?: "user-123",
+//         chunking_strategy?: "paragraph+sentences"|"legal-structure",
+//         verification_policy?: "warn"|"redact-unverified-sentences"|"reject-and-retry-once",
+//         simplify_mode?: "auto"|"single"|"map-reduce", progress_id?: "client-generated-id",
+//         redact?: boolean }   (personal data replaced by placeholders before provider calls; default REDACT_PII)
+//    or { bundle_id: "...", reading_level?, ... }   (simplify an existing bundle, e.g. from POST /api/upload)
+//
+// GET /api/simplify/progress/:progress_id
+//   { stage: "chunking"|"map"|"reduce"|"verifying", done, total, finished } while a request sent with
+//   that progress_id runs (kept for a minute after it finishes)
 //
 // Response:
 // {
 //   bundle_id: "...",
-//   result: { overall_summary: "...", clauses: [...], raw_llm: "..." },
+//   bundle_title: "...",
 //   retrieved_chunk_ids: [...],
-//   audit_file: "/storage/bundles/<bundle_id>-result.json"
+//   audit_file: "/storage/bundles/<bundle_id>-result.json",
+//   audit_link: "/api/audit/<bundle_id>",
+//   simplified: { overall_summary, clauses, notes } | "raw LLM text when JSON parsing failed",
+//   parse_status: "ok" | "extracted" | "repaired" | "partial" | "failed",
+//   parse_errors?: [...]   (only when parse_status is "partial" or "failed")
+//   coverage: { mode, total_chunks, summarized_chunks, ratio, summarized_chunk_ids, missing_chunk_ids, failed_chunk_ids },
+//   verification: { ok, policy, action, attempts, clauses, potential_hallucinations, ... }  (lib/verifier.js)
 // }
+//
+// 422 when the policy is reject-and-retry-once and the retry also fails verification.
+//
+// POST /api/simplify/stream  (same body) -> text/event-stream:
+//   stage        { stage: "chunking"|"map"|"repairing"|"reduce"|"verifying"|"retrying", done, total }
+//   bundle       { bundle_id, bundle_title, total_chunks, simplify_mode }
+//   token        { text, part }   model output as it arrives (part: map-reduce group index or null)
+//   part         { index, total, chunk_ids, status, summary, clauses }   map-reduce group finished
+//   verification { ...same as the response's verification }
+//   done         the response body above  |  error { status, error, ... }
+//
+// parse_status: "ok" the reply was valid JSON; "extracted" valid JSON had to be dug out (code fence,
+// surrounding prose); "repaired" the first reply failed the schema and one repair prompt fixed it;
+// "failed" the repair did not help either, `simplified` is then the raw text (see lib/jsonOutput.js).
+// "partial" (map-reduce only) some groups failed after repair; their chunks are in coverage.failed_chunk_ids.
 
 const express = require('express');
 const router = express.Router();
-const path = require('path');
-const fs = require('fs').promises;
 
-const { createBundleForText } = require('../lib/mcp'); // Must export createBundleForText(text, opts)
-const { callOpenAI } = require('../lib/embeddings');  // Must export callOpenAI(messages, max_tokens)
+const { createBundleForText, saveBundleResult, CHUNKING_STRATEGIES } = require('../lib/mcp'); // Must export createBundleForText(text, opts)
+const {
+  verifySimplifiedResult,
+  verifyResponseAgainstBundle,
+  redactUnverifiedSimplified,
+  redactUnverifiedText
+} = require('../lib/verifier');
+const { VERIFICATION_POLICIES, resolvePolicy, runWithVerification } = require('../lib/verificationPolicy');
+const { SIMPLIFY_MODES, chooseMode, simplifyBundle } = require('../lib/simplifier');
+const { sseHandler } = require('../lib/sse');
+const { useBundleRedaction, redactionEnabled } = require('../lib/piiRedaction');
+const { loadAuthorizedBundle, ownerId } = require('../lib/auth');
+const storage = require('../lib/storage');
 
-const BUNDLES_DIR = path.join(__dirname, '..', 'storage', 'bundles');
+// progress_id -> { stage, done, total, finished, updated_at }, polled by the frontend while a request runs
+const progress = new Map();
+const PROGRESS_ID_REGEX = /^[A-Za-z0-9_-]{8,64}$/;
+const PROGRESS_TTL_MS = 60 * 1000;
 
-/**
- * Utility: ensure bundles dir exists (async)
- */
-async function ensureBundlesDir() {
-  try {
-    await fs.mkdir(BUNDLES_DIR, { recursive: true });
-  } catch (e) {
-    // ignore - will throw on write if something wrong
-  }
+function reportProgress(progressId, update) {
+  if (!progressId) return;
+  progress.set(progressId, { ...progress.get(progressId), ...update, updated_at: new Date().toISOString() });
+}
+
+function finishProgress(progressId) {
+  if (!progressId) return;
+  reportProgress(progressId, { finished: true });
+  // keep the final state around long enough for the last poll
+  setTimeout(() => progress.delete(progressId), PROGRESS_TTL_MS).unref();
 }
 
 /**
- * Truncate a text to roughly n characters (safe for including as preview).
- * Keeps full text for small chunks.
+ * GET /api/simplify/progress/:progress_id
+ * Stage of a running simplify request that was sent with the same progress_id.
  */
-function previewText(text, maxChars = 1200) {
-  if (!text) return '';
-  if (text.length <= maxChars) return text;
-  return text.slice(0, maxChars) + ' ... [truncated]';
-}
+router.get('/progress/:progress_id', (req, res) => {
+  const state = progress.get(req.params.progress_id);
+  if (!state) return res.status(404).json({ error: 'unknown progress_id' });
+  return res.json({ progress_id: req.params.progress_id, ...state });
+});
 
 /**
- * Build the instruction prompt for the LLM.
- * We instruct the model to output JSON only (structured).
+ * The simplify pipeline shared by the JSON endpoint and its SSE variant.
+ * @param {object} body - request body
+ * @param {Function|null} emit - (event, data) => void for the event stream (see POST /api/simplify/stream)
+ * @param {object|null} user - the signed-in user (lib/auth.js): owns new bundles, needs reviewer access to existing ones
+ * @returns {Promise<{ status: number, body: object }>}
  */
-function buildPrompt(retrievedChunks, reading_level = 'lay') {
-  // System instruction focusing on faithfulness and provenance
-  const system = `You are a careful legal assistant. STRICT RULES:
-1) Use ONLY the provided SOURCE CHUNKS below to produce any factual claim or summary.
-2) For every clause-level simplification include the chunk_id that the explanation is grounded on.
-3) If the answer cannot be found in the SOURCE CHUNKS, respond with "Not in document" for that field.
-4) Be conservative: if something is ambiguous, say "Consult a lawyer".
-5) Output MUST BE JSON only, with the exact structure requested (no extra commentary).
-
-Reading level hint: ${reading_level}
-`;
-
-  // User message: include the retrieved chunks and the JSON schema request
-  const sourcesText = retrievedChunks.map(c => {
-    // Include chunk id and a preview of text
-    return `[${c.chunk_id}] ${previewText(c.text, 2000)}`;
-  }).join('\n\n');
-
-  const user = `SOURCES:\n${sourcesText}
-
-TASK:
-1) Provide "overall_summary": a concise 2-4 sentence plain-English summary of the document at the requested reading level.
-2) Provide "clauses": an array where each item has:
-   - chunk_id: the chunk id used
-   - original: the original chunk text (or a preview)
-   - simplified: a one-sentence plain-English rewrite of that chunk
-   - why_it_matters: one short line explaining practical effect
-   - risk: one of ["Low","Medium","High"] and a one-line reason
-3) Provide "notes": optional array of any warnings, or [] if none.
-
-Return JSON with the schema:
-{
-  "overall_summary": "...",
-  "clauses": [
-    {
-      "chunk_id": "...",
-      "original": "...",
-      "simplified": "...",
-      "why_it_matters": "...",
-      "risk": "Low|Medium|High - short reason"
-    }
-  ],
-  "notes": []
-}
+async function runSimplify(body, emit = null, user = null) {
+  const send = emit || (() => {});
+  const text = body.text;
+  const existingBundleId = body.bundle_id;
+  const reading_level = body.reading_level || 'lay';
+  const uploader_id = ownerId(user, body.uploader_id, 'demo-user');
+  const chunking_strategy = body.chunking_strategy;
+  const progressId = body.progress_id;
 
-Remember: use ONLY the SOURCE CHUNKS above. If you must infer, mark it as "Consult a lawyer".
-`;
+  if (!existingBundleId && (!text || typeof text !== 'string' || text.trim().length < 10)) {
+    return { status: 400, body: { error: 'Please provide reasonable "text" to simplify (or the bundle_id of an uploaded document).' } };
+  }
+  if (chunking_strategy && !CHUNKING_STRATEGIES[chunking_strategy]) {
+    return { status: 400, body: { error: `Unknown chunking_strategy. Expected one of: ${Object.keys(CHUNKING_STRATEGIES).join(', ')}` } };
+  }
+  if (body.simplify_mode && !SIMPLIFY_MODES.includes(body.simplify_mode)) {
+    return { status: 400, body: { error: `simplify_mode must be one of: ${SIMPLIFY_MODES.join(', ')}` } };
+  }
+  if (progressId !== undefined && (typeof progressId !== 'string' || !PROGRESS_ID_REGEX.test(progressId))) {
+    return { status: 400, body: { error: 'progress_id must be 8-64 characters of A-Z, a-z, 0-9, _ or -' } };
+  }
+  const policy = resolvePolicy(body.verification_policy);
+  if (!VERIFICATION_POLICIES.includes(policy)) {
+    return { status: 400, body: { error: `verification_policy must be one of: ${VERIFICATION_POLICIES.join(', ')}` } };
+  }
 
-  // Return messages array compatible with Chat Completion style APIs
-  return [
-    { role: 'system', content: system },
-    { role: 'user', content: user }
-  ];
-}
+  // Stage updates go to both the progress registry (polling) and the event stream
+  const stage = (update) => {
+    reportProgress(progressId, update);
+    send('stage', update);
+  };
 
-/**
- * Main handler
- */
-router.post('/', async (req, res) => {
   try {
-    const text = req.body?.text;
-    const reading_level = req.body?.reading_level || 'lay';
-    const uploader_id = req.body?.uploader_id || 'demo-user';
+    stage({ stage: 'chunking', done: 0, total: 1, finished: false });
 
-    if (!text || typeof text !== 'string' || text.trim().length < 10) {
-      return res.status(400).json({ error: 'Please provide reasonable "text" to simplify.' });
+    // 1) Create MCP bundle (chunks + metadata) - this writes a bundle JSON into storage/bundles.
+    // Uploaded documents already have a bundle; reuse it.
+    let bundle;
+    if (existingBundleId) {
+      const access = await loadAuthorizedBundle(existingBundleId, user, 'review');
+      if (!access.bundle) return { status: access.status, body: access.body };
+      bundle = access.bundle;
+    } else {
+      bundle = await createBundleForText(text, { uploader_id, title: body.title || 'uploaded_doc', chunking_strategy });
     }
-
-    // ensure storage dir exists
-    await ensureBundlesDir();
-
-    // 1) Create MCP bundle (chunks + metadata) - this writes a bundle JSON into storage/bundles
-    const bundle = await createBundleForText(text, { uploader_id, title: req.body?.title || 'uploaded_doc' });
+    useBundleRedaction(bundle);
     // bundle is expected to contain: bundle.bundle_id and bundle.chunks array
 
-    // 2) Choose representative/retrieved chunks for the simplify task.
-    // For hackathon/demo we take first N chunks (in production you'd cluster/select by importance)
-    const MAX_CHUNKS = 8;
-    const retrievedChunks = (bundle.chunks || []).slice(0, MAX_CHUNKS);
-
-    // 3) Build prompt/messages
-    const messages = buildPrompt(retrievedChunks, reading_level);
+    // 2) Pick how the document is covered: up to 8 chunks go to the model in one call; longer
+    // documents are simplified group by group and the part summaries reduced (lib/simplifier.js)
+    const mode = chooseMode(bundle, body.simplify_mode);
+    send('bundle', {
+      bundle_id: bundle.bundle_id,
+      bundle_title: bundle.doc_title,
+      total_chunks: bundle.chunks.length,
+      simplify_mode: mode
+    });
 
-    // 4) Call the LLM via callOpenAI helper
-    // callOpenAI should accept (messagesArray, max_tokens) and return provider response
-    // We expect it to return an object with choices[0].message.content OR a string
-    let llmResp;
+    // 3) Call the LLM through the active provider, verify the output against the bundle and apply
+    // the verification policy (warn / redact / retry once). The offline provider builds its answer
+    // from `context`; HTTP providers only see `messages`. The JSON is extracted and validated with
+    // one repair prompt per call (lib/jsonOutput.js).
+    let outcome;
     try {
-      llmResp = await callOpenAI(messages, 1200); // max tokens for response (adjust as needed)
+      outcome = await runWithVerification({
+        policy,
+        generate: async (feedback) => {
+          if (feedback) stage({ stage: 'retrying', done: 0, total: 1 });
+          const out = await simplifyBundle(bundle, {
+            mode,
+            reading_level,
+            feedback,
+            onProgress: stage,
+            onToken: emit && (token => emit('token', token)), // providers only stream when asked to
+            onPart: part => send('part', part)
+          });
+          stage({ stage: 'verifying', done: 0, total: 1 });
+          return { ...out, delivered: out.parsed || out.llmText };
+        },
+        verify: (out) => (out.parsed
+          ? verifySimplifiedResult(bundle, out.parsed, out.retrievedChunks.map(c => c.chunk_id))
+          : verifyResponseAgainstBundle(bundle, out.llmText)),
+        redact: (out, verification) => {
+          const r = out.parsed
+            ? redactUnverifiedSimplified(out.parsed, verification)
+            : redactUnverifiedText(out.llmText, verification);
+          return { output: { ...out, delivered: out.parsed ? r.simplified : r.text }, redactions: r.redactions };
+        }
+      });
     } catch (err) {
       console.error('LLM call failed:', err);
-      return res.status(500).json({ error: 'LLM provider error', details: String(err) });
-    }
-
-    // 5) Extract textual content from provider response
-    let llmText = '';
-    if (!llmResp) {
-      llmText = '';
-    } else if (typeof llmResp === 'string') {
-      llmText = llmResp;
-    } else if (llmResp?.choices && Array.isArray(llmResp.choices) && llmResp.choices.length > 0) {
-      // OpenAI-style response
-      const msg = llmResp.choices[0].message;
-      llmText = (msg && msg.content) ? msg.content : JSON.stringify(llmResp.choices[0]);
-    } else if (llmResp?.output) {
-      // some other wrapper
-      llmText = typeof llmResp.output === 'string' ? llmResp.output : JSON.stringify(llmResp.output);
-    } else {
-      // fallback
-      llmText = JSON.stringify(llmResp);
-    }
-
-    // 6) Try parse JSON result (the prompt asked for JSON-only). If JSON parse fails, return raw LLM text.
-    let parsed = null;
-    try {
-      // Attempt to find the first JSON object in the LLM text
-      const firstBrace = llmText.indexOf('{');
-      if (firstBrace >= 0) {
-        const jsonCandidate = llmText.slice(firstBrace);
-        parsed = JSON.parse(jsonCandidate);
-      } else {
-        parsed = null;
-      }
-    } catch (parseErr) {
-      parsed = null;
+      return { status: 500, body: { error: 'LLM provider error', details: String(err) } };
     }
+    send('verification', outcome.verification);
+    const { llmResp, llmText, parsed, parse, delivered, retrievedChunks, coverage, parts } = outcome.output;
 
-    // 7) Build result object to save for audit and respond
+    // 4) Build result object to save for audit and respond
     const result = {
       bundle_id: bundle.bundle_id,
       bundle_title: bundle.doc_title,
       retrieved_chunk_ids: retrievedChunks.map(c => c.chunk_id),
       raw_llm: llmText,
       parsed: parsed, // may be null if parsing failed
+      parse, // { status, method, errors, repair_attempted, first_attempt? | reduce_status? }
+      coverage,
+      parts: parts || undefined, // map-reduce: per-group status and summary
+      delivered: outcome.rejected ? null : delivered, // what the client received (redactions applied)
+      verification: outcome.verification,
+      model: { provider: llmResp.provider, name: llmResp.model },
       timestamp: new Date().toISOString(),
-      reading_level
+      reading_level,
+      redacted: redactionEnabled()
     };
 
-    // 8) Persist result to an audit file so judges / users can inspect later
-    const auditFilename = path.join(BUNDLES_DIR, `${bundle.bundle_id}-result.json`);
+    // 5) Persist result to an audit file so judges / users can inspect later
     try {
-      await fs.writeFile(auditFilename, JSON.stringify(result, null, 2), 'utf8');
+      await saveBundleResult(bundle.bundle_id, result);
     } catch (werr) {
       console.warn('Failed to write audit file:', werr);
     }
 
-    // 9) Respond to client with structured info (prefer parsed JSON if available)
+    if (outcome.rejected) {
+      return {
+        status: 422,
+        body: {
+          error: 'The simplification failed verification after one retry.',
+          bundle_id: bundle.bundle_id,
+          audit_link: `/api/audit/${bundle.bundle_id}`,
+          verification: outcome.verification
+        }
+      };
+    }
+
+    // 6) Respond to client with structured info (prefer parsed JSON if available)
     const responsePayload = {
       bundle_id: bundle.bundle_id,
       bundle_title: bundle.doc_title,
       retrieved_chunk_ids: result.retrieved_chunk_ids,
-      audit_file: `/storage/bundles/${path.basename(auditFilename)}`,
-      simplified: parsed ? parsed : llmText
+      audit_file: `/storage/bundles/${storage.recordName('results', bundle.bundle_id)}`,
+      audit_link: `/api/audit/${bundle.bundle_id}`,
+      simplified: delivered,
+      parse_status: parse.status,
+      coverage,
+      verification: outcome.verification
     };
+    if (parse.status === 'failed' || parse.status === 'partial') responsePayload.parse_errors = parse.errors;
+
+    return { status: 200, body: responsePayload };
+  } finally {
+    finishProgress(progressId);
+  }
+}
 
-    return res.json(responsePayload);
+/**
+ * Main handler
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { status, body } = await runSimplify(req.body || {}, null, req.user);
+    return res.status(status).json(body);
   } catch (err) {
     console.error('Unexpected error in /api/simplify:', err);
     return res.status(500).json({ error: 'Internal server error', detail: String(err) });
   }
 });
 
+/**
+ * POST /api/simplify/stream
+ * Same body as POST /api/simplify; answers with Server-Sent Events (lib/sse.js).
+ */
+router.post('/stream', sseHandler((body, emit, req) => runSimplify(body, emit, req.user)));
+
 module.exports = router;
@@ -0,0 +1,113 @@
+// server/routes/upload.js
+//
+// POST /api/upload   (multipart/form-data)
+// Fields: file (required: .pdf | .docx | .txt | .md), title?, uploader_id?, language?,
+//         chunking_strategy? ("paragraph+sentences" | "legal-structure")
+// The bundle is owned by the signed-in user; uploader_id is only read in open mode (AUTH_REQUIRED=false).
+//
+// Response:
+// {
+//   bundle_id: "...",
+//   doc_title: "contract.pdf",
+//   source_format: "pdf",
+//   page_count: 3,
+//   chunking_strategy: "legal-structure",
+//   chunk_count: 7,
+//   chunks: [{ chunk_id, origin_page, section_header, tokens }],
+//   audit_link: "/api/audit/<bundle_id>"
+// }
+//
+// The bundle is created through createBundleForText with the page boundaries and headings
+// reported by lib/documentParser.js. Simplify it afterwards with POST /api/simplify { bundle_id }.
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+
+const { createBundleForText, CHUNKING_STRATEGIES } = require('../lib/mcp');
+const { ownerId } = require('../lib/auth');
+const { parseDocument, DocumentParseError, formatFromFilename, SUPPORTED_EXTENSIONS } = require('../lib/documentParser');
+
+const MAX_UPLOAD_MB = Number(process.env.UPLOAD_MAX_MB || 20);
+
+// Keep uploads in memory: the original file is never written to disk, only the bundle.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!formatFromFilename(file.originalname)) {
+      return cb(new DocumentParseError(`Unsupported file type. Allowed: ${SUPPORTED_EXTENSIONS.join(', ')}`, 'UNSUPPORTED_TYPE'));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Run multer and translate its errors into JSON responses.
+ */
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File too large (max ${MAX_UPLOAD_MB} MB)` });
+    }
+    if (err instanceof DocumentParseError) {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    return res.status(400).json({ error: String(err.message || err) });
+  });
+}
+
+router.post('/', receiveFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Attach a document in the "file" field (multipart/form-data).' });
+    }
+    const chunking_strategy = req.body?.chunking_strategy || undefined;
+    if (chunking_strategy && !CHUNKING_STRATEGIES[chunking_strategy]) {
+      return res.status(400).json({ error: `Unknown chunking_strategy. Expected one of: ${Object.keys(CHUNKING_STRATEGIES).join(', ')}` });
+    }
+
+    let doc;
+    try {
+      doc = await parseDocument(req.file.buffer, req.file.originalname);
+    } catch (err) {
+      if (err instanceof DocumentParseError) {
+        const status = err.code === 'NO_TEXT' ? 422 : 400;
+        return res.status(status).json({ error: err.message, code: err.code });
+      }
+      throw err;
+    }
+
+    const bundle = await createBundleForText(doc.text, {
+      title: req.body?.title || req.file.originalname,
+      uploader_id: ownerId(req.user, req.body?.uploader_id, 'demo-user'),
+      language: req.body?.language || null,
+      source_format: doc.format,
+      pages: doc.pages,
+      headings: doc.headings,
+      chunking_strategy
+    });
+
+    return res.status(201).json({
+      bundle_id: bundle.bundle_id,
+      doc_title: bundle.doc_title,
+      source_format: bundle.source_format,
+      page_count: bundle.page_count,
+      chunking_strategy: bundle.index_metadata.chunking_strategy,
+      chunk_count: bundle.chunks.length,
+      chunks: bundle.chunks.map(c => ({
+        chunk_id: c.chunk_id,
+        origin_page: c.origin_page,
+        section_header: c.section_header,
+        tokens: c.tokens
+      })),
+      audit_link: `/api/audit/${bundle.bundle_id}`
+    });
+  } catch (err) {
+    console.error('Unexpected error in /api/upload:', err);
+    return res.status(500).json({ error: 'Internal server error', detail: String(err) });
+  }
+});
+
+module.exports = router;
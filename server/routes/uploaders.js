@@ -0,0 +1,35 @@
+// server/routes/uploaders.js
+// Right to erasure: remove everything stored for one uploader (lib/retention.js).
+//
+// DELETE /api/uploaders/:uploader_id?dry_run=true
+//   Erases the uploader's bundles with their result and facts files, vector index entries, /api/ask logs,
+//   chat sessions and comparisons, plus the uploader's chat sessions and questions (logs by asked_by) over
+//   other bundles. Every erased bundle leaves a tombstone in storage/tombstones/ (no document text; the uploader id only as a hash).
+//   dry_run=true reports what would be removed and deletes nothing.
+//   Signed-in users may erase their own data only; admins anyone's (lib/auth.js).
+//   -> { uploader_id, dry_run, bundles: [{ bundle_id, created_at, expired_at }],
+//        removed: { bundles, result_files, facts_files, logs, sessions, comparisons } }
+
+const express = require('express');
+const router = express.Router();
+
+const { eraseUploader } = require('../lib/retention');
+
+router.delete('/:uploader_id', async (req, res) => {
+  try {
+    const { dry_run } = req.query;
+    if (dry_run !== undefined && !['true', 'false'].includes(dry_run)) {
+      return res.status(400).json({ error: 'dry_run must be true or false' });
+    }
+    if (req.user && req.user.role !== 'admin' && req.user.user_id !== req.params.uploader_id) {
+      return res.status(403).json({ error: 'you can only erase your own data' });
+    }
+    const report = await eraseUploader(req.params.uploader_id, { dryRun: dry_run === 'true' });
+    return res.json(report);
+  } catch (err) {
+    console.error('Error in DELETE /api/uploaders/:uploader_id:', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+module.exports = router;
@@ -9,7 +9,8 @@
  *  - Splits the text into chunks (sentence-aware, with a target chunk size).
  *  - Computes a sha256 checksum of the original text.
  *  - Builds an MCP-style bundle JSON containing metadata + chunk objects.
- *  - Saves the bundle to server/storage/bundles/<bundle_id>.json
+ *  - Saves the bundle through lib/mcp.js saveBundle (server/storage/bundles/<bundle_id>.json and its
+ *    <bundle_id>-meta.json listing record with the fs backend)
  *
  * Notes:
  *  - This is a lightweight utility intended for hackathon/demo usage.
@@ -21,6 +22,8 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const storage = require('../lib/storage');
+const { saveBundle } = require('../lib/mcp');
 
 if (require.main === module) {
   (async () => {
@@ -46,13 +49,10 @@ if (require.main === module) {
         overlap,
       });
 
-      const bundlesDir = path.join(__dirname, '..', 'storage', 'bundles');
-      fs.mkdirSync(bundlesDir, { recursive: true });
+      // encrypted when ENCRYPTION_MASTER_KEY / ENCRYPTION_KEYFILE is set
+      await saveBundle(bundle);
 
-      const outPath = path.join(bundlesDir, `${bundle.bundle_id}.json`);
-      fs.writeFileSync(outPath, JSON.stringify(bundle, null, 2), 'utf8');
-
-      console.log('Bundle created:', outPath);
+      console.log('Bundle created:', `${storage.backend().name}:bundles/${storage.recordName('bundles', bundle.bundle_id)}`);
       console.log('bundle_id:', bundle.bundle_id);
     } catch (err) {
       console.error('Error:', err);
@@ -110,7 +110,7 @@ function createBundleFromText(text, options = {}) {
     language: detectLanguageSimple(text),
     chunks,
     index_metadata: {
-      vector_db: 'local-faiss',
+      vector_db: 'local-flat',
       index_version: 'v1',
       embedding_model: process.env.EMBED_MODEL || 'openai-embed-placeholder',
       chunking_strategy: `sentence-aware-${chunkSize}-chars-overlap-${overlap}`,
@@ -0,0 +1,75 @@
+/**
+ * server/scripts/encrypt_storage.js
+ *
+ * Usage:
+ *   node scripts/encrypt_storage.js generate-key [--keyfile path]
+ *   node scripts/encrypt_storage.js migrate [--dry-run]
+ *   node scripts/encrypt_storage.js rotate [--dry-run]
+ *
+ * What it does (see lib/encryption.js):
+ *  - generate-key  prints a new 32-byte master key (base64), or writes it to --keyfile (mode 0600)
+ *                  for ENCRYPTION_KEYFILE.
+ *  - migrate       encrypts the plaintext bundles and their side files, /api/ask logs, sessions,
+ *                  comparisons, users and vector index files under the current master key. Files that are already encrypted are left alone.
+ *  - rotate        re-wraps every data key with the current master key. Set the new key as
+ *                  ENCRYPTION_MASTER_KEY (or ENCRYPTION_KEYFILE) and the old one in ENCRYPTION_PREVIOUS_KEYS;
+ *                  remove the old key once this reports nothing left to re-wrap.
+ *
+ * Notes:
+ *  - Stop the server (or accept that files written during the run may be re-encrypted) before migrating.
+ *  - --dry-run reports the counts without writing anything.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { generateMasterKey, migrateStorage, rotateStorage } = require('../lib/encryption');
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const command = process.argv[2];
+      const dryRun = process.argv.includes('--dry-run');
+
+      if (command === 'generate-key') {
+        const key = generateMasterKey();
+        const keyfile = getArgValue('--keyfile');
+        if (!keyfile) {
+          console.log(key);
+          return;
+        }
+        if (fs.existsSync(keyfile)) {
+          console.error('Refusing to overwrite existing keyfile:', keyfile);
+          process.exit(1);
+        }
+        fs.mkdirSync(path.dirname(path.resolve(keyfile)), { recursive: true });
+        fs.writeFileSync(keyfile, `${key}\n`, { encoding: 'utf8', mode: 0o600 });
+        console.log('Master key written to', keyfile, '- set ENCRYPTION_KEYFILE to use it');
+      } else if (command === 'migrate') {
+        const report = await migrateStorage({ dryRun });
+        for (const f of report.files) console.log(`${dryRun ? 'would encrypt' : 'encrypted'} ${f}`);
+        console.log(`${report.encrypted} file(s) ${dryRun ? 'to encrypt' : 'encrypted'}, ${report.already_encrypted} already encrypted`);
+      } else if (command === 'rotate') {
+        const report = await rotateStorage({ dryRun });
+        console.log(`master key ${report.kek_id}: ${report.rewrapped} file(s) ${dryRun ? 'to re-wrap' : 're-wrapped'}, `
+          + `${report.current} already current, ${report.plaintext} plaintext (run migrate)`);
+      } else {
+        console.error('Usage: node scripts/encrypt_storage.js <generate-key [--keyfile path] | migrate [--dry-run] | rotate [--dry-run]>');
+        process.exit(1);
+      }
+    } catch (err) {
+      console.error('Error:', err.message || err);
+      process.exit(1);
+    }
+  })();
+}
+
+/**
+ * Helper: get CLI argument value for flags like --keyfile
+ */
+function getArgValue(flag) {
+  const idx = process.argv.indexOf(flag);
+  if (idx >= 0 && process.argv.length > idx + 1) return process.argv[idx + 1];
+  return null;
+}
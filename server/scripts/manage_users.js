@@ -0,0 +1,101 @@
+/**
+ * server/scripts/manage_users.js
+ *
+ * Usage:
+ *   node scripts/manage_users.js create <user_id> [--admin] [--teams legal,finance] [--display-name "Ana Ruiz"]
+ *   node scripts/manage_users.js update <user_id> [--role admin|user] [--teams legal,finance] [--password]
+ *
+ * What it does (see lib/users.js, lib/auth.js):
+ *  - create  adds a user to storage/users/. Use it for the first admin, or for every account unless
+ *            AUTH_ALLOW_REGISTRATION=true. Ids that own stored bundles cannot be taken.
+ *  - update  changes the global role or the teams (replaces the list; --teams "" clears it);
+ *            --password sets a new password.
+ *
+ * Notes:
+ *  - The password is read from stdin (one line), so it stays out of the shell history:
+ *      node scripts/manage_users.js create alice --admin < password.txt
+ *    or typed at the prompt.
+ */
+
+require('dotenv').config();
+
+const readline = require('readline');
+const { validateUser, createUser, updateUser } = require('../lib/users');
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const [command, userId] = process.argv.slice(2);
+      const teamsArg = getArgValue('--teams');
+      const teams = teamsArg === null ? undefined : teamsArg.split(',').map(t => t.trim()).filter(Boolean);
+
+      if (command === 'create' && userId) {
+        const fields = { user_id: userId, role: process.argv.includes('--admin') ? 'admin' : 'user', teams: teams || [] };
+        const displayName = getArgValue('--display-name');
+        if (displayName) fields.display_name = displayName;
+        fields.password = await readPassword();
+        exitOnErrors(validateUser(fields));
+        const user = await createUser(fields);
+        if (!user) {
+          console.error('User already exists or owns stored bundles:', userId);
+          process.exit(1);
+        }
+        console.log(`created ${user.user_id} (role ${user.role}${user.teams.length ? `, teams ${user.teams.join(', ')}` : ''})`);
+      } else if (command === 'update' && userId) {
+        const fields = {};
+        const role = getArgValue('--role');
+        if (role) fields.role = role;
+        if (teams) fields.teams = teams;
+        if (process.argv.includes('--password')) fields.password = await readPassword();
+        if (!Object.keys(fields).length) exitOnErrors(['nothing to update: pass --role, --teams or --password']);
+        exitOnErrors(validateUser(fields, { partial: true }));
+        const user = await updateUser(userId, fields);
+        if (!user) {
+          console.error('User not found:', userId);
+          process.exit(1);
+        }
+        console.log(`updated ${user.user_id} (role ${user.role}${user.teams.length ? `, teams ${user.teams.join(', ')}` : ''})`);
+      } else {
+        console.error('Usage: node scripts/manage_users.js <create <user_id> [--admin] [--teams a,b] [--display-name name] | update <user_id> [--role admin|user] [--teams a,b] [--password]>');
+        process.exit(1);
+      }
+    } catch (err) {
+      console.error('Error:', err.message || err);
+      process.exit(1);
+    }
+  })();
+}
+
+/**
+ * Helper: get CLI argument value for flags like --teams
+ */
+function getArgValue(flag) {
+  const idx = process.argv.indexOf(flag);
+  if (idx >= 0 && process.argv.length > idx + 1) return process.argv[idx + 1];
+  return null;
+}
+
+function exitOnErrors(errors) {
+  if (!errors.length) return;
+  for (const e of errors) console.error('Error:', e);
+  process.exit(1);
+}
+
+/**
+ * First line of stdin (prompted when stdin is a terminal).
+ */
+function readPassword() {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdin.isTTY ? process.stdout : null });
+    if (process.stdin.isTTY) process.stdout.write('Password: ');
+    let answered = false;
+    rl.once('line', line => {
+      answered = true;
+      rl.close();
+      resolve(line);
+    });
+    rl.once('close', () => {
+      if (!answered) resolve('');
+    });
+  });
+}
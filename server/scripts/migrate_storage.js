@@ -0,0 +1,68 @@
+/**
+ * server/scripts/migrate_storage.js
+ *
+ * Usage:
+ *   node scripts/migrate_storage.js --from fs --to sqlite [--sqlite-file path] [--dry-run]
+ *   node scripts/migrate_storage.js --from sqlite --to fs [--sqlite-file path] [--dry-run]
+ *
+ * What it does (see lib/storage.js):
+ *  - copies every record of every collection (bundles, results, facts, logs, sessions, compare, tombstones,
+ *    users) from one backend to the other. Records are copied as stored: encrypted envelopes stay encrypted
+ *    and still open, because they are bound to the record name, not to the backend.
+ *  - records that already exist in the target are overwritten; the source is left untouched.
+ *
+ * Notes:
+ *  - Stop the server first, then set STORAGE_BACKEND (and STORAGE_SQLITE_FILE) to the target.
+ *  - The vector index (storage/index) and playbooks (storage/playbooks) stay on the file system.
+ *  - --dry-run reports the counts without writing anything.
+ */
+
+require('dotenv').config();
+
+const { COLLECTIONS, createBackend } = require('../lib/storage');
+
+if (require.main === module) {
+  (async () => {
+    let source;
+    let target;
+    try {
+      const from = getArgValue('--from');
+      const to = getArgValue('--to');
+      const dryRun = process.argv.includes('--dry-run');
+      if (!from || !to || from === to) {
+        console.error('Usage: node scripts/migrate_storage.js --from <fs|sqlite> --to <fs|sqlite> [--sqlite-file path] [--dry-run]');
+        process.exit(1);
+      }
+      const sqliteFile = getArgValue('--sqlite-file');
+      const options = name => (name === 'sqlite' && sqliteFile ? { file: sqliteFile } : {});
+      source = createBackend(from, options(from));
+      target = createBackend(to, options(to));
+
+      let total = 0;
+      for (const spec of Object.values(COLLECTIONS)) {
+        const ids = await source.list(spec);
+        for (const id of ids) {
+          const text = await source.read(spec, id);
+          if (text !== null && !dryRun) await target.write(spec, id, text);
+        }
+        total += ids.length;
+        console.log(`${spec.name}: ${ids.length} record(s) ${dryRun ? 'to copy' : 'copied'}`);
+      }
+      console.log(`${total} record(s) ${dryRun ? 'to copy' : 'copied'} from ${from} to ${to}`);
+    } catch (err) {
+      console.error('Error:', err.message || err);
+      process.exitCode = 1;
+    } finally {
+      for (const b of [source, target]) if (b && b.close) b.close();
+    }
+  })();
+}
+
+/**
+ * Helper: get CLI argument value for flags like --from
+ */
+function getArgValue(flag) {
+  const idx = process.argv.indexOf(flag);
+  if (idx >= 0 && process.argv.length > idx + 1) return process.argv[idx + 1];
+  return null;
+}
@@ -0,0 +1,4 @@
+// server/tests/setup.js
+// Jest setup (package.json "jest.setupFiles"). The suites call the API without tokens, i.e. in open mode;
+// tests/test_auth.test.js switches AUTH_REQUIRED on for its own requests.
+process.env.AUTH_REQUIRED = 'false';
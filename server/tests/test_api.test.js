@@ -1,51 +1,61 @@
 // server/tests/test_api.test.js
 const request = require('supertest');
 
-describe('API integration tests - /api/simplify', () => {
-  // Set a dummy API key so server doesn't exit on startup
-  beforeAll(() => {
-    process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'sk-test-key';
-  });
+const DEFAULT_CHAT_CONTENT = 'Overall summary: This is a short summary generated by the mocked LLM\n\n1. Clause A\n2. Clause B';
+
+// Mock global.fetch used by lib/embeddings.js (embeddings + chat completions).
+// `chatContent` may be a string or a function(requestBody) -> string.
+function mockOpenAI(chatContent = DEFAULT_CHAT_CONTENT) {
+  global.fetch = jest.fn((url, opts) => {
+    // simple router for tests: respond with embeddings for embeddings endpoint,
+    // and a predictable chat response for chat completions endpoint.
+    if (typeof url === 'string' && url.includes('/v1/embeddings')) {
+      const body = JSON.parse(opts.body);
+      const inputs = Array.isArray(body.input) ? body.input : [body.input];
+      return Promise.resolve({
+        ok: true,
+        json: async () => ({
+          data: inputs.map(() => ({ embedding: new Array(1536).fill(0.001) })) // small dummy vectors
+        })
+      });
+    }
 
-  // Mock global.fetch used by createEmbedding & callOpenAIChat
-  beforeEach(() => {
-    // reset any existing mock
-    global.fetch = jest.fn((url, opts) => {
-      // simple router for tests: respond with embeddings for embeddings endpoint,
-      // and a predictable chat response for chat completions endpoint.
-      if (typeof url === 'string' && url.includes('/v1/embeddings')) {
-        return Promise.resolve({
-          ok: true,
-          json: async () => ({
-            data: [{ embedding: new Array(1536).fill(0.001) }] // small dummy vector
-          })
-        });
-      }
-
-      if (typeof url === 'string' && url.includes('/v1/chat/completions')) {
-        return Promise.resolve({
-          ok: true,
-          json: async () => ({
-            choices: [{
-              message: {
-                content: 'Overall summary: This is a short summary generated by the mocked LLM\n\n1. Clause A\n2. Clause B'
-              }
-            }]
-          })
-        });
-      }
-
-      // default fallback
+    if (typeof url === 'string' && url.includes('/v1/chat/completions')) {
+      const body = JSON.parse(opts.body);
+      const content = typeof chatContent === 'function' ? chatContent(body) : chatContent;
       return Promise.resolve({
-        ok: false,
-        json: async () => ({ error: 'unknown endpoint' })
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { content } }]
+        })
       });
+    }
+
+    // default fallback
+    return Promise.resolve({
+      ok: false,
+      text: async () => 'unknown endpoint',
+      json: async () => ({ error: 'unknown endpoint' })
     });
   });
+}
 
-  afterEach(() => {
-    jest.resetAllMocks();
-  });
+const NDA_TEXT = 'This Non-Disclosure Agreement is made between Acme Corp and Beta LLC. '
+  + 'The Receiving Party shall keep all Confidential Information secret for five years. '
+  + 'Either party may terminate this Agreement with 30 days written notice.';
+
+// These tests exercise the OpenAI-compatible provider against a mocked fetch
+beforeAll(() => {
+  process.env.LLM_PROVIDER = 'openai';
+  process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'sk-test-key';
+});
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('API integration tests - /api/simplify', () => {
+  beforeEach(() => mockOpenAI());
 
   test('POST /api/simplify returns bundle_id, simplified text and retrieved_chunk_ids', async () => {
     // require app after mocks are in place
@@ -64,9 +74,186 @@ describe('API integration tests - /api/simplify', () => {
     expect(res.body.retrieved_chunk_ids).toBeInstanceOf(Array);
   });
 
+  test('POST /api/simplify returns parsed JSON and links to the audit bundle', async () => {
+    mockOpenAI(body => {
+      const chunkId = body.messages[1].content.match(/\[(bundle-[^\]]+-chunk-\d+)\]/)[1];
+      return 'Here you go:\n' + JSON.stringify({
+        overall_summary: 'Both parties keep secrets.',
+        clauses: [{ chunk_id: chunkId, original: 'x', simplified: 'Keep it secret.', why_it_matters: 'Leaks cost money.', risk: 'Low - standard' }],
+        notes: []
+      });
+    });
+    const app = require('../index');
+
+    const res = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+
+    expect(res.body.simplified.overall_summary).toBe('Both parties keep secrets.');
+    expect(res.body.simplified.clauses[0].chunk_id).toBe(res.body.retrieved_chunk_ids[0]);
+    expect(res.body.audit_link).toBe(`/api/audit/${res.body.bundle_id}`);
+
+    const audit = await request(app).get(res.body.audit_link).expect(200);
+    expect(audit.body.bundle_id).toBe(res.body.bundle_id);
+    expect(audit.body.chunks.length).toBeGreaterThan(0);
+  });
+
   test('POST /api/simplify with short/invalid input returns 400', async () => {
     const app = require('../index');
     const res = await request(app).post('/api/simplify').send({ text: 'a' });
     expect(res.statusCode).toBe(400);
   });
 });
+
+describe('API integration tests - /api/ask', () => {
+  test('POST /api/ask retrieves chunks, flags citations and caches embeddings', async () => {
+    mockOpenAI();
+    const app = require('../index');
+    const simplified = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    const bundleId = simplified.body.bundle_id;
+    const chunkId = simplified.body.retrieved_chunk_ids[0];
+
+    mockOpenAI(`You can terminate with "30 days written notice" [${chunkId}].`);
+    const res = await request(app)
+      .post('/api/ask')
+      .send({ bundle_id: bundleId, question: 'How can the agreement be terminated?' })
+      .expect(200);
+
+    expect(res.body.bundle_id).toBe(bundleId);
+    expect(res.body.answer).toContain(chunkId);
+    expect(res.body.retrieved_chunk_ids).toContain(chunkId);
+    expect(res.body.retrieved_chunks[0]).toEqual(expect.objectContaining({ chunk_id: chunkId, score: expect.any(Number) }));
+    expect(res.body.cited_chunk_ids).toEqual([chunkId]);
+    expect(res.body.hallucination).toBe(false);
+    expect(typeof res.body.log_id).toBe('string');
+
+    const audit = await request(app).get(`/api/audit/${bundleId}`).expect(200);
+    expect(audit.body.chunks.every(c => c.embedding === undefined && c.embedding_id)).toBe(true);
+    const view = await request(app).get(`/api/bundles/${bundleId}/audit`).expect(200);
+    expect(view.body.chunks.every(c => c.embedded)).toBe(true);
+  });
+
+  test('POST /api/ask flags answers without chunk_id citations', async () => {
+    mockOpenAI();
+    const app = require('../index');
+    const simplified = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+
+    const res = await request(app)
+      .post('/api/ask')
+      .send({ bundle_id: simplified.body.bundle_id, question: 'Who are the parties?' })
+      .expect(200);
+
+    expect(res.body.hallucination).toBe(true);
+    expect(res.body.hallucination_note).toMatch(/WARNING/);
+  });
+
+  test('POST /api/ask validates input and unknown bundles', async () => {
+    mockOpenAI();
+    const app = require('../index');
+    await request(app).post('/api/ask').send({ question: 'hi' }).expect(400);
+    for (const question of [42, ['Who pays?'], { text: 'Who pays?' }, '   ']) {
+      const res = await request(app).post('/api/ask').send({ bundle_id: 'bundle-0-missing', question }).expect(400);
+      expect(res.body.error).toBe('question must be a non-empty string');
+    }
+    await request(app).post('/api/ask').send({ bundle_id: 'bundle-0-missing', question: 'hi' }).expect(404);
+  });
+});
+
+describe('API integration tests - verification policy', () => {
+  test('simplify attaches verification and redacts clauses that misquote their chunk', async () => {
+    mockOpenAI(body => {
+      const chunkId = body.messages[1].content.match(/\[(bundle-[^\]]+-chunk-\d+)\]/)[1];
+      return JSON.stringify({
+        overall_summary: 'Both parties keep secrets for five years.',
+        clauses: [
+          { chunk_id: chunkId, original: 'The Receiving Party shall keep all Confidential Information secret', simplified: 'Keep it secret.', why_it_matters: 'x', risk: 'Low - standard' },
+          { chunk_id: chunkId, original: 'The Receiving Party must pay a penalty of one million dollars', simplified: 'Pay a penalty.', why_it_matters: 'x', risk: 'High - invented' }
+        ],
+        notes: []
+      });
+    });
+    const app = require('../index');
+
+    const warned = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    expect(warned.body.verification).toEqual(expect.objectContaining({ ok: false, policy: 'warn', action: 'warned' }));
+    expect(warned.body.verification.clauses.map(c => c.ok)).toEqual([true, false]);
+    expect(warned.body.simplified.clauses).toHaveLength(2);
+
+    const redacted = await request(app)
+      .post('/api/simplify')
+      .send({ text: NDA_TEXT, verification_policy: 'redact-unverified-sentences' })
+      .expect(200);
+    expect(redacted.body.verification.action).toBe('redacted');
+    expect(redacted.body.simplified.clauses.map(c => c.simplified)).toEqual(['Keep it secret.']);
+    expect(redacted.body.verification.redactions[0].reason).toMatch(/does not match/);
+
+    await request(app).post('/api/simplify').send({ text: NDA_TEXT, verification_policy: 'ignore' }).expect(400);
+  });
+
+  test('ask retries once with the verifier findings and rejects a second failure', async () => {
+    mockOpenAI();
+    const app = require('../index');
+    const simplified = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    const bundleId = simplified.body.bundle_id;
+    const chunkId = simplified.body.retrieved_chunk_ids[0];
+
+    // First attempt invents a citation; the retry (which sees the findings) quotes the source
+    mockOpenAI(body => (body.messages.length > 2
+      ? `"Either party may terminate this Agreement with 30 days written notice" [${chunkId}].`
+      : 'You may terminate at any time without notice [bundle-0-made-up-chunk-001].'));
+    const retried = await request(app)
+      .post('/api/ask')
+      .send({ bundle_id: bundleId, question: 'How do I terminate?', verification_policy: 'reject-and-retry-once' })
+      .expect(200);
+    expect(retried.body.verification).toEqual(expect.objectContaining({ ok: true, action: 'retried', attempts: 2 }));
+    expect(retried.body.answer).toContain('30 days written notice');
+
+    mockOpenAI('You may terminate at any time without notice.');
+    const rejected = await request(app)
+      .post('/api/ask')
+      .send({ bundle_id: bundleId, question: 'How do I terminate?', verification_policy: 'reject-and-retry-once' })
+      .expect(422);
+    expect(rejected.body.verification.action).toBe('rejected');
+    expect(typeof rejected.body.log_id).toBe('string');
+  });
+});
+
+describe('API integration tests - simplify JSON repair', () => {
+  const validReply = (chunkId, extra = {}) => JSON.stringify({
+    overall_summary: 'Both parties keep secrets.',
+    clauses: [{ chunk_id: chunkId, original: 'The Receiving Party shall keep all Confidential Information secret', simplified: 'Keep it secret.', why_it_matters: 'Leaks cost money.', risk: 'Low - standard', ...extra }],
+    notes: []
+  });
+  const sourceChunkId = body => body.messages[1].content.match(/\[(bundle-[^\]]+-chunk-\d+)\]/)[1];
+
+  test('extracts fenced JSON and repairs truncated output or unknown chunk ids once', async () => {
+    const app = require('../index');
+
+    mockOpenAI(body => 'Sure!\n```json\n' + validReply(sourceChunkId(body)) + '\n```\nLet me know.');
+    const fenced = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    expect(fenced.body.parse_status).toBe('extracted');
+    expect(fenced.body.simplified.clauses).toHaveLength(1);
+
+    // First reply is cut off mid-object; the repair prompt (which lists the errors) gets a valid reply
+    mockOpenAI(body => {
+      const repairing = body.messages.some(m => /could not be used/.test(m.content));
+      return repairing ? validReply(sourceChunkId(body)) : validReply(sourceChunkId(body)).slice(0, 60);
+    });
+    const repaired = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    expect(repaired.body.parse_status).toBe('repaired');
+    const repairPrompt = global.fetch.mock.calls.map(c => JSON.parse(c[1].body)).filter(b => b.messages).pop();
+    expect(repairPrompt.messages[repairPrompt.messages.length - 1].content).toMatch(/truncated/);
+
+    mockOpenAI(body => validReply('bundle-0-made-up-chunk-001', { chunk_id: body.messages.length > 2 ? sourceChunkId(body) : 'bundle-0-made-up-chunk-001' }));
+    const fixedIds = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    expect(fixedIds.body.parse_status).toBe('repaired');
+    expect(fixedIds.body.simplified.clauses[0].chunk_id).toBe(fixedIds.body.retrieved_chunk_ids[0]);
+  });
+
+  test('reports parse_status failed with the validation errors when repair does not help', async () => {
+    mockOpenAI('{"overall_summary": "", "clauses": "none"}');
+    const app = require('../index');
+    const res = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    expect(res.body.parse_status).toBe('failed');
+    expect(typeof res.body.simplified).toBe('string');
+    expect(res.body.parse_errors).toEqual(expect.arrayContaining(['"clauses" must be an array']));
+  });
+});
@@ -0,0 +1,146 @@
+// server/tests/test_auth.test.js
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+// Unique per run: storage/ keeps users and bundles from earlier runs
+const RUN = Date.now().toString(36);
+const PASSWORD = 'orchard-ladder-42';
+
+const SPONSORSHIP = [
+  'SPONSORSHIP AGREEMENT',
+  '1. Sponsorship. The Sponsor shall fund the riverside film festival with a single payment of 8,000 dollars.',
+  '2. Branding. The Organiser shall show the Sponsor logo on every festival poster and ticket.',
+  '3. Cancellation. If the festival is cancelled the Organiser shall refund the payment within 21 days.'
+].join('\n\n');
+
+const USERS_DIR = path.join(__dirname, '..', 'storage', 'users');
+
+describe('authentication and bundle access', () => {
+  let app;
+  const created = [];
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'local';
+    process.env.AUTH_REQUIRED = 'true';
+    process.env.AUTH_SECRET = 'test-secret-of-at-least-thirty-two-characters';
+    process.env.AUTH_ALLOW_REGISTRATION = 'true';
+    app = require('../index');
+  });
+
+  afterAll(() => {
+    process.env.AUTH_REQUIRED = 'false';
+    delete process.env.AUTH_ALLOW_REGISTRATION;
+    for (const id of created) fs.rmSync(path.join(USERS_DIR, `${id}.json`), { force: true });
+  });
+
+  async function register(userId) {
+    const res = await request(app).post('/api/auth/register').send({ user_id: userId, password: PASSWORD }).expect(201);
+    created.push(userId);
+    return res.body.token;
+  }
+
+  test('register, log in, and reject missing, wrong or tampered credentials', async () => {
+    const userId = `ana-${RUN}`;
+    const token = await register(userId);
+    await request(app).post('/api/auth/register').send({ user_id: userId, password: PASSWORD }).expect(409);
+    const bad = await request(app).post('/api/auth/register').send({ user_id: 'X', password: 'short', role: 'admin' }).expect(400);
+    expect(bad.body.details).toHaveLength(3);
+
+    await request(app).post('/api/auth/login').send({ user_id: userId, password: 'wrong-password' }).expect(401);
+    const login = await request(app).post('/api/auth/login').send({ user_id: userId, password: PASSWORD }).expect(200);
+    expect(login.body.user).toEqual(expect.objectContaining({ user_id: userId, role: 'user', teams: [] }));
+    expect(login.body.user.password_hash).toBeUndefined();
+    expect(fs.readFileSync(path.join(USERS_DIR, `${userId}.json`), 'utf8')).not.toContain(PASSWORD);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(me.body).toEqual({ user: expect.objectContaining({ user_id: userId }), auth_required: true });
+    await request(app).get('/api/bundles').expect(401);
+    await request(app).get('/api/bundles').set('Authorization', `Bearer ${token}x`).expect(401);
+    await request(app).patch(`/api/auth/users/${userId}`).set('Authorization', `Bearer ${token}`).send({ role: 'admin' }).expect(403);
+  });
+
+  test('registration is opt-in and never hands over bundles stored under an existing uploader_id', async () => {
+    const { saveBundle, deleteBundle } = require('../lib/mcp');
+    delete process.env.AUTH_ALLOW_REGISTRATION;
+    await request(app).post('/api/auth/register').send({ user_id: `late-${RUN}`, password: PASSWORD }).expect(403);
+    process.env.AUTH_ALLOW_REGISTRATION = 'true';
+
+    // uploaded before accounts existed: owned by a bare uploader_id
+    const legacyId = `legacy-${RUN}`;
+    const bundleId = `bundle-${RUN}-legacy`;
+    await saveBundle({ bundle_id: bundleId, doc_title: 'Old lease', created_at: new Date().toISOString(), uploader_id: legacyId, chunks: [], access_policy: {} });
+    try {
+      for (const reserved of ['demo-user', 'anonymous']) {
+        const res = await request(app).post('/api/auth/register').send({ user_id: reserved, password: PASSWORD }).expect(400);
+        expect(res.body.details).toEqual([`user_id is reserved: ${reserved}`]);
+      }
+      await request(app).post('/api/auth/register').send({ user_id: legacyId, password: PASSWORD }).expect(409);
+      await request(app).post('/api/auth/login').send({ user_id: legacyId, password: PASSWORD }).expect(401);
+
+      const newcomer = await register(`newcomer-${RUN}`);
+      await request(app).get(`/api/audit/${bundleId}`).set('Authorization', `Bearer ${newcomer}`).expect(404);
+      const list = await request(app).get('/api/bundles').set('Authorization', `Bearer ${newcomer}`).expect(200);
+      expect(list.body.bundles.map(b => b.bundle_id)).not.toContain(bundleId);
+    } finally {
+      await deleteBundle(bundleId);
+    }
+  });
+
+  test('bundles belong to their uploader and are shared with users and teams by role', async () => {
+    const { createUser } = require('../lib/users');
+    const owner = await register(`owner-${RUN}`);
+    const viewer = await register(`viewer-${RUN}`);
+    const reviewer = await register(`reviewer-${RUN}`);
+    const adminId = `admin-${RUN}`;
+    await createUser({ user_id: adminId, password: PASSWORD, role: 'admin' });
+    created.push(adminId);
+    const admin = (await request(app).post('/api/auth/login').send({ user_id: adminId, password: PASSWORD }).expect(200)).body.token;
+    const as = token => ({ Authorization: `Bearer ${token}` });
+
+    const simplified = await request(app).post('/api/simplify').set(as(owner))
+      .send({ text: SPONSORSHIP, uploader_id: 'someone-else' }).expect(200);
+    const id = simplified.body.bundle_id;
+    const audit = await request(app).get(`/api/audit/${id}`).set(as(owner)).expect(200);
+    expect(audit.body.uploader_id).toBe(`owner-${RUN}`);
+
+    // not shared yet: invisible to others
+    await request(app).get(`/api/audit/${id}`).set(as(viewer)).expect(404);
+    await request(app).post('/api/ask').set(as(viewer)).send({ bundle_id: id, question: 'Who pays?' }).expect(404);
+    const list = await request(app).get('/api/bundles').set(as(viewer)).expect(200);
+    expect(list.body.bundles.map(b => b.bundle_id)).not.toContain(id);
+
+    await request(app).patch(`/api/auth/users/reviewer-${RUN}`).set(as(admin)).send({ teams: [`legal-${RUN}`] }).expect(200);
+    await request(app).put(`/api/bundles/${id}/access`).set(as(owner))
+      .send({ shares: [{ type: 'user', id: 'x' }] }).expect(400);
+    const shared = await request(app).put(`/api/bundles/${id}/access`).set(as(owner)).send({
+      shares: [{ type: 'user', id: `viewer-${RUN}`, role: 'viewer' }, { type: 'team', id: `legal-${RUN}`, role: 'reviewer' }]
+    }).expect(200);
+    expect(shared.body.shares[0]).toEqual(expect.objectContaining({ granted_by: `owner-${RUN}`, role: 'viewer' }));
+
+    await request(app).get(`/api/audit/${id}`).set(as(viewer)).expect(200);
+    await request(app).post('/api/ask').set(as(viewer)).send({ bundle_id: id, question: 'Who pays?' }).expect(200);
+    // audit logs: the owner sees every question, others only their own
+    const ownAudit = await request(app).get(`/api/bundles/${id}/audit`).set(as(viewer)).expect(200);
+    expect(ownAudit.body.logs.map(l => l.asked_by)).toEqual([`viewer-${RUN}`]);
+    expect((await request(app).get(`/api/bundles/${id}/audit`).set(as(reviewer)).expect(200)).body.logs_total).toBe(0);
+    expect((await request(app).get(`/api/bundles/${id}/audit`).set(as(owner)).expect(200)).body.logs_total).toBe(1);
+    const viewerList = await request(app).get('/api/bundles').set(as(viewer)).expect(200);
+    expect(viewerList.body.bundles.find(b => b.bundle_id === id).role).toBe('viewer');
+    await request(app).patch(`/api/bundles/${id}`).set(as(viewer)).send({ doc_title: 'Festival' }).expect(403);
+    await request(app).patch(`/api/bundles/${id}`).set(as(reviewer)).send({ doc_title: 'Festival' }).expect(200);
+    await request(app).delete(`/api/bundles/${id}`).set(as(reviewer)).expect(403);
+    await request(app).put(`/api/bundles/${id}/access`).set(as(reviewer)).send({ shares: [] }).expect(403);
+
+    // revoking a share also closes the chat sessions started under it
+    const session = (await request(app).post('/api/sessions').set(as(viewer)).send({ bundle_id: id }).expect(201)).body;
+    await request(app).get(`/api/sessions/${session.session_id}`).set(as(viewer)).expect(200);
+    await request(app).put(`/api/bundles/${id}/access`).set(as(owner))
+      .send({ shares: [{ type: 'team', id: `legal-${RUN}`, role: 'reviewer' }] }).expect(200);
+    await request(app).get(`/api/sessions/${session.session_id}`).set(as(viewer)).expect(404);
+
+    const access = await request(app).get(`/api/bundles/${id}/access`).set(as(admin)).expect(200);
+    expect(access.body).toMatchObject({ owner: `owner-${RUN}`, role: 'admin' });
+    await request(app).delete(`/api/bundles/${id}`).set(as(owner)).expect(204);
+  });
+});
@@ -0,0 +1,114 @@
+// server/tests/test_bundles.test.js
+const request = require('supertest');
+
+// Unique per run: storage/ keeps bundles from earlier runs
+const UPLOADER = `library-${Date.now().toString(36)}`;
+
+// Kept clear of the words test_search.test.js queries for
+const LICENCE = [
+  '1. Grant. The Licensor grants the Licensee a non-exclusive licence to install the software on ten workstations.',
+  '2. Support. The Licensor shall answer support tickets within two business days.',
+  '3. Audit. The Licensee shall keep records of installations and show them to the Licensor on request.'
+].join('\n\n');
+
+describe('bundle management API', () => {
+  let app;
+  const ids = [];
+
+  beforeAll(async () => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+    for (const title of ['Desktop Licence', 'Server Licence', 'Support Plan']) {
+      const res = await request(app).post('/api/simplify')
+        .send({ text: `${title}\n\n${LICENCE}`, uploader_id: UPLOADER, chunking_strategy: 'legal-structure' })
+        .expect(200);
+      await request(app).patch(`/api/bundles/${res.body.bundle_id}`).send({ doc_title: title }).expect(200);
+      ids.push(res.body.bundle_id);
+    }
+  });
+
+  afterAll(async () => {
+    for (const id of ids) await request(app).delete(`/api/bundles/${id}`);
+  });
+
+  test('lists bundles newest first with filters and pagination', async () => {
+    const all = await request(app).get('/api/bundles').query({ uploader_id: UPLOADER }).expect(200);
+    expect(all.body.total).toBe(3);
+    expect(all.body.bundles.map(b => b.bundle_id)).toEqual([...ids].reverse());
+    expect(all.body.bundles[0]).toMatchObject({ uploader_id: UPLOADER, doc_title: 'Support Plan', has_result: true });
+
+    const leases = await request(app).get('/api/bundles').query({ uploader_id: UPLOADER, title: 'LICENCE' }).expect(200);
+    expect(leases.body.bundles.map(b => b.doc_title)).toEqual(['Server Licence', 'Desktop Licence']);
+
+    const page = await request(app).get('/api/bundles').query({ uploader_id: UPLOADER, limit: 1, offset: 1 }).expect(200);
+    expect(page.body).toMatchObject({ total: 3, limit: 1, offset: 1 });
+    expect(page.body.bundles.map(b => b.bundle_id)).toEqual([ids[1]]);
+
+    const future = await request(app).get('/api/bundles').query({ uploader_id: UPLOADER, created_after: '2999-01-01' }).expect(200);
+    expect(future.body.total).toBe(0);
+
+    const bad = await request(app).get('/api/bundles').query({ limit: 500, created_before: 'yesterday' }).expect(400);
+    expect(bad.body.details).toHaveLength(2);
+    // Date() alone would read these as 2020-01-01, 2001-01-01 and 2024-03-02
+    for (const value of ['foo 2020', '1', '2024-02-31']) {
+      const res = await request(app).get('/api/bundles').query({ created_after: value }).expect(400);
+      expect(res.body.details).toEqual([expect.stringMatching(/^created_after must be an ISO 8601 date/)]);
+    }
+    await request(app).get('/api/bundles').query({ created_after: '2024-01-31T09:30:00Z', created_before: '2999-12-31' }).expect(200);
+  });
+
+  test('returns a chunk with its neighbours and the stored result', async () => {
+    const audit = await request(app).get(`/api/audit/${ids[0]}`).expect(200);
+    const second = audit.body.chunks[1].chunk_id;
+    const res = await request(app).get(`/api/bundles/${ids[0]}/chunks/${encodeURIComponent(second)}`).expect(200);
+    expect(res.body.chunk.chunk_id).toBe(second);
+    expect(res.body.chunk).not.toHaveProperty('embedding');
+    expect(res.body.previous_chunk_id).toBe(audit.body.chunks[0].chunk_id);
+    await request(app).get(`/api/bundles/${ids[0]}/chunks/nope`).expect(404);
+
+    const result = await request(app).get(`/api/bundles/${ids[0]}/result`).expect(200);
+    expect(result.body).toMatchObject({ bundle_id: ids[0], bundle_title: 'Desktop Licence', audit_link: `/api/audit/${ids[0]}` });
+    expect(result.body.simplified).toBeTruthy();
+  });
+
+  test('the audit view lists chunks without embeddings and the ask logs of the bundle', async () => {
+    await request(app).post('/api/ask').send({ bundle_id: ids[1], question: 'How fast are support tickets answered?' }).expect(200);
+    const res = await request(app).get(`/api/bundles/${ids[1]}/audit`).expect(200);
+    expect(res.body.metadata).toMatchObject({ doc_title: 'Server Licence', uploader_id: UPLOADER });
+    expect(res.body.metadata.source_checksum).toBeTruthy();
+    expect(res.body.index).toMatchObject({ chunking_strategy: 'legal-structure', chunk_count: res.body.chunks.length });
+    expect(res.body.retention.expires_at).toBeTruthy();
+    for (const chunk of res.body.chunks) {
+      expect(chunk).not.toHaveProperty('embedding');
+      expect(chunk.end_char).toBeGreaterThan(chunk.start_char);
+    }
+    expect(res.body.index.embedded_chunks).toBe(res.body.chunks.length);
+
+    expect(res.body.logs_total).toBe(1);
+    const [log] = res.body.logs;
+    expect(log).toMatchObject({ question: 'How fast are support tickets answered?', asked_by: null });
+    expect(log.retrieved[0]).toEqual(expect.objectContaining({ chunk_id: expect.any(String), score: expect.any(Number) }));
+    expect(log.prompt.length).toBeGreaterThan(0);
+    expect(log).toHaveProperty('verification.ok');
+    expect(log).not.toHaveProperty('llm_raw');
+
+    await request(app).get(`/api/bundles/${ids[1]}/audit`).query({ logs_limit: 0 }).expect(400);
+  });
+
+  test('PATCH validates metadata and DELETE removes the bundle', async () => {
+    const bad = await request(app).patch(`/api/bundles/${ids[2]}`)
+      .send({ doc_title: ' ', language: 'english', owner: 'x' }).expect(400);
+    expect(bad.body.details).toHaveLength(3);
+
+    const ok = await request(app).patch(`/api/bundles/${ids[2]}`)
+      .send({ jurisdiction: 'England and Wales', language: 'en-GB' }).expect(200);
+    expect(ok.body).toMatchObject({ bundle_id: ids[2], doc_title: 'Support Plan', jurisdiction: 'England and Wales', language: 'en-GB' });
+    await request(app).patch('/api/bundles/no-such-bundle').send({ jurisdiction: null }).expect(404);
+
+    await request(app).delete(`/api/bundles/${ids[2]}`).expect(204);
+    await request(app).delete(`/api/bundles/${ids[2]}`).expect(404);
+    await request(app).get(`/api/bundles/${ids[2]}/result`).expect(404);
+    const after = await request(app).get('/api/bundles').query({ uploader_id: UPLOADER }).expect(200);
+    expect(after.body.total).toBe(2);
+  });
+});
@@ -0,0 +1,70 @@
+// server/tests/test_citations.test.js
+const request = require('supertest');
+const { buildDocumentView, resolveCitations } = require('../lib/documentView');
+
+// Unique per run: storage/ keeps bundles from earlier runs
+const UPLOADER = `viewer-${Date.now().toString(36)}`;
+
+const CHARTER = [
+  'CHARTER AGREEMENT',
+  '1. Hire. The Owner lets the vessel to the Charterer for six months from the delivery date.',
+  '2. Hire payments. The Charterer shall pay   the hire monthly in advance into the account named by the Owner.',
+  '3. Redelivery. The Charterer shall redeliver the vessel at the port of delivery in the same good order.'
+].join('\n\n');
+
+describe('document view and citations', () => {
+  test('overlapping chunks are shown once and every chunk stays a range of the text', () => {
+    const first = 'The Tenant shall pay rent monthly. Rent is due on the first day.';
+    const second = 'Rent is due on the first day. Late rent bears interest at 4%.';
+    const bundle = {
+      chunks: [
+        { chunk_id: 'bundle-1-ab-chunk-002', text: second, start_char: 35, end_char: 97 },
+        { chunk_id: 'bundle-1-ab-chunk-001', text: first, start_char: 0, end_char: 65 },
+        { chunk_id: 'bundle-1-ab-chunk-003', text: 'Notices go to the registered office.', start_char: 120, end_char: 156 }
+      ]
+    };
+    const view = buildDocumentView(bundle);
+    expect(view.text).toBe(`${first} Late rent bears interest at 4%.\n\nNotices go to the registered office.`);
+    for (const c of view.chunks) {
+      expect(view.text.slice(c.view_start, c.view_end)).toBe(bundle.chunks.find(b => b.chunk_id === c.chunk_id).text);
+    }
+
+    const [item] = resolveCitations(bundle, [{ text: 'Interest applies: "late  RENT bears interest" (bundle-1-ab-chunk-002), see bundle-1-ab-chunk-009.' }]);
+    expect(item.citations).toEqual([
+      expect.objectContaining({ chunk_id: 'bundle-1-ab-chunk-002', status: 'verified', match: expect.objectContaining({ match_type: 'prefix' }) }),
+      expect.objectContaining({ chunk_id: 'bundle-1-ab-chunk-009', known: false, status: 'unverified' })
+    ]);
+    const { start, end } = item.citations[0].match;
+    expect(second.slice(start, end).toLowerCase()).toBe('late rent bears interest');
+  });
+
+  test('the API rebuilds the document and locates quoted snippets', async () => {
+    process.env.LLM_PROVIDER = 'local';
+    const app = require('../index');
+    const simplified = await request(app).post('/api/simplify')
+      .send({ text: CHARTER, uploader_id: UPLOADER, chunking_strategy: 'legal-structure' }).expect(200);
+    const id = simplified.body.bundle_id;
+
+    const doc = await request(app).get(`/api/bundles/${id}/document`).expect(200);
+    const payment = doc.body.chunks.find(c => doc.body.text.slice(c.view_start, c.view_end).includes('Hire payments'));
+    expect(payment).toBeTruthy();
+
+    const res = await request(app).post(`/api/bundles/${id}/citations`).send({
+      items: [
+        { chunk_id: payment.chunk_id, snippet: 'The Charterer shall pay the hire monthly in advance' },
+        { chunk_id: payment.chunk_id, snippet: 'The Charterer may pay whenever it likes' },
+        { chunk_id: payment.chunk_id }
+      ]
+    }).expect(200);
+    const [found, wrong, bare] = res.body.items.map(i => i.citations[0]);
+    expect(found).toMatchObject({ status: 'verified', match: { match_type: 'normalized' } });
+    const chunkText = doc.body.text.slice(payment.view_start, payment.view_end);
+    expect(chunkText.slice(found.match.start, found.match.end)).toBe('The Charterer shall pay   the hire monthly in advance');
+    expect(wrong).toMatchObject({ status: 'unverified', match: null });
+    expect(bare.status).toBe('unquoted');
+
+    const bad = await request(app).post(`/api/bundles/${id}/citations`).send({ items: [{}, { text: 5 }] }).expect(400);
+    expect(bad.body.details).toHaveLength(2);
+    await request(app).delete(`/api/bundles/${id}`).expect(204);
+  });
+});
@@ -0,0 +1,87 @@
+// server/tests/test_clauses.test.js
+const request = require('supertest');
+const { classifyChunk, _internals } = require('../lib/clauseTaxonomy');
+
+const CONTRACT = [
+  '1. Indemnification. The Contractor shall indemnify and hold harmless the Company from any and all claims arising from the Services.',
+  '2. Non-Competition. The Contractor shall not compete with the Company anywhere in the world for a period of two (2) years after termination.',
+  '3. Governing Law. This Agreement is governed by the laws of the State of New York.',
+  '4. Fees. The Company shall pay each invoice within 45 days of receipt.'
+].join('\n\n');
+
+describe('clause taxonomy rules', () => {
+  test('classifies clause types and scores named risk factors deterministically', () => {
+    const indemnity = classifyChunk({ text: CONTRACT.split('\n\n')[0] });
+    expect(indemnity.primary_type).toBe('indemnity');
+    expect(indemnity.risk.factors.map(f => f.factor)).toEqual(expect.arrayContaining(['one_sided_indemnity', 'broad_indemnity_scope']));
+    expect(indemnity.risk.score).toBe(60);
+    expect(indemnity.risk.level).toBe('High');
+    expect(classifyChunk({ text: CONTRACT.split('\n\n')[0] })).toEqual(indemnity);
+
+    const nonCompete = classifyChunk({ text: CONTRACT.split('\n\n')[1] });
+    expect(nonCompete.primary_type).toBe('non_compete');
+    expect(nonCompete.risk.factors.map(f => f.factor)).toEqual(expect.arrayContaining(['long_restrictive_covenant', 'worldwide_scope']));
+
+    const law = classifyChunk({ text: 'This Agreement is governed by the laws of New York.', section_header: 'Governing Law' });
+    expect(law.primary_type).toBe('governing_law');
+    expect(law.risk.level).toBe('Low');
+
+    expect(classifyChunk({ text: 'The parties met on Tuesday.' })).toMatchObject({ primary_type: null, clause_types: [] });
+  });
+
+  test('LLM suggestions are added next to rule matches without changing the score', () => {
+    const base = classifyChunk({ text: 'The Supplier shall indemnify the Customer.' });
+    const merged = _internals.mergeLlm(base, { clause_types: ['indemnity', 'payment'], risk_factors: ['perpetual_obligation'] });
+    expect(merged.clause_types.find(t => t.type === 'indemnity').sources).toEqual(['rules', 'llm']);
+    expect(merged.clause_types.find(t => t.type === 'payment').sources).toEqual(['llm']);
+    expect(merged.risk.llm_factors.map(f => f.factor)).toEqual(['perpetual_obligation']);
+    expect(merged.risk.score).toBe(base.risk.score);
+    expect(merged.classifier.llm_assisted).toBe(true);
+  });
+});
+
+describe('GET /api/bundles/:bundle_id/clauses', () => {
+  let app;
+  let bundleId;
+  let simplified;
+
+  beforeAll(async () => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+    const res = await request(app).post('/api/simplify').send({ text: CONTRACT, chunking_strategy: 'legal-structure' }).expect(200);
+    bundleId = res.body.bundle_id;
+    simplified = res.body.simplified;
+  });
+
+  test('lists classified clauses with risk, runs the LLM pass once and filters', async () => {
+    const rulesOnly = await request(app).get(`/api/bundles/${bundleId}/clauses?llm=false`).expect(200);
+    expect(rulesOnly.body.llm_assisted).toBe(false);
+    expect(rulesOnly.body.clauses.length).toBe(4);
+    expect(rulesOnly.body.summary.by_type.indemnity).toBe(1);
+
+    const res = await request(app).get(`/api/bundles/${bundleId}/clauses`).expect(200);
+    expect(res.body.llm_assisted).toBe(true);
+    const indemnity = res.body.clauses.find(c => c.primary_type === 'indemnity');
+    expect(indemnity.clause_types[0].sources).toEqual(['rules', 'llm']);
+    expect(res.body.summary.high_risk_chunk_ids).toContain(indemnity.chunk_id);
+
+    const filtered = await request(app).get(`/api/bundles/${bundleId}/clauses?type=governing_law`).expect(200);
+    expect(filtered.body.clauses.map(c => c.primary_type)).toEqual(['governing_law']);
+    const risky = await request(app).get(`/api/bundles/${bundleId}/clauses?min_score=60`).expect(200);
+    expect(risky.body.clauses.every(c => c.risk.score >= 60)).toBe(true);
+
+    await request(app).get(`/api/bundles/${bundleId}/clauses?type=warranty`).expect(400);
+    for (const value of ['abc', '', '0x10', '101', '-5']) {
+      const bad = await request(app).get(`/api/bundles/${bundleId}/clauses`).query({ min_score: value }).expect(400);
+      expect(bad.body.error).toMatch(/min_score must be a number between 0 and 100/);
+    }
+    await request(app).get('/api/bundles/bundle-missing/clauses').expect(404);
+  });
+
+  test('simplify clauses carry the taxonomy risk instead of the model text', async () => {
+    const clause = simplified.clauses.find(c => c.clause_types.includes('indemnity'));
+    expect(clause.risk).toMatch(/^High - only one party indemnifies/);
+    expect(clause.risk_score).toBe(60);
+    expect(typeof clause.model_risk).toBe('string');
+  });
+});
@@ -0,0 +1,78 @@
+// server/tests/test_compare.test.js
+const request = require('supertest');
+const { wordDiff, alignChunks } = require('../lib/compare');
+
+const BASE_NDA = [
+  '1. Confidentiality. The Recipient must protect the trade secrets of the Discloser for three years.',
+  '2. Termination. Either party may terminate this Agreement with 30 days written notice.',
+  '3. Governing Law. This Agreement is governed by the laws of the State of New York.',
+  '4. Return of Materials. On request the Receiving Party shall return all documents.'
+].join('\n\n');
+
+const REVISED_NDA = [
+  '1. Confidentiality. The Recipient must protect the trade secrets of the Discloser for three years.',
+  '2. Termination. The Disclosing Party may terminate this Agreement at any time with 5 days notice.',
+  '3. Governing Law. This Agreement is governed by the laws of the State of New York!',
+  '5. Indemnity. The Receiving Party shall indemnify the Disclosing Party against any and all claims.'
+].join('\n\n');
+
+describe('redline helpers', () => {
+  test('wordDiff marks deleted and inserted words between equal runs', () => {
+    expect(wordDiff('pay within 30 days of invoice', 'pay within 10 business days of invoice')).toEqual([
+      { op: 'equal', text: 'pay within' },
+      { op: 'delete', text: '30' },
+      { op: 'insert', text: '10 business' },
+      { op: 'equal', text: 'days of invoice' }
+    ]);
+  });
+
+  test('alignChunks pairs similar chunks and leaves the rest as added / removed', () => {
+    const base = [{ text: 'The tenant pays rent monthly.' }, { text: 'Pets are not allowed.' }];
+    const revised = [{ text: 'Smoking is prohibited.' }, { text: 'The tenant pays rent monthly in advance.' }];
+    const { pairs, removed, added } = alignChunks(base, revised);
+    expect(pairs.map(p => [p.baseIndex, p.revisedIndex])).toEqual([[0, 1]]);
+    expect(removed).toEqual([1]);
+    expect(added).toEqual([0]);
+  });
+});
+
+describe('POST /api/compare', () => {
+  let app;
+  let baseId;
+  let revisedId;
+
+  beforeAll(async () => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+    const upload = text => request(app).post('/api/simplify').send({ text, chunking_strategy: 'legal-structure' }).expect(200);
+    baseId = (await upload(BASE_NDA)).body.bundle_id;
+    revisedId = (await upload(REVISED_NDA)).body.bundle_id;
+  });
+
+  test('classifies aligned, added and removed clauses and explains material changes with both citations', async () => {
+    const res = await request(app).post('/api/compare').send({ base_bundle_id: baseId, revised_bundle_id: revisedId }).expect(200);
+    expect(res.body.summary).toEqual(expect.objectContaining({ unchanged: 1, modified: 2, added: 1, removed: 1, material: 3 }));
+    expect(res.body.changes.map(c => c.type)).toEqual(['modified', 'modified', 'removed', 'added']);
+
+    const termination = res.body.changes[0];
+    expect(termination.material).toBe(true);
+    expect(termination.diff).toEqual(expect.arrayContaining([{ op: 'delete', text: '30' }]));
+    expect(termination.citations).toEqual([termination.base_chunk_id, termination.revised_chunk_id]);
+    expect(termination.explanation_source).toBe('llm');
+    expect(termination.explanation).toContain(`[${termination.base_chunk_id}]`);
+    expect(termination.explanation).toContain(`[${termination.revised_chunk_id}]`);
+
+    const punctuation = res.body.changes[1];
+    expect(punctuation).toEqual(expect.objectContaining({ material: false, reasons: ['formatting only'], explanation: null }));
+
+    const stored = await request(app).get(`/api/compare/${res.body.compare_id}`).expect(200);
+    expect(stored.body.changes.length).toBe(4);
+  });
+
+  test('validates the bundle ids', async () => {
+    await request(app).post('/api/compare').send({ base_bundle_id: baseId }).expect(400);
+    await request(app).post('/api/compare').send({ base_bundle_id: baseId, revised_bundle_id: baseId }).expect(400);
+    await request(app).post('/api/compare').send({ base_bundle_id: baseId, revised_bundle_id: 'bundle-missing' }).expect(404);
+    await request(app).get('/api/compare/not-an-id').expect(404);
+  });
+});
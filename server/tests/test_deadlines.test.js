@@ -0,0 +1,98 @@
+// server/tests/test_deadlines.test.js
+const request = require('supertest');
+const { addPeriod } = require('../lib/periods');
+const { _internals: factsInternals } = require('../lib/contractFacts');
+const { buildTimeline, toICalendar, _internals } = require('../lib/deadlines');
+
+const AGREEMENT = [
+  'This Hosting Agreement is made and entered into as of January 31, 2024 between Bluefin Cloud Ltd (the "Provider"), and Saltmarsh Bakery Inc. (the "Client").',
+  '1. Term. This Agreement shall remain in force for an initial term of one (1) year. It renews automatically for successive one (1) year periods unless either party gives at least sixty (60) days written notice of non-renewal.',
+  '2. Fees. The Client shall pay the Provider $1,500 per month within fifteen (15) days of each invoice.',
+  '3. Setup. The Provider shall complete the migration within ten (10) business days of the Effective Date.',
+  '4. Secrecy. The Client shall protect the Provider\'s pricing. This clause survives for two (2) years after termination.'
+].join('\n\n');
+
+function bundleFor(text) {
+  return { bundle_id: 'bundle-test', doc_title: 'Hosting, Bluefin', chunks: [{ chunk_id: 'bundle-test-chunk-001', start_char: 0, text }] };
+}
+
+describe('deadline arithmetic and the iCalendar export', () => {
+  test('addPeriod clamps months, skips weekends for business days and counts backwards', () => {
+    expect(addPeriod('2024-01-31', { amount: 1, unit: 'months' })).toBe('2024-02-29');
+    expect(addPeriod('2024-02-29', { amount: 1, unit: 'years' })).toBe('2025-02-28');
+    expect(addPeriod('2024-10-18', { amount: 5, unit: 'days', business: true })).toBe('2024-10-25');
+    expect(addPeriod('2026-03-01', { amount: 90, unit: 'days' }, -1)).toBe('2025-12-01');
+  });
+
+  test('relative terms resolve against the effective date and expiry', () => {
+    const bundle = bundleFor(AGREEMENT);
+    const { anchors, events, unresolved } = buildTimeline(bundle, factsInternals.extractFactsByRules(bundle));
+    expect(anchors).toEqual({ effective_date: '2024-01-31', expiry: '2025-01-31' });
+
+    const byKind = Object.fromEntries(events.map(e => [e.kind, e]));
+    expect(byKind.renewal_opt_out).toMatchObject({ date: '2024-12-02', basis: 'expiry 2025-01-31 - 60 days' });
+    expect(byKind.renewal_opt_out.source.text).toBe('sixty (60) days');
+    expect(byKind.obligation).toMatchObject({ date: '2024-02-14', basis: 'effective date 2024-01-31 + 10 business days' });
+    expect(byKind.survival_end).toMatchObject({ date: '2027-01-31', assumption: expect.stringMatching(/initial term/) });
+    expect(byKind.payment.recurrence).toEqual({ rule: 'MONTHLY', until: '2025-01-30' });
+    expect(events.map(e => e.date)).toEqual([...events.map(e => e.date)].sort());
+    for (const e of events) expect(AGREEMENT.slice(e.source.start_char, e.source.end_char)).toBe(e.source.text);
+
+    expect(unresolved).toEqual([expect.objectContaining({ kind: 'obligation', reason: expect.stringMatching(/fifteen \(15\) days/) })]);
+  });
+
+  test('toICalendar escapes text, folds long lines and links events to their chunk', () => {
+    const bundle = bundleFor(AGREEMENT);
+    const { events } = buildTimeline(bundle, factsInternals.extractFactsByRules(bundle));
+    const ics = toICalendar(bundle, events, { now: new Date('2024-10-19T08:00:00Z') });
+    const lines = ics.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines).toContain('X-WR-CALNAME:Hosting\\, Bluefin deadlines');
+    expect(lines).toContain('UID:bundle-test-renewal_opt_out-1@lexiclear');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20241202');
+    expect(lines).toContain('RRULE:FREQ=MONTHLY;UNTIL=20250130');
+    expect(lines).toContain('X-LEXICLEAR-CHUNK-ID:bundle-test-chunk-001');
+    expect(lines.filter(l => l === 'BEGIN:VEVENT')).toHaveLength(events.length);
+    for (const line of lines) expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+
+    expect(_internals.escapeText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+    expect(_internals.foldLine('é'.repeat(50)).split('\r\n ').map(l => Buffer.byteLength(l, 'utf8'))).toEqual([74, 26]);
+  });
+});
+
+describe('GET /api/bundles/:bundle_id/timeline and calendar.ics', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+  });
+
+  test('serve the timeline as JSON and as an iCalendar attachment', async () => {
+    const created = await request(app).post('/api/simplify').send({ text: AGREEMENT, chunking_strategy: 'legal-structure' }).expect(200);
+    const id = created.body.bundle_id;
+
+    const timeline = await request(app).get(`/api/bundles/${id}/timeline`).expect(200);
+    expect(timeline.body.bundle_id).toBe(id);
+    expect(timeline.body.events.map(e => e.kind)).toEqual(['effective_date', 'payment', 'obligation', 'renewal_opt_out', 'expiry', 'survival_end']);
+    for (const e of timeline.body.events) expect(e.source.chunk_id.startsWith(id)).toBe(true);
+
+    const ics = await request(app).get(`/api/bundles/${id}/calendar.ics`).expect(200);
+    expect(ics.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(ics.headers['content-disposition']).toMatch(new RegExp(`${id}\\.ics`));
+    expect(ics.text).toMatch(/SUMMARY:Last day to give notice of non-renewal \(60 days before expiry\)/);
+
+    await request(app).get('/api/bundles/no-such-bundle/calendar.ics').expect(404);
+
+    const moved = await request(app).get(`/api/bundles/${id}/timeline`).query({ effective_date: '2030-01-15' }).expect(200);
+    expect(moved.body.anchors.effective_date).toBe('2030-01-15');
+    expect(moved.body.events.find(e => e.kind === 'effective_date')).toMatchObject({ date: '2030-01-15', basis: expect.stringMatching(/^given as 2030-01-15/) });
+    for (const value of ['soon', '2030-02-30', '2030-1-5']) {
+      const bad = await request(app).get(`/api/bundles/${id}/timeline`).query({ effective_date: value }).expect(400);
+      expect(bad.body.details).toEqual(['effective_date must be a date (YYYY-MM-DD)']);
+    }
+    await request(app).get(`/api/bundles/${id}/calendar.ics`).query({ effective_date: 'soon' }).expect(400);
+  });
+});
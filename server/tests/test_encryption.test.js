@@ -0,0 +1,140 @@
+// server/tests/test_encryption.test.js
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { _internals, rotateStorage, reloadMasterKeys } = require('../lib/encryption');
+const os = require('os');
+const storage = require('../lib/storage');
+
+// Fixed test keys: files left behind by an interrupted run stay readable by the next one
+const OLD_KEY = Buffer.alloc(32, 7).toString('base64');
+const NEW_KEY = Buffer.alloc(32, 9).toString('hex');
+
+const WILL = [
+  'LAST WILL',
+  '1. Executor. I appoint my sister Maren Holt as executor of this will.',
+  '2. Gifts. My violin collection passes to the Riverside Conservatory.'
+].join('\n\n');
+
+const BUNDLES = path.join(__dirname, '..', 'storage', 'bundles');
+const SESSIONS = path.join(__dirname, '..', 'storage', 'sessions');
+const ENV_KEYS = ['ENCRYPTION_MASTER_KEY', 'ENCRYPTION_KEYFILE', 'ENCRYPTION_PREVIOUS_KEYS'];
+
+describe('envelope encryption', () => {
+  const saved = {};
+
+  beforeAll(() => {
+    for (const k of ENV_KEYS) saved[k] = process.env[k];
+    delete process.env.ENCRYPTION_KEYFILE;
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    process.env.ENCRYPTION_MASTER_KEY = OLD_KEY;
+  });
+
+  afterAll(async () => {
+    for (const k of ENV_KEYS) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+    // the shared vector index was written under the test key: store it as the other suites expect it again
+    const { getVectorIndex } = require('../lib/vectorIndex');
+    await (await getVectorIndex()).save();
+  });
+
+  test('records round-trip, and tampering, renaming or a missing key is detected', () => {
+    const envelope = _internals.seal({ text: 'secret clause' }, 'a.json');
+    expect(envelope).toMatchObject({ lexiclear_envelope: 'v1', alg: 'AES-256-GCM' });
+    expect(JSON.stringify(envelope)).not.toMatch(/secret/);
+    expect(_internals.open(envelope, 'a.json')).toEqual({ text: 'secret clause' });
+
+    expect(() => _internals.open(envelope, 'b.json')).toThrow(/failed to decrypt/);
+    const flipped = Buffer.from(envelope.ciphertext, 'base64');
+    flipped[0] ^= 1;
+    expect(() => _internals.open({ ...envelope, ciphertext: flipped.toString('base64') }, 'a.json')).toThrow(/failed to decrypt/);
+
+    process.env.ENCRYPTION_MASTER_KEY = NEW_KEY;
+    expect(() => _internals.open(envelope, 'a.json')).toThrow(/not configured/);
+    process.env.ENCRYPTION_PREVIOUS_KEYS = OLD_KEY;
+    const rewrapped = _internals.rewrap(envelope, 'a.json');
+    expect(rewrapped.kek_id).not.toBe(envelope.kek_id);
+    expect(rewrapped.ciphertext).toBe(envelope.ciphertext);
+    delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+    expect(_internals.open(rewrapped, 'a.json')).toEqual({ text: 'secret clause' });
+
+    process.env.ENCRYPTION_MASTER_KEY = OLD_KEY;
+    expect(() => _internals.parseKey('too-short', 'ENCRYPTION_MASTER_KEY')).toThrow(/32-byte key/);
+  });
+
+  test('the keyfile is read once and again after reloadMasterKeys', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexiclear-keyfile-'));
+    const keyfile = path.join(dir, 'master.key');
+    fs.writeFileSync(keyfile, OLD_KEY);
+    delete process.env.ENCRYPTION_MASTER_KEY;
+    process.env.ENCRYPTION_KEYFILE = keyfile;
+    const read = jest.spyOn(fs, 'readFileSync');
+    try {
+      const first = _internals.seal({ n: 1 }, 'a.json');
+      _internals.seal({ n: 2 }, 'a.json');
+      expect(read.mock.calls.filter(([f]) => f === keyfile)).toHaveLength(1);
+
+      fs.writeFileSync(keyfile, NEW_KEY);
+      expect(_internals.seal({ n: 3 }, 'a.json').kek_id).toBe(first.kek_id);
+      reloadMasterKeys();
+      expect(_internals.seal({ n: 4 }, 'a.json').kek_id).not.toBe(first.kek_id);
+    } finally {
+      read.mockRestore();
+      delete process.env.ENCRYPTION_KEYFILE;
+      process.env.ENCRYPTION_MASTER_KEY = OLD_KEY;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('bundles, results, sessions and the vector index are stored encrypted, load transparently and survive a key rotation', async () => {
+    process.env.LLM_PROVIDER = 'local';
+    const app = require('../index');
+    const { deleteBundle } = require('../lib/mcp');
+    const { FlatVectorIndex, getVectorIndex } = require('../lib/vectorIndex');
+
+    const created = await request(app).post('/api/simplify').send({ text: WILL }).expect(200);
+    const id = created.body.bundle_id;
+    let sessionId = null;
+    try {
+      for (const name of [`${id}.json`, `${id}-meta.json`, `${id}-result.json`]) {
+        const raw = fs.readFileSync(path.join(BUNDLES, name), 'utf8');
+        expect(JSON.parse(raw).lexiclear_envelope).toBe('v1');
+        expect(raw).not.toMatch(/Maren Holt/);
+      }
+      sessionId = (await request(app).post('/api/sessions').send({ bundle_id: id }).expect(201)).body.session_id;
+      await request(app).post(`/api/sessions/${sessionId}/messages`).send({ question: 'Who is the executor?' }).expect(200);
+      const session = fs.readFileSync(path.join(SESSIONS, `${sessionId}.json`), 'utf8');
+      expect(JSON.parse(session).lexiclear_envelope).toBe('v1');
+      expect(session).not.toMatch(/executor/);
+
+      const index = await getVectorIndex();
+      expect(index.hasBundle(id)).toBe(true);
+      for (const file of Object.values(index.files)) {
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).lexiclear_envelope).toBe('v1');
+      }
+      const audit = await request(app).get(`/api/audit/${id}`).expect(200);
+      expect(audit.body.access_policy.encrypted).toBe(true);
+      expect(audit.body.chunks.map(c => c.text).join(' ')).toMatch(/Maren Holt/);
+
+      process.env.ENCRYPTION_MASTER_KEY = NEW_KEY;
+      process.env.ENCRYPTION_PREVIOUS_KEYS = OLD_KEY;
+      const report = await rotateStorage();
+      expect(report.rewrapped).toBeGreaterThanOrEqual(6);
+      delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+
+      const reloaded = await FlatVectorIndex.load(index.model);
+      expect(reloaded.size).toBe(index.size);
+      expect(reloaded.search(Array.from(index.vectors.subarray(0, index.dim)), { topK: 1 })[0].embedding_id).toBe(index.ids[0]);
+      await request(app).get(`/api/sessions/${sessionId}`).expect(200);
+      expect((await storage.get('bundles', id)).bundle_id).toBe(id);
+      const result = await request(app).get(`/api/bundles/${id}/result`).expect(200);
+      expect(result.body.bundle_id).toBe(id);
+    } finally {
+      await deleteBundle(id);
+      if (sessionId) await storage.remove('sessions', sessionId);
+      process.env.ENCRYPTION_MASTER_KEY = OLD_KEY;
+    }
+  });
+});
@@ -0,0 +1,83 @@
+// server/tests/test_facts.test.js
+const request = require('supertest');
+const { _internals } = require('../lib/contractFacts');
+
+const AGREEMENT = [
+  'SUBSCRIPTION AGREEMENT',
+  'This Subscription Agreement is made and entered into as of March 1, 2024 between Northwind Data Ltd, a company registered in England (the "Provider"), and Harbor Foods Inc. (the "Client").',
+  '1. Term. This Agreement shall remain in force for an initial term of two (2) years. It renews automatically for successive one (1) year periods unless either party gives at least ninety (90) days written notice of non-renewal.',
+  '2. Fees. The Client shall pay the Provider $5,000 per month within thirty (30) days of the invoice date. A one-time onboarding fee of EUR 1,200 applies.',
+  '3. Termination. The Provider may terminate this Agreement on sixty (60) days prior written notice.',
+  '4. Governing Law. This Agreement is governed by the laws of England and Wales.'
+].join('\n\n');
+
+describe('contract fact rules', () => {
+  test('extract typed values with the offsets they were read from', () => {
+    const chunk = { chunk_id: 'b::chunk-001', start_char: 100, text: AGREEMENT };
+    const facts = _internals.extractFactsByRules({ chunks: [chunk] });
+
+    expect(facts.parties.map(p => p.value)).toEqual([
+      { name: 'Northwind Data Ltd', role: 'Provider' },
+      { name: 'Harbor Foods Inc.', role: 'Client' }
+    ]);
+    expect(facts.effective_date).toMatchObject({ value: { date: '2024-03-01' }, text: 'March 1, 2024' });
+    expect(facts.term.value).toEqual({ amount: 2, unit: 'years', days: 730 });
+    expect(facts.renewal.value).toEqual({ automatic: true, renewal_term: { amount: 1, unit: 'years', days: 365 } });
+    expect(facts.notice_periods.map(n => [n.value.days, n.value.purpose])).toEqual([[90, 'renewal'], [60, 'termination']]);
+    expect(facts.payments.map(p => p.value)).toEqual([
+      { amount: 5000, currency: 'USD', frequency: 'monthly' },
+      { amount: 1200, currency: 'EUR', frequency: 'one-time' }
+    ]);
+    expect(facts.governing_law.value).toEqual({ jurisdiction: 'England and Wales' });
+    expect(facts.obligations).toHaveLength(1);
+    expect(facts.obligations[0].value).toMatchObject({ party: 'Client', modality: 'shall', deadline: { days: 30, text: 'thirty (30) days' } });
+
+    for (const fact of [facts.effective_date, facts.term, facts.governing_law, ...facts.payments, ...facts.obligations]) {
+      expect(AGREEMENT.slice(fact.chunk_offsets.start, fact.chunk_offsets.end)).toBe(fact.text);
+      expect(fact.start_char).toBe(100 + fact.chunk_offsets.start);
+    }
+  });
+
+  test('model answers are read back from their quote and dropped when it does not support them', () => {
+    expect(_internals.normalizeLlmValue('effective_date', 'dated 1st June 2023', '2023-06-01'))
+      .toEqual({ offset: 6, text: '1st June 2023', value: { date: '2023-06-01' } });
+    expect(_internals.normalizeLlmValue('governing_law', 'the laws of Ontario apply', 'Quebec')).toBeNull();
+    expect(_internals.normalizeLlmValue('term', 'for as long as services are ordered', 'indefinite')).toBeNull();
+  });
+});
+
+describe('GET /api/bundles/:bundle_id/facts', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+  });
+
+  test('returns facts with exact document offsets, cached, and as CSV', async () => {
+    const created = await request(app).post('/api/simplify').send({ text: AGREEMENT, chunking_strategy: 'legal-structure' }).expect(200);
+    const id = created.body.bundle_id;
+
+    const res = await request(app).get(`/api/bundles/${id}/facts`).expect(200);
+    expect(res.body).toMatchObject({ bundle_id: id, facts_version: 'contract-facts-v1', llm_assisted: true });
+    const { facts } = res.body;
+    for (const fact of [...facts.parties, facts.effective_date, facts.term, facts.renewal, ...facts.notice_periods, facts.governing_law]) {
+      expect(AGREEMENT.slice(fact.start_char, fact.end_char)).toBe(fact.text);
+      expect(fact.chunk_id.startsWith(id)).toBe(true);
+    }
+    expect(facts.governing_law.text).toBe('England and Wales');
+
+    const again = await request(app).get(`/api/bundles/${id}/facts`).expect(200);
+    expect(again.body.generated_at).toBe(res.body.generated_at);
+
+    const csv = await request(app).get(`/api/bundles/${id}/facts?format=csv`).expect(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.headers['content-disposition']).toMatch(new RegExp(`${id}-facts\\.csv`));
+    const lines = csv.text.trim().split('\r\n');
+    expect(lines[0]).toBe('field,index,party,value,text,chunk_id,start_char,end_char,method');
+    expect(lines).toContain(`effective_date,0,,2024-03-01,"March 1, 2024",${facts.effective_date.chunk_id},${facts.effective_date.start_char},${facts.effective_date.end_char},rules`);
+
+    await request(app).get(`/api/bundles/${id}/facts?format=xml`).expect(400);
+    await request(app).get('/api/bundles/no-such-bundle/facts').expect(404);
+  });
+});
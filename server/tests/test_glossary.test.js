@@ -0,0 +1,53 @@
+// server/tests/test_glossary.test.js
+const request = require('supertest');
+const { buildGlossary, _internals } = require('../lib/glossary');
+
+const NDA = [
+  'This Mutual Non-Disclosure Agreement (this "Agreement") is made between Acme Analytics Ltd, a company registered in England and Wales (the "Discloser"), and Beta Retail Inc. (the "Recipient").',
+  '1. Definitions.',
+  '1.1 "Protected Material" means any material disclosed by the Discloser, including, without limitation, pricing, whether in oral or written form.',
+  '1.2 "Purpose" shall mean evaluating a possible partnership.',
+  '1.3 "Affiliate" means any entity controlling a party.',
+  '2. Use. The Recipient shall use the Protected Material only for the Purpose and shall return all Deliverables on request.'
+].join('\n\n');
+
+describe('glossary', () => {
+  test('finds "means" and parenthetical definitions with their defining span', () => {
+    const defs = _internals.findDefinitions('Acme Ltd, a Delaware company (hereinafter "Supplier"), and "Fees" means the amounts in Schedule 1.');
+    expect(defs.map(d => [d.term, d.style, d.definition])).toEqual([
+      ['Supplier', 'parenthetical', 'Acme Ltd, a Delaware company'],
+      ['Fees', 'means', 'the amounts in Schedule 1']
+    ]);
+  });
+
+  test('records usage and flags unused and undefined terms', () => {
+    const chunks = NDA.split('\n\n').map((text, i) => ({ chunk_id: `b-chunk-${i}`, start_char: NDA.indexOf(text), text }));
+    const glossary = buildGlossary(chunks);
+    const byTerm = Object.fromEntries(glossary.terms.map(t => [t.term, t]));
+
+    expect(Object.keys(byTerm)).toEqual(['Agreement', 'Discloser', 'Recipient', 'Protected Material', 'Purpose', 'Affiliate']);
+    expect(byTerm['Protected Material']).toMatchObject({
+      chunk_id: 'b-chunk-2',
+      plain: 'Any material disclosed by the Discloser, including pricing, in any form',
+      occurrences: 1,
+      used_in: ['b-chunk-5']
+    });
+    expect(NDA.slice(byTerm.Recipient.start_char, byTerm.Recipient.end_char)).toBe('Beta Retail Inc. (the "Recipient")');
+    expect(byTerm.Recipient.plain).toBe('Recipient refers to Beta Retail Inc.');
+    expect(glossary.unused_terms).toEqual(['Affiliate']);
+    expect(glossary.undefined_terms).toEqual([{ term: 'Deliverables', occurrences: 1, chunk_ids: ['b-chunk-5'] }]);
+  });
+
+  test('GET /api/bundles/:bundle_id/glossary serves the glossary stored with the bundle', async () => {
+    process.env.LLM_PROVIDER = 'local';
+    const app = require('../index');
+    const created = await request(app).post('/api/simplify').send({ text: NDA, chunking_strategy: 'legal-structure' }).expect(200);
+
+    const res = await request(app).get(`/api/bundles/${created.body.bundle_id}/glossary`).expect(200);
+    expect(res.body).toMatchObject({ bundle_id: created.body.bundle_id, version: 'glossary-v1', unused_terms: ['Affiliate'] });
+    const purpose = res.body.terms.find(t => t.term === 'Purpose');
+    expect(NDA.slice(purpose.start_char, purpose.end_char)).toBe('"Purpose" shall mean evaluating a possible partnership');
+
+    await request(app).get('/api/bundles/no-such-bundle/glossary').expect(404);
+  });
+});
@@ -0,0 +1,41 @@
+// server/tests/test_json_output.test.js
+const { extractJson, validateSimplified } = require('../lib/jsonOutput');
+
+describe('extractJson', () => {
+  test('handles prose, code fences, braces inside strings and trailing commas', () => {
+    expect(extractJson('{"a": 1}')).toEqual({ value: { a: 1 }, method: 'direct', error: null });
+    expect(extractJson('Here:\n```json\n{"a": 2}\n```').method).toBe('code-fence');
+    const noisy = extractJson('Result {not json} then {"text": "a } brace", "b": [1, 2,],} and more');
+    expect(noisy).toEqual({ value: { text: 'a } brace', b: [1, 2] }, method: 'balanced-braces', error: null });
+  });
+
+  test('explains why nothing could be extracted', () => {
+    expect(extractJson('no json here').error).toBe('no JSON object found');
+    expect(extractJson('{"overall_summary": "cut off').error).toMatch(/truncated/);
+  });
+});
+
+describe('validateSimplified', () => {
+  const clause = { chunk_id: 'b-chunk-001', simplified: 'Keep it secret.', why_it_matters: 'x', risk: 'Low - fine' };
+
+  test('accepts the contract and defaults notes', () => {
+    const res = validateSimplified({ overall_summary: 'ok', clauses: [clause] }, { chunkIds: ['b-chunk-001'] });
+    expect(res.valid).toBe(true);
+    expect(res.value.notes).toEqual([]);
+  });
+
+  test('lists every problem, including chunk ids not in the bundle', () => {
+    const res = validateSimplified({
+      overall_summary: 'ok',
+      clauses: [{ ...clause, chunk_id: 'b-chunk-404', risk: 'Severe' }, 'nope'],
+      notes: [1]
+    }, { chunkIds: ['b-chunk-001'] });
+    expect(res.valid).toBe(false);
+    expect(res.errors).toEqual([
+      'clauses[0].chunk_id "b-chunk-404" is not a chunk of this document',
+      'clauses[0].risk must start with Low, Medium or High',
+      'clauses[1] must be an object',
+      '"notes" must be an array of strings'
+    ]);
+  });
+});
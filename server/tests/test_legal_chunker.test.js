@@ -0,0 +1,91 @@
+// server/tests/test_legal_chunker.test.js
+const request = require('supertest');
+const { chunkLegalStructure } = require('../lib/legalChunker');
+
+// Padding keeps clauses above the merge threshold so each stays its own chunk
+const PAD = ' The parties acknowledge that this provision applies in full to all activities under this Agreement.'
+  + ' It survives any change of control, assignment or novation of this Agreement.';
+
+const CONTRACT = [
+  'SERVICES AGREEMENT',
+  '',
+  'This Agreement is made between Acme Corp ("Supplier") and Beta LLC ("Customer").',
+  '',
+  '1. DEFINITIONS',
+  '1.1 "Affiliate" means any entity controlling a party.',
+  '1.2 "Confidential Information" means non-public information.',
+  '',
+  'ARTICLE IV',
+  '7. Termination',
+  `7.1 Either party may terminate on 30 days written notice.${PAD}`,
+  `7.2 The Customer may terminate immediately if the Supplier becomes insolvent.${PAD}`,
+  '8. Governing Law',
+  `8.1 This Agreement is governed by the laws of England.${PAD}`,
+  '8.2 The courts of London have jurisdiction, except that:',
+  `   (a) injunctions may be sought anywhere;${PAD}`,
+  `   (b) the Supplier may sue in the Customer's home courts.${PAD}`,
+  `Section 9.3 Notices must be in writing.${PAD}`
+].join('\r\n');
+
+describe('legal-structure chunker', () => {
+  test('offsets are exact and chunks never straddle top-level clauses', () => {
+    const chunks = chunkLegalStructure(CONTRACT);
+    for (const c of chunks) {
+      expect(CONTRACT.slice(c.start_char, c.end_char)).toBe(c.text);
+    }
+    expect(chunks.some(c => /7\.1/.test(c.text) && /8\.1/.test(c.text))).toBe(false);
+    expect(chunks.find(c => c.text.startsWith('(b)')).section_header).toBe('Article IV > 8 > 8.2 > (b)');
+    expect(chunks.find(c => c.text.startsWith('Section 9.3')).section_header).toBe('Article IV > 9 > 9.3');
+  });
+
+  test('headings merge into the clause they introduce and definitions stay together', () => {
+    const chunks = chunkLegalStructure(CONTRACT);
+    const termination = chunks.find(c => c.text.startsWith('ARTICLE IV'));
+    expect(termination.section_header).toBe('Article IV > 7 > 7.1');
+    expect(termination.text).toContain('7.1 Either party');
+
+    const definitions = chunks.find(c => c.text.startsWith('1. DEFINITIONS'));
+    expect(definitions.section_header).toBe('1');
+    expect(definitions.text).toContain('1.2 "Confidential Information"');
+    expect(chunks[0].section_header).toBe('SERVICES AGREEMENT');
+  });
+
+  test('a merged chunk keeps the path of its first clause unless that is a bare heading', () => {
+    const [chunk] = chunkLegalStructure('ARTICLE IV\n8. Governing Law\n8.1 England.\n8.2 Courts:\n(a) London\n(b) Paris');
+    expect(chunk.section_header).toBe('Article IV > 8');
+    expect(chunk.text).toContain('8.1 England.');
+
+    const [sub] = chunkLegalStructure('8.2 The courts of:\n(a) London\n(b) Paris');
+    expect(sub.section_header).toBe('8 > 8.2');
+  });
+
+  test('oversized clauses are split at sentence boundaries under the same path', () => {
+    const text = '5. Fees\n5.1 ' + Array.from({ length: 40 }, (_, i) => `Invoice ${i} is payable within 30 days.`).join(' ');
+    const chunks = chunkLegalStructure(text, { targetTokens: 100 });
+    expect(chunks.length).toBeGreaterThan(2);
+    for (const c of chunks) {
+      expect(text.slice(c.start_char, c.end_char)).toBe(c.text);
+      expect(c.section_header).toMatch(/^5/);
+    }
+  });
+});
+
+describe('chunking_strategy option', () => {
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'local';
+  });
+
+  test('POST /api/simplify builds clause-path chunks when legal-structure is requested', async () => {
+    const app = require('../index');
+    const res = await request(app)
+      .post('/api/simplify')
+      .send({ text: CONTRACT, chunking_strategy: 'legal-structure' })
+      .expect(200);
+
+    const audit = await request(app).get(res.body.audit_link).expect(200);
+    expect(audit.body.index_metadata.chunking_strategy).toBe('legal-structure');
+    expect(audit.body.chunks.map(c => c.section_header)).toContain('Article IV > 8 > 8.2 > (a)');
+
+    await request(app).post('/api/simplify').send({ text: CONTRACT, chunking_strategy: 'nope' }).expect(400);
+  });
+});
@@ -0,0 +1,85 @@
+// server/tests/test_map_reduce.test.js
+const request = require('supertest');
+const { _internals } = require('../lib/simplifier');
+
+const PAD = ' Each party acknowledges this clause was negotiated in good faith and applies throughout the term.'
+  + ' Nothing in this clause limits any other remedy available under applicable law.';
+
+const TOPICS = [
+  'Services. The Supplier provides hosting services to the Customer.',
+  'Fees. The Customer pays a monthly fee of $4,000 within 30 days of invoice.',
+  'Service Levels. The Supplier keeps the platform available 99.5% of each month.',
+  'Support. The Supplier answers support tickets within one business day.',
+  'Customer Data. The Customer owns all data it uploads to the platform.',
+  'Security. The Supplier maintains industry standard security controls.',
+  'Confidential Information. Each party keeps the other party\'s Confidential Information secret.',
+  'Intellectual Property. The Supplier keeps ownership of the platform software.',
+  'Warranties. The Supplier warrants the services match the documentation.',
+  'Term. This Agreement runs for two years from the Effective Date.',
+  'Termination. Either party may end this Agreement on 60 days written notice.',
+  'Indemnity. The Customer shall indemnify the Supplier against all third-party claims arising from its data.'
+];
+const LONG_CONTRACT = TOPICS.map((t, i) => `${i + 1}. ${t}${PAD}`).join('\n');
+
+describe('map-reduce helpers', () => {
+  test('groups consecutive chunks and starts a new group at each top-level clause', () => {
+    const chunks = ['1', '1 > 1.1', '1 > 1.2', '2', '2 > 2.1', '2 > 2.2', '2 > 2.3', '2 > 2.4', '2 > 2.5']
+      .map((section_header, i) => ({ chunk_id: `c${i}`, text: 'x', section_header }));
+    const groups = _internals.groupChunks(chunks, { maxChunks: 4 });
+    expect(groups.map(g => g.map(c => c.chunk_id))).toEqual([['c0', 'c1', 'c2'], ['c3', 'c4', 'c5', 'c6'], ['c7', 'c8']]);
+  });
+
+  test('runs at most `limit` calls at once and keeps input order', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const out = await _internals.mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, i) => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(r => setTimeout(r, ms));
+      inFlight--;
+      return i;
+    });
+    expect(out).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+  });
+});
+
+describe('POST /api/simplify map-reduce', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+  });
+
+  test('long documents are simplified chunk group by chunk group with full coverage', async () => {
+    const progressId = `test-${Date.now().toString(36)}`;
+    const res = await request(app)
+      .post('/api/simplify')
+      .send({ text: LONG_CONTRACT, chunking_strategy: 'legal-structure', progress_id: progressId })
+      .expect(200);
+
+    const { coverage, simplified } = res.body;
+    expect(coverage.total_chunks).toBeGreaterThan(8);
+    expect(coverage).toEqual(expect.objectContaining({ mode: 'map-reduce', ratio: 1, missing_chunk_ids: [], failed_chunk_ids: [] }));
+    expect(res.body.retrieved_chunk_ids).toHaveLength(coverage.total_chunks);
+    expect(res.body.parse_status).toBe('ok');
+    expect(simplified.clauses.some(c => /indemnify the Supplier/.test(c.original))).toBe(true);
+    expect(res.body.verification.ok).toBe(true);
+
+    const progress = await request(app).get(`/api/simplify/progress/${progressId}`).expect(200);
+    expect(progress.body).toEqual(expect.objectContaining({ finished: true, stage: 'verifying' }));
+  });
+
+  test('single mode reports the chunks it left out', async () => {
+    const res = await request(app)
+      .post('/api/simplify')
+      .send({ text: LONG_CONTRACT, chunking_strategy: 'legal-structure', simplify_mode: 'single' })
+      .expect(200);
+    expect(res.body.coverage.mode).toBe('single');
+    expect(res.body.coverage.summarized_chunks).toBe(8);
+    expect(res.body.coverage.missing_chunk_ids).toHaveLength(res.body.coverage.total_chunks - 8);
+
+    await request(app).post('/api/simplify').send({ text: LONG_CONTRACT, simplify_mode: 'everything' }).expect(400);
+    await request(app).get('/api/simplify/progress/not-a-known-id').expect(404);
+  });
+});
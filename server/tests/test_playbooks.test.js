@@ -0,0 +1,125 @@
+// server/tests/test_playbooks.test.js
+const request = require('supertest');
+const { validatePlaybook } = require('../lib/playbooks');
+const { findPeriods } = require('../lib/periods');
+const { _internals } = require('../lib/playbookCheck');
+
+// Unique per run: storage/ keeps playbooks from earlier runs
+const PLAYBOOK_ID = `test-${Date.now().toString(36)}`;
+
+const PLAYBOOK_YAML = `
+playbook_id: ${PLAYBOOK_ID}
+name: Test positions
+rules:
+  - rule_id: confidentiality-term
+    clause_type: confidentiality
+    requirement: Confidential information must be protected
+    severity: low
+`;
+
+const SERVICES_AGREEMENT = [
+  '1. Services. The Supplier shall provide the consulting services described in the order form.',
+  '2. Limitation of Liability. The aggregate liability of the Supplier shall not exceed the fees paid in the six (6) months before the claim.',
+  '3. Termination. The Supplier may terminate this Agreement at any time on 10 days notice.',
+  '4. Confidentiality. Each party shall keep the Confidential Information of the other party secret.',
+  '5. Governing Law. This Agreement is governed by the laws of the State of New York.'
+].join('\n\n');
+
+describe('playbook rules', () => {
+  test('validatePlaybook reports every problem', () => {
+    expect(validatePlaybook({
+      playbook_id: 'Bad Id',
+      rules: [{ rule_id: 'r1', clause_type: 'warranty', requirement: 'x', severity: 'urgent', check: { min: 3, must_include: ['('] } }]
+    })).toEqual([
+      expect.stringMatching(/playbook_id/),
+      'name is required',
+      expect.stringMatching(/rules\[0\]\.clause_type/),
+      expect.stringMatching(/rules\[0\]\.severity/),
+      expect.stringMatching(/rules\[0\]\.check\.unit/),
+      expect.stringMatching(/invalid pattern "\("/)
+    ]);
+  });
+
+  test('findPeriods reads digits, number words and parenthesised numbers', () => {
+    expect(findPeriods('within thirty (30) days, then 2 years, or six months').map(p => p.days)).toEqual([30, 730, 180]);
+  });
+
+  test('findPeriods prefers the parenthesised numeral and reads compound words and N-unit forms', () => {
+    expect(findPeriods('the fees paid in the twenty-four (24) months before the claim').map(p => [p.amount, p.text]))
+      .toEqual([[24, 'twenty-four (24) months']]);
+    expect(findPeriods('within forty-five days, or fourteen days').map(p => p.days)).toEqual([45, 14]);
+    expect(findPeriods('a 12-month cap and a five-year term').map(p => [p.amount, p.unit])).toEqual([[12, 'months'], [5, 'years']]);
+    expect(_internals.runCheck({ min: 12, unit: 'months' }, [{ chunk_id: 'c1', text: 'Liability shall not exceed the fees paid in the twenty-four (24) months before the claim.' }]).status)
+      .toBe('pass');
+  });
+  test('a period check judges the clause\'s own period, not a cure period next to it', () => {
+    const notice = { min: 30, unit: 'days' };
+    const clause = text => [{ chunk_id: 'c1', text }];
+    const ok = _internals.runCheck(notice, clause('Either party may terminate this Agreement on thirty (30) days notice. A party in breach shall cure the breach within 15 days.'), 'termination');
+    expect(ok.status).toBe('pass');
+    expect(ok.reasons).toEqual(['period "thirty (30) days" is at least 30 days']);
+    const short = _internals.runCheck(notice, clause('Either party may terminate this Agreement on 10 days notice. A party in breach shall cure the breach within 45 days.'), 'termination');
+    expect(short.status).toBe('fail');
+    expect(short.evidence.map(e => e.quote)).toEqual(['Either party may terminate this Agreement on 10 days notice.']);
+  });
+});
+
+describe('/api/playbooks and POST /api/bundles/:bundle_id/check', () => {
+  let app;
+  let bundleId;
+
+  beforeAll(async () => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+    const res = await request(app).post('/api/simplify').send({ text: SERVICES_AGREEMENT, chunking_strategy: 'legal-structure' }).expect(200);
+    bundleId = res.body.bundle_id;
+  });
+
+  afterAll(async () => {
+    await request(app).delete(`/api/playbooks/${PLAYBOOK_ID}`);
+  });
+
+  test('playbooks can be created from YAML, read, replaced and deleted', async () => {
+    const created = await request(app).post('/api/playbooks').set('Content-Type', 'text/yaml').send(PLAYBOOK_YAML).expect(201);
+    expect(created.body.rules).toHaveLength(1);
+    await request(app).post('/api/playbooks').set('Content-Type', 'text/yaml').send(PLAYBOOK_YAML).expect(409);
+
+    const list = await request(app).get('/api/playbooks').expect(200);
+    expect(list.body.playbooks).toEqual(expect.arrayContaining([
+      expect.objectContaining({ playbook_id: PLAYBOOK_ID, rule_count: 1 }),
+      expect.objectContaining({ playbook_id: 'house-positions' })
+    ]));
+    const asYaml = await request(app).get(`/api/playbooks/${PLAYBOOK_ID}?format=yaml`).expect(200);
+    expect(asYaml.text).toMatch(/rule_id: confidentiality-term/);
+
+    const bad = await request(app).put(`/api/playbooks/${PLAYBOOK_ID}`).send({ name: 'x', rules: [] }).expect(400);
+    expect(bad.body.details).toEqual(['rules must be a non-empty array']);
+    await request(app).post('/api/playbooks').set('Content-Type', 'text/yaml').send('rules: [unclosed').expect(400);
+    const replaced = await request(app).put(`/api/playbooks/${PLAYBOOK_ID}`).send({ ...created.body, name: 'Renamed' }).expect(200);
+    expect(replaced.body.name).toBe('Renamed');
+
+    const check = await request(app).post(`/api/bundles/${bundleId}/check?playbook=${PLAYBOOK_ID}`).expect(200);
+    expect(check.body.results[0]).toEqual(expect.objectContaining({ status: 'pass', method: 'llm', fallback_language: null }));
+    expect(check.body.results[0].evidence[0].chunk_id).toMatch(/chunk-004$/);
+
+    await request(app).delete(`/api/playbooks/${PLAYBOOK_ID}`).expect(204);
+    await request(app).get(`/api/playbooks/${PLAYBOOK_ID}`).expect(404);
+  });
+
+  test('the example playbook flags the short cap and unilateral termination with cited evidence', async () => {
+    const res = await request(app).post(`/api/bundles/${bundleId}/check`).query({ playbook: 'house-positions' }).expect(200);
+    const byRule = Object.fromEntries(res.body.results.map(r => [r.rule_id, r]));
+
+    expect(byRule['liability-cap']).toEqual(expect.objectContaining({ status: 'fail', method: 'rules' }));
+    expect(byRule['liability-cap'].evidence[0].quote).toMatch(/six \(6\) months/);
+    expect(byRule['liability-cap'].fallback_language).toMatch(/twelve \(12\) months/);
+    expect(byRule['termination-notice'].status).toBe('fail');
+    expect(byRule['termination-notice'].reasons).toEqual(expect.arrayContaining([expect.stringMatching(/10 days/), expect.stringMatching(/at any time/)]));
+    expect(byRule['governing-law']).toEqual(expect.objectContaining({ status: 'pass', fallback_language: null }));
+    expect(byRule['no-non-compete'].status).toBe('pass');
+    expect(res.body.summary).toEqual({ total: 4, pass: 2, fail: 2, missing: 0, high_severity_issues: ['liability-cap', 'termination-notice'] });
+
+    await request(app).post(`/api/bundles/${bundleId}/check`).expect(400);
+    await request(app).post(`/api/bundles/${bundleId}/check?playbook=no-such-playbook`).expect(404);
+  });
+});
@@ -0,0 +1,130 @@
+// server/tests/test_providers.test.js
+const request = require('supertest');
+
+const NDA_TEXT = 'This Non-Disclosure Agreement is made between Acme Corp and Beta LLC. '
+  + 'The Receiving Party shall keep all Confidential Information secret for five years. '
+  + 'Either party may terminate this Agreement with 30 days written notice.';
+
+describe('provider selection', () => {
+  const saved = {};
+  beforeEach(() => {
+    for (const k of ['LLM_PROVIDER', 'OPENAI_API_KEY', 'OPENAI_BASE_URL']) saved[k] = process.env[k];
+  });
+  afterEach(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k]; else process.env[k] = v;
+    }
+    jest.resetAllMocks();
+  });
+
+  test('defaults to local without an API key and honours LLM_PROVIDER', () => {
+    const { getProvider } = require('../lib/providers');
+    delete process.env.LLM_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_BASE_URL;
+    expect(getProvider().name).toBe('local');
+    process.env.LLM_PROVIDER = 'openai';
+    expect(getProvider().name).toBe('openai');
+    process.env.LLM_PROVIDER = 'nope';
+    expect(() => getProvider()).toThrow(/Unknown LLM_PROVIDER/);
+  });
+
+  test('openai provider calls OPENAI_BASE_URL without requiring a key', async () => {
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.OPENAI_BASE_URL = 'http://localhost:8080/v1/';
+    delete process.env.OPENAI_API_KEY;
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] })
+    }));
+    const { batchGetEmbeddings } = require('../lib/embeddings');
+
+    const vectors = await batchGetEmbeddings(['a', 'b']);
+
+    expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:8080/v1/embeddings');
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+    expect(vectors).toEqual([[1, 0], [0, 1]]);
+  });
+
+  test('openai provider streams chat deltas split across network chunks', async () => {
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.OPENAI_BASE_URL = 'http://localhost:8080/v1';
+    const sse = 'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n'
+      + 'data: {"choices":[{"delta":{"content":"Not in "}}]}\n\n'
+      + 'data: {"choices":[{"delta":{"content":"document"},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n';
+    const pieces = [sse.slice(0, 70), sse.slice(70, 101), sse.slice(101)].map(p => Buffer.from(p));
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      body: (async function* body() { yield* pieces; }())
+    }));
+    const { chatComplete } = require('../lib/embeddings');
+
+    const tokens = [];
+    const result = await chatComplete([{ role: 'user', content: 'Hi' }], { onToken: t => tokens.push(t) });
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    expect(tokens).toEqual(['Not in ', 'document']);
+    expect(result).toEqual(expect.objectContaining({ content: 'Not in document', provider: 'openai' }));
+    expect(result.raw.finish_reason).toBe('stop');
+  });
+});
+
+describe('local provider', () => {
+  const local = require('../lib/providers/local');
+
+  test('embeddings are deterministic, normalised and similarity-preserving', async () => {
+    const [a, b, c, a2] = await local.embed([
+      'Either party may terminate this Agreement with 30 days notice.',
+      'How much notice is needed to terminate the agreement?',
+      'Payment is due within fifteen days of invoice.',
+      'Either party may terminate this Agreement with 30 days notice.'
+    ]);
+    const { cosineSimilarity } = require('../lib/embeddings');
+    expect(a).toEqual(a2);
+    expect(Math.sqrt(a.reduce((s, v) => s + v * v, 0))).toBeCloseTo(1, 6);
+    expect(cosineSimilarity(a, b)).toBeGreaterThan(cosineSimilarity(a, c));
+  });
+
+  test('simplify task returns the JSON contract with one clause per source', async () => {
+    const sources = [{ chunk_id: 'bundle-1-x-chunk-001', text: 'The Receiving Party shall not disclose Confidential Information prior to written consent.' }];
+    const { content } = await local.chat([], { task: 'simplify', context: { sources } });
+    const parsed = JSON.parse(content);
+    expect(parsed.clauses[0]).toEqual(expect.objectContaining({
+      chunk_id: 'bundle-1-x-chunk-001',
+      simplified: 'The Receiving Party must not disclose Confidential Information before written consent.'
+    }));
+    expect(parsed.clauses[0].risk).toMatch(/^Medium - /);
+    expect(typeof parsed.overall_summary).toBe('string');
+  });
+
+  test('ask task quotes matching sentences with citations, or says Not in document', async () => {
+    const sources = [{ chunk_id: 'bundle-1-x-chunk-002', text: NDA_TEXT }];
+    const hit = await local.chat([], { task: 'ask', context: { question: 'How do I terminate?', sources } });
+    expect(hit.content).toBe('"Either party may terminate this Agreement with 30 days written notice." [bundle-1-x-chunk-002]');
+    const miss = await local.chat([], { task: 'ask', context: { question: 'What about pets?', sources } });
+    expect(miss.content).toBe('Not in document');
+  });
+});
+
+describe('API without an API key (local provider)', () => {
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'local';
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  test('simplify then ask end to end', async () => {
+    const app = require('../index');
+    const simplified = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    expect(simplified.body.simplified.clauses.length).toBe(simplified.body.retrieved_chunk_ids.length);
+
+    const res = await request(app)
+      .post('/api/ask')
+      .send({ bundle_id: simplified.body.bundle_id, question: 'How long must information stay secret?' })
+      .expect(200);
+    expect(res.body.answer).toMatch(/five years/);
+    expect(res.body.hallucination).toBe(false);
+
+    const audit = await request(app).get(`/api/audit/${simplified.body.bundle_id}`).expect(200);
+    expect(audit.body.index_metadata.embedding_model).toBe('local-hash-bow-384');
+  });
+});
@@ -0,0 +1,79 @@
+// server/tests/test_redaction.test.js
+const request = require('supertest');
+const { buildRedactionMap, createRedactor } = require('../lib/piiRedaction');
+
+const AGREEMENT = [
+  'SERVICES AGREEMENT',
+  'This Agreement is made between Harlow Robotics Ltd (the "Supplier") and Janet Okafor (the "Client").',
+  '1. Notices. Notices to the Client go to janet.okafor@example.com or +44 20 7946 0958, at 221B Baker Street, London NW1 6XE.',
+  '2. Payment. The Client pays each invoice to IBAN GB82 WEST 1234 5698 7654 32 within 30 days.',
+  '3. Identity. The Client confirms that her passport no. X1234567 and SSN 123-45-6789 are current.'
+].join('\n\n');
+
+const VALUES = ['Harlow Robotics Ltd', 'Janet Okafor', 'janet.okafor@example.com', '+44 20 7946 0958', 'GB82 WEST 1234 5698 7654 32', '123-45-6789'];
+
+function chunksOf(text) {
+  return text.split('\n\n').map((t, i) => ({ chunk_id: `c${i}`, text: t }));
+}
+
+describe('PII redaction', () => {
+  test('detectors build stable placeholders that restore exactly, also across streamed tokens', () => {
+    const map = buildRedactionMap(AGREEMENT, chunksOf(AGREEMENT));
+    const byValue = Object.fromEntries(map.entities.map(e => [e.value, e.placeholder]));
+    expect(byValue).toMatchObject({
+      'Harlow Robotics Ltd': '[PARTY_A]',
+      'Janet Okafor': '[PARTY_B]',
+      'janet.okafor@example.com': '[EMAIL_1]',
+      '+44 20 7946 0958': '[PHONE_1]',
+      '221B Baker Street, London NW1 6XE': '[ADDRESS_1]',
+      'GB82 WEST 1234 5698 7654 32': '[IBAN_1]',
+      X1234567: '[NATIONAL_ID_1]',
+      '123-45-6789': '[NATIONAL_ID_2]'
+    });
+    expect(Object.keys(byValue)).not.toContain('30'); // plain amounts and periods stay
+
+    const redactor = createRedactor(map.entities);
+    const redacted = redactor.redact(AGREEMENT);
+    for (const value of VALUES) expect(redacted).not.toContain(value);
+    expect(redactor.restore(redacted)).toBe(AGREEMENT);
+    expect(redactor.redact('Call Janet Okafor on 020 7946 0000')).toBe('Call [PARTY_B] on [PHONE_2]');
+
+    const tokens = [];
+    const stream = redactor.streamRestorer(t => tokens.push(t));
+    for (const t of ['Pay [PAR', 'TY_A] at [IBA', 'N_1', '] now [']) stream.push(t);
+    stream.flush();
+    expect(tokens.join('')).toBe('Pay Harlow Robotics Ltd at GB82 WEST 1234 5698 7654 32 now [');
+  });
+
+  test('the provider only sees placeholders, the answer shows the values, and redact=false turns it off', async () => {
+    process.env.LLM_PROVIDER = 'local';
+    const app = require('../index');
+    const local = require('../lib/providers/local');
+    const { createBundleForText, deleteBundle } = require('../lib/mcp');
+
+    const bundle = await createBundleForText(AGREEMENT, { title: 'services.txt' });
+    expect(bundle.redaction.entities.map(e => e.value)).toEqual(expect.arrayContaining(VALUES));
+    const spy = jest.spyOn(local, 'chat');
+    try {
+      const ask = await request(app).post('/api/ask')
+        .send({ bundle_id: bundle.bundle_id, question: 'Where do notices to Janet Okafor go?', retrieval_mode: 'lexical' })
+        .expect(200);
+      const seen = JSON.stringify(spy.mock.calls);
+      for (const value of VALUES) expect(seen).not.toContain(value);
+      expect(seen).toContain('[PARTY_B]');
+      expect(ask.body.answer).not.toMatch(/\[(?:PARTY|EMAIL|PHONE)_\w+\]/);
+      expect(ask.body.answer).toMatch(/janet\.okafor@example\.com|Janet Okafor/);
+
+      spy.mockClear();
+      await request(app).post('/api/ask')
+        .send({ bundle_id: bundle.bundle_id, question: 'Where do notices go?', retrieval_mode: 'lexical', redact: false })
+        .expect(200);
+      expect(JSON.stringify(spy.mock.calls)).toContain('janet.okafor@example.com');
+
+      await request(app).post('/api/ask').send({ bundle_id: bundle.bundle_id, question: 'x', redact: 'maybe' }).expect(400);
+    } finally {
+      spy.mockRestore();
+      await deleteBundle(bundle.bundle_id);
+    }
+  });
+});
@@ -0,0 +1,118 @@
+// server/tests/test_retention.test.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const storage = require('../lib/storage');
+
+const RUN = Date.now().toString(36);
+
+const CHARTER = [
+  '1. Vessel. The Owner charters the motor yacht Aurora to the Charterer for a seven day cruise.',
+  '2. Crew. The Owner shall provide a skipper and one deckhand for the whole charter period.',
+  '3. Fuel. The Charterer shall pay for fuel consumed during the cruise on return of the vessel.'
+].join('\n\n');
+
+describe('retention and erasure', () => {
+  let app;
+  let mcp;
+  let retention;
+  // the sweeper erases every expired bundle it finds: run it on a storage of its own, not server/storage
+  let STORAGE;
+  let backend;
+  let previous;
+  const exists = p => fs.existsSync(path.join(STORAGE, p));
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'local';
+    STORAGE = fs.mkdtempSync(path.join(os.tmpdir(), 'lexi-retention-'));
+    backend = storage.createBackend('fs', { root: STORAGE });
+    previous = storage.setBackend(backend);
+    app = require('../index');
+    mcp = require('../lib/mcp');
+    retention = require('../lib/retention');
+  });
+
+  afterAll(() => {
+    storage.setBackend(previous);
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+  });
+
+  test('the sweeper erases expired bundles with their logs and sessions and leaves a tombstone', async () => {
+    const uploader = `sweep-${RUN}`;
+    const expired = await mcp.createBundleForText(CHARTER, { uploader_id: uploader, retention_days: 0 });
+    const kept = await mcp.createBundleForText(CHARTER, { uploader_id: uploader, retention_days: 30 });
+    const session = await request(app).post('/api/sessions').send({ bundle_id: expired.bundle_id, uploader_id: uploader }).expect(201);
+    const asked = await request(app).post('/api/ask').send({ bundle_id: expired.bundle_id, question: 'Who pays for fuel?' }).expect(200);
+
+    const plan = await retention.sweepExpired({ dryRun: true });
+    expect(plan.bundles.map(b => b.bundle_id)).toContain(expired.bundle_id);
+    expect(plan.bundles.map(b => b.bundle_id)).not.toContain(kept.bundle_id);
+    expect(exists(`bundles/${expired.bundle_id}.json`)).toBe(true);
+
+    const report = await retention.sweepExpired();
+    expect(report.dry_run).toBe(false);
+    expect(report.removed.bundles).toBe(1);
+    expect(exists(`bundles/${expired.bundle_id}.json`)).toBe(false);
+    expect(exists(`sessions/${session.body.session_id}.json`)).toBe(false);
+    expect(exists(`logs/${asked.body.log_id}.json`)).toBe(false);
+    expect(exists(`bundles/${kept.bundle_id}.json`)).toBe(true);
+
+    const tombstone = JSON.parse(fs.readFileSync(path.join(STORAGE, 'tombstones', `${expired.bundle_id}.json`), 'utf8'));
+    expect(tombstone).toMatchObject({
+      bundle_id: expired.bundle_id,
+      reason: 'retention',
+      retention_days: 0,
+      uploader_hash: retention.hashUploader(uploader),
+      removed: { bundles: 1, sessions: 1, logs: 1 }
+    });
+    expect(JSON.stringify(tombstone)).not.toMatch(/Aurora|sweep-/);
+  });
+
+  test('DELETE /api/uploaders/:id reports in dry-run mode and then erases everything of the uploader', async () => {
+    const uploader = `erase-${RUN}`;
+    const own = await mcp.createBundleForText(CHARTER, { uploader_id: uploader });
+    const other = await mcp.createBundleForText(CHARTER, { uploader_id: `other-${RUN}` });
+    const ownSession = await request(app).post('/api/sessions').send({ bundle_id: other.bundle_id, uploader_id: uploader }).expect(201);
+    // a question the uploader asked about someone else's bundle (signed in: routes/ask.js sets asked_by)
+    const ownLogId = crypto.randomUUID();
+    await storage.put('logs', ownLogId, { bundle_id: other.bundle_id, session_id: null, asked_by: uploader, question: 'Who pays for fuel?' });
+    const otherLogId = crypto.randomUUID();
+    await storage.put('logs', otherLogId, { bundle_id: other.bundle_id, session_id: null, asked_by: `other-${RUN}`, question: 'Who pays?' });
+
+    const dry = await request(app).delete(`/api/uploaders/${uploader}`).query({ dry_run: 'true' }).expect(200);
+    expect(dry.body).toMatchObject({ uploader_id: uploader, dry_run: true, removed: { bundles: 1, sessions: 1, logs: 1 } });
+    expect(dry.body.bundles.map(b => b.bundle_id)).toEqual([own.bundle_id]);
+    expect(exists(`bundles/${own.bundle_id}.json`)).toBe(true);
+
+    const done = await request(app).delete(`/api/uploaders/${uploader}`).expect(200);
+    expect(done.body).toMatchObject({ dry_run: false, removed: { bundles: 1, sessions: 1, logs: 1 } });
+    expect(exists(`bundles/${own.bundle_id}.json`)).toBe(false);
+    expect(exists(`sessions/${ownSession.body.session_id}.json`)).toBe(false);
+    expect(exists(`logs/${ownLogId}.json`)).toBe(false);
+    expect(exists(`logs/${otherLogId}.json`)).toBe(true);
+    expect(exists(`bundles/${other.bundle_id}.json`)).toBe(true);
+    const tombstone = JSON.parse(fs.readFileSync(path.join(STORAGE, 'tombstones', `${own.bundle_id}.json`), 'utf8'));
+    expect(tombstone.reason).toBe('uploader_erasure');
+
+    const again = await request(app).delete(`/api/uploaders/${uploader}`).expect(200);
+    expect(again.body.removed).toMatchObject({ bundles: 0, sessions: 0 });
+    await request(app).delete(`/api/uploaders/${uploader}`).query({ dry_run: 'yes' }).expect(400);
+    await mcp.deleteBundle(other.bundle_id);
+  });
+
+  test('DELETE /api/bundles/:id erases the bundle with its logs and sessions', async () => {
+    const bundle = await mcp.createBundleForText(CHARTER, { uploader_id: `delete-${RUN}` });
+    const session = await request(app).post('/api/sessions').send({ bundle_id: bundle.bundle_id }).expect(201);
+    const asked = await request(app).post('/api/ask').send({ bundle_id: bundle.bundle_id, question: 'Who provides the crew?' }).expect(200);
+
+    await request(app).delete(`/api/bundles/${bundle.bundle_id}`).expect(204);
+    expect(exists(`bundles/${bundle.bundle_id}.json`)).toBe(false);
+    expect(exists(`bundles/${bundle.bundle_id}-meta.json`)).toBe(false);
+    expect(exists(`sessions/${session.body.session_id}.json`)).toBe(false);
+    expect(exists(`logs/${asked.body.log_id}.json`)).toBe(false);
+    expect(await storage.get('tombstones', bundle.bundle_id)).toMatchObject({ reason: 'deleted', removed: { bundles: 1, sessions: 1, logs: 1 } });
+    await request(app).delete(`/api/bundles/${bundle.bundle_id}`).expect(404);
+  });
+});
@@ -0,0 +1,101 @@
+// server/tests/test_retrieval.test.js
+const request = require('supertest');
+const { buildBm25Index, scoreBm25, tokenize } = require('../lib/bm25');
+
+const PAD = ' Each party acknowledges this clause was negotiated in good faith and applies throughout the term.'
+  + ' Nothing in this clause limits any other remedy available under applicable law.';
+
+const CONTRACT = [
+  `1. Services. The Supplier provides hosting and support services to the Customer.${PAD}`,
+  `2. Fees. The Customer pays a monthly fee of $4,000 within 30 days of invoice.${PAD}`,
+  `3. Termination. Either party may end this Agreement under Section 12.3 on 60 days notice.${PAD}`,
+  `4. Confidential Information. Each party keeps the other party's Confidential Information secret.${PAD}`
+].join('\n');
+
+describe('BM25 index', () => {
+  test('keeps section numbers and normalises amounts', () => {
+    expect(tokenize('Section 12.3 fees of $4,000')).toEqual(['section', '12.3', 'fee', '4000']);
+  });
+
+  test('ranks exact legal terms first', () => {
+    const chunks = CONTRACT.split('\n').map((text, i) => ({ chunk_id: `c${i + 1}`, text }));
+    const index = buildBm25Index(chunks);
+    expect(index.doc_count).toBe(4);
+    expect(scoreBm25(index, 'Section 12.3')[0].chunk_id).toBe('c3');
+    expect(scoreBm25(index, 'what is the 4000 fee')[0].chunk_id).toBe('c2');
+    expect(scoreBm25(index, 'zzz unrelated')).toEqual([]);
+  });
+});
+
+describe('POST /api/ask retrieval modes', () => {
+  let app;
+  let bundleId;
+
+  beforeAll(async () => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+    const res = await request(app)
+      .post('/api/simplify')
+      .send({ text: CONTRACT, chunking_strategy: 'legal-structure' })
+      .expect(200);
+    bundleId = res.body.bundle_id;
+  });
+
+  test('bundles carry a BM25 index from creation', async () => {
+    const audit = await request(app).get(`/api/audit/${bundleId}`).expect(200);
+    expect(audit.body.index_metadata.lexical_index).toBe('bm25');
+    expect(audit.body.lexical_index.doc_count).toBe(audit.body.chunks.length);
+  });
+
+  test('lexical, hybrid and reranked retrieval report per-stage scores', async () => {
+    const question = 'What does Section 12.3 say?';
+    const lexical = await request(app)
+      .post('/api/ask')
+      .send({ bundle_id: bundleId, question, retrieval_mode: 'lexical' })
+      .expect(200);
+    expect(lexical.body.retrieval_mode).toBe('lexical');
+    expect(lexical.body.retrieved_chunks[0].snippet).toMatch(/Section 12\.3/);
+    expect(lexical.body.retrieved_chunks[0].scores).toEqual(expect.objectContaining({ vector: null, lexical_rank: 1 }));
+
+    const hybrid = await request(app)
+      .post('/api/ask')
+      .send({ bundle_id: bundleId, question, retrieval_mode: 'hybrid', rerank: true })
+      .expect(200);
+    const best = hybrid.body.retrieved_chunks[0];
+    expect(hybrid.body.reranked).toBe(true);
+    expect(best.snippet).toMatch(/Section 12\.3/);
+    expect(best.scores).toEqual(expect.objectContaining({
+      vector: expect.any(Number),
+      lexical: expect.any(Number),
+      fused: expect.any(Number),
+      rerank: expect.any(Number)
+    }));
+    expect(best.score).toBe(best.scores.rerank);
+
+    await request(app).post('/api/ask').send({ bundle_id: bundleId, question, retrieval_mode: 'fuzzy' }).expect(400);
+  });
+
+  test('a model that starts returning vectors of another size resets the index instead of failing', async () => {
+    const provider = require('../lib/providers').getProvider();
+    const { getVectorIndex } = require('../lib/vectorIndex');
+    const question = 'What is the monthly fee?';
+    await request(app).post('/api/ask').send({ bundle_id: bundleId, question, retrieval_mode: 'vector' }).expect(200);
+    const index = await getVectorIndex();
+    const dim = index.dim;
+
+    // same model name, smaller vectors (e.g. another deployment behind it)
+    const embed = provider.embed;
+    const spy = jest.spyOn(provider, 'embed').mockImplementation(async texts => (await embed(texts)).map(v => v.slice(0, 8)));
+    try {
+      const res = await request(app).post('/api/ask').send({ bundle_id: bundleId, question, retrieval_mode: 'vector' }).expect(200);
+      expect(res.body.retrieved_chunks.length).toBeGreaterThan(0);
+      expect(index.dim).toBe(8);
+      expect(index.hasBundle(bundleId)).toBe(true);
+      await request(app).get('/api/search').query({ q: 'monthly fee' }).expect(200);
+    } finally {
+      spy.mockRestore();
+    }
+    await request(app).post('/api/ask').send({ bundle_id: bundleId, question, retrieval_mode: 'vector' }).expect(200);
+    expect(index.dim).toBe(dim);
+  });
+});
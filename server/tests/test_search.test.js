@@ -0,0 +1,82 @@
+// server/tests/test_search.test.js
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+const { FlatVectorIndex } = require('../lib/vectorIndex');
+
+// Unique per run: storage/ keeps bundles from earlier runs
+const RUN = `Zq${Date.now().toString(36)}`;
+
+// RUN stays outside the party names: those are redacted before embedding (lib/piiRedaction.js)
+const NDA_TEXT = `Mutual Non-Disclosure Agreement ${RUN} between Alpha Holdings and Beta LLC. `
+  + 'The Receiving Party shall keep all Confidential Information secret for a term of five years. '
+  + 'Confidentiality obligations survive termination of this Agreement.';
+const LEASE_TEXT = `Commercial Lease ${RUN} between Alpha Holdings and Gamma Properties. `
+  + 'The Tenant shall pay monthly rent of 4,000 dollars on the first day of each month. '
+  + 'The Landlord is responsible for structural repairs to the building.';
+
+describe('FlatVectorIndex', () => {
+  test('searches by cosine, filters by bundle and survives a save/load round trip', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexi-index-'));
+    const index = new FlatVectorIndex('test-model', dir);
+    index.upsert('emb-a', [1, 0, 0], { bundle_id: 'b1', chunk_id: 'b1-chunk-001' });
+    index.upsert('emb-b', [0, 1, 0], { bundle_id: 'b1', chunk_id: 'b1-chunk-002' });
+    index.upsert('emb-b', [0, 1, 0], { bundle_id: 'b2', chunk_id: 'b2-chunk-001' }); // same text, other bundle
+    index.bundles = { b1: 2, b2: 1 };
+    await index.save();
+
+    const loaded = await FlatVectorIndex.load('test-model', dir);
+    expect(loaded.size).toBe(2);
+    const [best] = loaded.search([0.1, 0.9, 0], { topK: 1 });
+    expect(best.embedding_id).toBe('emb-b');
+    expect(best.refs).toHaveLength(2);
+    expect(loaded.search([0.1, 0.9, 0], { bundleIds: ['b2'] }).map(h => h.embedding_id)).toEqual(['emb-b']);
+
+    loaded.removeBundle('b1');
+    expect(loaded.size).toBe(1);
+    expect(loaded.search([1, 0, 0])).toEqual([expect.objectContaining({ embedding_id: 'emb-b', refs: [{ bundle_id: 'b2', chunk_id: 'b2-chunk-001' }] })]);
+    expect(() => loaded.upsert('emb-c', [1, 0], null)).toThrow(/dimension/);
+  });
+});
+
+describe('GET /api/search', () => {
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'local';
+  });
+
+  test('finds chunks across bundles and honours bundle_ids', async () => {
+    const app = require('../index');
+    const nda = await request(app).post('/api/simplify').send({ text: NDA_TEXT, title: 'nda.txt' }).expect(200);
+    const lease = await request(app).post('/api/simplify').send({ text: LEASE_TEXT, title: 'lease.txt' }).expect(200);
+
+    const res = await request(app)
+      .get('/api/search')
+      .query({ q: `${RUN} confidential information five years`, top_k: 3 })
+      .expect(200);
+    expect(res.body.results[0]).toEqual(expect.objectContaining({
+      bundle_id: nda.body.bundle_id,
+      doc_title: 'nda.txt',
+      chunk_id: nda.body.retrieved_chunk_ids[0],
+      score: expect.any(Number)
+    }));
+    expect(res.body.results[0].snippet).toMatch(/five years/);
+
+    const rent = await request(app).get('/api/search').query({ q: `${RUN} monthly rent` }).expect(200);
+    expect(rent.body.results[0].bundle_id).toBe(lease.body.bundle_id);
+
+    const scoped = await request(app)
+      .get('/api/search')
+      .query({ q: 'confidential information', bundle_ids: lease.body.bundle_id })
+      .expect(200);
+    expect(scoped.body.results.every(r => r.bundle_id === lease.body.bundle_id)).toBe(true);
+  });
+
+  test('validates parameters', async () => {
+    const app = require('../index');
+    await request(app).get('/api/search').expect(400);
+    await request(app).get('/api/search').query({ q: 'rent', top_k: 0 }).expect(400);
+    await request(app).get('/api/search').query({ q: 'rent', bundle_ids: 'bundle-0-missing' }).expect(404);
+  });
+});
@@ -0,0 +1,75 @@
+// server/tests/test_sessions.test.js
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { historyForPrompt } = require('../lib/sessions');
+
+const NDA_TEXT = 'This Non-Disclosure Agreement is made between Acme Corp and Beta LLC. '
+  + 'The Receiving Party shall keep all Confidential Information secret for five years. '
+  + 'The Disclosing Party may share information only with written consent. '
+  + 'Either party may terminate this Agreement with 30 days written notice.';
+
+describe('historyForPrompt', () => {
+  test('keeps the newest whole turns that fit the token budget, oldest first', () => {
+    const turns = [
+      { question: 'q1'.repeat(40), answer: 'a1'.repeat(40) }, // 40 tokens
+      { question: 'q2', answer: 'a2' },
+      { question: 'q3', answer: 'a3' }
+    ];
+    expect(historyForPrompt(turns, 10).map(m => m.content)).toEqual(['q2', 'a2', 'q3', 'a3']);
+    expect(historyForPrompt(turns, 0)).toEqual([]);
+  });
+});
+
+describe('chat sessions API', () => {
+  let app;
+  let bundleId;
+
+  beforeAll(async () => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+    const res = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    bundleId = res.body.bundle_id;
+  });
+
+  test('follow-ups are condensed, answered with history and persisted for resuming', async () => {
+    const created = await request(app).post('/api/sessions').send({ bundle_id: bundleId }).expect(201);
+    const sessionId = created.body.session_id;
+    expect(created.body.turns).toEqual([]);
+
+    const first = await request(app)
+      .post(`/api/sessions/${sessionId}/messages`)
+      .send({ question: 'How long must the Receiving Party keep information secret?' })
+      .expect(200);
+    expect(first.body).toEqual(expect.objectContaining({ session_id: sessionId, turn_index: 0 }));
+    expect(first.body.standalone_question).toBe('How long must the Receiving Party keep information secret?');
+
+    const followUp = await request(app)
+      .post(`/api/sessions/${sessionId}/messages`)
+      .send({ question: 'What about the other party?' })
+      .expect(200);
+    expect(followUp.body.turn_index).toBe(1);
+    expect(followUp.body.standalone_question).toMatch(/^What about the other party \(regarding: How long must the Receiving Party/);
+
+    const log = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'storage', 'logs', `${followUp.body.log_id}.json`), 'utf8'));
+    expect(log.history_turns).toBe(1);
+    expect(log.prompt.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(log.prompt[1].content).toBe('How long must the Receiving Party keep information secret?');
+
+    const resumed = await request(app).get(`/api/sessions/${sessionId}`).expect(200);
+    expect(resumed.body.turns.map(t => t.question)).toEqual([
+      'How long must the Receiving Party keep information secret?',
+      'What about the other party?'
+    ]);
+    expect(resumed.body.turns[1].answer).toBe(followUp.body.answer);
+  });
+
+  test('validates bundles, sessions and questions', async () => {
+    await request(app).post('/api/sessions').send({}).expect(400);
+    await request(app).post('/api/sessions').send({ bundle_id: 'bundle-missing' }).expect(404);
+    await request(app).get('/api/sessions/../../etc/passwd').expect(404);
+    await request(app).post('/api/sessions/sess-00000000-0000-0000-0000-000000000000/messages').send({ question: 'Hi?' }).expect(404);
+    const created = await request(app).post('/api/sessions').send({ bundle_id: bundleId }).expect(201);
+    await request(app).post(`/api/sessions/${created.body.session_id}/messages`).send({}).expect(400);
+  });
+});
@@ -0,0 +1,94 @@
+// server/tests/test_storage.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const storage = require('../lib/storage');
+
+const BUNDLES = storage.COLLECTIONS.bundles;
+
+describe('storage ids', () => {
+  test('ids that could leave their collection or collide with side records are rejected', async () => {
+    for (const id of ['../../etc/passwd', 'a/b', '..', '.hidden', 'bundle-1\u0000', '', 'x'.repeat(200)]) {
+      expect(storage.isValidId('bundles', id)).toBe(false);
+    }
+    expect(storage.isValidId('bundles', 'bundle-1695200000000-1a2b3c4d')).toBe(true);
+    expect(storage.isValidId('bundles', 'bundle-1-ab12cd34-result')).toBe(false);
+    expect(storage.isValidId('bundles', 'bundle-1-ab12cd34-meta')).toBe(false);
+    expect(storage.isValidId('sessions', 'bundle-1-ab12cd34')).toBe(false);
+    await expect(storage.get('bundles', '../users/admin')).rejects.toThrow(storage.InvalidIdError);
+    await expect(storage.put('logs', 'not-a-uuid', {})).rejects.toThrow(/invalid logs id/);
+  });
+
+  test('the API answers 400 for a malformed bundle id', async () => {
+    process.env.LLM_PROVIDER = 'local';
+    const app = require('../index');
+    const res = await request(app).get('/api/bundles/..%2F..%2Fusers%2Fadmin/facts').expect(400);
+    expect(res.body.error).toMatch(/invalid bundle_id/);
+    await request(app).post('/api/ask').send({ bundle_id: '../logs/x', question: 'Who pays?' }).expect(400);
+  });
+});
+
+describe.each(['fs', 'sqlite'])('%s backend', name => {
+  let dir;
+  let backend;
+  let previous;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), `lexi-storage-${name}-`));
+    backend = storage.createBackend(name, name === 'fs' ? { root: dir } : { file: path.join(dir, 'test.db') });
+    previous = storage.setBackend(backend);
+  });
+
+  afterAll(() => {
+    storage.setBackend(previous);
+    if (backend.close) backend.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records round-trip and side records stay out of the bundle listing', async () => {
+    const id = 'bundle-1-ab12cd34';
+    await storage.put('bundles', id, { bundle_id: id, doc_title: 'Lease' });
+    await storage.put('results', id, { bundle_id: id, simplified: [] });
+    expect(await storage.get('bundles', id)).toEqual({ bundle_id: id, doc_title: 'Lease' });
+    expect(await storage.list('bundles')).toEqual([id]);
+    expect(await storage.exists('results', id)).toBe(true);
+    expect(await storage.create('bundles', id, {})).toBe(false);
+
+    expect(await storage.remove('bundles', id)).toBe(true);
+    expect(await storage.remove('bundles', id)).toBe(false);
+    expect(await storage.get('bundles', id)).toBeNull();
+    if (name === 'fs') expect(fs.readdirSync(path.join(dir, BUNDLES.dir))).toEqual([`${id}-result.json`]);
+  });
+
+  test('concurrent updates of one record are all kept', async () => {
+    const id = 'bundle-2-ab12cd34';
+    await storage.put('bundles', id, { bundle_id: id, chunks: [] });
+    await Promise.all(Array.from({ length: 20 }, (_, i) => storage.update('bundles', id, current => {
+      current.chunks.push(i);
+      return current;
+    })));
+    const stored = await storage.get('bundles', id);
+    expect(stored.chunks.sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, i) => i));
+    expect(await storage.update('bundles', 'bundle-3-ab12cd34', current => current || undefined)).toBeNull();
+    if (name === 'fs') expect(fs.readdirSync(path.join(dir, BUNDLES.dir)).filter(n => !n.endsWith('.json'))).toEqual([]);
+  });
+
+  test('bundles are listed from their metadata records', async () => {
+    const mcp = require('../lib/mcp');
+    const id = 'bundle-4-ab12cd34';
+    const legacy = 'bundle-5-ab12cd34';
+    await mcp.saveBundle({ bundle_id: id, doc_title: 'Lease', created_at: '2024-01-02T00:00:00Z', uploader_id: 'alice', chunks: [{}, {}] });
+    await storage.put('bundles', legacy, { bundle_id: legacy, doc_title: 'Old NDA', created_at: '2023-01-01T00:00:00Z', chunks: [{}] });
+    expect(await storage.get('bundle_meta', id)).toMatchObject({ doc_title: 'Lease', uploader_id: 'alice', chunk_count: 2 });
+    expect(await storage.list('bundles')).not.toContain(`${id}-meta`);
+
+    await mcp.updateBundle(id, b => { b.doc_title = 'Office lease'; });
+    const listed = (await mcp.listBundles()).filter(b => [id, legacy].includes(b.bundle_id));
+    expect(listed.map(b => [b.bundle_id, b.doc_title, b.chunk_count])).toEqual([[id, 'Office lease', 2], [legacy, 'Old NDA', 1]]);
+    expect(await storage.exists('bundle_meta', legacy)).toBe(true); // written by the first listing
+
+    expect(await mcp.deleteBundle(id)).toBe(true);
+    expect(await storage.exists('bundle_meta', id)).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+// server/tests/test_streaming.test.js
+const request = require('supertest');
+
+const NDA_TEXT = 'This Non-Disclosure Agreement is made between Acme Corp and Beta LLC. '
+  + 'The Receiving Party shall keep all Confidential Information secret for five years. '
+  + 'Either party may terminate this Agreement with 30 days written notice.';
+
+// Collect the raw event stream, then split it into [{ event, data }]
+function readEvents(req) {
+  return req
+    .buffer(true)
+    .parse((res, cb) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => cb(null, text));
+    })
+    .then(res => ({
+      res,
+      events: res.body.split('\n\n').filter(block => block.startsWith('event:')).map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+      })
+    }));
+}
+
+describe('SSE endpoints', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'local';
+    app = require('../index');
+  });
+
+  test('POST /api/simplify/stream streams stages and tokens, then the JSON response', async () => {
+    const { res, events } = await readEvents(request(app).post('/api/simplify/stream').send({ text: NDA_TEXT }));
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(res.headers['x-accel-buffering']).toBe('no');
+
+    const names = events.map(e => e.event);
+    expect(names[0]).toBe('stage');
+    expect(names).toEqual(expect.arrayContaining(['bundle', 'token', 'verification']));
+    expect(names[names.length - 1]).toBe('done');
+
+    const done = events[events.length - 1].data;
+    const streamed = events.filter(e => e.event === 'token').map(e => e.data.text).join('');
+    // tokens are the raw model reply; the final clauses swap in the taxonomy risk (lib/clauseTaxonomy.js)
+    const modelView = {
+      ...done.simplified,
+      clauses: done.simplified.clauses.map(c => ({ ...c, risk: c.model_risk, model_risk: undefined, risk_score: undefined, clause_types: undefined }))
+    };
+    expect(JSON.parse(streamed)).toEqual(modelView);
+    expect(done).toEqual(expect.objectContaining({ parse_status: 'ok', coverage: expect.any(Object) }));
+    expect(events.find(e => e.event === 'verification').data).toEqual(done.verification);
+  });
+
+  test('POST /api/ask/stream reports embedding progress, retrieval and the answer', async () => {
+    const simplified = await request(app).post('/api/simplify').send({ text: NDA_TEXT }).expect(200);
+    const bundleId = simplified.body.bundle_id;
+
+    const { events } = await readEvents(request(app)
+      .post('/api/ask/stream')
+      .send({ bundle_id: bundleId, question: 'How long must information be kept secret?' }));
+    const byName = name => events.filter(e => e.event === name);
+    const total = simplified.body.coverage.total_chunks;
+    expect(byName('embedding').pop().data).toEqual({ done: total, total });
+    expect(byName('retrieval')[0].data.retrieved_chunks.length).toBeGreaterThan(0);
+
+    const done = events[events.length - 1];
+    expect(done.event).toBe('done');
+    expect(byName('token').map(e => e.data.text).join('').trim()).toBe(done.data.answer);
+    expect(done.data.cited_chunk_ids.length).toBeGreaterThan(0);
+  });
+
+  test('errors end the stream with an error event carrying the status', async () => {
+    const { res, events } = await readEvents(request(app)
+      .post('/api/ask/stream')
+      .send({ bundle_id: 'bundle-missing', question: 'Anything?' }));
+    expect(res.status).toBe(200);
+    expect(events).toEqual([{ event: 'error', data: { status: 404, error: 'bundle not found: bundle-missing' } }]);
+  });
+});
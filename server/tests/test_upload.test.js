@@ -0,0 +1,111 @@
+// server/tests/test_upload.test.js
+const request = require('supertest');
+const JSZip = require('jszip');
+
+// Minimal valid PDF: one Helvetica text line per entry in each page's array.
+function makePdf(pages) {
+  const objects = [];
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  pages.forEach((lines, i) => {
+    const stream = 'BT /F1 12 Tf 72 720 Td ' + lines.map(l => `(${l}) Tj 0 -16 Td`).join(' ') + ' ET';
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = out.length;
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = out.length;
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+async function makeDocx(paragraphs) {
+  const body = paragraphs.map(p => {
+    const style = p.heading ? `<w:pPr><w:pStyle w:val="Heading${p.heading}"/></w:pPr>` : '';
+    const pageBreak = p.pageBreakBefore ? '<w:r><w:br w:type="page"/></w:r>' : '';
+    return `<w:p>${style}${pageBreak}<w:r><w:t xml:space="preserve">${p.text}</w:t></w:r></w:p>`;
+  }).join('');
+  const zip = new JSZip();
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+beforeAll(() => {
+  process.env.LLM_PROVIDER = 'local';
+});
+
+describe('documentParser', () => {
+  const { parseDocument } = require('../lib/documentParser');
+
+  test('PDF pages become character ranges in the extracted text', async () => {
+    const doc = await parseDocument(makePdf([['1. DEFINITIONS', 'Terms are defined here.'], ['2. TERMINATION', 'Either party may terminate.']]), 'a.pdf');
+    expect(doc.format).toBe('pdf');
+    expect(doc.pages).toHaveLength(2);
+    expect(doc.text.slice(doc.pages[1].start_char, doc.pages[1].end_char)).toBe('2. TERMINATION\nEither party may terminate.');
+    expect(doc.headings.map(h => h.text)).toEqual(['1. DEFINITIONS', '2. TERMINATION']);
+  });
+
+  test('DOCX headings come from paragraph styles and page breaks from w:br', async () => {
+    const doc = await parseDocument(await makeDocx([
+      { text: 'Confidentiality', heading: 1 },
+      { text: 'Keep secrets &amp; stay quiet.' },
+      { text: 'Payment', heading: 1, pageBreakBefore: true },
+      { text: 'Pay within 30 days.' }
+    ]), 'b.docx');
+    expect(doc.text).toBe('Confidentiality\n\nKeep secrets & stay quiet.\n\nPayment\n\nPay within 30 days.');
+    expect(doc.pages.map(p => doc.text.slice(p.start_char, p.end_char).split('\n')[0])).toEqual(['Confidentiality', 'Payment']);
+    expect(doc.headings).toEqual([
+      { text: 'Confidentiality', level: 1, start_char: 0 },
+      { text: 'Payment', level: 1, start_char: doc.text.indexOf('Payment') }
+    ]);
+  });
+});
+
+describe('POST /api/upload', () => {
+  test('PDF upload creates a bundle whose chunks carry page and heading', async () => {
+    const app = require('../index');
+    // pages long enough that the default chunker keeps them apart
+    const filler = n => Array.from({ length: 6 }, (_, i) => `Clause ${n}.${i + 1} applies to both parties and survives any amendment of this Agreement.`);
+    const pdf = makePdf([
+      ['1. CONFIDENTIALITY', 'The Receiving Party shall keep all Confidential Information secret for five years.', ...filler(1)],
+      ['2. TERMINATION', 'Either party may terminate this Agreement with 30 days written notice.', ...filler(2)]
+    ]);
+
+    const res = await request(app).post('/api/upload').attach('file', pdf, 'nda.pdf').field('uploader_id', 'u-1').expect(201);
+
+    expect(res.body).toEqual(expect.objectContaining({ doc_title: 'nda.pdf', source_format: 'pdf', page_count: 2 }));
+    expect(res.body.chunks.length).toBeGreaterThan(0);
+    for (const c of res.body.chunks) {
+      expect(c.origin_page).toEqual(expect.any(Number));
+      expect(c.section_header).toEqual(expect.any(String));
+    }
+    const last = res.body.chunks[res.body.chunks.length - 1];
+    expect(last).toEqual(expect.objectContaining({ origin_page: 2, section_header: '2. TERMINATION' }));
+
+    const simplified = await request(app).post('/api/simplify').send({ bundle_id: res.body.bundle_id }).expect(200);
+    expect(simplified.body.bundle_id).toBe(res.body.bundle_id);
+  });
+
+  test('markdown headings and plain text uploads work', async () => {
+    const app = require('../index');
+    const md = '# Fees\n\nCustomer shall pay all invoices within thirty days of receipt.\n';
+    const res = await request(app).post('/api/upload').attach('file', Buffer.from(md), 'terms.md').expect(201);
+    expect(res.body.chunks[0]).toEqual(expect.objectContaining({ origin_page: 1, section_header: 'Fees' }));
+  });
+
+  test('rejects unsupported types, missing files and empty documents', async () => {
+    const app = require('../index');
+    await request(app).post('/api/upload').attach('file', Buffer.from('x'), 'a.exe').expect(400);
+    await request(app).post('/api/upload').field('title', 'nothing').expect(400);
+    const empty = await request(app).post('/api/upload').attach('file', Buffer.from('   \n'), 'blank.txt').expect(422);
+    expect(empty.body.code).toBe('NO_TEXT');
+  });
+});